@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { VETERAN_LANDINGS, recordAttempt } = require('../src/achievements');
+const { createDefaultProfile } = require('../src/profile');
+
+// A safe landing on level 1 with plenty of fuel left, changed by `changes`
+function attempt(changes = {}) {
+  return {
+    success: true,
+    level: 1,
+    lander: 'classic',
+    fuel: 0.5,
+    docked: false,
+    firstTry: true,
+    highestLevel: 2,
+    ...changes
+  };
+}
+
+test('achievements unlock once, when first earned', () => {
+  const profile = createDefaultProfile();
+  assert.deepStrictEqual(recordAttempt(profile, attempt(), 1000), ['first_landing']);
+  assert.deepStrictEqual(recordAttempt(profile, attempt(), 2000), []);
+  assert.deepStrictEqual(recordAttempt(profile, attempt({ success: false }), 3000), ['first_crash']);
+  assert.deepStrictEqual(profile.achievements, { first_landing: 1000, first_crash: 3000 });
+  assert.deepStrictEqual(profile.stats, { landings: 2, crashes: 1, landers: ['classic'] });
+});
+
+test('landings earn achievements for how they were flown', () => {
+  const profile = createDefaultProfile();
+  recordAttempt(profile, attempt());
+  assert.deepStrictEqual(recordAttempt(profile, attempt({ fuel: 0.04 })), ['on_fumes']);
+  assert.deepStrictEqual(recordAttempt(profile, attempt({ level: 4, docked: true, firstTry: false })), []);
+  assert.deepStrictEqual(recordAttempt(profile, attempt({ level: 4, docked: true })), ['first_try_dock']);
+  assert.deepStrictEqual(recordAttempt(profile, attempt({ level: 10, highestLevel: 11 })), ['level_ten']);
+  const crash = attempt({ level: 10, success: false, lander: 'triangle' });
+  assert.deepStrictEqual(recordAttempt(profile, crash), ['first_crash']);
+  assert.deepStrictEqual(recordAttempt(profile, attempt({ level: 10, lander: 'triangle' })), ['triangle_ten']);
+  assert.deepStrictEqual(recordAttempt(profile, attempt({ lander: 'round' })), ['every_lander']);
+});
+
+test('landings add up to the veteran achievement', () => {
+  const profile = createDefaultProfile();
+  for (let i = 1; i < VETERAN_LANDINGS; i++) recordAttempt(profile, attempt());
+  assert.strictEqual(profile.achievements.veteran, undefined);
+  assert.deepStrictEqual(recordAttempt(profile, attempt(), 5), ['veteran']);
+  assert.strictEqual(profile.stats.landings, VETERAN_LANDINGS);
+});
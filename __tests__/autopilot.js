@@ -0,0 +1,25 @@
+// Test helper, not a test file: flies the lander like a careful pilot.
+const { CONFIG } = require('../src/simulation');
+
+const clamp = (value, limit) => Math.min(Math.max(value, -limit), limit);
+
+// Land on the first pad of the current level: drift over it, then descend
+// slowly and upright. The engine stays off below `cutOff` metres, so a
+// higher one comes down harder.
+function autopilot(sim, cutOff = 0) {
+  const pad = sim.landingPads[0];
+  const centre = (pad.startRange + pad.endRange) / 2;
+  while (!sim.gameOver) {
+    const lander = sim.lander;
+    const height = sim.getHeightAboveGround(lander.horizontalPosition, lander.altitude);
+    const offset = centre - lander.horizontalPosition;
+    const angle = height < 4 ? 0 : clamp((clamp(offset * 0.3, 3) - lander.horizontalVelocity) * 0.15, 0.4);
+    const spin = (angle - lander.angle) * 2;
+    lander.leftThruster = lander.angularVelocity > spin + 0.02;
+    lander.rightThruster = lander.angularVelocity < spin - 0.02;
+    lander.upThruster = height > cutOff && lander.verticalVelocity > (Math.abs(offset) > 3 ? 0.5 : Math.max(1, height / 6));
+    sim.updatePhysics(CONFIG.fixedTimestep);
+  }
+}
+
+module.exports = { autopilot };
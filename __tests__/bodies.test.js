@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  CELESTIAL_BODIES,
+  DEFAULT_BODY,
+  getCelestialBody,
+  getWindSpeed
+} = require('../src/bodies');
+
+test('every body has an environment and a palette', () => {
+  assert.deepStrictEqual(Object.keys(CELESTIAL_BODIES), ['moon', 'mars', 'mercury', 'asteroid', 'titan']);
+  Object.values(CELESTIAL_BODIES).forEach(body => {
+    assert.ok(body.gravity > 0);
+    assert.ok(body.drag >= 0);
+    ['sky', 'ground', 'edge'].forEach(key => assert.match(body.palette[key], /^#[0-9a-f]{6}$/));
+  });
+  assert.strictEqual(CELESTIAL_BODIES[DEFAULT_BODY].gravity, 1.62);
+});
+
+test('unknown bodies fall back to the default', () => {
+  assert.strictEqual(getCelestialBody('titan'), CELESTIAL_BODIES.titan);
+  assert.strictEqual(getCelestialBody('pluto'), CELESTIAL_BODIES[DEFAULT_BODY]);
+  assert.strictEqual(getCelestialBody(undefined), CELESTIAL_BODIES[DEFAULT_BODY]);
+});
+
+test('wind gusts stay around the mean speed and repeat for the same time', () => {
+  const mars = CELESTIAL_BODIES.mars;
+  const speeds = [];
+  for (let time = 0; time < 60; time += 0.5) speeds.push(getWindSpeed(mars, time));
+  speeds.forEach(speed => {
+    assert.ok(speed >= mars.wind.speed - mars.wind.gust - 1e-9);
+    assert.ok(speed <= mars.wind.speed + mars.wind.gust + 1e-9);
+  });
+  assert.ok(Math.max(...speeds) - Math.min(...speeds) > mars.wind.gust);
+  assert.strictEqual(getWindSpeed(mars, 12.5), getWindSpeed(mars, 12.5));
+  assert.strictEqual(getWindSpeed(CELESTIAL_BODIES.moon, 12.5), 0);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Camera, CAMERA_CONFIG, getCameraZoom } = require('../src/camera');
+
+test('the camera zooms in as the lander nears the ground', () => {
+  assert.strictEqual(getCameraZoom(100), 1);
+  assert.strictEqual(getCameraZoom(CAMERA_CONFIG.zoomStartAltitude), 1);
+  assert.strictEqual(getCameraZoom(CAMERA_CONFIG.zoomFullAltitude), CAMERA_CONFIG.maxZoom);
+  assert.strictEqual(getCameraZoom(0), CAMERA_CONFIG.maxZoom);
+  const midway = (CAMERA_CONFIG.zoomStartAltitude + CAMERA_CONFIG.zoomFullAltitude) / 2;
+  assert.strictEqual(getCameraZoom(midway), (1 + CAMERA_CONFIG.maxZoom) / 2);
+});
+
+test('the camera follows its target but stays inside the world', () => {
+  const camera = new Camera(360, 480);
+  camera.follow(500, 200, 1, 1080, 480);
+  assert.deepStrictEqual({ x: camera.x, y: camera.y }, { x: 500, y: 240 });
+  camera.follow(20, 200, 1, 1080, 480);
+  assert.strictEqual(camera.getBounds().left, 0);
+  camera.follow(1070, 470, 2, 1080, 480);
+  assert.deepStrictEqual(camera.getBounds(), { left: 900, right: 1080, top: 240, bottom: 480 });
+});
+
+test('a world narrower than the view is centred', () => {
+  const camera = new Camera(360, 480);
+  camera.follow(10, 10, 1, 200, 480);
+  assert.strictEqual(camera.x, 100);
+});
+
+test('toScreen maps the camera centre to the middle of the canvas', () => {
+  const camera = new Camera(360, 480);
+  camera.follow(600, 300, 2, 1080, 480);
+  assert.deepStrictEqual(camera.toScreen(600, 300), { x: 180, y: 240 });
+  assert.deepStrictEqual(camera.toScreen(610, 300), { x: 200, y: 240 });
+});
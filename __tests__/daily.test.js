@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LANDER_TYPES, FlightSimulation } = require('../src/simulation');
+const { CELESTIAL_BODIES } = require('../src/bodies');
+const { DAILY_LIMITS, getDay, getDailyChallenge, DailyAttempts, verifyDailyRun } = require('../server/daily');
+const { autopilot } = require('./autopilot');
+
+const SECRET = 'a-long-enough-test-secret';
+
+test('days are UTC dates', () => {
+  assert.strictEqual(getDay(new Date('2024-05-01T23:30:00-02:00')), '2024-05-02');
+  assert.match(getDay(), /^\d{4}-\d{2}-\d{2}$/);
+});
+
+test('every day has its own challenge, the same for everyone', () => {
+  const challenge = getDailyChallenge(SECRET, '2024-05-01');
+  assert.deepStrictEqual(getDailyChallenge(SECRET, '2024-05-01'), challenge);
+  assert.strictEqual(challenge.day, '2024-05-01');
+  assert.ok(Number.isInteger(challenge.seed) && challenge.seed >= 0 && challenge.seed <= 0xffffffff);
+  assert.ok(LANDER_TYPES[challenge.lander]);
+  assert.ok(CELESTIAL_BODIES[challenge.body]);
+  assert.ok(challenge.level >= 1 && challenge.level <= DAILY_LIMITS.levels);
+  // Neither another day nor another secret gives the same terrain
+  assert.notStrictEqual(getDailyChallenge(SECRET, '2024-05-02').seed, challenge.seed);
+  assert.notStrictEqual(getDailyChallenge(`${SECRET}!`, '2024-05-01').seed, challenge.seed);
+});
+
+test('each pilot gets one attempt a day', () => {
+  const attempts = new DailyAttempts();
+  assert.strictEqual(attempts.start('2024-05-01', 'Neil'), true);
+  assert.strictEqual(attempts.start('2024-05-01', 'Buzz'), true);
+  assert.strictEqual(attempts.start('2024-05-01', 'Neil'), false);
+  assert.strictEqual(attempts.start('2024-05-02', 'Neil'), true);
+  assert.strictEqual(attempts.start('2024-05-02', 'Neil'), false);
+});
+
+test('attempts are kept in their file across restarts', () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'daily-')), 'nested', 'attempts.json');
+  const attempts = new DailyAttempts(file);
+  assert.strictEqual(attempts.start('2024-05-01', 'Neil'), true);
+
+  const restarted = new DailyAttempts(file);
+  assert.strictEqual(restarted.start('2024-05-01', 'Neil'), false);
+  assert.strictEqual(restarted.start('2024-05-01', 'Buzz'), true);
+  // A new day starts over
+  assert.strictEqual(restarted.start('2024-05-02', 'Neil'), true);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), { day: '2024-05-02', pilots: ['Neil'] });
+});
+
+test("only a landing on the day's challenge is ranked", () => {
+  const challenge = { day: '2024-05-01', seed: 7, lander: 'classic', body: 'moon', level: 1 };
+  const sim = new FlightSimulation(challenge.seed);
+  sim.startLevel();
+  autopilot(sim);
+  const flight = JSON.parse(JSON.stringify(sim.getFlightRecord()));
+
+  const { entry } = verifyDailyRun({ name: 'Neil', flight }, challenge);
+  assert.deepStrictEqual(entry, { name: 'Neil', level: 1, lander: 'classic', score: sim.landingScore.total, seed: 7 });
+  assert.match(verifyDailyRun({ name: 'Neil', flight: { ...flight, body: 'mars' } }, challenge).error, /challenge/);
+  assert.match(verifyDailyRun({ name: 'Neil', flight: { ...flight, level: 2 } }, challenge).error, /challenge/);
+  assert.match(verifyDailyRun({ name: 'Neil', flight }, { ...challenge, seed: 8 }).error, /land/);
+  assert.match(verifyDailyRun({ name: '', flight }, challenge).error, /name/);
+  assert.match(verifyDailyRun({ name: 'Neil' }, challenge).error, /flight/);
+});
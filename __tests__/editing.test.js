@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CONFIG } = require('../src/simulation');
+const { getCelestialBody } = require('../src/bodies');
+const {
+  EDITOR_LIMITS,
+  prepareEditorLevel,
+  getEditorWorldRange,
+  getPadVertexIndices,
+  resampleLevelTerrain,
+  stretchLevel,
+  placeLevelPad,
+  getLevelTower,
+  placeLevelTower,
+  resizeLevelTower,
+  getEditorLevelErrors,
+  toLevelPack,
+  parseImportedLevel
+} = require('../src/editing');
+
+const DEFAULTS = { baseFuel: 1000, body: 'mars' };
+// A level as an older pack would have it, with a single pad and structure
+const OLD_LEVEL = {
+  name: 'Ridge',
+  terrain: [0.4, 0.3, 0.2, 0.2, 0.5],
+  pad: { startRange: 50, endRange: 75, height: 0.2 },
+  structure: { startRange: 10, endRange: 12, height: 60, padStart: 35, padEnd: 50, padSide: 'right' },
+  fuelReduction: 200
+};
+
+const approx = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+test('levels are opened as a copy with everything the editor changes spelled out', () => {
+  const level = prepareEditorLevel(OLD_LEVEL, DEFAULTS);
+  assert.deepStrictEqual(level.pads, [OLD_LEVEL.pad]);
+  assert.deepStrictEqual(level.objects, [{ type: 'tower', ...OLD_LEVEL.structure }]);
+  assert.strictEqual(level.pad, undefined);
+  assert.strictEqual(level.structure, undefined);
+  assert.strictEqual(level.fuel, 800);
+  assert.strictEqual(level.fuelReduction, undefined);
+  assert.strictEqual(level.body, 'mars');
+  assert.strictEqual(level.gravity, getCelestialBody('mars').gravity);
+  assert.deepStrictEqual(getEditorLevelErrors(level), []);
+  // The level it was opened on is left alone
+  level.pads[0].height = 0.5;
+  assert.strictEqual(OLD_LEVEL.pad.height, 0.2);
+
+  // Polygon-only levels get a flat heightmap; set fields are kept
+  const cave = prepareEditorLevel(
+    { polygons: [[[0, 0], [100, 0], [50, 0.3]]], pads: [], fuel: 50, body: 'moon', gravity: 2 },
+    DEFAULTS
+  );
+  assert.deepStrictEqual(cave.terrain, [0, 0]);
+  assert.deepStrictEqual([cave.fuel, cave.body, cave.gravity], [50, 'moon', 2]);
+});
+
+test('resampling keeps the shape of the surface and snaps pads to the new segments', () => {
+  const level = prepareEditorLevel(OLD_LEVEL, DEFAULTS);
+  resampleLevelTerrain(level, 8);
+  assert.strictEqual(level.terrain.length, 9);
+  // Every other vertex is an old one
+  [0, 2, 6, 8].forEach(i => approx(level.terrain[i], OLD_LEVEL.terrain[i / 2]));
+  approx(level.terrain[1], 0.35);
+  const [pad] = level.pads;
+  assert.deepStrictEqual([pad.startRange, pad.endRange], [50, 75]);
+  assert.deepStrictEqual(getPadVertexIndices(level, pad), { start: 4, end: 6 });
+  assert.deepStrictEqual(level.terrain.slice(4, 7), [0.2, 0.2, 0.2]);
+
+  // Pads too narrow for a segment grow to one, flattening the ground
+  resampleLevelTerrain(level, 3);
+  assert.strictEqual(level.terrain.length, 4);
+  approx(pad.startRange, 100 / 3);
+  approx(pad.endRange, 100);
+  assert.deepStrictEqual(level.terrain.slice(1), [0.2, 0.2, 0.2]);
+  resampleLevelTerrain(level, 1000);
+  assert.strictEqual(level.terrain.length, EDITOR_LIMITS.maxSegments + 1);
+  resampleLevelTerrain(level, 0);
+  assert.strictEqual(level.terrain.length, EDITOR_LIMITS.minSegments + 1);
+});
+
+test('stretching the world moves pads, polygons and objects along', () => {
+  const level = prepareEditorLevel({ ...OLD_LEVEL, polygons: [[[20, 0.5], [100, 0.6], [60, 0.4]]] }, DEFAULTS);
+  level.pads[0].multiplier = 2;
+  stretchLevel(level, 250);
+  assert.strictEqual(level.width, 250);
+  assert.strictEqual(getEditorWorldRange(level), 250);
+  assert.deepStrictEqual(level.pads, [{ startRange: 125, endRange: 187.5, height: 0.2 }]);
+  assert.deepStrictEqual(level.polygons, [[[50, 0.5], [250, 0.6], [150, 0.4]]]);
+  const tower = getLevelTower(level);
+  assert.deepStrictEqual([tower.startRange, tower.endRange, tower.height], [25, 30, 60]);
+  assert.deepStrictEqual(getEditorLevelErrors(level), []);
+
+  // Never narrower than one screen, which needs no width
+  stretchLevel(level, 10);
+  assert.strictEqual(level.width, undefined);
+  assert.deepStrictEqual([level.pads[0].startRange, level.pads[0].endRange], [50, 75]);
+});
+
+test('a placed pad flattens the ground and replaces pads it overlaps', () => {
+  const level = prepareEditorLevel(OLD_LEVEL, DEFAULTS);
+  const side = { startRange: 0, endRange: 25, height: 0.4 };
+  level.pads.push(side);
+  const pad = { startRange: 0, endRange: 0, height: 0.6, multiplier: 3 };
+  level.pads.push(pad);
+  placeLevelPad(level, pad, 2, 4);
+  // The pad it only touches stays
+  assert.deepStrictEqual(level.pads, [side, { startRange: 50, endRange: 100, height: 0.6 }]);
+  assert.deepStrictEqual(level.terrain, [0.4, 0.3, 0.6, 0.6, 0.6]);
+  placeLevelPad(level, pad, 0, 3);
+  assert.deepStrictEqual(level.pads, [pad]);
+  assert.deepStrictEqual(getEditorLevelErrors(level), []);
+});
+
+test('towers are placed with the chosen width inside the world', () => {
+  const level = prepareEditorLevel({ ...OLD_LEVEL, structure: undefined }, DEFAULTS);
+  assert.strictEqual(getLevelTower(level), undefined);
+  assert.strictEqual(resizeLevelTower(level, 5), null);
+
+  const tower = placeLevelTower(level, { range: 40, height: 70, padSide: 'left' });
+  assert.deepStrictEqual(tower, {
+    type: 'tower',
+    startRange: 39,
+    endRange: 41,
+    padStart: 45,
+    padEnd: 60,
+    height: 70,
+    padSide: 'left'
+  });
+  assert.deepStrictEqual(getEditorLevelErrors(level), []);
+
+  // A new tower replaces the old one, and stays inside the world
+  placeLevelTower(level, { range: 99, height: 0, width: 6, padSide: 'right' });
+  assert.deepStrictEqual(level.objects, [getLevelTower(level)]);
+  const { startRange, endRange, height } = getLevelTower(level);
+  assert.deepStrictEqual([startRange, endRange, height], [94, 100, EDITOR_LIMITS.minTowerHeight]);
+  placeLevelTower(level, { range: 50, height: 1000, width: 500, padSide: 'right' });
+  assert.strictEqual(getLevelTower(level).endRange - getLevelTower(level).startRange, EDITOR_LIMITS.maxTowerWidth);
+  assert.strictEqual(getLevelTower(level).height, CONFIG.maxAltitude);
+  assert.deepStrictEqual(getEditorLevelErrors(level), []);
+});
+
+test('resizing a tower keeps its middle and its pad', () => {
+  const level = prepareEditorLevel(OLD_LEVEL, DEFAULTS);
+  level.objects[0].multiplier = 2;
+  const tower = resizeLevelTower(level, 6);
+  assert.deepStrictEqual(tower, { type: 'tower', ...OLD_LEVEL.structure, startRange: 8, endRange: 14, multiplier: 2 });
+  resizeLevelTower(level, 0.1);
+  assert.deepStrictEqual([tower.startRange, tower.endRange], [10.5, 11.5]);
+  // Against the edge of the world it grows inward
+  tower.startRange = 0;
+  tower.endRange = 2;
+  resizeLevelTower(level, 10);
+  assert.deepStrictEqual([tower.startRange, tower.endRange], [0, 10]);
+  assert.deepStrictEqual(getEditorLevelErrors(level), []);
+});
+
+test('levels are exported as one-level packs and imported from packs or on their own', () => {
+  const level = prepareEditorLevel(OLD_LEVEL, DEFAULTS);
+  const pack = toLevelPack(level);
+  assert.strictEqual(pack.name, 'Ridge');
+  assert.strictEqual(toLevelPack({ ...level, name: '' }).name, 'Custom');
+  assert.deepStrictEqual(pack.levels, [level]);
+  assert.notStrictEqual(pack.levels[0], level);
+  assert.deepStrictEqual(parseImportedLevel(JSON.stringify(pack)), level);
+  assert.deepStrictEqual(parseImportedLevel(JSON.stringify(level)), level);
+
+  assert.throws(() => parseImportedLevel('{'), SyntaxError);
+  assert.throws(() => parseImportedLevel(JSON.stringify({ ...level, terrain: [0.5] })), /terrain/);
+  assert.throws(() => parseImportedLevel(JSON.stringify({ ...pack, levels: [] })));
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  LEVEL_OBJECT_TYPES,
+  getLevelObjects,
+  validateLevelObject,
+  createLevelObject
+} = require('../src/entities');
+
+// One pixel per metre with altitude growing upwards from y = 100
+const toPixel = (range, altitude) => ({ x: range, y: 100 - altitude });
+const bounds = { width: 100, maxAltitude: 100 };
+
+// Outline of a 4 m wide, 6 m tall lander with its feet at (x, altitude)
+const outlineAt = (x, altitude) => [
+  [x - 2, 100 - altitude - 6],
+  [x + 2, 100 - altitude - 6],
+  [x + 2, 100 - altitude],
+  [x - 2, 100 - altitude]
+];
+
+const tower = {
+  type: 'tower',
+  startRange: 80,
+  endRange: 82,
+  height: 65,
+  padStart: 40,
+  padEnd: 55,
+  padSide: 'left'
+};
+
+test('older levels turn their structure into a tower object', () => {
+  const { type, ...structure } = tower;
+  assert.deepStrictEqual(getLevelObjects({ structure }), [tower]);
+  assert.deepStrictEqual(getLevelObjects({ objects: [tower], structure: null }), [tower]);
+  assert.deepStrictEqual(getLevelObjects({}), []);
+});
+
+test('object definitions are validated by their type', () => {
+  assert.strictEqual(validateLevelObject(tower, bounds), null);
+  assert.match(validateLevelObject({ ...tower, padSide: 'up' }, bounds), /tower/);
+  assert.match(validateLevelObject({ type: 'ufo' }, bounds), /unknown object type "ufo"/);
+  assert.match(validateLevelObject({ type: 'constructor' }, bounds), /unknown object type "constructor"/);
+  assert.match(validateLevelObject({ type: 'toString' }, bounds), /unknown object type "toString"/);
+  assert.match(
+    validateLevelObject({ type: 'platform', startRange: 80, endRange: 90, height: 40, moveRange: 20, period: 4 }, bounds),
+    /platform/
+  );
+  assert.strictEqual(validateLevelObject({ type: 'beacon', range: 50, height: 30 }, bounds), null);
+  assert.match(validateLevelObject({ type: 'arch', startRange: 30, endRange: 36, height: 50, thickness: 4 }, bounds), /arch/);
+  Object.keys(LEVEL_OBJECT_TYPES).forEach(type => {
+    assert.ok(validateLevelObject({ type }, bounds), `${type} needs its fields`);
+  });
+});
+
+test('a tower docks landers arriving at its pad from the pad side', () => {
+  const object = createLevelObject(tower, toPixel);
+  assert.strictEqual(object.collide(outlineAt(70, 45)), null);
+  assert.deepStrictEqual(object.collide(outlineAt(78.5, 45)).pad, {
+    multiplier: 1,
+    span: [[80, 60], [80, 45]]
+  });
+  // Touching the tower below its pad or from the far side misses the pad
+  const below = object.collide(outlineAt(78.5, 20));
+  assert.strictEqual(below.pad, null);
+  assert.strictEqual(below.miss, 'height');
+  const farSide = object.collide(outlineAt(83.5, 45));
+  assert.strictEqual(farSide.pad, null);
+  assert.strictEqual(farSide.miss, 'side');
+  assert.ok(object.hidesPads);
+});
+
+test('platforms move on a fixed cycle and survive snapshots', () => {
+  const definition = {
+    type: 'platform',
+    startRange: 10,
+    endRange: 20,
+    height: 40,
+    moveRange: 30,
+    period: 4,
+    multiplier: 3
+  };
+  const object = createLevelObject(definition, toPixel);
+  assert.deepStrictEqual(object.getPosition(), { range: 10, altitude: 40 });
+  object.update(2);
+  assert.deepStrictEqual(object.getPosition(), { range: 40, altitude: 40 });
+  const state = object.snapshot();
+  object.update(1);
+  const contact = object.collide(outlineAt(30, 40));
+  assert.strictEqual(contact.pad.multiplier, 3);
+  // The pad spans the top of the platform, halfway through its travel
+  assert.deepStrictEqual(contact.pad.span.map(point => point.map(Math.round)), [[25, 60], [35, 60]]);
+  assert.strictEqual(contact.altitude, 40);
+  assert.ok(Math.abs(contact.velocity.horizontal + (30 * Math.PI) / 4) < 1e-9);
+  object.restore(state);
+  assert.deepStrictEqual(object.getPosition(), { range: 40, altitude: 40 });
+});
+
+test('arches are solid only where there is rock', () => {
+  const arch = createLevelObject(
+    { type: 'arch', startRange: 30, endRange: 60, height: 50, thickness: 4 },
+    toPixel
+  );
+  assert.strictEqual(arch.collide(outlineAt(45, 20)), null);
+  assert.strictEqual(arch.collide(outlineAt(45, 44)).pad, null);
+  assert.strictEqual(arch.collide(outlineAt(31, 20)).pad, null);
+});
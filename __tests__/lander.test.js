@@ -1,21 +1,22 @@
 const test = require('node:test');
 const assert = require('node:assert/strict');
-const { Lander, LANDER_CONFIG } = require('../src/lander');
+const { Lander, LANDER_CONFIG, DEFAULT_ENGINE } = require('../src/lander');
 
 test('fuel decreases when thrusters fire', () => {
   const lander = new Lander(100);
   lander.reset(10);
   lander.startUp();
-  lander.update(1, 0, 1, 0);
-  assert.strictEqual(lander.fuel, 9);
+  lander.update(1, 0, 0);
+  assert.strictEqual(lander.fuel, 10 - DEFAULT_ENGINE.maxMassFlow);
 });
 
 test('thrusters stop when fuel runs out', () => {
   const lander = new Lander(100);
   lander.reset(1);
   lander.startUp();
-  lander.update(1, 0, 1, 0);
+  lander.update(1, 0, 0);
   assert.strictEqual(lander.upThruster, false);
+  assert.strictEqual(lander.fuel, 0);
 });
 
 test('position updates according to velocity', () => {
@@ -23,7 +24,7 @@ test('position updates according to velocity', () => {
   lander.reset(0);
   lander.verticalVelocity = 10;
   lander.horizontalVelocity = 5;
-  lander.update(1, 0, 0, 0);
+  lander.update(1, 0, 0);
   assert.ok(Math.abs(lander.altitude - (LANDER_CONFIG.maxAltitude - 10)) < 1e-6);
   assert.ok(Math.abs(lander.horizontalPosition - (50 + 5)) < 1e-6);
 });
@@ -38,23 +39,23 @@ test('mass decreases as fuel burns', () => {
   lander.reset(10);
   const initialMass = lander.mass;
   lander.startUp();
-  lander.update(1, 0, 1, 0);
-  assert.strictEqual(lander.mass, initialMass - 1);
+  lander.update(1, 0, 0);
+  assert.strictEqual(lander.mass, initialMass - DEFAULT_ENGINE.maxMassFlow);
 });
 
 test('thrust is more effective with lower mass', () => {
   const heavy = new Lander(100);
   heavy.reset(1000);
   heavy.startUp();
-  heavy.update(1, 0, 1, 0);
+  heavy.update(0.1, 0, 0);
   const heavyVel = heavy.verticalVelocity;
 
   const light = new Lander(100);
   light.reset(1000);
-  light.fuel = 1;
+  light.fuel = 10;
   light.mass = light.dryMass + light.fuel;
   light.startUp();
-  light.update(1, 0, 1, 0);
+  light.update(0.1, 0, 0);
   const lightVel = light.verticalVelocity;
   assert.ok(Math.abs(lightVel) > Math.abs(heavyVel));
 });
@@ -63,3 +64,142 @@ test('lander accepts custom dry mass', () => {
   const lander = new Lander(100, 'classic', 1500);
   assert.strictEqual(lander.mass, 1500);
 });
+
+test('side thrusters rotate the lander instead of pushing it sideways', () => {
+  const lander = new Lander(100);
+  lander.reset(10);
+  lander.startRight();
+  lander.update(1, 0, 1);
+  assert.ok(lander.angularVelocity > 0);
+  assert.ok(lander.angle > 0);
+  assert.strictEqual(lander.horizontalVelocity, 0);
+
+  const left = new Lander(100);
+  left.reset(10);
+  left.startLeft();
+  left.update(1, 0, 1);
+  assert.ok(left.angle < 0);
+});
+
+test('main engine thrusts along the current heading', () => {
+  const lander = new Lander(100);
+  lander.reset(10);
+  lander.angle = Math.PI / 2;
+  lander.startUp();
+  lander.update(1, 0, 0);
+  assert.ok(lander.horizontalVelocity > 0);
+  assert.ok(Math.abs(lander.verticalVelocity) < 1e-9);
+});
+
+test('attitude is clamped to the maximum tilt', () => {
+  const lander = new Lander(100);
+  lander.reset(0);
+  lander.angularVelocity = 10;
+  lander.update(1, 0, 0);
+  assert.strictEqual(lander.angle, LANDER_CONFIG.maxTilt);
+  assert.strictEqual(lander.angularVelocity, 0);
+});
+
+test('throttle scales main engine thrust and fuel flow', () => {
+  const full = new Lander(100);
+  full.reset(100);
+  full.startUp();
+  full.update(1, 0, 0);
+
+  const half = new Lander(100);
+  half.reset(100);
+  half.setThrottle(0.5);
+  half.startUp();
+  half.update(1, 0, 0);
+  assert.ok(Math.abs(100 - half.fuel - (100 - full.fuel) / 2) < 1e-9);
+  assert.ok(Math.abs(half.verticalVelocity - full.verticalVelocity / 2) < 1e-9);
+});
+
+test('throttle steps are clamped between 0 and 1', () => {
+  const lander = new Lander(100);
+  lander.throttleUp();
+  assert.strictEqual(lander.throttle, 1);
+  for (let i = 0; i < 15; i++) lander.throttleDown();
+  assert.strictEqual(lander.throttle, 0);
+});
+
+test('thrust follows the rocket equation', () => {
+  const engine = { exhaustVelocity: 3000, maxMassFlow: 2 };
+  const lander = new Lander(100, 'classic', 1000, engine);
+  lander.reset(1000);
+  lander.startUp();
+  lander.update(1, 0, 0);
+  // F = mdot * ve = 6000 N acting on the 2000 kg craft
+  assert.ok(Math.abs(lander.verticalVelocity + 3) < 1e-9);
+  assert.strictEqual(lander.getThrust(), 6000);
+  assert.ok(Math.abs(lander.getSpecificImpulse() - 3000 / 9.80665) < 1e-9);
+});
+
+test('remaining delta-v comes from the mass ratio', () => {
+  const lander = new Lander(100, 'classic', 1000, { exhaustVelocity: 2000, maxMassFlow: 5 });
+  lander.reset(1000);
+  assert.ok(Math.abs(lander.getDeltaV() - 2000 * Math.log(2)) < 1e-9);
+  lander.reset(0);
+  assert.strictEqual(lander.getDeltaV(), 0);
+});
+
+test('restoring a snapshot reproduces the same flight', () => {
+  const lander = new Lander(100);
+  lander.reset(500);
+  lander.startUp();
+  lander.startRight();
+  for (let i = 0; i < 30; i++) lander.update(1 / 60, 1.62, 3);
+  const saved = lander.snapshot();
+  for (let i = 0; i < 60; i++) lander.update(1 / 60, 1.62, 3);
+  const expected = lander.snapshot();
+
+  const copy = new Lander(100);
+  copy.restore(JSON.parse(JSON.stringify(saved)));
+  for (let i = 0; i < 60; i++) copy.update(1 / 60, 1.62, 3);
+  assert.deepStrictEqual(copy.snapshot(), expected);
+});
+
+test('damage weakens the thruster on the side that was hit', () => {
+  const lander = new Lander(100);
+  lander.reset(100);
+  const fullThrust = lander.getThrust();
+  lander.applyDamage(0.1, 'bottom');
+  assert.ok(Math.abs(lander.hull - 0.9) < 1e-9);
+  assert.ok(Math.abs(lander.mainEngineHealth - 0.8) < 1e-9);
+  assert.ok(Math.abs(lander.getThrust() - fullThrust * 0.8) < 1e-6);
+  assert.strictEqual(lander.leftThrusterHealth, 1);
+  assert.strictEqual(lander.rightThrusterHealth, 1);
+});
+
+test('a badly damaged thruster fails and stops firing', () => {
+  const lander = new Lander(100);
+  lander.reset(100);
+  lander.startLeft();
+  // The left thruster is mounted on the right side of the body
+  lander.applyDamage(0.4, 'right');
+  assert.strictEqual(lander.leftThrusterHealth, 0);
+  assert.strictEqual(lander.leftThruster, false);
+  lander.startLeft();
+  assert.strictEqual(lander.leftThruster, false);
+  lander.update(1, 0, 3);
+  assert.strictEqual(lander.angularVelocity, 0);
+  assert.strictEqual(lander.fuel, 100);
+  lander.applyDamage(0.6, 'top');
+  assert.ok(lander.isDestroyed());
+});
+
+test('drag slows the lander towards the speed of the wind', () => {
+  const lander = new Lander(100);
+  lander.reset(0);
+  lander.verticalVelocity = 10;
+  for (let i = 0; i < 600; i++) lander.update(1 / 60, 0, 0, { drag: 0.2, wind: 3 });
+  assert.ok(lander.verticalVelocity > 0 && lander.verticalVelocity < 1);
+  assert.ok(lander.horizontalVelocity > 2 && lander.horizontalVelocity < 3);
+
+  const vacuum = new Lander(100);
+  vacuum.reset(0);
+  vacuum.verticalVelocity = 10;
+  vacuum.update(1, 0, 0);
+  assert.strictEqual(vacuum.verticalVelocity, 10);
+  assert.strictEqual(vacuum.horizontalVelocity, 0);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateName, validateScoreEntry, parseScoreQuery, Leaderboard } = require('../server/leaderboard');
+
+const landers = ['classic', 'round', 'triangle'];
+const run = { name: 'Neil', level: 3, lander: 'classic', score: 4200, seed: 12345 };
+
+function tempFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'leaderboard-'));
+  return path.join(dir, 'nested', 'scores.json');
+}
+
+test('submitted runs are validated', () => {
+  assert.strictEqual(validateScoreEntry(run, landers), null);
+  assert.match(validateScoreEntry(null, landers), /object/);
+  assert.match(validateScoreEntry({ ...run, name: '   ' }, landers), /name/);
+  assert.match(validateScoreEntry({ ...run, name: 'x'.repeat(21) }, landers), /name/);
+  assert.match(validateScoreEntry({ ...run, level: 0 }, landers), /level/);
+  assert.match(validateScoreEntry({ ...run, lander: 'saucer' }, landers), /lander/);
+  assert.match(validateScoreEntry({ ...run, score: 12.5 }, landers), /score/);
+  assert.match(validateScoreEntry({ ...run, seed: -1 }, landers), /seed/);
+  assert.strictEqual(validateName(' Neil '), null);
+  assert.match(validateName(42), /name/);
+});
+
+test('scores are ranked, filtered and kept in the file', () => {
+  const file = tempFile();
+  const board = new Leaderboard(file);
+  assert.deepStrictEqual(board.top(), []);
+  assert.strictEqual(board.add(run).rank, 1);
+  assert.strictEqual(board.add({ ...run, name: ' Buzz ', score: 5000, lander: 'round' }).rank, 1);
+  // Ties go to the earlier submission
+  assert.strictEqual(board.add({ ...run, name: 'Pete', level: 2 }, new Date('2024-05-01T12:00:00Z')).rank, 3);
+
+  const reloaded = new Leaderboard(file);
+  assert.deepStrictEqual(reloaded.top().map(entry => entry.name), ['Buzz', 'Neil', 'Pete']);
+  assert.deepStrictEqual(reloaded.top({ lander: 'classic' }).map(entry => entry.name), ['Neil', 'Pete']);
+  assert.deepStrictEqual(reloaded.top({ level: 2 }).map(entry => entry.name), ['Pete']);
+  assert.strictEqual(reloaded.top({ limit: 1 }).length, 1);
+  assert.deepStrictEqual(reloaded.top({ day: '2024-05-01' }).map(entry => entry.name), ['Pete']);
+  assert.ok(!Number.isNaN(Date.parse(reloaded.top()[0].date)));
+});
+
+test('leaderboard queries are checked', () => {
+  assert.deepStrictEqual(parseScoreQuery({}, landers), { options: {} });
+  assert.deepStrictEqual(parseScoreQuery({ level: '4', lander: 'round', limit: '20' }, landers), {
+    options: { level: 4, lander: 'round', limit: 20 }
+  });
+  assert.deepStrictEqual(parseScoreQuery({ level: 'top' }, landers), { error: 'invalid level' });
+  assert.deepStrictEqual(parseScoreQuery({ lander: 'saucer' }, landers), { error: 'invalid lander' });
+  assert.deepStrictEqual(parseScoreQuery({ limit: '1000' }, landers), { error: 'invalid limit' });
+});
+
+test('a pilot keeps one entry per seed, the best', () => {
+  const board = new Leaderboard(tempFile());
+  board.add(run);
+  board.add({ ...run, name: 'Buzz', score: 4000 });
+  const again = board.add({ ...run, score: 3000 });
+  assert.deepStrictEqual(again, { entry: board.top()[0], rank: 1 });
+  assert.strictEqual(board.top({ limit: 100 }).length, 2);
+  // A longer version of the run replaces the entry it beats
+  assert.strictEqual(board.add({ ...run, level: 5, score: 6000 }).rank, 1);
+  assert.deepStrictEqual(
+    board.top({ limit: 100 }).map(({ name, level, score }) => [name, level, score]),
+    [['Neil', 5, 6000], ['Buzz', 3, 4000]]
+  );
+  // Another seed is another run
+  assert.strictEqual(board.add({ ...run, seed: 1 }).rank, 2);
+  assert.strictEqual(board.top({ limit: 100 }).length, 3);
+});
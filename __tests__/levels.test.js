@@ -0,0 +1,159 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const {
+  BUILTIN_LEVEL_PACK,
+  getLevelWidth,
+  validateLevel,
+  computePadMultiplier,
+  getLevelPads,
+  parseLevelPack,
+  generateProceduralLevel,
+  getPackLength,
+  getPackLevel
+} = require('../src/levels');
+
+const CONFIG = {
+  maxRange: 100,
+  maxAltitude: 100,
+  gravity: 1.62,
+  gravityIncrement: 0.3,
+  fuelDecrease: 200
+};
+const OPTIONS = { landerTypes: ['classic', 'round', 'triangle'] };
+
+test('procedural levels are reproducible from the seed', () => {
+  assert.deepStrictEqual(
+    generateProceduralLevel(3, 1234, CONFIG),
+    generateProceduralLevel(3, 1234, CONFIG)
+  );
+  assert.notDeepStrictEqual(
+    generateProceduralLevel(3, 1234, CONFIG).terrain,
+    generateProceduralLevel(3, 4321, CONFIG).terrain
+  );
+});
+
+test('procedural levels follow the classic progression', () => {
+  const first = generateProceduralLevel(1, 1, CONFIG);
+  assert.strictEqual(first.gravity, 1.62);
+  assert.strictEqual(first.fuelReduction, 0);
+  assert.deepStrictEqual(first.objects, []);
+  assert.strictEqual(generateProceduralLevel(4, 1, CONFIG).objects[0].type, 'tower');
+  assert.strictEqual(generateProceduralLevel(10, 1, CONFIG).gravity, 1.62 + 0.3 * 5);
+  for (let level = 1; level <= 12; level++) {
+    assert.deepStrictEqual(validateLevel(generateProceduralLevel(level, 99, CONFIG), OPTIONS), []);
+  }
+});
+
+test('the example level pack is valid', () => {
+  const text = fs.readFileSync(path.join(__dirname, '..', 'levels', 'example.json'), 'utf8');
+  const pack = parseLevelPack(text, OPTIONS);
+  assert.strictEqual(pack.name, 'Apollo Training');
+  assert.strictEqual(getPackLength(pack), 5);
+  assert.strictEqual(getPackLevel(pack, 2).name, 'Crater Rim');
+});
+
+test('validateLevel reports problems', () => {
+  const level = {
+    terrain: [0.2, 1.5],
+    pad: { startRange: 50, endRange: 40, height: 0.2 },
+    gravity: -1,
+    landers: ['rocket'],
+    body: 'pluto',
+    timeLimit: 0
+  };
+  assert.strictEqual(validateLevel(level, OPTIONS).length, 6);
+  const titan = { terrain: [0.2, 0.2], pad: { startRange: 0, endRange: 50, height: 0.2 }, body: 'titan' };
+  assert.deepStrictEqual(validateLevel(titan, OPTIONS), []);
+});
+
+test('validateLevel accepts several pads and the legacy single pad', () => {
+  const terrain = [0.2, 0.2, 0.3, 0.3];
+  const pad = { startRange: 0, endRange: 33, height: 0.2 };
+  assert.deepStrictEqual(validateLevel({ terrain, pad }, OPTIONS), []);
+  const bonus = { startRange: 70, endRange: 80, height: 0.3, multiplier: 4 };
+  assert.deepStrictEqual(validateLevel({ terrain, pads: [pad, bonus] }, OPTIONS), []);
+  assert.strictEqual(validateLevel({ terrain, pads: [] }, OPTIONS).length, 1);
+  assert.strictEqual(validateLevel({ terrain, pads: [{ ...pad, multiplier: 0 }] }, OPTIONS).length, 1);
+});
+
+test('pad multipliers reward narrow and distant pads', () => {
+  assert.strictEqual(computePadMultiplier({ startRange: 45, endRange: 55 }, 100), 1);
+  assert.strictEqual(computePadMultiplier({ startRange: 0, endRange: 40 }, 100), 1);
+  assert.strictEqual(computePadMultiplier({ startRange: 47.5, endRange: 52.5 }, 100), 2);
+  assert.strictEqual(computePadMultiplier({ startRange: 85, endRange: 95 }, 100), 2);
+  const pads = getLevelPads({ pad: { startRange: 45, endRange: 55, height: 0.1 } }, 100);
+  assert.deepStrictEqual(pads, [{ startRange: 45, endRange: 55, height: 0.1, multiplier: 1 }]);
+  assert.strictEqual(
+    getLevelPads({ pads: [{ startRange: 0, endRange: 10, height: 0, multiplier: 5 }] })[0].multiplier,
+    5
+  );
+});
+
+test('levels can be wider than one screen', () => {
+  const level = {
+    width: 300,
+    terrain: [0.2, 0.2, 0.3, 0.3],
+    pads: [{ startRange: 250, endRange: 260, height: 0.3 }]
+  };
+  assert.strictEqual(getLevelWidth(level, 100), 300);
+  assert.strictEqual(getLevelWidth({ terrain: level.terrain }, 100), 100);
+  assert.deepStrictEqual(validateLevel(level, OPTIONS), []);
+  assert.strictEqual(validateLevel({ ...level, width: undefined }, OPTIONS).length, 1);
+  assert.strictEqual(validateLevel({ ...level, width: 50 }, OPTIONS).length, 2);
+  // Distance is measured from the middle of the whole world
+  assert.strictEqual(getLevelPads(level, 100)[0].multiplier, 1.5);
+});
+
+test('levels can add polygons to or replace the heightmap', () => {
+  const pads = [{ startRange: 40, endRange: 50, height: 0.1 }];
+  const roof = [[30, 0.5], [70, 0.5], [50, 0.4]];
+  assert.deepStrictEqual(validateLevel({ terrain: [0.1, 0.1], polygons: [roof], pads }, OPTIONS), []);
+  assert.deepStrictEqual(
+    validateLevel({ polygons: [roof, [[0, 0], [100, 0], [100, 0.1], [0, 0.1]]], pads }, OPTIONS),
+    []
+  );
+  assert.strictEqual(validateLevel({ pads }, OPTIONS).length, 1);
+  assert.strictEqual(validateLevel({ polygons: [], pads }, OPTIONS).length, 1);
+  assert.strictEqual(validateLevel({ polygons: [[[0, 0], [120, 0], [50, 0.5]]], pads }, OPTIONS).length, 1);
+  assert.strictEqual(validateLevel({ polygons: [[[0, 0], [10, 0]]], pads }, OPTIONS).length, 1);
+});
+
+test('levels can place objects and still read the old structure', () => {
+  const terrain = [0.2, 0.2];
+  const pads = [{ startRange: 10, endRange: 20, height: 0.2 }];
+  const structure = { startRange: 80, endRange: 82, height: 65, padStart: 40, padEnd: 55, padSide: 'left' };
+  assert.deepStrictEqual(validateLevel({ terrain, pads, structure }, OPTIONS), []);
+  const objects = [{ type: 'beacon', range: 50, height: 40 }, { type: 'ufo' }];
+  const errors = validateLevel({ terrain, pads, objects }, OPTIONS);
+  assert.deepStrictEqual(errors, ['object 2: unknown object type "ufo"']);
+  assert.strictEqual(validateLevel({ terrain, pads, objects: {} }, OPTIONS).length, 1);
+});
+
+test('procedural levels add a bonus pad from level 2', () => {
+  assert.strictEqual(generateProceduralLevel(1, 7, CONFIG).pads.length, 1);
+  for (let seed = 1; seed <= 20; seed++) {
+    const { pads, terrain } = generateProceduralLevel(3, seed, CONFIG);
+    assert.strictEqual(pads.length, 2);
+    assert.ok(pads[1].multiplier > pads[0].multiplier);
+    const segment = CONFIG.maxRange / (terrain.length - 1);
+    const index = Math.floor(pads[1].startRange / segment);
+    assert.strictEqual(terrain[index], pads[1].height);
+    assert.strictEqual(terrain[index + 1], pads[1].height);
+  }
+});
+
+test('parseLevelPack rejects malformed packs', () => {
+  assert.throws(() => parseLevelPack('{"format": 2, "levels": []}'), /format/);
+  assert.throws(() => parseLevelPack({ format: 1, levels: [] }), /at least one level/);
+  assert.throws(
+    () => parseLevelPack({ format: 1, levels: [{ terrain: [0.1, 0.1] }] }),
+    /Level 1: pad/
+  );
+});
+
+test('the built-in pack never runs out of levels', () => {
+  assert.strictEqual(getPackLength(BUILTIN_LEVEL_PACK), Infinity);
+  assert.strictEqual(getPackLevel(BUILTIN_LEVEL_PACK, 7, 5, CONFIG).name, 'Level 7');
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CONFIG, FlightSimulation } = require('../src/simulation');
+const { parseLevelPack } = require('../src/levels');
+const { MISSION_MODES, createMission, judgeMission } = require('../src/missions');
+const { autopilot } = require('./autopilot');
+
+// Fly `mission` with the autopilot and return the simulation
+function fly(mission, seed = 42) {
+  const sim = new FlightSimulation(seed);
+  sim.setLevelPack(mission.pack);
+  sim.startLevel();
+  autopilot(sim);
+  return sim;
+}
+
+test('missions are built from the run seed', () => {
+  const trial = createMission('timeTrial', 42, 'moon');
+  assert.deepStrictEqual(createMission('timeTrial', 42, 'moon'), trial);
+  assert.notDeepStrictEqual(createMission('timeTrial', 43, 'moon').pack, trial.pack);
+  const [level] = parseLevelPack(trial.pack, { maxRange: CONFIG.maxRange, maxAltitude: CONFIG.maxAltitude }).levels;
+  assert.strictEqual(level.timeLimit, MISSION_MODES.timeTrial.timeLimit);
+  assert.strictEqual(createMission('fuelMiser', 42, 'moon').pack.levels[0].fuel, MISSION_MODES.fuelMiser.fuel);
+
+  const { pack, marker } = createMission('precision', 42, 'moon');
+  const [pad] = pack.levels[0].pads;
+  assert.ok(marker > pad.startRange && marker < pad.endRange);
+  assert.strictEqual(trial.marker, null);
+});
+
+test('a time trial is won by landing before the time runs out', () => {
+  const trial = createMission('timeTrial', 42, 'moon');
+  const landed = fly(trial);
+  const time = landed.tick * CONFIG.fixedTimestep;
+  const result = judgeMission(trial, landed);
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.score, Math.round((1000 * (landed.timeLimit - time)) / landed.timeLimit));
+
+  const mission = createMission('timeTrial', 42, 'moon');
+  mission.pack.levels[0].timeLimit = 2;
+  const late = fly(mission);
+  assert.strictEqual(late.crashed, true);
+  assert.strictEqual(late.tick, 120);
+  assert.deepStrictEqual(late.crashReasons, [{ key: 'reason_time_up', limit: 2 }]);
+  assert.deepStrictEqual(judgeMission(mission, late), {
+    success: false,
+    score: 0,
+    results: [{ key: 'mission_time', value: '2.0 s' }, { key: 'mission_time_left', value: '0.0 s' }],
+    reason: null
+  });
+});
+
+test('fuel miser scores the fuel left from a small budget', () => {
+  const mission = createMission('fuelMiser', 42, 'moon');
+  const sim = fly(mission);
+  assert.strictEqual(sim.startFuel, MISSION_MODES.fuelMiser.fuel);
+  const result = judgeMission(mission, sim);
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.score, Math.round((1000 * sim.lander.fuel) / sim.startFuel));
+  assert.deepStrictEqual(
+    result.results.map(({ key }) => key),
+    ['mission_time', 'mission_fuel_used', 'mission_fuel_left']
+  );
+});
+
+test('precision landings are scored by their distance from the marker', () => {
+  const mission = createMission('precision', 42, 'moon');
+  const sim = fly(mission);
+  mission.marker = sim.lander.horizontalPosition + 1;
+  const near = judgeMission(mission, sim);
+  assert.strictEqual(near.success, true);
+  assert.strictEqual(near.score, Math.round(1000 * (1 - 1 / MISSION_MODES.precision.radius)));
+
+  mission.marker = sim.lander.horizontalPosition - 5;
+  const far = judgeMission(mission, sim);
+  assert.strictEqual(far.success, false);
+  assert.strictEqual(far.score, 0);
+  assert.strictEqual(far.reason.key, 'reason_marker_missed');
+  assert.ok(Math.abs(far.reason.actual - 5) < 1e-9);
+});
@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  PROFILE_VERSION,
+  PROFILE_STORAGE_KEY,
+  PROFILE_BACKUP_KEY,
+  createDefaultProfile,
+  parseProfile,
+  serializeProfile,
+  loadProfile,
+  saveProfile,
+  getLevelKey,
+  recordBest,
+  GHOST_LIMIT,
+  getGhostKey,
+  recordGhost
+} = require('../src/profile');
+const { FlightSimulation } = require('../src/simulation');
+const { verifyRun } = require('../server/replay');
+const { autopilot } = require('./autopilot');
+
+// In-memory stand-in for localStorage
+function createStorage(items = {}) {
+  return {
+    items,
+    getItem: key => (key in items ? items[key] : null),
+    setItem: (key, value) => {
+      items[key] = String(value);
+    }
+  };
+}
+
+test('profiles survive saving and loading', () => {
+  const storage = createStorage();
+  assert.deepStrictEqual(loadProfile(storage), createDefaultProfile());
+  const profile = createDefaultProfile();
+  profile.progress = {
+    level: 4,
+    highestLevel: 6,
+    runScore: 5300,
+    levelCrashes: 2,
+    seed: 42,
+    flights: [{ level: 1, lander: 'classic', body: 'moon', damage: null, inputs: [[0, 1, 0, 0, 1]], ticks: 900 }],
+    damage: { hull: 0.8 }
+  };
+  profile.settings.language = 'it';
+  profile.daily = { day: '2024-05-01', score: 1800 };
+  profile.achievements = { first_landing: 1714567890000 };
+  profile.stats = { landings: 3, crashes: 2, landers: ['classic', 'triangle'] };
+  recordBest(profile, getLevelKey('Classic', 3), 2100);
+  saveProfile(storage, profile);
+  assert.deepStrictEqual(loadProfile(storage), profile);
+  assert.deepStrictEqual(parseProfile(serializeProfile(profile)), profile);
+  assert.deepStrictEqual(loadProfile(null), createDefaultProfile());
+});
+
+test('a run picked up from a saved profile can still be verified', () => {
+  const storage = createStorage();
+  const profile = createDefaultProfile();
+  const sim = new FlightSimulation(9);
+  for (let i = 0; i < 2; i++) {
+    sim.startLevel();
+    autopilot(sim);
+  }
+  Object.assign(profile.progress, {
+    level: sim.level,
+    runScore: sim.runScore,
+    seed: sim.seed,
+    flights: sim.runFlights,
+    damage: sim.startDamage
+  });
+  saveProfile(storage, profile);
+
+  // Continue the run on a fresh page, as the game does
+  const { progress } = loadProfile(storage);
+  const resumed = new FlightSimulation(progress.seed);
+  resumed.level = progress.level;
+  resumed.runScore = progress.runScore;
+  resumed.runFlights = progress.flights.slice();
+  resumed.startDamage = progress.damage;
+  resumed.startLevel();
+  autopilot(resumed);
+  const run = { name: 'Neil', level: 3, lander: 'classic', score: resumed.runScore, seed: progress.seed };
+  assert.deepStrictEqual(verifyRun({ ...run, flights: resumed.runFlights }), { score: resumed.runScore });
+});
+
+test('invalid fields fall back to their defaults', () => {
+  const profile = parseProfile(
+    JSON.stringify({
+      version: PROFILE_VERSION,
+      progress: { level: 7, highestLevel: 2, runScore: -5, levelCrashes: 1.5, seed: 2 ** 32, flights: 'none', damage: { hull: 2 } },
+      bests: { 'Classic/1': 900, 'Classic/2': 'lots' },
+      daily: { day: 'yesterday', score: 500 },
+      achievements: { first_landing: 1000, first_crash: 'today' },
+      stats: { landings: 2, crashes: -1, landers: ['round', 7, 'round'] },
+      settings: { lander: 'round', volume: 3, throttle: 0.5 },
+      unknown: true
+    })
+  );
+  const defaults = createDefaultProfile();
+  assert.deepStrictEqual(profile.progress, { ...defaults.progress, level: 7, highestLevel: 7 });
+  assert.deepStrictEqual(profile.bests, { 'Classic/1': 900 });
+  assert.deepStrictEqual(profile.daily, defaults.daily);
+  assert.deepStrictEqual(profile.achievements, { first_landing: 1000 });
+  assert.deepStrictEqual(profile.stats, { landings: 2, crashes: 0, landers: ['round'] });
+  assert.deepStrictEqual(profile.settings, {
+    ...defaults.settings,
+    lander: 'round',
+    throttle: 0.5
+  });
+  assert.strictEqual(profile.unknown, undefined);
+});
+
+test('profiles without a version or from a newer game are refused', () => {
+  assert.throws(() => parseProfile('[]'), /version/);
+  assert.throws(() => parseProfile('{"progress": {}}'), /version/);
+  assert.throws(
+    () => parseProfile(JSON.stringify({ version: PROFILE_VERSION + 1 })),
+    /newer than this game supports/
+  );
+  // A stored profile that can't be read is kept aside, not lost
+  const text = JSON.stringify({ version: PROFILE_VERSION + 1, progress: { level: 9 } });
+  const storage = createStorage({ [PROFILE_STORAGE_KEY]: text });
+  assert.deepStrictEqual(loadProfile(storage), createDefaultProfile());
+  assert.strictEqual(storage.items[PROFILE_BACKUP_KEY], text);
+});
+
+test('only better scores replace a best', () => {
+  const profile = createDefaultProfile();
+  assert.strictEqual(recordBest(profile, 'Classic/1', 1500), true);
+  assert.strictEqual(recordBest(profile, 'Classic/1', 1200), false);
+  assert.strictEqual(recordBest(profile, 'Classic/1', 1800), true);
+  assert.deepStrictEqual(profile.bests, { 'Classic/1': 1800 });
+});
+
+test('ghosts keep the best flight and make way for newer ones', () => {
+  const profile = createDefaultProfile();
+  const flight = ticks => ({ level: 1, inputs: [], ticks });
+  const key = getGhostKey('Classic', 1, 42);
+  assert.strictEqual(key, 'Classic/1#42');
+  assert.strictEqual(getGhostKey('Tutorial', 2, null), 'Tutorial/2');
+  assert.strictEqual(recordGhost(profile, key, 1500, flight(100)), true);
+  assert.strictEqual(recordGhost(profile, key, 1200, flight(200)), false);
+  assert.strictEqual(profile.ghosts[key].flight.ticks, 100);
+
+  for (let level = 2; level <= GHOST_LIMIT + 1; level++) {
+    recordGhost(profile, getGhostKey('Classic', level, 42), 1000, flight(level));
+  }
+  assert.strictEqual(Object.keys(profile.ghosts).length, GHOST_LIMIT);
+  assert.strictEqual(profile.ghosts[key], undefined);
+  assert.deepStrictEqual(parseProfile(serializeProfile(profile)).ghosts, profile.ghosts);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRandom, deriveSeed, parseSeed, randomSeed } = require('../src/random');
+
+test('same seed produces the same sequence', () => {
+  const a = createRandom(42);
+  const b = createRandom(42);
+  for (let i = 0; i < 100; i++) {
+    assert.strictEqual(a(), b());
+  }
+});
+
+test('different seeds produce different sequences', () => {
+  const a = createRandom(1);
+  const b = createRandom(2);
+  const seqA = Array.from({ length: 5 }, a);
+  const seqB = Array.from({ length: 5 }, b);
+  assert.notDeepStrictEqual(seqA, seqB);
+});
+
+test('values stay within [0, 1)', () => {
+  const random = createRandom(randomSeed());
+  for (let i = 0; i < 1000; i++) {
+    const value = random();
+    assert.ok(value >= 0 && value < 1);
+  }
+});
+
+test('derived seeds are stable and differ per salt', () => {
+  assert.strictEqual(deriveSeed(7, 3), deriveSeed(7, 3));
+  assert.notStrictEqual(deriveSeed(7, 3), deriveSeed(7, 4));
+});
+
+test('parseSeed accepts numbers and hashes text', () => {
+  assert.strictEqual(parseSeed('12345'), 12345);
+  assert.strictEqual(parseSeed(' 12345 '), 12345);
+  assert.strictEqual(parseSeed('moon-base'), parseSeed('moon-base'));
+  assert.ok(Number.isInteger(parseSeed('moon-base')));
+  assert.strictEqual(parseSeed(''), null);
+  assert.strictEqual(parseSeed(null), null);
+});
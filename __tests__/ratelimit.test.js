@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RateLimiter } = require('../server/ratelimit');
+
+test('each client has its own allowance, renewed every window', () => {
+  const limiter = new RateLimiter(10, 1000);
+  const now = 1700000000000;
+  assert.strictEqual(limiter.take('a', 6, now), true);
+  // Nothing is taken when there isn't enough left
+  assert.strictEqual(limiter.take('a', 5, now + 1), false);
+  assert.strictEqual(limiter.take('a', 4, now + 1), true);
+  assert.strictEqual(limiter.take('a', 1, now + 2), false);
+  assert.strictEqual(limiter.retryAfter('a', now + 2), 998);
+  assert.strictEqual(limiter.take('b', 10, now + 2), true);
+
+  // The window starts with the first take
+  assert.strictEqual(limiter.take('a', 10, now + 1000), true);
+  assert.strictEqual(limiter.take('b', 1, now + 1000), false);
+  assert.strictEqual(limiter.take('b', 1, now + 1002), true);
+  assert.strictEqual(limiter.retryAfter('c', now), 0);
+});
+
+test('clients are forgotten once their window is over, or to make way', () => {
+  const limiter = new RateLimiter(1, 1000, 2);
+  const now = 1700000000000;
+  limiter.take('a', 1, now);
+  limiter.take('b', 1, now + 10);
+  limiter.take('c', 1, now + 20);
+  assert.deepStrictEqual([...limiter.clients.keys()], ['b', 'c']);
+  limiter.take('c', 1, now + 1015);
+  assert.deepStrictEqual([...limiter.clients.keys()], ['c']);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { CONFIG, FlightSimulation } = require('../src/simulation');
+const { parseLevelPack } = require('../src/levels');
+const {
+  FLIGHT_LIMITS,
+  validateFlight,
+  createReplay,
+  getReplayPack,
+  serializeReplay,
+  parseReplay
+} = require('../src/recording');
+
+// Fly the current level with a burn pattern until the attempt ends
+function flyPattern(sim) {
+  while (!sim.gameOver) {
+    const phase = Math.floor(sim.tick / 40) % 4;
+    sim.lander.upThruster = phase === 2;
+    sim.lander.leftThruster = phase === 1;
+    sim.lander.rightThruster = phase === 3;
+    sim.updatePhysics(CONFIG.fixedTimestep);
+  }
+  return sim;
+}
+
+// Fly a replay read back from its file and return the simulation
+function watch(text) {
+  const replay = parseReplay(text);
+  const sim = new FlightSimulation(replay.seed);
+  sim.setLevelPack(getReplayPack(replay));
+  sim.startFlight(replay.flight);
+  sim.replayInputs(replay.flight.inputs, replay.flight.ticks);
+  return sim;
+}
+
+test('recorded flights are checked before flying', () => {
+  const sim = new FlightSimulation(42);
+  sim.startLevel();
+  const flight = flyPattern(sim).getFlightRecord();
+  assert.strictEqual(validateFlight(flight), null);
+  assert.match(validateFlight(null), /object/);
+  assert.match(validateFlight({ ...flight, lander: 'saucer' }), /lander/);
+  assert.match(validateFlight({ ...flight, body: 'pluto' }), /body/);
+  assert.match(validateFlight({ ...flight, damage: { hull: 3 } }), /damage/);
+  assert.match(validateFlight({ ...flight, damage: { hull: 1, fuel: 1 } }), /damage/);
+  assert.match(validateFlight({ ...flight, ticks: FLIGHT_LIMITS.maxTicks + 1 }), /ticks/);
+  assert.match(validateFlight({ ...flight, inputs: [[0, 2, 0, 0, 1]] }), /input 0/);
+  assert.match(validateFlight({ ...flight, inputs: [[5, 0, 0, 0, 1], [5, 1, 0, 0, 1]] }), /input 1/);
+});
+
+test('a saved replay flies the same flight again', () => {
+  const original = new FlightSimulation(42);
+  original.level = 3;
+  original.startLevel();
+  flyPattern(original);
+  const text = serializeReplay(createReplay(original.levelPack, 42, original.getFlightRecord()));
+  assert.strictEqual(JSON.parse(text).level, undefined);
+
+  const replay = watch(text);
+  assert.strictEqual(replay.level, 3);
+  assert.strictEqual(replay.tick, original.tick);
+  assert.deepStrictEqual(replay.lander.snapshot(), original.lander.snapshot());
+});
+
+test('replays of a loaded level carry its definition', () => {
+  const file = fs.readFileSync(path.join(__dirname, '..', 'levels', 'example.json'), 'utf8');
+  const pack = parseLevelPack(file, { maxRange: CONFIG.maxRange, maxAltitude: CONFIG.maxAltitude });
+  const original = new FlightSimulation(42);
+  original.setLevelPack(pack);
+  original.level = 2;
+  original.startLevel();
+  flyPattern(original);
+  const replay = createReplay(pack, 42, original.getFlightRecord());
+  assert.deepStrictEqual(replay.level, pack.levels[1]);
+  assert.strictEqual(replay.flight.level, 1);
+
+  const watched = watch(serializeReplay(replay));
+  assert.strictEqual(watched.tick, original.tick);
+  assert.deepStrictEqual(watched.lander.snapshot(), original.lander.snapshot());
+});
+
+test('replays that cannot be flown are refused', () => {
+  const sim = new FlightSimulation(42);
+  sim.startLevel();
+  const replay = createReplay(sim.levelPack, 42, flyPattern(sim).getFlightRecord());
+  const text = data => JSON.stringify({ ...replay, ...data });
+  assert.throws(() => parseReplay('[]'), /format/);
+  assert.throws(() => parseReplay(text({ format: 99 })), /newer/);
+  assert.throws(() => parseReplay(text({ seed: -1 })), /seed/);
+  assert.throws(() => parseReplay(text({ flight: { ...replay.flight, ticks: 0 } })), /ticks/);
+  assert.throws(() => parseReplay(text({ level: { terrain: [0.2, 0.3] } })), /Level 1/);
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FlightSimulation } = require('../src/simulation');
+const { FLIGHT_LIMITS } = require('../src/recording');
+const { CheckedFlights, uncheckedTicks, replayFlight, verifyFlight, verifyRun } = require('../server/replay');
+const { autopilot } = require('./autopilot');
+
+const SEED = 7;
+// A run of `levels` landings as the game would submit it
+function flyRun(levels) {
+  const sim = new FlightSimulation(SEED);
+  for (let i = 0; i < levels; i++) {
+    sim.startLevel();
+    autopilot(sim);
+    assert.strictEqual(sim.crashed, false);
+  }
+  // Submitted runs arrive as JSON
+  return JSON.parse(
+    JSON.stringify({ name: 'Neil', level: levels, lander: 'classic', score: sim.runScore, seed: SEED, flights: sim.runFlights })
+  );
+}
+
+test('a flight is flown again and must end as claimed', () => {
+  const run = flyRun(2);
+  const sim = new FlightSimulation(SEED);
+  sim.startLevel();
+  autopilot(sim);
+  const score = sim.landingScore.total;
+  const [flight] = run.flights;
+  assert.strictEqual(verifyFlight(SEED, flight, { success: true, score }), null);
+  assert.match(verifyFlight(SEED, flight, { success: false, score: 0 }), /outcome/);
+  assert.match(verifyFlight(SEED, flight, { success: true, score: score * 2 }), /score/);
+  // Without its main engine burns the lander comes down hard
+  const drop = { ...flight, inputs: flight.inputs.map(([tick, , left, right, throttle]) => [tick, 0, left, right, throttle]) };
+  assert.match(verifyFlight(SEED, drop, { success: true, score }), /outcome/);
+  // The second landing starts with the first one's damage
+  assert.strictEqual(verifyFlight(SEED, run.flights[1], { success: true, score: run.score - score }), null);
+});
+
+test('a run keeps the score the server works out', () => {
+  const run = flyRun(3);
+  assert.deepStrictEqual(verifyRun(run), { score: run.score });
+  assert.match(verifyRun({ ...run, flights: undefined }).error, /flights/);
+  assert.match(verifyRun({ ...run, level: 4 }).error, /every level/);
+  assert.match(verifyRun({ ...run, score: run.score + 1000 }).error, /score/);
+  assert.match(verifyRun({ ...run, lander: 'round' }).error, /lander/);
+  assert.match(verifyRun({ ...run, seed: SEED + 1 }).error, /does not land/);
+  assert.match(verifyRun({ ...run, flights: [run.flights[1], run.flights[0], run.flights[2]] }).error, /wrong level/);
+});
+
+test("a run's damage carries over, and a flight that drops it is refused", () => {
+  const sim = new FlightSimulation(SEED);
+  sim.startLevel();
+  autopilot(sim, 2);
+  assert.ok(sim.startDamage.hull < 1);
+  const damage = sim.startDamage;
+  sim.startLevel();
+  autopilot(sim);
+  const run = { name: 'Neil', level: 2, lander: 'classic', score: sim.runScore, seed: SEED };
+  const flights = JSON.parse(JSON.stringify(sim.runFlights));
+  assert.deepStrictEqual(verifyRun({ ...run, flights }), { score: sim.runScore });
+
+  // Flying on as if the lander had been repaired
+  const repaired = new FlightSimulation(SEED);
+  repaired.runFlights = flights.slice(0, 1);
+  repaired.level = 2;
+  repaired.startLevel();
+  autopilot(repaired);
+  assert.deepStrictEqual(sim.runFlights[1].damage, damage);
+  assert.match(verifyRun({ ...run, flights: repaired.runFlights }).error, /flight 2 .*damage/);
+});
+
+test('a flight whose damage holds more than hull and thruster health is refused', () => {
+  const run = flyRun(2);
+  const [first, second] = run.flights;
+  const score = run.score - replayFlight(SEED, first).score;
+  // A full tank slipped in with the damage the first landing left
+  const refuelled = { ...second, damage: { ...second.damage, fuel: 1 } };
+  assert.match(verifyFlight(SEED, refuelled, { success: true, score }), /damage/);
+  assert.match(verifyRun({ ...run, flights: [first, refuelled] }).error, /flight 2: .*damage/);
+});
+
+test('flights checked before are not flown again', () => {
+  const run = flyRun(2);
+  const checked = new CheckedFlights();
+  const [first] = run.flights;
+  const outcome = replayFlight(SEED, first);
+  assert.strictEqual(verifyFlight(SEED, first, { success: true, score: outcome.score }, checked), null);
+  assert.deepStrictEqual(checked.get(SEED, first), outcome);
+  assert.deepStrictEqual(verifyRun(run, checked), { score: run.score });
+  assert.strictEqual(checked.outcomes.size, 2);
+  assert.strictEqual(uncheckedTicks(SEED, run.flights, checked), 0);
+  assert.strictEqual(uncheckedTicks(SEED, run.flights), first.ticks + run.flights[1].ticks);
+  // Invalid flights are refused without being flown
+  assert.strictEqual(uncheckedTicks(SEED, [{ ...first, ticks: -1 }, null]), 0);
+
+  // Only flights the server hasn't flown count towards the limit
+  const longFlight = level => ({ ...first, level, inputs: [[0, 0, 0, 0, 1]], ticks: FLIGHT_LIMITS.maxTicks });
+  const flights = [1, 2, 3, 4, 5].map(longFlight);
+  const long = { ...run, level: 5, flights };
+  assert.match(verifyRun(long).error, /more than 20 minutes/);
+  flights.forEach(flight => checked.add(SEED, flight, { success: true, score: 100, damage: null }));
+  assert.deepStrictEqual(verifyRun({ ...long, score: 500 }, checked), { score: 500 });
+
+  const small = new CheckedFlights(1);
+  flights.forEach(flight => small.add(SEED, flight, { success: true, score: 100, damage: null }));
+  assert.deepStrictEqual([...small.outcomes.keys()], [CheckedFlights.key(SEED, flights[4])]);
+});
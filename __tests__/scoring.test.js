@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SCORE_WEIGHTS, SCORE_TIME_LIMIT, scoreLanding } = require('../src/scoring');
+
+const perfect = {
+  fuel: 1000,
+  startFuel: 1000,
+  verticalSpeed: 0,
+  horizontalSpeed: 0,
+  maxSpeed: 4,
+  padOffset: 0,
+  time: 0,
+  multiplier: 1
+};
+
+test('a perfect landing earns every weight in full', () => {
+  const score = scoreLanding(perfect);
+  const best = Object.values(SCORE_WEIGHTS).reduce((sum, weight) => sum + weight, 0);
+  assert.strictEqual(score.total, best);
+  Object.keys(SCORE_WEIGHTS).forEach(part => assert.strictEqual(score[part], SCORE_WEIGHTS[part]));
+});
+
+test('each part scales with how well the landing went', () => {
+  const score = scoreLanding({
+    ...perfect,
+    fuel: 250,
+    verticalSpeed: -2,
+    horizontalSpeed: 3,
+    padOffset: 0.5,
+    time: SCORE_TIME_LIMIT * 2
+  });
+  assert.strictEqual(score.fuel, SCORE_WEIGHTS.fuel / 4);
+  assert.strictEqual(score.vertical, SCORE_WEIGHTS.vertical / 2);
+  assert.strictEqual(score.horizontal, Math.round(SCORE_WEIGHTS.horizontal / 4));
+  assert.strictEqual(score.accuracy, SCORE_WEIGHTS.accuracy / 2);
+  assert.strictEqual(score.time, 0);
+});
+
+test('the pad multiplier scales the total', () => {
+  const single = scoreLanding({ ...perfect, fuel: 600, time: 30 });
+  const triple = scoreLanding({ ...perfect, fuel: 600, time: 30, multiplier: 3 });
+  assert.strictEqual(triple.multiplier, 3);
+  assert.strictEqual(triple.total, single.total * 3);
+  // Multipliers come in halves; totals stay whole
+  assert.ok(Number.isInteger(scoreLanding({ ...perfect, fuel: 333, multiplier: 1.5 }).total));
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SESSION_LIMITS, DEFAULT_SECRET, resolveSecret, SessionTokens } = require('../server/session');
+
+const SECRET = 'a-long-enough-test-secret';
+const params = { mass: 1000, gravity: 1.62 };
+
+test('tokens carry their session and are spent once', () => {
+  const sessions = new SessionTokens(SECRET);
+  const now = 1700000000000;
+  const token = sessions.issue(params, now);
+  const { session } = sessions.verify(token, now);
+  assert.deepStrictEqual(session.params, params);
+  assert.strictEqual(session.issuedAt, now);
+  assert.strictEqual(session.expiresAt, now + SESSION_LIMITS.tokenLifetime);
+  assert.match(session.nonce, /^[0-9a-f]{32}$/);
+  // Every token is different
+  assert.notStrictEqual(sessions.issue(params, now), token);
+
+  assert.ok(sessions.spend(token, now).session);
+  assert.deepStrictEqual(sessions.spend(token, now + 1), { error: 'reused token' });
+  assert.deepStrictEqual(sessions.verify(token, now + SESSION_LIMITS.tokenLifetime), { error: 'expired token' });
+});
+
+test('forged and altered tokens are refused', () => {
+  const sessions = new SessionTokens(SECRET);
+  const token = sessions.issue(params);
+  const [payload, signature] = token.split('.');
+  const altered = Buffer.from(
+    JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), expiresAt: Infinity })
+  ).toString('base64url');
+  assert.deepStrictEqual(sessions.verify(`${altered}.${signature}`), { error: 'invalid token' });
+  assert.deepStrictEqual(new SessionTokens('another-test-secret').verify(token), { error: 'invalid token' });
+  assert.deepStrictEqual(sessions.verify(undefined), { error: 'invalid token' });
+  assert.deepStrictEqual(sessions.verify('abc'), { error: 'invalid token' });
+  assert.deepStrictEqual(sessions.verify(`${token}.more`), { error: 'invalid token' });
+});
+
+test('production needs a real secret', () => {
+  assert.strictEqual(resolveSecret({ NODE_ENV: 'production', LANDER_SECRET: SECRET }), SECRET);
+  assert.throws(() => resolveSecret({ NODE_ENV: 'production' }), /LANDER_SECRET/);
+  assert.throws(() => resolveSecret({ NODE_ENV: 'production', LANDER_SECRET: DEFAULT_SECRET }), /LANDER_SECRET/);
+  assert.throws(() => resolveSecret({ NODE_ENV: 'production', LANDER_SECRET: 'short' }), /LANDER_SECRET/);
+  // Elsewhere a random secret stands in
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    assert.notStrictEqual(resolveSecret({}), resolveSecret({}));
+  } finally {
+    console.warn = warn;
+  }
+});
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CONFIG, FlightSimulation, traceFlight } = require('../src/simulation');
+const { BUILTIN_LEVEL_PACK } = require('../src/levels');
+
+// Fly level 1 with a burn pattern that changes the controls now and then
+function flyPattern(seed) {
+  const sim = new FlightSimulation(seed);
+  sim.startLevel();
+  while (!sim.gameOver) {
+    const phase = Math.floor(sim.tick / 40) % 4;
+    sim.lander.upThruster = phase === 2;
+    sim.lander.leftThruster = phase === 1;
+    sim.lander.rightThruster = phase === 3;
+    sim.lander.setThrottle(phase === 2 ? 0.6 : 1);
+    sim.updatePhysics(CONFIG.fixedTimestep);
+  }
+  return sim;
+}
+
+test('controls are recorded when they change', () => {
+  const sim = flyPattern(42);
+  const { inputs } = sim.getFlightRecord();
+  assert.deepStrictEqual(inputs.slice(0, 3), [
+    [0, 0, 0, 0, 1],
+    [40, 0, 1, 0, 1],
+    [80, 1, 0, 0, 0.6]
+  ]);
+  assert.ok(inputs.length <= Math.ceil(sim.tick / 40) + 1);
+});
+
+test('a flight flown again from its inputs ends the same way', () => {
+  const original = flyPattern(42);
+  const record = original.getFlightRecord();
+  assert.deepStrictEqual(
+    { level: record.level, lander: record.lander, body: record.body, damage: record.damage },
+    { level: 1, lander: 'classic', body: 'moon', damage: null }
+  );
+
+  const replay = new FlightSimulation(42);
+  replay.startLevel();
+  replay.replayInputs(record.inputs, record.ticks);
+  assert.strictEqual(replay.tick, original.tick);
+  assert.strictEqual(replay.crashed, original.crashed);
+  assert.deepStrictEqual(replay.lander.snapshot(), original.lander.snapshot());
+  assert.deepStrictEqual(replay.crashReasons, original.crashReasons);
+});
+
+test('a replay stops after the given number of steps', () => {
+  const record = flyPattern(42).getFlightRecord();
+  const replay = new FlightSimulation(42);
+  replay.startLevel();
+  replay.replayInputs(record.inputs, 10);
+  assert.strictEqual(replay.tick, 10);
+  assert.strictEqual(replay.gameOver, false);
+});
+
+test('a traced flight has the pose of every step', () => {
+  const original = flyPattern(42);
+  const { lander, poses } = traceFlight(BUILTIN_LEVEL_PACK, 42, original.getFlightRecord());
+  assert.strictEqual(lander, 'classic');
+  assert.strictEqual(poses.length, original.tick + 1);
+  assert.deepStrictEqual(poses[poses.length - 1], original.getLanderPose());
+});
+
+// Drop the lander from `altitude` (m) at `position` (m) on a pack of two such
+// levels and let it settle without firing. Returns the simulation and
+// whether the lander pivoted on one foot on the way.
+function drop(level, position, altitude) {
+  const definition = { gravity: 1.62, fuel: 500, ...level };
+  const sim = new FlightSimulation(1);
+  sim.setLevelPack({ format: 1, name: 'Test', levels: [definition, definition] });
+  sim.startLevel();
+  sim.lander.horizontalPosition = position;
+  sim.lander.altitude = altitude;
+  let tipped = false;
+  while (!sim.gameOver) {
+    sim.updatePhysics(CONFIG.fixedTimestep);
+    tipped = tipped || sim.tipping !== null;
+  }
+  return { sim, tipped };
+}
+
+const FLAT = [0.2, 0.2, 0.2];
+
+test('a lander landing level on both feet stands on the pad', () => {
+  const pad = { startRange: 40, endRange: 60, height: 0.2, multiplier: 1 };
+  const { sim, tipped } = drop({ terrain: FLAT, pads: [pad] }, 50, 20.5);
+  assert.strictEqual(sim.crashed, false);
+  assert.strictEqual(tipped, false);
+  assert.deepStrictEqual(sim.landedPad, pad);
+  assert.strictEqual(sim.lander.angle, 0);
+  assert.strictEqual(sim.lander.altitude, 20);
+});
+
+test('a leg off the edge of a pad misses it', () => {
+  const pad = { startRange: 40, endRange: 48, height: 0.2, multiplier: 1 };
+  const { sim, tipped } = drop({ terrain: FLAT, pads: [pad] }, 46, 20.5);
+  assert.strictEqual(sim.crashed, true);
+  assert.strictEqual(tipped, false);
+  assert.strictEqual(sim.landedPad, null);
+  assert.deepStrictEqual(sim.crashReasons, [{ key: 'reason_leg_off_pad' }]);
+});
+
+test('a foot over a steep slope tips the lander over', () => {
+  // A drop of 20 m over 10 m on the right of the start position
+  const terrain = [0.3, 0.3, 0.3, 0.3, 0.3, 0.3, 0.1, 0.1, 0.1, 0.1, 0.1];
+  const pad = { startRange: 80, endRange: 90, height: 0.1, multiplier: 1 };
+  const { sim, tipped } = drop({ terrain, pads: [pad] }, 50, 30.5);
+  assert.strictEqual(tipped, true);
+  assert.strictEqual(sim.crashed, true);
+  assert.deepStrictEqual(sim.crashReasons, [{ key: 'reason_tipped_over' }]);
+  assert.ok(sim.lander.angle > CONFIG.maxLandingAngle);
+});
+
+test('a hard landing leaves the lander able to fly the next level', () => {
+  const pad = { startRange: 40, endRange: 60, height: 0.2, multiplier: 1 };
+  // Touching down at nearly the fastest survivable speed breaks the main engine
+  const { sim } = drop({ terrain: FLAT, pads: [pad] }, 50, 24);
+  assert.strictEqual(sim.crashed, false);
+  assert.strictEqual(sim.lander.mainEngineHealth, 0);
+  assert.ok(sim.startDamage.hull < 0.6);
+  assert.strictEqual(sim.startDamage.mainEngineHealth, CONFIG.minCarriedEngine);
+
+  sim.startLevel();
+  assert.strictEqual(sim.level, 2);
+  sim.lander.startUp();
+  for (let step = 0; step < 120; step++) sim.updatePhysics(CONFIG.fixedTimestep);
+  // Climbing away from the start
+  assert.ok(sim.lander.verticalVelocity < 0);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  heightmapToPolygon,
+  getLevelPolygons,
+  pointInPolygon,
+  segmentsIntersect,
+  polygonsOverlap,
+  findSurfaceBelow
+} = require('../src/terrain');
+
+const square = (x, y, size) => [
+  [x, y],
+  [x + size, y],
+  [x + size, y + size],
+  [x, y + size]
+];
+
+test('a heightmap becomes a polygon closed along the bottom', () => {
+  assert.deepStrictEqual(heightmapToPolygon([0.2, 0.4, 0.3], 100), [
+    [0, 0],
+    [0, 0.2],
+    [50, 0.4],
+    [100, 0.3],
+    [100, 0]
+  ]);
+});
+
+test('level polygons combine the heightmap and extra rock', () => {
+  const roof = [[40, 0.5], [80, 0.5], [60, 0.4]];
+  assert.strictEqual(getLevelPolygons({ terrain: [0.1, 0.1] }, 100).length, 1);
+  assert.deepStrictEqual(getLevelPolygons({ polygons: [roof] }, 100), [roof]);
+  const polygons = getLevelPolygons({ terrain: [0.1, 0.1], polygons: [roof] }, 100);
+  assert.strictEqual(polygons.length, 2);
+  assert.notStrictEqual(polygons[1], roof);
+});
+
+test('point and segment tests', () => {
+  const concave = [[0, 0], [10, 0], [10, 10], [5, 2], [0, 10]];
+  assert.ok(pointInPolygon([2, 1], concave));
+  assert.ok(!pointInPolygon([5, 5], concave));
+  assert.ok(segmentsIntersect([0, 0], [10, 10], [0, 10], [10, 0]));
+  assert.ok(segmentsIntersect([0, 0], [10, 0], [10, 0], [10, 5]));
+  assert.ok(!segmentsIntersect([0, 0], [10, 0], [0, 1], [10, 1]));
+});
+
+test('polygonsOverlap handles crossing, containment and gaps', () => {
+  assert.ok(polygonsOverlap(square(0, 0, 10), square(5, 5, 10)));
+  assert.ok(polygonsOverlap(square(0, 0, 10), square(2, 2, 2)));
+  assert.ok(polygonsOverlap(square(2, 2, 2), square(0, 0, 10)));
+  assert.ok(!polygonsOverlap(square(0, 0, 10), square(11, 0, 10)));
+  // A square sitting in the notch of a concave polygon does not touch it
+  const notch = [[0, 0], [30, 0], [30, 10], [20, 10], [20, 3], [10, 3], [10, 10], [0, 10]];
+  assert.ok(!polygonsOverlap(notch, square(12, 5, 4)));
+  assert.ok(polygonsOverlap(notch, square(12, 2, 4)));
+});
+
+test('findSurfaceBelow finds cave floors under roofs', () => {
+  const polygons = [
+    heightmapToPolygon([0.1, 0.1], 100),
+    [[40, 0.5], [80, 0.5], [80, 0.6], [40, 0.6]]
+  ];
+  assert.strictEqual(findSurfaceBelow(polygons, 60, 0.3), 0.1);
+  assert.strictEqual(findSurfaceBelow(polygons, 60, 0.8), 0.6);
+  assert.strictEqual(findSurfaceBelow(polygons, 20, 0.8), 0.1);
+  assert.strictEqual(findSurfaceBelow([], 20, 0.8), 0);
+});
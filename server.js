@@ -1,45 +1,208 @@
 const express = require('express');
-const crypto = require('crypto');
-const { Lander, LANDER_CONFIG } = require('./src/lander');
+const path = require('path');
+const { LANDER_TYPES } = require('./src/simulation');
+const { validateName, validateScoreEntry, parseScoreQuery, Leaderboard } = require('./server/leaderboard');
+const { CheckedFlights, uncheckedTicks, verifyFlight, verifyRun } = require('./server/replay');
+const { RATE_LIMITS, RateLimiter } = require('./server/ratelimit');
+const { resolveSecret, SessionTokens } = require('./server/session');
+const { getDay, getDailyChallenge, DailyAttempts, verifyDailyRun } = require('./server/daily');
 
-const SECRET = process.env.LANDER_SECRET || 'supersecret';
+// Refuse to run in production with a guessable secret
+let secret;
+try {
+  secret = resolveSecret(process.env);
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+const sessions = new SessionTokens(secret);
 
 const app = express();
-app.use(express.json());
+// Client addresses (`req.ip`) are those of the connection. Behind a reverse
+// proxy, TRUST_PROXY names it the way Express takes it: a number of hops or
+// addresses and subnets such as "loopback" or "10.0.0.0/8". Forwarded
+// addresses from anyone else are ignored, so clients can't make them up.
+const trustProxy = process.env.TRUST_PROXY || false;
+app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+// Runs carry the recorded controls of every flight
+app.use(express.json({ limit: '2mb' }));
 
 const GAME_PARAMS = {
   mass: 1000,
   gravity: 1.62
 };
 
-function signParams(params) {
-  return crypto
-    .createHmac('sha256', SECRET)
-    .update(JSON.stringify(params))
-    .digest('hex');
+const LANDER_NAMES = Object.keys(LANDER_TYPES);
+
+// Scores are kept in a JSON file on this server
+const leaderboard = new Leaderboard(process.env.SCORES_FILE || path.join(__dirname, 'data', 'scores.json'));
+// Flights already flown again, so submitted runs only fly their new ones
+const checkedFlights = new CheckedFlights();
+// Daily challenge landings are kept apart from the campaign
+const dailyLeaderboard = new Leaderboard(process.env.DAILY_SCORES_FILE || path.join(__dirname, 'data', 'daily.json'));
+// Pilots who have started today's challenge, kept beside its leaderboard
+const dailyAttempts = new DailyAttempts(
+  process.env.DAILY_ATTEMPTS_FILE || path.join(__dirname, 'data', 'daily-attempts.json')
+);
+
+// Tokens and flights flown again for each client (see server/ratelimit.js)
+const tokenLimiter = new RateLimiter(RATE_LIMITS.tokens);
+const replayLimiter = new RateLimiter(RATE_LIMITS.replayTicks);
+
+// Reply that `limiter` has no more left for the client of `req`, with status
+// 429 and when to try again. `fields` go in the reply as well.
+function refuseClient(req, res, limiter, reason, fields = {}) {
+  const seconds = Math.ceil(limiter.retryAfter(req.ip) / 1000);
+  res.set('Retry-After', String(seconds));
+  res.status(429).json({ ok: false, reason, ...fields });
 }
 
+// Take the steps of `flights` the server has yet to fly for the run with
+// `seed` from the client's allowance. When it hasn't that much left, reply
+// so with the fresh `token` and return false.
+function takeReplayTicks(req, res, seed, flights, token, checked = null) {
+  if (replayLimiter.take(req.ip, uncheckedTicks(seed, flights, checked))) return true;
+  refuseClient(req, res, replayLimiter, 'too many flights to check, try again later', { token });
+  return false;
+}
+
+// Spend the token of a request. When it is refused, reply so and return
+// null; otherwise return a fresh token for the reply.
+function spendToken(req, res) {
+  const { error } = sessions.spend((req.body || {}).token);
+  if (error) {
+    res.status(400).json({ ok: false, reason: error });
+    return null;
+  }
+  return sessions.issue(GAME_PARAMS);
+}
+
+// Gameplay parameters and a session token for them (see server/session.js)
 app.get('/config', (req, res) => {
-  const token = signParams(GAME_PARAMS);
-  res.json({ params: GAME_PARAMS, token });
+  if (!tokenLimiter.take(req.ip)) {
+    return refuseClient(req, res, tokenLimiter, 'too many tokens, try again later');
+  }
+  return res.json({ params: GAME_PARAMS, token: sessions.issue(GAME_PARAMS) });
 });
 
+// Check a finished flight by flying it again:
+// { token, seed, flight, outcome: { success, score } }
 app.post('/validate', (req, res) => {
-  const { result, token } = req.body || {};
-  const expected = signParams(GAME_PARAMS);
-  if (token !== expected) {
-    return res.status(400).json({ ok: false, reason: 'invalid token' });
+  const token = spendToken(req, res);
+  if (!token) return;
+  const { seed, flight, outcome } = req.body;
+  if (!takeReplayTicks(req, res, seed, [flight], token, checkedFlights)) return;
+  const error = verifyFlight(seed, flight, outcome, checkedFlights);
+  if (error) {
+    return res.status(400).json({ ok: false, reason: error, token });
   }
-  if (!result || typeof result.altitude !== 'number' || typeof result.verticalVelocity !== 'number') {
-    return res.status(400).json({ ok: false, reason: 'malformed result' });
+  return res.json({ ok: true, token });
+});
+
+// Submit a run: { token, run: { name, level, lander, score, seed, flights } }.
+// The flights are flown again and the score the server works out is kept.
+app.post('/scores', (req, res) => {
+  const token = spendToken(req, res);
+  if (!token) return;
+  const { run } = req.body;
+  const error = validateScoreEntry(run, LANDER_NAMES);
+  if (error) {
+    return res.status(400).json({ ok: false, reason: error, token });
   }
-  if (result.altitude < 0 || result.altitude > LANDER_CONFIG.maxAltitude || !isFinite(result.altitude)) {
-    return res.status(400).json({ ok: false, reason: 'invalid altitude' });
+  if (!takeReplayTicks(req, res, run.seed, run.flights, token, checkedFlights)) return;
+  const { score, error: replayError } = verifyRun(run, checkedFlights);
+  if (replayError) {
+    return res.status(400).json({ ok: false, reason: replayError, token });
   }
-  if (!isFinite(result.verticalVelocity) || Math.abs(result.verticalVelocity) > 50) {
-    return res.status(400).json({ ok: false, reason: 'invalid velocity' });
+  try {
+    const { rank } = leaderboard.add({ ...run, score });
+    return res.json({ ok: true, rank, token });
+  } catch (err) {
+    console.error('Failed to save score', err);
+    return res.status(500).json({ ok: false, reason: 'storage failed', token });
+  }
+});
+
+// Top scores, optionally for one `level` or `lander`, e.g. /scores?level=3&limit=20
+app.get('/scores', (req, res) => {
+  const { options, error } = parseScoreQuery(req.query, LANDER_NAMES);
+  if (error) {
+    return res.status(400).json({ ok: false, reason: error });
+  }
+  return res.json({ ok: true, scores: leaderboard.top(options) });
+});
+
+// Start `name`'s attempt at today's challenge, one a day for each pilot:
+// { name } gives { ok, challenge: { day, seed, lander, body, level }, ticket }
+// (see server/daily.js). The ticket is a token naming the day of the
+// challenge and the pilot, spent by submitting their landing.
+app.post('/daily', (req, res) => {
+  const { name } = req.body || {};
+  const error = validateName(name);
+  if (error) {
+    return res.status(400).json({ ok: false, reason: error });
+  }
+  const pilot = name.trim();
+  const challenge = getDailyChallenge(secret, getDay());
+  try {
+    if (!dailyAttempts.start(challenge.day, pilot)) {
+      return res.status(400).json({ ok: false, reason: 'already flown today' });
+    }
+  } catch (err) {
+    console.error('Failed to save daily attempt', err);
+    return res.status(500).json({ ok: false, reason: 'storage failed' });
+  }
+  return res.json({ ok: true, challenge, ticket: sessions.issue({ daily: challenge.day, pilot }) });
+});
+
+// Submit a daily challenge landing: { token, ticket, run: { name, flight } }.
+// The flight is flown again on the challenge of the day the ticket was
+// issued, and ranked under the pilot the ticket names, once a day.
+app.post('/daily/scores', (req, res) => {
+  const token = spendToken(req, res);
+  if (!token) return;
+  const { ticket, run } = req.body;
+  const { session, error: ticketError } = sessions.verify(ticket);
+  const day = session && session.params ? session.params.daily : undefined;
+  if (typeof day !== 'string') {
+    return res.status(400).json({ ok: false, reason: `${ticketError || 'invalid token'} for the daily challenge`, token });
+  }
+  const challenge = getDailyChallenge(secret, day);
+  if (!takeReplayTicks(req, res, challenge.seed, [(run || {}).flight], token)) return;
+  const { entry, error } = verifyDailyRun(run, challenge);
+  if (error) {
+    return res.status(400).json({ ok: false, reason: error, token });
+  }
+  if (entry.name.trim() !== session.params.pilot) {
+    return res.status(400).json({ ok: false, reason: 'name is not the pilot of the daily ticket', token });
+  }
+  const today = dailyLeaderboard.top({ day, limit: Infinity });
+  if (today.some(other => other.name === entry.name.trim())) {
+    return res.status(400).json({ ok: false, reason: 'already flown today', token });
+  }
+  // The ticket is only spent by a landing that goes on the board
+  sessions.spend(ticket);
+  try {
+    // A landing begun before midnight goes on the board of its own day
+    const date = day === getDay() ? new Date() : new Date(`${day}T23:59:59.999Z`);
+    const { entry: stored } = dailyLeaderboard.add(entry, date);
+    const rank = dailyLeaderboard.top({ day, limit: Infinity }).indexOf(stored) + 1;
+    return res.json({ ok: true, rank: rank || null, token });
+  } catch (err) {
+    console.error('Failed to save daily score', err);
+    return res.status(500).json({ ok: false, reason: 'storage failed', token });
+  }
+});
+
+// Top landings of today's challenge, optionally of an earlier `day`, e.g.
+// /daily/scores?day=2024-05-01&limit=20
+app.get('/daily/scores', (req, res) => {
+  const { options, error } = parseScoreQuery({ limit: req.query.limit }, LANDER_NAMES);
+  const day = req.query.day === undefined ? getDay() : req.query.day;
+  if (error || !/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+    return res.status(400).json({ ok: false, reason: error || 'invalid day' });
   }
-  return res.json({ ok: true });
+  return res.json({ ok: true, day, scores: dailyLeaderboard.top({ ...options, day }) });
 });
 
 const port = process.env.PORT || 3000;
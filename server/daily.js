@@ -0,0 +1,122 @@
+// Daily challenge: one level a day that every player flies on the same
+// terrain.
+//
+// The challenge of a day (YYYY-MM-DD, UTC) is worked out from the day and the
+// server secret, so it needs no storage and can't be guessed ahead of time:
+//
+//   { day, seed, lander, body, level }
+//
+// `level` is a level of the built-in campaign generated from `seed`, flown
+// with `lander` on `body` from an undamaged craft. Each pilot name gets one
+// attempt a day, counted by `DailyAttempts` when the challenge is handed
+// out, and one landing a day on the daily leaderboard.
+//
+// Used by server.js; not part of the browser game.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { LANDER_TYPES } = require('../src/simulation');
+const { CELESTIAL_BODIES } = require('../src/bodies');
+const { validateFlight } = require('../src/recording');
+const { validateScoreEntry } = require('./leaderboard');
+const { replayFlight } = require('./replay');
+
+const DAILY_LIMITS = {
+  levels: 10 // Daily levels are drawn from the first ten of the campaign
+};
+
+const LANDER_NAMES = Object.keys(LANDER_TYPES);
+const BODY_NAMES = Object.keys(CELESTIAL_BODIES);
+
+// The UTC day of `date` as YYYY-MM-DD
+function getDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+// The challenge of `day`, the same for everyone as long as `secret` is
+function getDailyChallenge(secret, day) {
+  const digest = crypto.createHmac('sha256', secret).update(`daily:${day}`).digest();
+  return {
+    day,
+    seed: digest.readUInt32BE(0),
+    lander: LANDER_NAMES[digest[4] % LANDER_NAMES.length],
+    body: BODY_NAMES[digest[5] % BODY_NAMES.length],
+    level: 1 + (digest[6] % DAILY_LIMITS.levels)
+  };
+}
+
+/**
+ * Pilots who have started a day's challenge, by name. Only the latest day is
+ * kept; earlier attempts can't be started any more anyway. Given a `file`,
+ * the attempts are kept there as { day, pilots } so they outlast a restart.
+ */
+class DailyAttempts {
+  constructor(file = null) {
+    this.file = file;
+    this.day = null;
+    this.pilots = new Set();
+    if (file) this.load();
+  }
+
+  load() {
+    try {
+      const { day, pilots } = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      if (typeof day === 'string' && Array.isArray(pilots)) {
+        this.day = day;
+        this.pilots = new Set(pilots);
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn('Failed to read daily attempts', err);
+    }
+  }
+
+  // Write to a temporary file first so a crash never leaves half a file
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const temporary = `${this.file}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify({ day: this.day, pilots: [...this.pilots] }));
+    fs.renameSync(temporary, this.file);
+  }
+
+  // Start `pilot`'s attempt at the challenge of `day`. Returns false when
+  // they have had it already.
+  start(day, pilot) {
+    if (day !== this.day) {
+      this.day = day;
+      this.pilots.clear();
+    }
+    if (this.pilots.has(pilot)) return false;
+    this.pilots.add(pilot);
+    if (this.file) this.save();
+    return true;
+  }
+}
+
+/**
+ * Check a daily challenge submission, { name, flight }, against the day's
+ * `challenge` and fly it again. Returns { entry } with the leaderboard entry
+ * to keep, scored by the server, or { error } when it doesn't hold up.
+ */
+function verifyDailyRun(run, challenge) {
+  if (!run || typeof run !== 'object') return { error: 'run must be an object' };
+  const { flight } = run;
+  const error = validateFlight(flight);
+  if (error) return { error };
+  if (
+    flight.level !== challenge.level ||
+    flight.lander !== challenge.lander ||
+    flight.body !== challenge.body ||
+    flight.damage !== null
+  ) {
+    return { error: "flight is not today's challenge" };
+  }
+  const { success, score } = replayFlight(challenge.seed, flight);
+  if (!success) return { error: 'flight does not land' };
+  const entry = { name: run.name, level: challenge.level, lander: challenge.lander, score, seed: challenge.seed };
+  const entryError = validateScoreEntry(entry, LANDER_NAMES);
+  if (entryError) return { error: entryError };
+  return { entry };
+}
+
+module.exports = { DAILY_LIMITS, getDay, getDailyChallenge, DailyAttempts, verifyDailyRun };
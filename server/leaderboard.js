@@ -0,0 +1,145 @@
+// Leaderboard kept by the server in a local JSON file.
+//
+// Each entry records a run submitted from the built-in campaign:
+//
+//   { name, level, lander, score, seed, date }
+//
+// `level` is the level the run had reached, `score` its run total and
+// `date` when it was submitted (ISO 8601). Entries are kept sorted from the
+// best score down; earlier submissions win ties. A pilot has one entry per
+// seed, so submitting a run again, or further along, only replaces the entry
+// when it scores more. Only the best `LEADERBOARD_LIMITS.maxEntries` are
+// kept.
+//
+// Used by server.js; not part of the browser game.
+
+const fs = require('fs');
+const path = require('path');
+
+const LEADERBOARD_LIMITS = {
+  nameLength: 20,   // Longest player name (characters)
+  maxLevel: 1000,   // Highest level a run can claim
+  maxEntries: 10000,
+  defaultLimit: 10, // Scores returned by a query unless it asks for more
+  maxLimit: 100
+};
+
+const isCount = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+// Check a pilot name. Returns a description of the problem, or null when it
+// can go on the board; the name is stored trimmed.
+function validateName(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (trimmed.length === 0 || trimmed.length > LEADERBOARD_LIMITS.nameLength || /[\u0000-\u001f\u007f]/.test(trimmed)) {
+    return `name must be 1–${LEADERBOARD_LIMITS.nameLength} printable characters`;
+  }
+  return null;
+}
+
+/**
+ * Check a submitted run. Returns a description of the first problem found, or
+ * null when the run can be recorded. `landers` lists the valid lander types.
+ */
+function validateScoreEntry(run, landers) {
+  if (!run || typeof run !== 'object') return 'run must be an object';
+  const nameError = validateName(run.name);
+  if (nameError) return nameError;
+  if (!isCount(run.level, 1, LEADERBOARD_LIMITS.maxLevel)) {
+    return `level must be a whole number from 1 to ${LEADERBOARD_LIMITS.maxLevel}`;
+  }
+  if (!landers.includes(run.lander)) return `lander must be one of ${landers.join(', ')}`;
+  if (!isCount(run.score, 0, Number.MAX_SAFE_INTEGER)) return 'score must be a whole number';
+  if (!isCount(run.seed, 0, 0xffffffff)) return 'seed must be a 32-bit unsigned integer';
+  return null;
+}
+
+class Leaderboard {
+  // Scores are read from `file`, which is created on the first submission
+  constructor(file) {
+    this.file = file;
+    this.entries = this.load();
+  }
+
+  load() {
+    try {
+      const entries = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      return Array.isArray(entries) ? entries : [];
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn('Failed to read leaderboard', err);
+      return [];
+    }
+  }
+
+  // Write to a temporary file first so a crash never leaves half a file
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const temporary = `${this.file}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify(this.entries));
+    fs.renameSync(temporary, this.file);
+  }
+
+  /**
+   * Record a validated run and save the leaderboard. Returns the stored entry
+   * and its overall `rank` (1 for the best), or null for a rank when the run
+   * didn't make the kept entries. When the pilot's entry for the seed scores
+   * at least as much, that entry is returned instead.
+   */
+  add(run, date = new Date()) {
+    const entry = {
+      name: run.name.trim(),
+      level: run.level,
+      lander: run.lander,
+      score: run.score,
+      seed: run.seed,
+      date: date.toISOString()
+    };
+    const previous = this.entries.findIndex(other => other.name === entry.name && other.seed === entry.seed);
+    if (previous !== -1) {
+      if (this.entries[previous].score >= entry.score) return { entry: this.entries[previous], rank: previous + 1 };
+      this.entries.splice(previous, 1);
+    }
+    let index = this.entries.findIndex(other => other.score < entry.score);
+    if (index === -1) index = this.entries.length;
+    this.entries.splice(index, 0, entry);
+    this.entries.length = Math.min(this.entries.length, LEADERBOARD_LIMITS.maxEntries);
+    this.save();
+    return { entry, rank: index < this.entries.length ? index + 1 : null };
+  }
+
+  // Best entries, optionally only those at a `level`, flown with a `lander`
+  // or submitted on a `day` (YYYY-MM-DD, UTC)
+  top({ level, lander, day, limit = LEADERBOARD_LIMITS.defaultLimit } = {}) {
+    return this.entries
+      .filter(
+        entry =>
+          (level === undefined || entry.level === level) &&
+          (lander === undefined || entry.lander === lander) &&
+          (day === undefined || entry.date.startsWith(day))
+      )
+      .slice(0, limit);
+  }
+}
+
+/**
+ * Read the `level`, `lander` and `limit` query parameters of a leaderboard
+ * request into options for `Leaderboard.top()`. Returns `{ options }`, or
+ * `{ error }` describing an invalid parameter.
+ */
+function parseScoreQuery(query, landers) {
+  const options = {};
+  if (query.level !== undefined) {
+    options.level = Number(query.level);
+    if (!isCount(options.level, 1, LEADERBOARD_LIMITS.maxLevel)) return { error: 'invalid level' };
+  }
+  if (query.lander !== undefined) {
+    if (!landers.includes(query.lander)) return { error: 'invalid lander' };
+    options.lander = query.lander;
+  }
+  if (query.limit !== undefined) {
+    options.limit = Number(query.limit);
+    if (!isCount(options.limit, 1, LEADERBOARD_LIMITS.maxLimit)) return { error: 'invalid limit' };
+  }
+  return { options };
+}
+
+module.exports = { LEADERBOARD_LIMITS, validateName, validateScoreEntry, parseScoreQuery, Leaderboard };
@@ -0,0 +1,64 @@
+// Per-client limits on what the server does for each player.
+//
+// Flying a submitted flight again (see server/replay.js) holds up every other
+// request until it is done, and each reply hands out a fresh token for the
+// next one, so a single client could keep the server busy. Each client, by
+// its address (`req.ip`), gets an allowance of tokens from `/config` and of
+// steps of flight the server flies for it, renewed every `window`.
+//
+// Used by server.js; not part of the browser game.
+
+const RATE_LIMITS = {
+  window: 10 * 60 * 1000,     // How often every allowance is renewed (ms)
+  tokens: 100,                // Tokens from /config per client and window
+  replayTicks: 60 * 60 * 60,  // Steps of flight flown again per client and
+                              // window: an hour, three runs at the longest
+  maxClients: 100000          // Clients tracked; the oldest make way
+};
+
+/**
+ * Allowance of `limit` units for every client, renewed `window` ms after the
+ * client first takes from it.
+ */
+class RateLimiter {
+  constructor(limit, window = RATE_LIMITS.window, maxClients = RATE_LIMITS.maxClients) {
+    this.limit = limit;
+    this.window = window;
+    this.maxClients = maxClients;
+    // Each client's { start, used } in the current window, oldest first
+    this.clients = new Map();
+  }
+
+  /**
+   * Take `amount` from `client`'s allowance. Returns true when it had that
+   * much left; otherwise nothing is taken and it returns false.
+   */
+  take(client, amount = 1, now = Date.now()) {
+    this.prune(now);
+    let usage = this.clients.get(client);
+    if (!usage) {
+      usage = { start: now, used: 0 };
+      this.clients.set(client, usage);
+      if (this.clients.size > this.maxClients) this.clients.delete(this.clients.keys().next().value);
+    }
+    if (usage.used + amount > this.limit) return false;
+    usage.used += amount;
+    return true;
+  }
+
+  // Milliseconds until `client`'s allowance is renewed, 0 if it is full
+  retryAfter(client, now = Date.now()) {
+    const usage = this.clients.get(client);
+    return usage ? Math.max(usage.start + this.window - now, 0) : 0;
+  }
+
+  // Forget clients whose window is over, so they start afresh
+  prune(now) {
+    for (const [client, usage] of this.clients) {
+      if (usage.start + this.window > now) break;
+      this.clients.delete(client);
+    }
+  }
+}
+
+module.exports = { RATE_LIMITS, RateLimiter };
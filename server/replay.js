@@ -0,0 +1,193 @@
+// Server-side checks of submitted flights.
+//
+// The game records the controls of every flight (see src/simulation.js) and
+// submits them with its results. The server flies them again with the same
+// simulation and only trusts what that produces: a flight must end the way
+// the player claims, and a run's score is the one the server computes.
+//
+// A flight is submitted as recorded by `FlightSimulation.getFlightRecord()`
+// and checked with `validateFlight()` from src/recording.js:
+//
+//   { level, lander, body, damage, inputs, ticks }
+//
+// Only the built-in procedural campaign can be flown again, as its levels
+// follow from the run seed alone. Flights checked once, whether on their own
+// after they were flown or as part of a run, are remembered so a growing run
+// is only flown as far as it is new.
+//
+// Used by server.js; not part of the browser game.
+
+const crypto = require('crypto');
+const { FlightSimulation } = require('../src/simulation');
+const { Lander } = require('../src/lander');
+const { validateFlight } = require('../src/recording');
+
+// Each flight is also limited in length (see `FLIGHT_LIMITS` in
+// src/recording.js)
+const REPLAY_LIMITS = {
+  maxRunTicks: 20 * 60 * 60,  // Most steps of a run the server flies for one
+                              // request: twenty minutes of the flights it hasn't
+                              // checked before, which keeps a check to a few seconds
+  maxCheckedFlights: 100000,  // Checked flights remembered; the oldest make way
+  scoreTolerance: 0.01        // Largest difference from the server's score, as a
+                              // fraction, allowed for rounding between engines
+};
+
+const isCount = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+const isPlainObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Damage a lander starts a flight with, from `damage` as recorded (see
+// Lander.getDamage()) or undamaged for null
+function getStartingDamage(damage) {
+  const lander = new Lander(0);
+  if (damage) lander.restore(damage);
+  return lander.getDamage();
+}
+
+// Whether two recorded damages leave the lander in the same state
+function sameDamage(a, b) {
+  const [first, second] = [getStartingDamage(a), getStartingDamage(b)];
+  return Object.keys(first).every(key => first[key] === second[key]);
+}
+
+/**
+ * Outcomes of the flights the server has already flown, so a run only flies
+ * the landings it hasn't seen yet. Each validated flight of a run with a
+ * given seed is remembered with how it ended: { success, score, damage },
+ * `damage` being what the lander carries into its next flight.
+ */
+class CheckedFlights {
+  constructor(limit = REPLAY_LIMITS.maxCheckedFlights) {
+    this.limit = limit;
+    this.outcomes = new Map();
+  }
+
+  // Digest of everything that decides how a flight ends
+  static key(seed, flight) {
+    const { level, lander, body, damage, inputs, ticks } = flight;
+    const fields = [seed, level, lander, body, getStartingDamage(damage), inputs, ticks];
+    return crypto.createHash('sha256').update(JSON.stringify(fields)).digest('hex');
+  }
+
+  // Outcome of a flight flown before, or undefined
+  get(seed, flight) {
+    return this.outcomes.get(CheckedFlights.key(seed, flight));
+  }
+
+  add(seed, flight, outcome) {
+    // Newest last, so the oldest are forgotten first
+    const key = CheckedFlights.key(seed, flight);
+    this.outcomes.delete(key);
+    this.outcomes.set(key, outcome);
+    if (this.outcomes.size > this.limit) this.outcomes.delete(this.outcomes.keys().next().value);
+  }
+}
+
+// Fly a validated flight on `sim`. Returns the outcome: { success, score,
+// damage }, with null for the score of a crash and the damage the lander
+// carries into its next flight (see FlightSimulation#endLevel()).
+function flyFlight(sim, flight) {
+  if (flight.lander !== sim.landerType) sim.setLanderType(flight.lander);
+  sim.selectedBody = flight.body;
+  sim.level = flight.level;
+  sim.startLevel();
+  sim.replayInputs(flight.inputs, flight.ticks);
+  const damage = sim.startDamage ? { ...sim.startDamage } : null;
+  // The flight must be over when the game says it was
+  if (!sim.gameOver || sim.tick !== flight.ticks) return { success: false, score: null, damage };
+  return { success: !sim.crashed, score: sim.landingScore ? sim.landingScore.total : null, damage };
+}
+
+/**
+ * Steps of flight the server would fly to check `flights` of the run with
+ * `seed`: those of the valid flights that `checked` (a CheckedFlights, if
+ * given) doesn't remember. Invalid flights are refused without being flown.
+ */
+function uncheckedTicks(seed, flights, checked = null) {
+  if (!Array.isArray(flights)) return 0;
+  return flights.reduce(
+    (ticks, flight) => (validateFlight(flight) || (checked && checked.get(seed, flight)) ? ticks : ticks + flight.ticks),
+    0
+  );
+}
+
+const scoresMatch = (claimed, actual) =>
+  Math.abs(claimed - actual) <= Math.max(actual * REPLAY_LIMITS.scoreTolerance, 1);
+
+// Fly a single validated flight of the run with `seed` from the start it
+// records, remembering its outcome in `checked` (a CheckedFlights) if given.
+// Returns the outcome as `flyFlight()` does.
+function replayFlight(seed, flight, checked = null) {
+  const sim = new FlightSimulation(seed);
+  sim.setLanderType(flight.lander);
+  // Only the damage fields reach the lander, whatever else was sent
+  sim.startDamage = flight.damage ? getStartingDamage(flight.damage) : null;
+  const outcome = flyFlight(sim, flight);
+  if (checked) checked.add(seed, flight, outcome);
+  return outcome;
+}
+
+/**
+ * Fly a single flight of the run with `seed` and compare the result with the
+ * claimed `outcome`: { success, score }. Returns a description of the
+ * mismatch, or null when the flight checks out. The flight is remembered in
+ * `checked` (a CheckedFlights) if given.
+ */
+function verifyFlight(seed, flight, outcome, checked = null) {
+  if (!isCount(seed, 0, 0xffffffff)) return 'seed must be a 32-bit unsigned integer';
+  const error = validateFlight(flight);
+  if (error) return error;
+  if (!isPlainObject(outcome) || typeof outcome.success !== 'boolean') return 'outcome must say whether it landed';
+  const result = replayFlight(seed, flight, checked);
+  if (result.success !== outcome.success) return 'outcome does not match the flight';
+  if (result.success && !scoresMatch(outcome.score, result.score)) return 'score does not match the flight';
+  return null;
+}
+
+/**
+ * Check every landing of a submitted run in order, from level 1 with the run
+ * seed, carrying damage from one to the next as the game does. Flights
+ * remembered in `checked` (a CheckedFlights) aren't flown again, and the
+ * ones flown are added to it. Returns { score } with the run score the
+ * server worked out, or { error } when the run doesn't hold up.
+ */
+function verifyRun(run, checked = new CheckedFlights()) {
+  const { flights } = run;
+  if (!Array.isArray(flights) || flights.length === 0) return { error: 'run must include its flights' };
+  if (flights.length !== run.level) return { error: 'run must include a flight for every level' };
+  if (!isCount(run.seed, 0, 0xffffffff)) return { error: 'seed must be a 32-bit unsigned integer' };
+  for (let i = 0; i < flights.length; i++) {
+    const error = validateFlight(flights[i]);
+    if (error) return { error: `flight ${i + 1}: ${error}` };
+    if (flights[i].level !== i + 1) return { error: `flight ${i + 1} is for the wrong level` };
+  }
+  if (uncheckedTicks(run.seed, flights, checked) > REPLAY_LIMITS.maxRunTicks) {
+    const minutes = REPLAY_LIMITS.maxRunTicks / 60 / 60;
+    return { error: `run has more than ${minutes} minutes of flight the server has not checked yet` };
+  }
+
+  let lander = null;
+  let damage = null;
+  let score = 0;
+  for (let i = 0; i < flights.length; i++) {
+    const flight = flights[i];
+    // A new lander starts undamaged; otherwise the flight must start with
+    // the damage the run has taken so far
+    if (flight.lander !== lander) {
+      lander = flight.lander;
+      damage = null;
+    }
+    if (!sameDamage(flight.damage, damage)) {
+      return { error: `flight ${i + 1} does not start with the damage the run left the lander` };
+    }
+    const outcome = checked.get(run.seed, flight) || replayFlight(run.seed, flight, checked);
+    if (!outcome.success) return { error: `flight ${i + 1} does not land` };
+    score += outcome.score;
+    damage = outcome.damage;
+  }
+  if (lander !== run.lander) return { error: 'lander does not match the flights' };
+  if (!scoresMatch(run.score, score)) return { error: 'score does not match the flights' };
+  return { score };
+}
+
+module.exports = { REPLAY_LIMITS, CheckedFlights, uncheckedTicks, replayFlight, verifyFlight, verifyRun };
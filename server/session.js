@@ -0,0 +1,112 @@
+// Signed session tokens handed out by the server.
+//
+// `/config` gives every player a token of their own:
+//
+//   <payload>.<signature>
+//
+// where the payload is base64url JSON holding a random `nonce`, the time it
+// was issued (`issuedAt`) and expires (`expiresAt`), both in milliseconds,
+// and the level `params` the game was given. The signature is an HMAC of the
+// payload with the server secret, so a token can't be forged or altered.
+// Each token is spent by the request that presents it, and the reply carries
+// a fresh one; a token that was already used or has expired is refused.
+//
+// Used by server.js; not part of the browser game.
+
+const crypto = require('crypto');
+
+const SESSION_LIMITS = {
+  tokenLifetime: 60 * 60 * 1000, // How long a token stays valid (ms)
+  minSecretLength: 16            // Shortest secret accepted in production
+};
+
+// Secret of old versions of the server, never good enough for production
+const DEFAULT_SECRET = 'supersecret';
+
+/**
+ * Pick the secret tokens are signed with from the environment. Production
+ * (NODE_ENV=production) requires a real LANDER_SECRET and throws an Error
+ * without one; elsewhere a missing secret is replaced by a random one, so
+ * tokens don't outlive the server process.
+ */
+function resolveSecret(env) {
+  const secret = env.LANDER_SECRET;
+  const usable = typeof secret === 'string' && secret.length >= SESSION_LIMITS.minSecretLength && secret !== DEFAULT_SECRET;
+  if (usable) return secret;
+  if (env.NODE_ENV === 'production') {
+    throw new Error(`LANDER_SECRET must be set to a secret of at least ${SESSION_LIMITS.minSecretLength} characters in production`);
+  }
+  if (secret) return secret;
+  console.warn('LANDER_SECRET is not set; signing tokens with a random secret');
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function sign(secret, payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+class SessionTokens {
+  constructor(secret, lifetime = SESSION_LIMITS.tokenLifetime) {
+    this.secret = secret;
+    this.lifetime = lifetime;
+    // Nonces of spent tokens and when they expire, after which the expiry
+    // check alone refuses them
+    this.spent = new Map();
+  }
+
+  // A new token for the level `params`
+  issue(params, now = Date.now()) {
+    const payload = Buffer.from(
+      JSON.stringify({
+        nonce: crypto.randomBytes(16).toString('hex'),
+        issuedAt: now,
+        expiresAt: now + this.lifetime,
+        params
+      })
+    ).toString('base64url');
+    return `${payload}.${sign(this.secret, payload)}`;
+  }
+
+  /**
+   * Check a token without spending it. Returns { session } with its payload,
+   * or { error } describing why it is refused.
+   */
+  verify(token, now = Date.now()) {
+    const [payload, signature, extra] = typeof token === 'string' ? token.split('.') : [];
+    if (!payload || !signature || extra !== undefined) return { error: 'invalid token' };
+    const expected = Buffer.from(sign(this.secret, payload));
+    const given = Buffer.from(signature);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return { error: 'invalid token' };
+    }
+    let session;
+    try {
+      session = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    } catch (err) {
+      return { error: 'invalid token' };
+    }
+    if (!(now < session.expiresAt)) return { error: 'expired token' };
+    if (this.spent.has(session.nonce)) return { error: 'reused token' };
+    return { session };
+  }
+
+  // Check a token and spend it, so it is refused from now on. Returns what
+  // `verify()` does.
+  spend(token, now = Date.now()) {
+    const result = this.verify(token, now);
+    if (result.session) {
+      this.prune(now);
+      this.spent.set(result.session.nonce, result.session.expiresAt);
+    }
+    return result;
+  }
+
+  // Forget spent tokens that have expired anyway
+  prune(now) {
+    this.spent.forEach((expiresAt, nonce) => {
+      if (expiresAt <= now) this.spent.delete(nonce);
+    });
+  }
+}
+
+module.exports = { SESSION_LIMITS, DEFAULT_SECRET, resolveSecret, SessionTokens };
@@ -0,0 +1,75 @@
+// Achievements.
+//
+// Every flight of the campaign or the daily challenge is summed up by the
+// game once it ends (see Game#getAttempt()):
+//
+//   {
+//     success,      // whether the lander came down safely
+//     level,        // level flown
+//     lander,       // lander type flown
+//     fuel,         // share of the starting fuel left (0–1)
+//     docked,       // whether it landed against a docking tower
+//     firstTry,     // whether no attempt at the level crashed before it
+//     highestLevel  // highest campaign level reached so far
+//   }
+//
+// `recordAttempt()` adds it to the totals kept in the profile's `stats` and
+// unlocks every achievement whose `test(attempt, stats)` now passes. Unlocked
+// achievements stay in the profile's `achievements` with the time they were
+// earned. Names and descriptions are `achievement_<id>` and
+// `achievement_<id>_info` in lang.js.
+
+// Resolve dependencies in Node; in the browser they are globals.
+const achSimulation = typeof require === 'function' ? require('./simulation') : window;
+
+// Landings needed for the veteran achievement
+const VETERAN_LANDINGS = 25;
+
+// In the order the achievements screen lists them
+const ACHIEVEMENTS = [
+  { id: 'first_landing', test: attempt => attempt.success },
+  { id: 'first_crash', test: attempt => !attempt.success },
+  { id: 'on_fumes', test: attempt => attempt.success && attempt.fuel < 0.05 },
+  { id: 'first_try_dock', test: attempt => attempt.success && attempt.docked && attempt.firstTry },
+  { id: 'level_ten', test: attempt => attempt.highestLevel >= 10 },
+  {
+    id: 'triangle_ten',
+    test: attempt => attempt.success && attempt.level === 10 && attempt.lander === 'triangle'
+  },
+  {
+    id: 'every_lander',
+    test: (attempt, stats) => stats.landers.length === Object.keys(achSimulation.LANDER_TYPES).length
+  },
+  { id: 'veteran', test: (attempt, stats) => stats.landings >= VETERAN_LANDINGS }
+];
+
+/**
+ * Count a finished `attempt` in the profile's stats and unlock the
+ * achievements it earns at `time` (ms since the epoch). Returns the ids of
+ * the achievements newly unlocked.
+ */
+function recordAttempt(profile, attempt, time = Date.now()) {
+  const { stats } = profile;
+  if (attempt.success) {
+    stats.landings += 1;
+    if (!stats.landers.includes(attempt.lander)) stats.landers.push(attempt.lander);
+  } else {
+    stats.crashes += 1;
+  }
+  const unlocked = ACHIEVEMENTS.filter(
+    achievement => profile.achievements[achievement.id] === undefined && achievement.test(attempt, stats)
+  ).map(achievement => achievement.id);
+  unlocked.forEach(id => {
+    profile.achievements[id] = time;
+  });
+  return unlocked;
+}
+
+// Export for Node and attach to window for browser usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { VETERAN_LANDINGS, ACHIEVEMENTS, recordAttempt };
+} else {
+  window.VETERAN_LANDINGS = VETERAN_LANDINGS;
+  window.ACHIEVEMENTS = ACHIEVEMENTS;
+  window.recordAttempt = recordAttempt;
+}
@@ -0,0 +1,77 @@
+// Celestial bodies the lander can be flown on.
+//
+// Each profile sets the environment of a level:
+//
+//   - `gravity` in m/s^2
+//   - `drag`, the atmospheric drag coefficient (1/m): the deceleration is
+//     `drag * v^2` against the motion relative to the air, 0 in a vacuum
+//   - `wind`, optional horizontal wind (m/s, positive blowing to the right)
+//     with a mean `speed` and gusts of up to `gust` either side of it that
+//     come and go over roughly `period` seconds
+//   - `palette`, the colours of the sky and of the ground and its outline
+//
+// The player picks a body from the menu; a level file can name one with its
+// `body` field instead.
+
+const CELESTIAL_BODIES = {
+  moon: {
+    gravity: 1.62,
+    drag: 0,
+    wind: null,
+    palette: { sky: '#0e1130', ground: '#1e2530', edge: '#7b8794' }
+  },
+  mars: {
+    gravity: 3.72,
+    drag: 0.004,
+    wind: { speed: 2, gust: 3, period: 8 },
+    palette: { sky: '#2b1410', ground: '#5a2a1a', edge: '#c1663f' }
+  },
+  mercury: {
+    gravity: 3.7,
+    drag: 0,
+    wind: null,
+    palette: { sky: '#050505', ground: '#2e2b28', edge: '#9c948a' }
+  },
+  asteroid: {
+    gravity: 0.25,
+    drag: 0,
+    wind: null,
+    palette: { sky: '#000000', ground: '#262320', edge: '#6d645a' }
+  },
+  titan: {
+    gravity: 1.35,
+    drag: 0.03,
+    wind: { speed: -1, gust: 1.5, period: 12 },
+    palette: { sky: '#3a2a10', ground: '#4a3a1e', edge: '#c9a45c' }
+  }
+};
+
+// Body used when neither the player nor the level chooses one
+const DEFAULT_BODY = 'moon';
+
+// Profile for a body name, falling back to the default body
+function getCelestialBody(name) {
+  return CELESTIAL_BODIES[name] || CELESTIAL_BODIES[DEFAULT_BODY];
+}
+
+/**
+ * Horizontal wind speed (m/s) on `body` at `time` seconds into a flight. Two
+ * sine waves of unrelated frequencies make the gusts irregular while keeping
+ * the wind a pure function of time, so replays see the same weather.
+ */
+function getWindSpeed(body, time) {
+  if (!body.wind) return 0;
+  const { speed, gust, period } = body.wind;
+  const phase = (2 * Math.PI * time) / period;
+  return speed + gust * (0.6 * Math.sin(phase) + 0.4 * Math.sin(2.3 * phase + 1));
+}
+
+// Export for Node and attach to window for browser usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { CELESTIAL_BODIES, DEFAULT_BODY, getCelestialBody, getWindSpeed };
+} else {
+  window.CELESTIAL_BODIES = CELESTIAL_BODIES;
+  window.DEFAULT_BODY = DEFAULT_BODY;
+  window.getCelestialBody = getCelestialBody;
+  window.getWindSpeed = getWindSpeed;
+}
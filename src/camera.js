@@ -0,0 +1,86 @@
+// Camera that decides which part of the world is visible on the canvas.
+//
+// World coordinates are canvas pixels at zoom 1, where one screen shows
+// `CONFIG.maxRange` metres across and the full altitude range top to bottom.
+// Wider worlds extend to the right. The camera keeps the lander centred,
+// stops at the edges of the world and zooms in as the craft nears the
+// ground.
+
+const CAMERA_CONFIG = {
+  // Largest magnification, reached just above the surface
+  maxZoom: 2.5,
+  // Height above the ground (m) at which the camera starts zooming in
+  zoomStartAltitude: 40,
+  // Height above the ground (m) from which the camera stays fully zoomed
+  zoomFullAltitude: 8
+};
+
+/**
+ * Zoom factor for a given height above the ground in metres. The camera is at
+ * zoom 1 high up and blends linearly to `maxZoom` close to the surface.
+ */
+function getCameraZoom(heightAboveGround, config = CAMERA_CONFIG) {
+  const { maxZoom, zoomStartAltitude, zoomFullAltitude } = config;
+  const t = (zoomStartAltitude - heightAboveGround) / (zoomStartAltitude - zoomFullAltitude);
+  return 1 + (maxZoom - 1) * Math.min(Math.max(t, 0), 1);
+}
+
+class Camera {
+  constructor(viewWidth, viewHeight) {
+    this.viewWidth = viewWidth;
+    this.viewHeight = viewHeight;
+    // World position shown at the centre of the canvas and magnification
+    this.x = viewWidth / 2;
+    this.y = viewHeight / 2;
+    this.zoom = 1;
+  }
+
+  // Centre the view on a world position, clamped so the view never leaves a
+  // world `worldWidth` × `worldHeight` pixels in size. A world narrower than
+  // the view is centred instead.
+  follow(x, y, zoom, worldWidth, worldHeight) {
+    this.zoom = zoom;
+    const halfWidth = this.viewWidth / zoom / 2;
+    const halfHeight = this.viewHeight / zoom / 2;
+    const clamp = (value, half, size) =>
+      size <= half * 2 ? size / 2 : Math.min(Math.max(value, half), size - half);
+    this.x = clamp(x, halfWidth, worldWidth);
+    this.y = clamp(y, halfHeight, worldHeight);
+  }
+
+  // Visible world rectangle
+  getBounds() {
+    const halfWidth = this.viewWidth / this.zoom / 2;
+    const halfHeight = this.viewHeight / this.zoom / 2;
+    return {
+      left: this.x - halfWidth,
+      right: this.x + halfWidth,
+      top: this.y - halfHeight,
+      bottom: this.y + halfHeight
+    };
+  }
+
+  // Convert world pixel coordinates to canvas pixels
+  toScreen(x, y) {
+    return {
+      x: (x - this.x) * this.zoom + this.viewWidth / 2,
+      y: (y - this.y) * this.zoom + this.viewHeight / 2
+    };
+  }
+
+  // Set up a 2D context so subsequent drawing uses world coordinates
+  apply(ctx) {
+    ctx.translate(this.viewWidth / 2, this.viewHeight / 2);
+    ctx.scale(this.zoom, this.zoom);
+    ctx.translate(-this.x, -this.y);
+  }
+}
+
+// Export for Node and attach to window for browser usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Camera, CAMERA_CONFIG, getCameraZoom };
+} else {
+  window.Camera = Camera;
+  window.CAMERA_CONFIG = CAMERA_CONFIG;
+  window.getCameraZoom = getCameraZoom;
+}
@@ -0,0 +1,271 @@
+// Level editing: the changes the level editor (editor.js) makes to a level.
+//
+// Every function works on a level definition in the format described in
+// levels.js, as the editor holds it: with a heightmap, a `pads` list and an
+// `objects` list (see `prepareEditorLevel()`). Ranges are in metres across
+// the whole world, which the editor shows on one canvas; terrain and pad
+// heights are fractions of the maximum altitude, object heights metres.
+// Nothing here touches the page, so the editor's level building can be
+// checked in Node.
+
+// Resolve dependencies in Node; in the browser they are globals.
+const editSimulation = typeof require === 'function' ? require('./simulation') : window;
+const editLevels = typeof require === 'function' ? require('./levels') : window;
+const editEntities = typeof require === 'function' ? require('./entities') : window;
+const editBodies = typeof require === 'function' ? require('./bodies') : window;
+
+const EDITOR_LIMITS = {
+  minSegments: 2,      // Fewest and most terrain segments
+  maxSegments: 40,
+  towerWidth: 2,       // Width of a newly placed docking tower (m)
+  minTowerWidth: 1,    // Narrowest and widest tower the editor builds (m)
+  maxTowerWidth: 20,
+  minTowerHeight: 30   // Lowest tower top, which leaves room for its pad (m)
+};
+
+const clampTo = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * Copy of `level` ready for editing. Pads and objects become lists, levels
+ * with polygons only get a flat heightmap along the bottom of the world, and
+ * the fuel, body and gravity the level would be flown with are spelled out,
+ * from the lander's `baseFuel` and the `body` picked in the menu.
+ */
+function prepareEditorLevel(level, { baseFuel, body }) {
+  const copy = JSON.parse(JSON.stringify(level));
+  if (copy.pads === undefined) {
+    copy.pads = [copy.pad];
+    delete copy.pad;
+  }
+  if (copy.terrain === undefined) copy.terrain = [0, 0];
+  // Older levels keep their docking tower in `structure`
+  copy.objects = editEntities.getLevelObjects(copy);
+  delete copy.structure;
+  if (copy.fuel === undefined) {
+    copy.fuel = Math.max(baseFuel - (copy.fuelReduction || 0), 100);
+    delete copy.fuelReduction;
+  }
+  if (copy.body === undefined) copy.body = body;
+  if (copy.gravity === undefined) copy.gravity = editBodies.getCelestialBody(copy.body).gravity;
+  return copy;
+}
+
+// Width of the world in metres
+function getEditorWorldRange(level) {
+  return editLevels.getLevelWidth(level, editSimulation.CONFIG.maxRange);
+}
+
+// Horizontal distance in metres between two terrain vertices
+function getTerrainSegmentRange(level) {
+  return getEditorWorldRange(level) / (level.terrain.length - 1);
+}
+
+// Terrain vertex indices covered by a landing pad: { start, end }
+function getPadVertexIndices(level, pad) {
+  const segmentRange = getTerrainSegmentRange(level);
+  return { start: Math.round(pad.startRange / segmentRange), end: Math.round(pad.endRange / segmentRange) };
+}
+
+// Level the terrain under a pad to the pad height
+function flattenUnderPad(level, pad) {
+  const { start, end } = getPadVertexIndices(level, pad);
+  for (let i = start; i <= end; i++) {
+    level.terrain[i] = pad.height;
+  }
+}
+
+// Change the number of terrain segments, keeping the surface shape and
+// snapping the pads to the new segment boundaries.
+function resampleLevelTerrain(level, segments) {
+  const count = clampTo(Math.round(segments) || 0, EDITOR_LIMITS.minSegments, EDITOR_LIMITS.maxSegments);
+  const old = level.terrain;
+  const terrain = [];
+  for (let i = 0; i <= count; i++) {
+    const pos = (i / count) * (old.length - 1);
+    const j = Math.min(Math.floor(pos), old.length - 2);
+    const t = pos - j;
+    terrain.push(old[j] * (1 - t) + old[j + 1] * t);
+  }
+  level.terrain = terrain;
+  const segmentRange = getTerrainSegmentRange(level);
+  level.pads.forEach(pad => {
+    const start = Math.min(Math.floor(pad.startRange / segmentRange), count - 1);
+    const end = Math.max(Math.ceil(pad.endRange / segmentRange), start + 1);
+    pad.startRange = start * segmentRange;
+    pad.endRange = end * segmentRange;
+    flattenUnderPad(level, pad);
+  });
+}
+
+// Stretch the world to a new width in metres, at least one screen. Terrain
+// vertices keep their relative positions and pads, polygons and objects move
+// along with them. Pad multipliers are left to be computed for the new sizes.
+function stretchLevel(level, width) {
+  const { maxRange } = editSimulation.CONFIG;
+  const range = Math.max(Math.round(width) || 0, maxRange);
+  const scale = range / getEditorWorldRange(level);
+  if (range === maxRange) {
+    delete level.width;
+  } else {
+    level.width = range;
+  }
+  level.pads.forEach(pad => {
+    pad.startRange *= scale;
+    pad.endRange *= scale;
+    delete pad.multiplier;
+  });
+  (level.polygons || []).forEach(polygon => {
+    polygon.forEach(point => {
+      point[0] = Math.min(point[0] * scale, range);
+    });
+  });
+  level.objects.forEach(object => {
+    ['startRange', 'endRange', 'range', 'moveRange'].forEach(key => {
+      if (object[key] !== undefined) object[key] *= scale;
+    });
+  });
+}
+
+// Stretch `pad`, one of the level's pads, between two terrain vertices and
+// flatten the ground beneath it. Any other pad it overlaps is removed. Its
+// multiplier is left to be computed from the new size.
+function placeLevelPad(level, pad, startIndex, endIndex) {
+  const segmentRange = getTerrainSegmentRange(level);
+  pad.startRange = startIndex * segmentRange;
+  pad.endRange = endIndex * segmentRange;
+  delete pad.multiplier;
+  level.pads = level.pads.filter(
+    other => other === pad || other.endRange <= pad.startRange || other.startRange >= pad.endRange
+  );
+  flattenUnderPad(level, pad);
+}
+
+// The docking tower of the level, if it has one
+function getLevelTower(level) {
+  return level.objects.find(object => object.type === 'tower');
+}
+
+// A tower width (m) the editor can build in the level's world
+function getEditorTowerWidth(level, width) {
+  const widest = Math.min(EDITOR_LIMITS.maxTowerWidth, getEditorWorldRange(level));
+  return clampTo(Number(width) || EDITOR_LIMITS.towerWidth, EDITOR_LIMITS.minTowerWidth, widest);
+}
+
+/**
+ * Stand the level's docking tower centred on `range` with its top at
+ * `height`, both in metres, replacing the tower it had. It is `width` metres
+ * wide and kept inside the world, and its pad on `padSide` sits just below
+ * the top like the towers of the built-in levels. Returns the tower.
+ */
+function placeLevelTower(level, { range, height, width = EDITOR_LIMITS.towerWidth, padSide }) {
+  const worldRange = getEditorWorldRange(level);
+  const towerWidth = getEditorTowerWidth(level, width);
+  const startRange = clampTo(range - towerWidth / 2, 0, worldRange - towerWidth);
+  const top = clampTo(height, EDITOR_LIMITS.minTowerHeight, editSimulation.CONFIG.maxAltitude);
+  const padEnd = top - 10;
+  const tower = {
+    type: 'tower',
+    startRange,
+    endRange: startRange + towerWidth,
+    padStart: padEnd - 15,
+    padEnd,
+    height: top,
+    padSide
+  };
+  const index = level.objects.indexOf(getLevelTower(level));
+  if (index >= 0) {
+    level.objects[index] = tower;
+  } else {
+    level.objects.push(tower);
+  }
+  return tower;
+}
+
+// Make the level's docking tower `width` metres wide about its middle,
+// keeping it inside the world. Returns the tower, or null when the level has
+// none.
+function resizeLevelTower(level, width) {
+  const tower = getLevelTower(level);
+  if (!tower) return null;
+  const towerWidth = getEditorTowerWidth(level, width);
+  const middle = (tower.startRange + tower.endRange) / 2;
+  tower.startRange = clampTo(middle - towerWidth / 2, 0, getEditorWorldRange(level) - towerWidth);
+  tower.endRange = tower.startRange + towerWidth;
+  return tower;
+}
+
+// Problems that keep the level from being flown or exported, as listed by
+// `validateLevel()` in levels.js
+function getEditorLevelErrors(level) {
+  const { CONFIG, LANDER_TYPES } = editSimulation;
+  return editLevels.validateLevel(level, {
+    maxRange: CONFIG.maxRange,
+    maxAltitude: CONFIG.maxAltitude,
+    landerTypes: Object.keys(LANDER_TYPES)
+  });
+}
+
+// The level wrapped in a single-level pack
+function toLevelPack(level) {
+  return {
+    format: editLevels.LEVEL_FORMAT_VERSION,
+    name: level.name || 'Custom',
+    levels: [JSON.parse(JSON.stringify(level))]
+  };
+}
+
+// The level of an imported file: the first level of a level pack, or a bare
+// level definition. Throws an Error describing the first problem.
+function parseImportedLevel(text) {
+  const { CONFIG, LANDER_TYPES } = editSimulation;
+  const data = JSON.parse(text);
+  if (data && Array.isArray(data.levels)) {
+    return editLevels.parseLevelPack(data, {
+      maxRange: CONFIG.maxRange,
+      maxAltitude: CONFIG.maxAltitude,
+      landerTypes: Object.keys(LANDER_TYPES)
+    }).levels[0];
+  }
+  const errors = getEditorLevelErrors(data);
+  if (errors.length > 0) throw new Error(errors[0]);
+  return data;
+}
+
+// Export for Node and attach to window for browser usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    EDITOR_LIMITS,
+    prepareEditorLevel,
+    getEditorWorldRange,
+    getTerrainSegmentRange,
+    getPadVertexIndices,
+    flattenUnderPad,
+    resampleLevelTerrain,
+    stretchLevel,
+    placeLevelPad,
+    getLevelTower,
+    getEditorTowerWidth,
+    placeLevelTower,
+    resizeLevelTower,
+    getEditorLevelErrors,
+    toLevelPack,
+    parseImportedLevel
+  };
+} else {
+  window.EDITOR_LIMITS = EDITOR_LIMITS;
+  window.prepareEditorLevel = prepareEditorLevel;
+  window.getEditorWorldRange = getEditorWorldRange;
+  window.getTerrainSegmentRange = getTerrainSegmentRange;
+  window.getPadVertexIndices = getPadVertexIndices;
+  window.flattenUnderPad = flattenUnderPad;
+  window.resampleLevelTerrain = resampleLevelTerrain;
+  window.stretchLevel = stretchLevel;
+  window.placeLevelPad = placeLevelPad;
+  window.getLevelTower = getLevelTower;
+  window.getEditorTowerWidth = getEditorTowerWidth;
+  window.placeLevelTower = placeLevelTower;
+  window.resizeLevelTower = resizeLevelTower;
+  window.getEditorLevelErrors = getEditorLevelErrors;
+  window.toLevelPack = toLevelPack;
+  window.parseImportedLevel = parseImportedLevel;
+}
@@ -0,0 +1,407 @@
+// In-browser level editor.
+//
+// The editor works on a level definition in the format described in
+// levels.js. Terrain vertices can be dragged up and down, landing pads are
+// placed by dragging across the surface and the docking tower by clicking
+// where it should stand (its height follows the pointer), as wide as the
+// tower width input says. Extra terrain polygons (caves and overhangs) and
+// other level objects are shown and kept but edited in the level file. A
+// level can be test-flown straight away and exported or imported as a level
+// pack file. The changes to the level itself are made by editing.js.
+
+// Distance in pixels within which a pointer grabs a terrain vertex
+const EDITOR_GRAB_RADIUS = 12;
+
+class LevelEditor {
+  constructor(game) {
+    this.game = game;
+    this.level = null;
+    this.tool = 'terrain';
+    // Index of the terrain vertex being dragged, or the pad being placed and
+    // the vertex its drag started from
+    this.dragVertex = null;
+    this.padAnchor = null;
+    this.activePad = null;
+    this.placingTower = false;
+    // Whether a test flight has put the player's run aside (see
+    // Game#suspendRun())
+    this.runSuspended = false;
+
+    this.container = document.getElementById('editorContainer');
+    this.canvas = document.getElementById('editorCanvas');
+    this.ctx = this.canvas.getContext('2d');
+    this.toolButtons = document.querySelectorAll('.editorTool');
+    this.nameInput = document.getElementById('editorName');
+    this.pointsInput = document.getElementById('editorPoints');
+    this.widthInput = document.getElementById('editorWidth');
+    this.bodySelect = document.getElementById('editorBody');
+    this.gravityInput = document.getElementById('editorGravity');
+    this.fuelInput = document.getElementById('editorFuel');
+    this.padSideSelect = document.getElementById('editorPadSide');
+    this.towerWidthInput = document.getElementById('editorTowerWidth');
+    this.towerWidthInput.value = EDITOR_LIMITS.towerWidth;
+    this.statusElem = document.getElementById('editorStatus');
+    this.importInput = document.getElementById('editorImportInput');
+
+    this.toolButtons.forEach(btn => {
+      btn.addEventListener('click', () => this.setTool(btn.getAttribute('data-tool')));
+    });
+    this.canvas.addEventListener('pointerdown', e => this.handlePointerDown(e));
+    this.canvas.addEventListener('pointermove', e => this.handlePointerMove(e));
+    this.canvas.addEventListener('pointerup', () => this.handlePointerUp());
+    this.canvas.addEventListener('pointercancel', () => this.handlePointerUp());
+
+    this.nameInput.addEventListener('input', () => {
+      this.level.name = this.nameInput.value;
+    });
+    this.pointsInput.addEventListener('change', () => {
+      this.resampleTerrain(Number(this.pointsInput.value));
+    });
+    this.widthInput.addEventListener('change', () => {
+      this.setWorldRange(Number(this.widthInput.value));
+    });
+    // Choosing a body also sets its gravity, which can then be fine-tuned
+    this.bodySelect.addEventListener('change', () => {
+      this.level.body = this.bodySelect.value;
+      this.level.gravity = getCelestialBody(this.level.body).gravity;
+      this.gravityInput.value = this.level.gravity;
+      this.draw();
+    });
+    this.gravityInput.addEventListener('change', () => {
+      this.level.gravity = Number(this.gravityInput.value);
+    });
+    this.fuelInput.addEventListener('change', () => {
+      this.level.fuel = Number(this.fuelInput.value);
+      delete this.level.fuelReduction;
+    });
+    this.padSideSelect.addEventListener('change', () => {
+      const tower = getLevelTower(this.level);
+      if (tower) {
+        tower.padSide = this.padSideSelect.value;
+        this.draw();
+      }
+    });
+    // The width is that of the tower standing and of the next one placed
+    this.towerWidthInput.addEventListener('change', () => {
+      this.towerWidthInput.value = getEditorTowerWidth(this.level, this.towerWidthInput.value);
+      resizeLevelTower(this.level, Number(this.towerWidthInput.value));
+      this.draw();
+    });
+
+    document.getElementById('editorClearPads').addEventListener('click', () => this.clearPads());
+    document
+      .getElementById('editorRemoveStructure')
+      .addEventListener('click', () => this.removeTower());
+    document.getElementById('editorTest').addEventListener('click', () => this.testFlight());
+    document.getElementById('editorExport').addEventListener('click', () => this.exportLevel());
+    document.getElementById('editorImport').addEventListener('click', () => this.importInput.click());
+    this.importInput.addEventListener('change', async () => {
+      const file = this.importInput.files[0];
+      if (!file) return;
+      this.importLevel(await file.text());
+      this.importInput.value = '';
+    });
+  }
+
+  // Open the editor on a copy of the given level definition.
+  open(level) {
+    this.level = prepareEditorLevel(level, { baseFuel: this.game.baseFuel, body: this.game.selectedBody });
+    this.container.classList.remove('hidden');
+    this.setStatus(null);
+    this.syncInputs();
+    this.setTool(this.tool);
+  }
+
+  close() {
+    this.container.classList.add('hidden');
+  }
+
+  // Bring back the player's run that a test flight put aside.
+  restoreGameRun() {
+    if (!this.runSuspended) return;
+    this.game.resumeRun();
+    this.runSuspended = false;
+  }
+
+  setTool(tool) {
+    this.tool = tool;
+    this.toolButtons.forEach(btn => {
+      btn.classList.toggle('active', btn.getAttribute('data-tool') === tool);
+    });
+    this.draw();
+  }
+
+  syncInputs() {
+    this.nameInput.value = this.level.name || '';
+    this.pointsInput.value = this.level.terrain.length - 1;
+    this.widthInput.value = getEditorWorldRange(this.level);
+    this.bodySelect.value = this.level.body;
+    this.gravityInput.value = this.level.gravity;
+    this.fuelInput.value = this.level.fuel;
+    const tower = getLevelTower(this.level);
+    if (tower) {
+      this.padSideSelect.value = tower.padSide;
+      this.towerWidthInput.value = Math.round((tower.endRange - tower.startRange) * 10) / 10;
+    }
+  }
+
+  // Show a translated status message with an optional detail, or clear it.
+  setStatus(labelKey, detail = '') {
+    if (!labelKey) {
+      this.statusElem.textContent = '';
+      return;
+    }
+    this.statusElem.textContent = `${translations[currentLang][labelKey]} ${detail}`;
+  }
+
+  // Convert a pointer event to canvas pixel coordinates
+  getPointer(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    return {
+      x: ((e.clientX - rect.left) / rect.width) * this.canvas.width,
+      y: ((e.clientY - rect.top) / rect.height) * this.canvas.height
+    };
+  }
+
+  // Normalized height (0–1) for a pixel y coordinate
+  heightAt(y) {
+    return Math.min(Math.max((this.canvas.height - y) / this.canvas.height, 0), 1);
+  }
+
+  // Change the number of terrain segments (see resampleLevelTerrain())
+  resampleTerrain(segments) {
+    resampleLevelTerrain(this.level, segments);
+    this.syncInputs();
+    this.draw();
+  }
+
+  // Stretch the world to a new width in metres (see stretchLevel()). The
+  // whole world is squeezed into the editor canvas, however many screens it
+  // spans in flight.
+  setWorldRange(width) {
+    stretchLevel(this.level, width);
+    this.syncInputs();
+    this.draw();
+  }
+
+  clearPads() {
+    this.level.pads = [];
+    this.draw();
+  }
+
+  removeTower() {
+    this.level.objects = this.level.objects.filter(object => object.type !== 'tower');
+    this.draw();
+  }
+
+  handlePointerDown(e) {
+    if (!this.level) return;
+    const { x, y } = this.getPointer(e);
+    const segmentWidth = this.canvas.width / (this.level.terrain.length - 1);
+    const index = Math.round(x / segmentWidth);
+    if (this.tool === 'terrain') {
+      const vertexY = this.canvas.height - this.level.terrain[index] * this.canvas.height;
+      if (Math.abs(index * segmentWidth - x) <= EDITOR_GRAB_RADIUS && Math.abs(vertexY - y) <= EDITOR_GRAB_RADIUS * 2) {
+        this.dragVertex = index;
+      }
+    } else if (this.tool === 'pad') {
+      this.padAnchor = Math.min(index, this.level.terrain.length - 2);
+      this.activePad = { startRange: 0, endRange: 0, height: this.heightAt(y) };
+      this.level.pads.push(this.activePad);
+      this.placePad(this.padAnchor, this.padAnchor + 1);
+    } else if (this.tool === 'structure') {
+      this.placingTower = true;
+      this.placeTower(x, y);
+    }
+    if (this.canvas.setPointerCapture) this.canvas.setPointerCapture(e.pointerId);
+  }
+
+  handlePointerMove(e) {
+    if (!this.level) return;
+    const { x, y } = this.getPointer(e);
+    if (this.dragVertex !== null) {
+      const height = this.heightAt(y);
+      const pad = this.level.pads.find(p => {
+        const { start, end } = getPadVertexIndices(this.level, p);
+        return this.dragVertex >= start && this.dragVertex <= end;
+      });
+      if (pad) {
+        // Moving a pad vertex moves the whole pad so it stays flat
+        pad.height = height;
+        flattenUnderPad(this.level, pad);
+      } else {
+        this.level.terrain[this.dragVertex] = height;
+      }
+      this.draw();
+    } else if (this.padAnchor !== null) {
+      const segmentWidth = this.canvas.width / (this.level.terrain.length - 1);
+      const index = Math.min(Math.max(Math.round(x / segmentWidth), 0), this.level.terrain.length - 1);
+      const start = Math.min(this.padAnchor, index);
+      const end = Math.max(this.padAnchor + 1, index);
+      this.placePad(start, end);
+    } else if (this.placingTower) {
+      this.placeTower(x, y);
+    }
+  }
+
+  handlePointerUp() {
+    this.dragVertex = null;
+    this.padAnchor = null;
+    this.activePad = null;
+    this.placingTower = false;
+  }
+
+  // Stretch the pad being placed between two terrain vertices, replacing any
+  // other pad it overlaps (see placeLevelPad())
+  placePad(startIndex, endIndex) {
+    placeLevelPad(this.level, this.activePad, startIndex, endIndex);
+    this.draw();
+  }
+
+  // Stand the docking tower at pixel x with its top at pixel y
+  placeTower(x, y) {
+    placeLevelTower(this.level, {
+      range: (x / this.canvas.width) * getEditorWorldRange(this.level),
+      height: this.heightAt(y) * CONFIG.maxAltitude,
+      width: Number(this.towerWidthInput.value),
+      padSide: this.padSideSelect.value
+    });
+    this.draw();
+  }
+
+  draw() {
+    if (!this.level) return;
+    const { ctx, canvas, level } = this;
+    const segmentWidth = canvas.width / (level.terrain.length - 1);
+    const toX = range => (range / getEditorWorldRange(level)) * canvas.width;
+    const toY = h => canvas.height - h * canvas.height;
+    const { palette } = getCelestialBody(level.body);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = palette.sky;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    // Terrain surface and polygons
+    ctx.beginPath();
+    ctx.moveTo(0, canvas.height);
+    level.terrain.forEach((h, i) => ctx.lineTo(i * segmentWidth, toY(h)));
+    ctx.lineTo(canvas.width, canvas.height);
+    ctx.closePath();
+    (level.polygons || []).forEach(polygon => {
+      polygon.forEach(([range, height], i) => {
+        if (i === 0) {
+          ctx.moveTo(toX(range), toY(height));
+        } else {
+          ctx.lineTo(toX(range), toY(height));
+        }
+      });
+      ctx.closePath();
+    });
+    ctx.fillStyle = palette.ground;
+    ctx.strokeStyle = palette.edge;
+    ctx.lineWidth = 1;
+    ctx.fill();
+    ctx.stroke();
+
+    // Landing pads with their multipliers
+    ctx.fillStyle = '#2a9d8f';
+    ctx.font = '8px "Press Start 2P", monospace';
+    ctx.textAlign = 'center';
+    getLevelPads(level, CONFIG.maxRange).forEach(pad => {
+      const padStart = toX(pad.startRange);
+      const padEnd = toX(pad.endRange);
+      const padY = toY(pad.height);
+      ctx.fillRect(padStart, padY - 2, padEnd - padStart, 4);
+      ctx.fillText(`×${pad.multiplier}`, (padStart + padEnd) / 2, padY + 14);
+    });
+
+    // Level objects, drawn by their own classes in editor coordinates
+    const toPixel = (range, altitude) => ({ x: toX(range), y: toY(altitude / CONFIG.maxAltitude) });
+    level.objects.forEach(object => createLevelObject(object, toPixel).draw(ctx));
+
+    // Vertex handles for the terrain tool
+    if (this.tool === 'terrain') {
+      ctx.fillStyle = '#ff00a0';
+      level.terrain.forEach((h, i) => {
+        ctx.beginPath();
+        ctx.arc(i * segmentWidth, toY(h), 4, 0, Math.PI * 2);
+        ctx.fill();
+      });
+    }
+  }
+
+  // Check the level and report the first problem. Returns true when valid.
+  validate() {
+    const errors = getEditorLevelErrors(this.level);
+    if (errors.length > 0) {
+      this.setStatus('editor_invalid', errors[0]);
+      return false;
+    }
+    this.setStatus(null);
+    return true;
+  }
+
+  // Fly the edited level right away with the currently selected lander
+  testFlight() {
+    if (!this.validate()) return;
+    if (!this.runSuspended) {
+      this.game.suspendRun();
+      this.runSuspended = true;
+    }
+    this.game.setLevelPack(toLevelPack(this.level));
+    this.game.testingLevel = true;
+    this.close();
+    document.getElementById('gameContainer').classList.remove('hidden');
+    this.game.restartGame();
+  }
+
+  // Download the level as a level pack file
+  exportLevel() {
+    if (!this.validate()) return;
+    const blob = new Blob([JSON.stringify(toLevelPack(this.level), null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `${(this.level.name || 'level').replace(/[^\w-]+/g, '_')}.json`);
+  }
+
+  // Load the first level of a level pack file, or a bare level definition
+  importLevel(text) {
+    try {
+      this.open(parseImportedLevel(text));
+    } catch (err) {
+      console.warn('Failed to import level', err);
+      this.setStatus('editor_invalid', err.message);
+    }
+  }
+}
+
+// --------- Editor screen wiring ---------
+const levelEditor = new LevelEditor(game);
+window.levelEditor = levelEditor;
+
+const editorButton = document.getElementById('editorButton');
+const editorBackButton = document.getElementById('editorBack');
+const backToEditorButton = document.getElementById('backToEditorButton');
+
+if (editorButton) {
+  editorButton.addEventListener('click', () => {
+    if (menu) menu.classList.add('hidden');
+    // Start from the level the player would fly next
+    levelEditor.open(game.getLevelDefinition());
+  });
+}
+
+if (editorBackButton) {
+  editorBackButton.addEventListener('click', () => {
+    levelEditor.close();
+    levelEditor.restoreGameRun();
+    if (menu) menu.classList.remove('hidden');
+  });
+}
+
+if (backToEditorButton) {
+  backToEditorButton.addEventListener('click', () => {
+    game.testingLevel = false;
+    game.gameStarted = false;
+    game.updateEndButtons();
+    document.getElementById('gameContainer').classList.add('hidden');
+    levelEditor.open(levelEditor.level);
+  });
+}
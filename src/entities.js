@@ -0,0 +1,448 @@
+// Level objects.
+//
+// Besides terrain and landing pads a level can place any number of objects,
+// listed in its `objects` array. Every object names its `type`, one of the
+// classes registered in `LEVEL_OBJECT_TYPES`, which supplies its behaviour:
+//
+//   - `update(dt)` advances moving parts by one simulation step
+//   - `collide(outline)` tells whether a polygon touches it and how: the
+//     lander's body outline, or a small probe under one of its feet
+//   - `draw(ctx)` renders it in world pixels
+//   - `snapshot()` / `restore(state)` capture what changes during a flight
+//   - static `validate(definition, bounds)` checks a definition
+//
+// Ranges and heights in definitions are in metres. Objects keep their
+// geometry in the same world pixels as the terrain, converting with the
+// `toPixel(range, altitude)` function given to their constructor.
+//
+// `collide()` returns null when there is no contact, otherwise
+//
+//   {
+//     pad,         // landing surface touched or null for a crash: its
+//                  // `multiplier` and `span`, the ends of the pad in pixels
+//     altitude,    // height of that surface (m) for the feet to stand on;
+//                  // omitted for pads docked against from the side
+//     velocity,    // { horizontal, vertical } of the surface (m/s), for
+//                  // judging the impact speed relative to it
+//     miss         // optional, why a contact near a pad missed it: 'side'
+//   }              // (wrong side of a tower) or 'height' (above or below)
+//
+// Add a new kind of object by extending `LevelObject` and registering the
+// class in `LEVEL_OBJECT_TYPES`.
+
+// Resolve dependencies in Node; in the browser they are globals.
+const entityTerrain = typeof require === 'function' ? require('./terrain') : window;
+
+const isObjectNumber = value => typeof value === 'number' && isFinite(value);
+
+// Axis-aligned box polygon in pixels
+function boxPolygon(left, top, right, bottom) {
+  return [
+    [left, top],
+    [right, top],
+    [right, bottom],
+    [left, bottom]
+  ];
+}
+
+// Bounding box of the lander outline
+function getOutlineBounds(outline) {
+  const xs = outline.map(p => p[0]);
+  const ys = outline.map(p => p[1]);
+  return {
+    left: Math.min(...xs),
+    right: Math.max(...xs),
+    top: Math.min(...ys),
+    bottom: Math.max(...ys)
+  };
+}
+
+/**
+ * Base class for level objects: solid, motionless and drawn as grey rock.
+ * Subclasses describe their shape with `getPolygons()` and override the other
+ * hooks as needed.
+ */
+class LevelObject {
+  constructor(definition, toPixel) {
+    this.definition = definition;
+    this.toPixel = toPixel;
+    // Ground pads are not drawn while an object with this flag stands
+    this.hidesPads = false;
+  }
+
+  // Check a definition, returning a problem description or null.
+  static validate() {
+    return null;
+  }
+
+  update() {}
+
+  // Solid shapes in world pixels
+  getPolygons() {
+    return [];
+  }
+
+  // Touching a plain object is a crash.
+  collide(outline) {
+    const touching = this.getPolygons().some(polygon =>
+      entityTerrain.polygonsOverlap(outline, polygon)
+    );
+    return touching ? { pad: null, velocity: { horizontal: 0, vertical: 0 } } : null;
+  }
+
+  draw(ctx) {
+    ctx.fillStyle = '#5a5a5a';
+    this.getPolygons().forEach(polygon => {
+      ctx.beginPath();
+      polygon.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+      ctx.closePath();
+      ctx.fill();
+    });
+  }
+
+  snapshot() {
+    return {};
+  }
+
+  restore() {}
+}
+
+/**
+ * Docking tower standing on the ground with a landing pad on one side. The
+ * lander docks by touching the pad from that side, upright and slowly.
+ *
+ *   { "type": "tower", "startRange": 80, "endRange": 82, "height": 65,
+ *     "padStart": 40, "padEnd": 55, "padSide": "left" }
+ */
+class Tower extends LevelObject {
+  static validate(definition, { width, maxAltitude }) {
+    const fields = ['startRange', 'endRange', 'height', 'padStart', 'padEnd'];
+    if (
+      !fields.every(key => isObjectNumber(definition[key])) ||
+      definition.startRange < 0 ||
+      definition.endRange > width ||
+      definition.startRange >= definition.endRange ||
+      definition.padStart >= definition.padEnd ||
+      definition.height > maxAltitude ||
+      !['left', 'right'].includes(definition.padSide)
+    ) {
+      return 'tower must have a valid range, height, pad span and padSide';
+    }
+    return null;
+  }
+
+  constructor(definition, toPixel) {
+    super(definition, toPixel);
+    // Docking levels are about the tower; the ground pads stay hidden
+    this.hidesPads = true;
+    const { startRange, endRange, height, padStart, padEnd } = definition;
+    const { x, y: top } = toPixel(startRange, height);
+    this.x = x;
+    this.width = toPixel(endRange, 0).x - x;
+    this.top = top;
+    this.bottom = toPixel(0, 0).y;
+    this.padYStart = toPixel(0, padStart).y;
+    this.padYEnd = toPixel(0, padEnd).y;
+  }
+
+  getPolygons() {
+    return [boxPolygon(this.x, this.top, this.x + this.width, this.bottom)];
+  }
+
+  collide(outline) {
+    const { left, right, top, bottom } = getOutlineBounds(outline);
+    if (right < this.x || left > this.x + this.width || bottom <= this.top) return null;
+    const { startRange, endRange, padSide, multiplier = 1 } = this.definition;
+    const centre = (left + right) / 2;
+    const withinPad = top < this.padYStart && bottom > this.padYEnd;
+    const fromCorrectSide =
+      padSide === 'left'
+        ? centre < this.toPixel(startRange, 0).x
+        : centre > this.toPixel(endRange, 0).x;
+    const faceX = padSide === 'left' ? this.x : this.x + this.width;
+    const span = [[faceX, this.padYStart], [faceX, this.padYEnd]];
+    const contact = {
+      pad: withinPad && fromCorrectSide ? { multiplier, span } : null,
+      velocity: { horizontal: 0, vertical: 0 }
+    };
+    if (!withinPad) contact.miss = 'height';
+    else if (!fromCorrectSide) contact.miss = 'side';
+    return contact;
+  }
+
+  draw(ctx) {
+    ctx.fillStyle = '#5a5a5a';
+    ctx.fillRect(this.x, this.top, this.width, this.bottom - this.top);
+    ctx.fillStyle = '#2a9d8f';
+    const padOffset = this.definition.padSide === 'left' ? -4 : this.width;
+    ctx.fillRect(this.x + padOffset, this.padYEnd, 4, this.padYStart - this.padYEnd);
+  }
+}
+
+// Thickness of a moving platform (m) and its multiplier unless set
+const PLATFORM_THICKNESS = 2;
+const PLATFORM_MULTIPLIER = 2;
+
+/**
+ * Landing platform gliding back and forth. It eases between its starting
+ * place and one offset by `moveRange`/`moveHeight` metres, taking `period`
+ * seconds for the round trip. The lander must touch down on its top at a low
+ * speed relative to the platform.
+ *
+ *   { "type": "platform", "startRange": 20, "endRange": 30, "height": 40,
+ *     "moveRange": 30, "moveHeight": 0, "period": 8, "multiplier": 3 }
+ */
+class Platform extends LevelObject {
+  static validate(definition, { width, maxAltitude }) {
+    const { startRange, endRange, height, moveRange = 0, moveHeight = 0, period } = definition;
+    if (
+      ![startRange, endRange, height, moveRange, moveHeight, period].every(isObjectNumber) ||
+      startRange < 0 ||
+      startRange >= endRange ||
+      Math.min(startRange, startRange + moveRange) < 0 ||
+      Math.max(endRange, endRange + moveRange) > width ||
+      Math.min(height, height + moveHeight) < 0 ||
+      Math.max(height, height + moveHeight) > maxAltitude ||
+      period <= 0 ||
+      (definition.multiplier !== undefined &&
+        !(isObjectNumber(definition.multiplier) && definition.multiplier > 0))
+    ) {
+      return 'platform must stay within the world and have a positive period';
+    }
+    return null;
+  }
+
+  constructor(definition, toPixel) {
+    super(definition, toPixel);
+    // Seconds since the level started
+    this.time = 0;
+  }
+
+  // Fraction (0–1) of the way to the far end of the track, and its rate of
+  // change per second
+  getTravel() {
+    const { period } = this.definition;
+    const phase = (2 * Math.PI * this.time) / period;
+    return {
+      fraction: (1 - Math.cos(phase)) / 2,
+      rate: (Math.PI / period) * Math.sin(phase)
+    };
+  }
+
+  // Current position of the platform's top-left corner in metres
+  getPosition() {
+    const { startRange, height, moveRange = 0, moveHeight = 0 } = this.definition;
+    const { fraction } = this.getTravel();
+    return { range: startRange + moveRange * fraction, altitude: height + moveHeight * fraction };
+  }
+
+  update(dt) {
+    this.time += dt;
+  }
+
+  getPolygons() {
+    const { range, altitude } = this.getPosition();
+    const width = this.definition.endRange - this.definition.startRange;
+    const topLeft = this.toPixel(range, altitude);
+    const bottomRight = this.toPixel(range + width, altitude - PLATFORM_THICKNESS);
+    return [boxPolygon(topLeft.x, topLeft.y, bottomRight.x, bottomRight.y)];
+  }
+
+  collide(outline) {
+    if (!entityTerrain.polygonsOverlap(outline, this.getPolygons()[0])) return null;
+    const { moveRange = 0, moveHeight = 0, multiplier = PLATFORM_MULTIPLIER } = this.definition;
+    const { left, right } = getOutlineBounds(outline);
+    const polygon = this.getPolygons()[0];
+    const padLeft = polygon[0][0];
+    const padRight = polygon[2][0];
+    const centre = (left + right) / 2;
+    const { rate } = this.getTravel();
+    return {
+      pad:
+        centre >= padLeft && centre <= padRight
+          ? { multiplier, span: [polygon[0], polygon[1]] }
+          : null,
+      altitude: this.getPosition().altitude,
+      // Vertical velocity is positive downwards, like the lander's
+      velocity: { horizontal: moveRange * rate, vertical: -moveHeight * rate }
+    };
+  }
+
+  draw(ctx) {
+    const polygon = this.getPolygons()[0];
+    const [left, top] = polygon[0];
+    const [right, bottom] = polygon[2];
+    ctx.fillStyle = '#5a5a5a';
+    ctx.fillRect(left, top, right - left, bottom - top);
+    ctx.fillStyle = '#2a9d8f';
+    ctx.fillRect(left, top - 2, right - left, 4);
+    ctx.font = '8px "Press Start 2P", monospace';
+    ctx.textAlign = 'center';
+    ctx.fillText(`×${this.definition.multiplier || PLATFORM_MULTIPLIER}`, (left + right) / 2, bottom + 12);
+  }
+
+  snapshot() {
+    return { time: this.time };
+  }
+
+  restore(state) {
+    this.time = state.time;
+  }
+}
+
+/**
+ * Mast topped by a rotating beacon light. The mast is solid; the beam turns
+ * once every `period` seconds.
+ *
+ *   { "type": "beacon", "range": 50, "height": 30, "period": 4 }
+ */
+class Beacon extends LevelObject {
+  static validate(definition, { width, maxAltitude }) {
+    const { range, height, period = 4 } = definition;
+    if (
+      ![range, height, period].every(isObjectNumber) ||
+      range < 0 ||
+      range > width ||
+      height <= 0 ||
+      height > maxAltitude ||
+      period <= 0
+    ) {
+      return 'beacon must have a range within the world, a height and a positive period';
+    }
+    return null;
+  }
+
+  constructor(definition, toPixel) {
+    super(definition, toPixel);
+    this.time = 0;
+    const { x, y: top } = toPixel(definition.range, definition.height);
+    this.x = x;
+    this.top = top;
+    this.bottom = toPixel(0, 0).y;
+  }
+
+  update(dt) {
+    this.time += dt;
+  }
+
+  getPolygons() {
+    return [boxPolygon(this.x - 1.5, this.top, this.x + 1.5, this.bottom)];
+  }
+
+  draw(ctx) {
+    super.draw(ctx);
+    const angle = (2 * Math.PI * this.time) / (this.definition.period || 4);
+    const reach = 40;
+    ctx.fillStyle = 'rgba(255, 214, 10, 0.25)';
+    ctx.beginPath();
+    ctx.moveTo(this.x, this.top);
+    ctx.arc(this.x, this.top, reach, angle - 0.2, angle + 0.2);
+    ctx.closePath();
+    ctx.fill();
+    ctx.fillStyle = '#ffd60a';
+    ctx.beginPath();
+    ctx.arc(this.x, this.top, 3, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  snapshot() {
+    return { time: this.time };
+  }
+
+  restore(state) {
+    this.time = state.time;
+  }
+}
+
+/**
+ * Rock arch: two legs `thickness` metres wide standing at the ends of the
+ * span, joined by a lintel whose top is at `height`. Only the rock is solid.
+ *
+ *   { "type": "arch", "startRange": 30, "endRange": 60, "height": 50,
+ *     "thickness": 4 }
+ */
+class Arch extends LevelObject {
+  static validate(definition, { width, maxAltitude }) {
+    const { startRange, endRange, height, thickness } = definition;
+    if (
+      ![startRange, endRange, height, thickness].every(isObjectNumber) ||
+      startRange < 0 ||
+      endRange > width ||
+      thickness <= 0 ||
+      endRange - startRange <= thickness * 2 ||
+      height <= thickness ||
+      height > maxAltitude
+    ) {
+      return 'arch must span a range wider than its legs and stand within the world';
+    }
+    return null;
+  }
+
+  constructor(definition, toPixel) {
+    super(definition, toPixel);
+    const { startRange, endRange, height, thickness } = definition;
+    const box = (left, top, right, bottom) => {
+      const a = toPixel(left, top);
+      const b = toPixel(right, bottom);
+      return boxPolygon(a.x, a.y, b.x, b.y);
+    };
+    this.polygons = [
+      box(startRange, height, startRange + thickness, 0),
+      box(endRange - thickness, height, endRange, 0),
+      box(startRange + thickness, height, endRange - thickness, height - thickness)
+    ];
+  }
+
+  getPolygons() {
+    return this.polygons;
+  }
+}
+
+// Object classes by the `type` used in level definitions
+const LEVEL_OBJECT_TYPES = {
+  tower: Tower,
+  platform: Platform,
+  beacon: Beacon,
+  arch: Arch
+};
+
+// Object definitions of a level. The single `structure` of older levels is a
+// docking tower.
+function getLevelObjects(level) {
+  const objects = (level.objects || []).slice();
+  if (level.structure) objects.push({ type: 'tower', ...level.structure });
+  return objects;
+}
+
+// Check one object definition. `bounds` holds the world `width` and
+// `maxAltitude` in metres. Returns a problem description or null.
+function validateLevelObject(definition, bounds) {
+  if (!definition || typeof definition !== 'object') return 'object must be an object';
+  // Own keys only, so "constructor" or "toString" are not taken for types
+  if (!Object.prototype.hasOwnProperty.call(LEVEL_OBJECT_TYPES, definition.type)) {
+    return `unknown object type "${definition.type}"`;
+  }
+  return LEVEL_OBJECT_TYPES[definition.type].validate(definition, bounds);
+}
+
+// Build the object for a definition.
+function createLevelObject(definition, toPixel) {
+  return new LEVEL_OBJECT_TYPES[definition.type](definition, toPixel);
+}
+
+// Export for Node and attach to window for browser usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    LevelObject,
+    LEVEL_OBJECT_TYPES,
+    getLevelObjects,
+    validateLevelObject,
+    createLevelObject
+  };
+} else {
+  window.LevelObject = LevelObject;
+  window.LEVEL_OBJECT_TYPES = LEVEL_OBJECT_TYPES;
+  window.getLevelObjects = getLevelObjects;
+  window.validateLevelObject = validateLevelObject;
+  window.createLevelObject = createLevelObject;
+}
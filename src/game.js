@@ -2,36 +2,23 @@
 //
 // Use the arrow keys to control the lunar module:
 //   - ArrowUp fires the main engine, reducing the downward velocity.
-//   - ArrowLeft and ArrowRight fire side thrusters, accelerating left/right.
-// Land gently on the surface with low vertical and horizontal speeds.
-
-// Configuration constants
-const CONFIG = {
-  gravity: 1.62,           // Lunar gravity (m/s^2)
-  mainThrust: 6.0,         // Upward acceleration from main engine (m/s^2)
-  sideThrust: 3.0,         // Lateral acceleration from side thrusters (m/s^2)
-  maxAltitude: LANDER_CONFIG.maxAltitude, // Maximum altitude used for scaling (m)
-  maxRange: 100.0,         // Horizontal range corresponding to canvas width (m)
-  landerWidth: 20,         // Lander width in pixels
-  landerHeight: 30,        // Lander height in pixels
-  baseFuel: 1000,
-  fuelDecrease: 200,
-  gravityIncrement: 0.3
-};
-
-// Stats and traits for the available landers. These values influence gameplay
-// and are also shown in the selection menu to highlight strengths and
-// weaknesses.
-const LANDER_TYPES = {
-  classic: { baseFuel: 1000, mainThrust: 6.0, sideThrust: 3.0, dryMass: 1000 },
-  round: { baseFuel: 1200, mainThrust: 5.5, sideThrust: 2.5, dryMass: 1100 },
-  triangle: { baseFuel: 800, mainThrust: 7.0, sideThrust: 4.0, dryMass: 900 }
-};
+//   - Shift and Ctrl raise and lower the main engine throttle.
+//   - ArrowLeft and ArrowRight fire side thrusters, rotating the module.
+// Land gently and upright on the surface with low vertical and horizontal
+// speeds.
 
 // Simple audio helpers
 const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+// Every sound goes through the master gain, which sets the volume
+const masterGain = audioContext.createGain();
+masterGain.connect(audioContext.destination);
 let thrusterOscillator = null;
 
+// Set the sound volume from 0 (muted) to 1
+function setVolume(volume) {
+  masterGain.gain.value = volume;
+}
+
 function startThrusterSound() {
   if (thrusterOscillator) return;
   thrusterOscillator = audioContext.createOscillator();
@@ -39,7 +26,7 @@ function startThrusterSound() {
   gain.gain.value = 0.1;
   thrusterOscillator.type = 'sawtooth';
   thrusterOscillator.frequency.value = 200;
-  thrusterOscillator.connect(gain).connect(audioContext.destination);
+  thrusterOscillator.connect(gain).connect(masterGain);
   thrusterOscillator.start();
 }
 
@@ -55,68 +42,120 @@ function playLandingSound(success) {
   const gain = audioContext.createGain();
   gain.gain.value = 0.2;
   osc.frequency.value = success ? 440 : 110;
-  osc.connect(gain).connect(audioContext.destination);
+  osc.connect(gain).connect(masterGain);
   osc.start();
   osc.stop(audioContext.currentTime + 0.2);
 }
 
+// How long the notice of an unlocked achievement stays up (ms)
+const ACHIEVEMENT_TOAST_TIME = 4000;
+
+// Translation key of each mission mode's level indicator on the HUD
+const MISSION_HUD_KEYS = { timeTrial: 'hud_time_trial', fuelMiser: 'hud_fuel_miser', precision: 'hud_precision' };
+
+// localStorage for the profile, or null where the browser blocks it
+function getProfileStorage() {
+  try {
+    return window.localStorage;
+  } catch (err) {
+    console.warn('Profile storage unavailable', err);
+    return null;
+  }
+}
+
 /**
- * Game controller manages terrain, UI updates and level progression.
- * It owns a Lander instance and orchestrates the simulation.
+ * Game controller manages rendering, sound, UI updates and the player's
+ * profile around the flight simulation it extends (see simulation.js).
  */
-class Game {
+class Game extends FlightSimulation {
   constructor() {
-    // Gameplay progression
-    this.level = 1;
-    this.currentGravity = CONFIG.gravity;
-
-    // Game state
-    this.gameOver = false;
-    this.messageKey = null;
-    this.gameStarted = false;
-    this.crashed = false;
-
-    // Terrain definition
-    this.terrainPoints = [];
-    this.safeZone = { startRange: 0, endRange: 0, height: 0 };
-    // Cached geometry for terrain drawing
+    // Seed for the run's terrain. It can be fixed with a `?seed=` URL
+    // parameter so everyone plays (or reports bugs against) the same surface.
+    const urlSeed = parseSeed(new URLSearchParams(window.location.search).get('seed'));
+    super(urlSeed !== null ? urlSeed : randomSeed());
+    // Whether the seed came from the URL rather than the saved run
+    this.seedFixed = urlSeed !== null;
+    // Terrain outline cached for drawing
     this.terrainPath = null;
-    this.safePadPixels = { start: 0, end: 0, y: 0 };
-    this.segmentWidth = 0;
-    this.numSegments = 0;
-    // Optional docking structure used for special levels (e.g., level 4)
-    this.structure = null;
-    this.structurePixels = null;
+    // True while test-flying a level from the editor
+    this.testingLevel = false;
+    // Ghost of the best flight of the current level, flown again from its
+    // record: the lander type and its pose at every step (see traceFlight()),
+    // or null
+    this.ghost = null;
+    // Replay viewer flying a saved flight in place of the player (see
+    // viewer.js), or null
+    this.playback = null;
+    // Today's daily challenge while it is flown (see startDaily()), or null,
+    // and the server's ticket for submitting its landing under the pilot
+    // name it was started with
+    this.daily = null;
+    this.dailyTicket = null;
+    this.dailyPilot = null;
+    // The player's run while a replay, the daily challenge, a mission or a
+    // test flight takes its place (see suspendRun()), or null
+    this.suspendedRun = null;
+    // Crashes since the level being flown was reached, for the achievements,
+    // and whether the last landing docked with a tower
+    this.crashesOnLevel = 0;
+    this.docked = false;
+    // Mission flown in place of the campaign (see startMission()), or null,
+    // and how its last flight did (see judgeMission())
+    this.mission = null;
+    this.missionResult = null;
 
     // DOM element references
     this.altitudeElem = document.getElementById('altitude');
     this.vVelElem = document.getElementById('vVelocity');
     this.hVelElem = document.getElementById('hVelocity');
     this.fuelElem = document.getElementById('fuel');
+    this.deltaVElem = document.getElementById('deltaV');
+    this.throttleElem = document.getElementById('throttle');
+    this.timerElem = document.getElementById('timer');
+    this.hullElem = document.getElementById('hull');
+    this.windElem = document.getElementById('wind');
+    this.enginesElem = document.getElementById('engines');
     this.messageElem = document.getElementById('message');
+    this.crashReasonsElem = document.getElementById('crashReasons');
+    this.scoreElem = document.getElementById('score');
+    this.scoreBreakdownElem = document.getElementById('scoreBreakdown');
+    this.missionResultsElem = document.getElementById('missionResults');
+    // Text last rendered into each end-screen list
+    this.renderedLists = new Map();
     this.levelElem = document.getElementById('level');
+    this.seedElem = document.getElementById('seed');
     this.restartButton = document.getElementById('restartButton');
     this.shareButton = document.getElementById('shareButton');
+    this.saveReplayButton = document.getElementById('saveReplayButton');
+    this.submitScoreElem = document.getElementById('submitScore');
+    this.submitScoreButton = document.getElementById('submitScoreButton');
+    this.submitStatusElem = document.getElementById('submitStatus');
+    this.backToEditorButton = document.getElementById('backToEditorButton');
+    this.missionMenuButton = document.getElementById('missionMenuButton');
     this.endButtons = document.getElementById('endButtons');
+    this.achievementToast = document.getElementById('achievementToast');
+    this.achievementToastTimer = null;
     this.canvas = document.getElementById('gameCanvas');
     this.ctx = this.canvas.getContext('2d');
+    // Camera following the lander across the world
+    this.camera = new Camera(this.canvas.width, this.canvas.height);
 
     // Mobile control button references (may be null on desktop)
     this.btnUp = document.getElementById('btnUp');
     this.btnLeft = document.getElementById('btnLeft');
     this.btnRight = document.getElementById('btnRight');
+    this.throttleSlider = document.getElementById('throttleSlider');
 
-    // Lander instance. The specific lander type can be chosen from the menu
-    // before the game starts. Default to the classic rectangular lander.
-    this.landerType = 'classic';
-    this.landerStats = LANDER_TYPES[this.landerType];
-    this.mainThrust = this.landerStats.mainThrust;
-    this.sideThrust = this.landerStats.sideThrust;
-    this.baseFuel = this.landerStats.baseFuel;
-    this.dryMass = this.landerStats.dryMass;
-    this.lander = new Lander(CONFIG.maxRange, this.landerType, this.dryMass);
+    // Player profile with progress, best scores and settings (see
+    // profile.js). It is saved whenever one of them changes.
+    this.profileStorage = getProfileStorage();
+    this.profile = loadProfile(this.profileStorage);
+    this.applyProfile();
 
+    // Session token for the server, spent by every request and replaced by
+    // the one in the reply, and the check of the last flight while it runs
     this.serverToken = null;
+    this.pendingResult = null;
     this.loadServerConfig();
 
     // Bind restart button
@@ -130,180 +169,184 @@ class Game {
     try {
       const res = await fetch('/config');
       const data = await res.json();
+      // Gravity comes from the destination and the level, never the server
       this.serverToken = data.token;
-      if (data.params && typeof data.params.gravity === 'number') {
-        this.currentGravity = data.params.gravity;
-      }
     } catch (err) {
       console.warn('Failed to load server config', err);
     }
   }
 
-  // Change the currently active lander type and create a new instance. This
-  // is used when the player selects a lander from the menu before starting
-  // the game.
-  setLanderType(type) {
-    this.landerType = type;
-    this.landerStats = LANDER_TYPES[type];
-    this.mainThrust = this.landerStats.mainThrust;
-    this.sideThrust = this.landerStats.sideThrust;
-    this.baseFuel = this.landerStats.baseFuel;
-    this.dryMass = this.landerStats.dryMass;
-    this.lander = new Lander(CONFIG.maxRange, type, this.dryMass);
-  }
-
-  /*
-   * Generate a random lunar surface profile and select a flat landing zone.
-   * The surface is defined by a series of normalized heights (0–1) sampled
-   * along the horizontal range. A contiguous pair of segments is chosen to
-   * form a flat safe pad. The safe zone is stored both in pixel range and
-   * in physical range units (0–maxRange).
-   */
-  generateTerrain() {
-    // Increase the number of points for higher levels to create more varied
-    // terrain. Past level 6 we gradually add more segments making the path to
-    // the pad increasingly complex.
-    const numPoints = this.level >= 6 ? 12 + Math.min(this.level - 6, 8) : 10;
-    this.terrainPoints = [];
-    for (let i = 0; i <= numPoints; i++) {
-      // random heights between 10% and 40% of the canvas height
-      this.terrainPoints.push(Math.random() * 0.3 + 0.1);
-    }
-
-    // Choose a flat zone for the safe landing pad. In early levels this is
-    // somewhere in the middle, but from level 6 onward we move the pad toward
-    // the edges, forcing longer horizontal travel.
-    let safeIndex;
-    if (this.level >= 6) {
-      // Alternate pad side to keep variety
-      safeIndex = this.level % 2 === 0 ? 1 : numPoints - 2;
-    } else {
-      safeIndex = Math.floor(Math.random() * (numPoints - 2)) + 1;
+  // Get a new session token after the server refused ours
+  async renewServerToken() {
+    try {
+      const res = await fetch('/config');
+      this.serverToken = (await res.json()).token;
+    } catch (err) {
+      console.warn('Failed to renew the server token', err);
     }
-    const segmentRange = CONFIG.maxRange / numPoints;
-    const flatHeight = Math.min(
-      this.terrainPoints[safeIndex],
-      this.terrainPoints[safeIndex + 1],
-      0.2
-    );
-    this.terrainPoints[safeIndex] = flatHeight;
-    this.terrainPoints[safeIndex + 1] = flatHeight;
-    this.safeZone = {
-      startRange: safeIndex * segmentRange,
-      endRange: (safeIndex + 1) * segmentRange,
-      height: flatHeight
-    };
+  }
 
-    // For advanced levels, add tall obstacles to create a challenging route to
-    // the landing pad.
-    if (this.level >= 6) {
-      const difficulty = Math.min(this.level - 5, 5); // 1..5
-      for (let i = 1; i < numPoints; i++) {
-        if (i === safeIndex || i === safeIndex + 1) continue;
-        // Increase chance of a tall peak as difficulty rises
-        if (Math.random() < 0.3 + 0.1 * difficulty) {
-          this.terrainPoints[i] = Math.random() * 0.3 + 0.4; // 40-70% height
-        }
-      }
+  // Post `body` with the current session token to the server at `url` and
+  // keep the fresh token of the reply. A reply without one refused ours.
+  async postToServer(url, body) {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...body, token: this.serverToken })
+    });
+    const data = await res.json();
+    if (data.token) {
+      this.serverToken = data.token;
+    } else {
+      await this.renewServerToken();
     }
+    return data;
+  }
 
-    // Cache geometry used during rendering
-    this.numSegments = this.terrainPoints.length - 1;
-    this.segmentWidth = this.canvas.width / this.numSegments;
-    this.terrainPath = new Path2D();
-    this.terrainPath.moveTo(0, this.canvas.height);
-    for (let i = 0; i < this.terrainPoints.length; i++) {
-      const x = i * this.segmentWidth;
-      const y = this.canvas.height - this.terrainPoints[i] * this.canvas.height;
-      this.terrainPath.lineTo(x, y);
-    }
-    this.terrainPath.lineTo(this.canvas.width, this.canvas.height);
-    this.terrainPath.closePath();
-
-    this.safePadPixels = {
-      start: (this.safeZone.startRange / CONFIG.maxRange) * this.canvas.width,
-      end: (this.safeZone.endRange / CONFIG.maxRange) * this.canvas.width,
-      y: this.canvas.height - this.safeZone.height * this.canvas.height
-    };
+  // Fly the following levels on another celestial body, unless a level names
+  // its own.
+  setBody(name) {
+    this.selectedBody = name;
+    this.storeProfile();
+  }
 
-    // Special terrain features for specific levels
-    if (this.level === 4 || this.level === 5) {
-      const structWidth = CONFIG.maxRange * 0.02;
-      // Place the structure near the right edge on level 4 and mirror to the left on level 5
-      const structStart =
-        this.level === 4 ? CONFIG.maxRange * 0.8 : CONFIG.maxRange * 0.18;
-      const padStartAlt = CONFIG.maxAltitude * 0.4;
-      const padEndAlt = CONFIG.maxAltitude * 0.55;
-      const structHeight = padEndAlt + 10; // extend a bit above pad
-      const padSide = this.level === 4 ? 'left' : 'right';
-      this.structure = {
-        startRange: structStart,
-        endRange: structStart + structWidth,
-        padStart: padStartAlt,
-        padEnd: padEndAlt,
-        height: structHeight,
-        padSide
-      };
-      const x = (structStart / CONFIG.maxRange) * this.canvas.width;
-      const width = (structWidth / CONFIG.maxRange) * this.canvas.width;
-      const top =
-        this.canvas.height - (structHeight / CONFIG.maxAltitude) * this.canvas.height;
-      const padYStart =
-        this.canvas.height - (padStartAlt / CONFIG.maxAltitude) * this.canvas.height;
-      const padYEnd =
-        this.canvas.height - (padEndAlt / CONFIG.maxAltitude) * this.canvas.height;
-      this.structurePixels = { x, width, top, padYStart, padYEnd };
-    } else {
-      this.structure = null;
-      this.structurePixels = null;
+  // Continue the campaign where the profile left it and use its lander,
+  // destination, throttle and volume. Settings the game doesn't know are
+  // ignored. The run goes on over the terrain of its own seed; a `?seed=`
+  // for other terrain starts a new one.
+  applyProfile() {
+    const { progress, settings } = this.profile;
+    if (LANDER_TYPES[settings.lander]) this.setLanderType(settings.lander);
+    if (!this.seedFixed && progress.seed !== null) this.seed = progress.seed;
+    if (this.levelPack === BUILTIN_LEVEL_PACK && (progress.seed === null || progress.seed === this.seed)) {
+      this.level = progress.level;
+      this.runScore = progress.runScore;
+      this.crashesOnLevel = progress.levelCrashes;
+      this.runFlights = progress.flights.slice();
+      this.startDamage = progress.damage ? { ...progress.damage } : null;
     }
+    if (CELESTIAL_BODIES[settings.body]) this.selectedBody = settings.body;
+    this.lander.setThrottle(settings.throttle);
+    setVolume(settings.volume);
   }
 
-  // Compute the terrain pixel Y coordinate at a given pixel X using linear interpolation
-  getTerrainYPixel(xPix) {
-    if (this.terrainPoints.length === 0) return this.canvas.height;
-    const i = Math.min(Math.floor(xPix / this.segmentWidth), this.numSegments - 1); // clamp index
-    const t = (xPix - i * this.segmentWidth) / this.segmentWidth;
-    const h0 = this.terrainPoints[i];
-    const h1 = this.terrainPoints[i + 1];
-    const heightNorm = h0 * (1 - t) + h1 * t;
-    return this.canvas.height - heightNorm * this.canvas.height;
+  // Copy the campaign progress and the current settings into the profile and
+  // save it. Progress only counts in the built-in campaign, and neither it
+  // nor the lander and destination change while the run is suspended.
+  storeProfile() {
+    const { progress, settings } = this.profile;
+    if (this.levelPack === BUILTIN_LEVEL_PACK && !this.suspendedRun) {
+      progress.level = this.level;
+      progress.highestLevel = Math.max(progress.highestLevel, this.level);
+      progress.runScore = this.runScore;
+      progress.levelCrashes = this.crashesOnLevel;
+      progress.seed = this.seed;
+      progress.flights = this.runFlights.slice();
+      progress.damage = this.startDamage ? { ...this.startDamage } : null;
+    }
+    if (!this.suspendedRun) {
+      settings.lander = this.landerType;
+      settings.body = this.selectedBody;
+    }
+    settings.throttle = this.lander.throttle;
+    saveProfile(this.profileStorage, this.profile);
   }
 
-  // Draw the lunar surface on the canvas, highlighting the safe landing pad.
+  // Cache the terrain outline for drawing along with the collision geometry.
+  // The camera maps world pixels onto the canvas.
+  buildTerrainGeometry() {
+    super.buildTerrainGeometry();
+    this.terrainPath = new Path2D();
+    this.polygonPixels.forEach(polygon => {
+      polygon.forEach(([x, y], i) => {
+        if (i === 0) {
+          this.terrainPath.moveTo(x, y);
+        } else {
+          this.terrainPath.lineTo(x, y);
+        }
+      });
+      this.terrainPath.closePath();
+    });
+  }
+
+  // Flag the point a precision mission has to land on
+  drawMarker() {
+    if (!this.mission || this.mission.marker === null) return;
+    const [pad] = this.landingPads;
+    const { x, y } = this.toPixelCoords(this.mission.marker, pad.height * CONFIG.maxAltitude);
+    this.ctx.strokeStyle = '#ffd700';
+    this.ctx.fillStyle = '#ffd700';
+    this.ctx.lineWidth = 1;
+    this.ctx.beginPath();
+    this.ctx.moveTo(x, y);
+    this.ctx.lineTo(x, y - 24);
+    this.ctx.stroke();
+    this.ctx.beginPath();
+    this.ctx.moveTo(x, y - 24);
+    this.ctx.lineTo(x + 10, y - 20);
+    this.ctx.lineTo(x, y - 16);
+    this.ctx.closePath();
+    this.ctx.fill();
+  }
+
+  // Draw the lunar surface on the canvas, highlighting the safe landing pads
+  // and labelling each with its score multiplier, then the level objects.
   drawTerrain() {
     if (!this.terrainPath) return;
-    this.ctx.strokeStyle = '#7b8794';
-    this.ctx.fillStyle = '#1e2530';
+    this.ctx.strokeStyle = this.body.palette.edge;
+    this.ctx.fillStyle = this.body.palette.ground;
     this.ctx.fill(this.terrainPath);
     this.ctx.stroke(this.terrainPath);
-    if (!this.structure) {
-      // Highlight safe landing pad on the ground using cached pixel values
-      const { start, end, y } = this.safePadPixels;
-      this.ctx.fillStyle = '#2a9d8f';
-      // Draw a thicker, stroked rectangle so the pad stands out clearly even on
-      // high-DPI displays where a single fill might be hard to see.
-      this.ctx.fillRect(start, y - 2, end - start, 4);
-      this.ctx.strokeStyle = '#2a9d8f';
-      this.ctx.lineWidth = 2;
-      this.ctx.strokeRect(start, y - 2, end - start, 4);
-    } else {
-      // Draw vertical docking structure with side pad
-      const { x, width, top, padYStart, padYEnd } = this.structurePixels;
-      this.ctx.fillStyle = '#5a5a5a';
-      this.ctx.fillRect(x, top, width, this.canvas.height - top);
-      this.ctx.fillStyle = '#2a9d8f';
-      const padOffset = this.structure.padSide === 'left' ? -4 : width;
-      this.ctx.fillRect(x + padOffset, padYEnd, 4, padYStart - padYEnd);
+    if (this.padsVisible()) {
+      // Highlight safe landing pads on the ground using cached pixel values
+      this.ctx.font = '8px "Press Start 2P", monospace';
+      this.ctx.textAlign = 'center';
+      this.padPixels.forEach(({ start, end, y, multiplier }) => {
+        this.ctx.fillStyle = '#2a9d8f';
+        // Draw a thicker, stroked rectangle so the pad stands out clearly even on
+        // high-DPI displays where a single fill might be hard to see.
+        this.ctx.fillRect(start, y - 2, end - start, 4);
+        this.ctx.strokeStyle = '#2a9d8f';
+        this.ctx.lineWidth = 2;
+        this.ctx.strokeRect(start, y - 2, end - start, 4);
+        this.ctx.fillText(`×${multiplier}`, (start + end) / 2, y + 14);
+      });
     }
+    this.levelObjects.forEach(object => object.draw(this.ctx));
+  }
+
+  // Point the camera at the lander, zooming in as it nears the ground.
+  updateCamera(pose) {
+    const { x: xPix, y: yPix } = this.toPixelCoords(pose.horizontalPosition, pose.altitude);
+    const heightAboveGround = this.getHeightAboveGround(pose.horizontalPosition, pose.altitude);
+    this.camera.follow(
+      xPix,
+      yPix - this.landerStats.legs.foot[1],
+      getCameraZoom(heightAboveGround),
+      this.worldWidth,
+      this.canvas.height
+    );
   }
 
-  // Convert physical coordinates to pixel positions
-  toPixelCoords(horizontalPosition, altitude) {
-    const x = (horizontalPosition / CONFIG.maxRange) * this.canvas.width;
-    const y =
-      this.canvas.height - (altitude / CONFIG.maxAltitude) * this.canvas.height;
-    return { x, y };
+  // Mark landing pads outside the view with arrows on the canvas edges so
+  // the player knows which way to fly.
+  drawOffscreenPads() {
+    if (!this.padsVisible()) return;
+    const { left, right } = this.camera.getBounds();
+    this.ctx.fillStyle = '#2a9d8f';
+    this.padPixels.forEach(({ start, end, y }) => {
+      if (end >= left && start <= right) return;
+      const direction = start > right ? 1 : -1;
+      const tipX = direction > 0 ? this.canvas.width - 2 : 2;
+      const screenY = this.camera.toScreen(start, y).y;
+      const tipY = Math.min(Math.max(screenY, 10), this.canvas.height - 10);
+      this.ctx.beginPath();
+      this.ctx.moveTo(tipX, tipY);
+      this.ctx.lineTo(tipX - direction * 10, tipY - 6);
+      this.ctx.lineTo(tipX - direction * 10, tipY + 6);
+      this.ctx.closePath();
+      this.ctx.fill();
+    });
   }
 
   // Update textual status on the page
@@ -312,23 +355,241 @@ class Game {
     this.vVelElem.textContent = `VV ${this.lander.verticalVelocity.toFixed(1)}m/s`;
     this.hVelElem.textContent = `HV ${this.lander.horizontalVelocity.toFixed(1)}m/s`;
     this.fuelElem.textContent = `FUEL ${Math.floor(this.lander.fuel)}`;
-    this.levelElem.textContent = `LVL ${this.level}`;
-    this.messageElem.textContent = this.messageKey ? translations[currentLang][this.messageKey] : '';
+    if (this.deltaVElem) {
+      this.deltaVElem.textContent = `ΔV ${Math.floor(this.lander.getDeltaV())}m/s`;
+    }
+    const throttlePercent = Math.round(this.lander.throttle * 100);
+    if (this.throttleElem) {
+      this.throttleElem.textContent = `THR ${throttlePercent}%`;
+    }
+    if (this.throttleSlider) {
+      this.throttleSlider.value = throttlePercent;
+    }
+    if (this.timerElem) {
+      // Countdown on levels with a time limit
+      const left = this.timeLimit === null ? null : Math.max(this.timeLimit - this.tick * CONFIG.fixedTimestep, 0);
+      this.timerElem.textContent = left === null ? '' : `TIME ${left.toFixed(1)}s`;
+    }
+    if (this.mission) {
+      this.levelElem.textContent = translations[currentLang][MISSION_HUD_KEYS[this.mission.mode]];
+    } else {
+      this.levelElem.textContent = this.daily ? `DAILY ${this.daily.day}` : `LVL ${this.level}`;
+    }
+    if (this.scoreElem) {
+      this.scoreElem.textContent = `SCORE ${this.runScore}`;
+    }
+    if (this.seedElem) {
+      this.seedElem.textContent = `SEED ${this.seed}`;
+    }
+    if (this.windElem) {
+      // Only bodies with an atmosphere have wind to report
+      this.windElem.textContent = this.body.wind ? `WIND ${this.wind.toFixed(1)}m/s` : '';
+    }
+    if (this.hullElem) {
+      this.hullElem.textContent = `HULL ${Math.round(this.lander.hull * 100)}%`;
+    }
+    if (this.enginesElem) {
+      // Health of the main engine and the left and right thrusters; failed
+      // ones show as dashes
+      const health = value => (value > 0 ? Math.round(value * 100) : '--');
+      const { mainEngineHealth, leftThrusterHealth, rightThrusterHealth } = this.lander;
+      this.enginesElem.textContent =
+        `ENG M${health(mainEngineHealth)} L${health(leftThrusterHealth)} R${health(rightThrusterHealth)}`;
+    }
+    let message = this.messageKey ? translations[currentLang][this.messageKey] : '';
+    if (this.gameOver) {
+      const report = this.getDamageReport();
+      if (report) message += ` ${report}`;
+    }
+    this.messageElem.textContent = message;
+    this.updateCrashReasons();
+    this.updateScoreBreakdown();
+    this.updateMissionResults();
   }
 
-  // Draw the lander, ground and thruster flames on the canvas
-  draw() {
-    // Clear entire canvas
-    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+  // List the failed landing criteria under the end message, e.g. "Vertical
+  // speed 5.2 m/s > 4.0 m/s". Missions list them with their results.
+  updateCrashReasons() {
+    this.renderList(this.crashReasonsElem, this.mission ? [] : this.getCrashReasonLines());
+  }
 
-    // Draw the terrain and safe pad
-    this.drawTerrain();
+  getCrashReasonLines() {
+    const t = translations[currentLang];
+    return (this.gameOver ? this.crashReasons : []).map(({ key, actual, limit }) => {
+      let text = t[key];
+      if (actual !== undefined) text = text.replace('{actual}', actual.toFixed(1));
+      if (limit !== undefined) text = text.replace('{limit}', limit.toFixed(1));
+      return text;
+    });
+  }
+
+  // List the points of the last landing under the end message, followed by
+  // the landing score and the run total.
+  updateScoreBreakdown() {
+    const t = translations[currentLang];
+    // Missions show their own results instead
+    const score = this.gameOver && !this.mission ? this.landingScore : null;
+    const lines = score
+      ? [
+          `${t.score_fuel} +${score.fuel}`,
+          `${t.score_vertical} +${score.vertical}`,
+          `${t.score_horizontal} +${score.horizontal}`,
+          `${t.score_accuracy} +${score.accuracy}`,
+          `${t.score_time} +${score.time}`,
+          `${t.score_pad} ×${score.multiplier}`,
+          `${t.score_landing} ${score.total}`,
+          `${t.score_run} ${this.runScore}`
+        ]
+      : [];
+    if (score && score.best !== undefined) {
+      lines.push(`${score.newBest ? t.score_new_best : t.score_best} ${score.best}`);
+    }
+    this.renderList(this.scoreBreakdownElem, lines);
+  }
+
+  // List the results of a mission flight under the end message: why it
+  // failed, its figures, the mission score and the best one of the mode.
+  updateMissionResults() {
+    const t = translations[currentLang];
+    const result = this.gameOver && this.mission ? this.missionResult : null;
+    const lines = result
+      ? [
+          ...this.getCrashReasonLines(),
+          ...result.results.map(({ key, value }) => `${t[key]} ${value}`),
+          `${t.mission_score} ${result.score}`
+        ]
+      : [];
+    if (result && result.best !== undefined) {
+      lines.push(`${result.newBest ? t.score_new_best : t.score_best} ${result.best}`);
+    }
+    this.renderList(this.missionResultsElem, lines);
+  }
+
+  // Fill an end-screen list with one item per line and hide it when empty.
+  // Lists are only rebuilt when their text changes.
+  renderList(elem, lines) {
+    if (!elem) return;
+    const content = lines.join('\n');
+    if (this.renderedLists.get(elem) === content) return;
+    this.renderedLists.set(elem, content);
+    elem.replaceChildren(
+      ...lines.map(line => {
+        const item = document.createElement('li');
+        item.textContent = line;
+        return item;
+      })
+    );
+    elem.classList.toggle('hidden', lines.length === 0);
+  }
+
+  // Summary of the damage taken for the end of a flight, e.g. "Hull damage:
+  // 40% · Left thruster failed", or an empty string for an intact lander.
+  getDamageReport() {
+    const t = translations[currentLang];
+    const parts = [];
+    if (this.lander.hull < 1) {
+      parts.push(`${t.hull_damage} ${Math.round((1 - this.lander.hull) * 100)}%`);
+    }
+    if (this.lander.mainEngineHealth === 0) parts.push(t.main_engine_failed);
+    if (this.lander.leftThrusterHealth === 0) parts.push(t.left_thruster_failed);
+    if (this.lander.rightThrusterHealth === 0) parts.push(t.right_thruster_failed);
+    return parts.join(' · ');
+  }
+
+  // Blend the pose from before the last simulation step with the current one.
+  // `alpha` is the fraction of a step elapsed since then (0–1).
+  interpolateLanderPose(alpha) {
+    const current = this.getLanderPose();
+    const previous = this.previousLanderPose || current;
+    const blend = key => previous[key] + (current[key] - previous[key]) * alpha;
+    return {
+      horizontalPosition: blend('horizontalPosition'),
+      altitude: blend('altitude'),
+      angle: blend('angle')
+    };
+  }
+
+  // Draw the legs and body of a lander of `type` in its own frame, centred
+  // on the body, with the current fill colour.
+  drawLanderShape(type) {
+    const halfW = CONFIG.landerWidth / 2;
+    const halfH = CONFIG.landerHeight / 2;
+    const legs = LANDER_TYPES[type].legs;
+    // Landing legs, each ending in a foot pad
+    this.ctx.strokeStyle = this.ctx.fillStyle;
+    this.ctx.lineWidth = 2;
+    this.ctx.beginPath();
+    [-1, 1].forEach(side => {
+      this.ctx.moveTo(side * legs.hip[0], legs.hip[1]);
+      this.ctx.lineTo(side * legs.foot[0], legs.foot[1]);
+      this.ctx.moveTo(side * legs.foot[0] - 3, legs.foot[1]);
+      this.ctx.lineTo(side * legs.foot[0] + 3, legs.foot[1]);
+    });
+    this.ctx.stroke();
+    // Draw different lander shapes based on the type
+    switch (type) {
+      case 'round':
+        this.ctx.beginPath();
+        this.ctx.arc(0, 0, halfH, 0, Math.PI * 2);
+        this.ctx.fill();
+        break;
+      case 'triangle':
+        this.ctx.beginPath();
+        this.ctx.moveTo(0, -halfH);
+        this.ctx.lineTo(halfW, halfH);
+        this.ctx.lineTo(-halfW, halfH);
+        this.ctx.closePath();
+        this.ctx.fill();
+        break;
+      default:
+        this.ctx.fillRect(-halfW, -halfH, CONFIG.landerWidth, CONFIG.landerHeight);
+    }
+  }
+
+  // Draw the translucent ghost of the best flight where it was at this point
+  // of the attempt, blended like the lander by `alpha`. It waits where its
+  // flight ended.
+  drawGhost(alpha) {
+    if (!this.ghost || !this.profile.settings.ghost || !this.gameStarted) return;
+    const { poses, lander } = this.ghost;
+    const last = poses.length - 1;
+    const previous = poses[Math.min(Math.max(this.tick - 1, 0), last)];
+    const current = poses[Math.min(this.tick, last)];
+    const blend = key => previous[key] + (current[key] - previous[key]) * alpha;
+    const { x, y } = this.toPixelCoords(blend('horizontalPosition'), blend('altitude'));
+    this.ctx.save();
+    this.ctx.globalAlpha = 0.35;
+    this.ctx.fillStyle = '#9ad1ff';
+    this.ctx.translate(x, y - LANDER_TYPES[lander].legs.foot[1]);
+    this.ctx.rotate(blend('angle'));
+    this.drawLanderShape(lander);
+    this.ctx.restore();
+  }
+
+  // Draw the lander, ground and thruster flames on the canvas. `alpha` is
+  // used to interpolate the lander between the last two simulation steps.
+  draw(alpha = 1) {
+    // Clear entire canvas to the sky of the current body
+    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    this.ctx.fillStyle = this.body.palette.sky;
+    this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
 
     // Convert physical coordinates to pixel positions
+    const pose = this.interpolateLanderPose(alpha);
     const { x: xPix, y: yPix } = this.toPixelCoords(
-      this.lander.horizontalPosition,
-      this.lander.altitude
+      pose.horizontalPosition,
+      pose.altitude
     );
+
+    // Everything in the world is drawn through the camera
+    this.updateCamera(pose);
+    this.ctx.save();
+    this.camera.apply(this.ctx);
+
+    // Draw the terrain and safe pad
+    this.drawTerrain();
+    this.drawMarker();
+    this.drawGhost(alpha);
     // Draw the lunar module body or a crumpled wreck if crashed
     this.ctx.fillStyle = '#dcdcdc';
     if (this.crashed) {
@@ -348,242 +609,362 @@ class Game {
       this.ctx.lineTo(xPix - CONFIG.landerWidth / 2, yPix - collapsedHeight / 2);
       this.ctx.stroke();
     } else {
-      // Draw different lander shapes based on the selected type
-      switch (this.lander.type) {
-        case 'round':
-          this.ctx.beginPath();
-          this.ctx.arc(
-            xPix,
-            yPix - CONFIG.landerHeight / 2,
-            CONFIG.landerHeight / 2,
-            0,
-            Math.PI * 2
-          );
-          this.ctx.fill();
-          break;
-        case 'triangle':
-          this.ctx.beginPath();
-          this.ctx.moveTo(xPix, yPix - CONFIG.landerHeight);
-          this.ctx.lineTo(xPix + CONFIG.landerWidth / 2, yPix);
-          this.ctx.lineTo(xPix - CONFIG.landerWidth / 2, yPix);
-          this.ctx.closePath();
-          this.ctx.fill();
-          break;
-        default:
-          this.ctx.fillRect(
-            xPix - CONFIG.landerWidth / 2,
-            yPix - CONFIG.landerHeight,
-            CONFIG.landerWidth,
-            CONFIG.landerHeight
-          );
-      }
-    }
-
-    // Main thruster flame (drawn below the lander) when firing
-    if (this.lander.upThruster && this.lander.fuel > 0 && !this.gameOver) {
+      // Draw the body and flames in the lander's own frame, rotated about the
+      // centre of the body so the craft visibly tilts with its attitude.
+      const halfW = CONFIG.landerWidth / 2;
+      const halfH = CONFIG.landerHeight / 2;
+      this.ctx.save();
+      this.ctx.translate(xPix, yPix - this.landerStats.legs.foot[1]);
+      this.ctx.rotate(pose.angle);
+      this.drawLanderShape(this.lander.type);
+
+      const firing = this.lander.fuel > 0 && !this.gameOver && !this.tipping;
       this.ctx.fillStyle = '#ff9e00';
-      this.ctx.beginPath();
-      this.ctx.moveTo(xPix - 10, yPix);
-      this.ctx.lineTo(xPix, yPix + 15);
-      this.ctx.lineTo(xPix + 10, yPix);
-      this.ctx.closePath();
-      this.ctx.fill();
-    }
 
-    // Left thruster flame (drawn on the right side of the module) when firing
-      if (this.lander.leftThruster && this.lander.fuel > 0 && !this.gameOver) {
-        this.ctx.fillStyle = '#ff9e00';
+      // Main thruster flame (drawn below the lander) when firing. Its length
+      // follows the throttle setting.
+      if (this.lander.upThruster && firing) {
         this.ctx.beginPath();
-        this.ctx.moveTo(xPix + CONFIG.landerWidth / 2, yPix - CONFIG.landerHeight + 5);
-        this.ctx.lineTo(
-          xPix + CONFIG.landerWidth / 2 + 15,
-          yPix - CONFIG.landerHeight + 15
-        );
-        this.ctx.lineTo(xPix + CONFIG.landerWidth / 2, yPix - CONFIG.landerHeight + 25);
+        this.ctx.moveTo(-10, halfH);
+        this.ctx.lineTo(0, halfH + 15 * this.lander.throttle);
+        this.ctx.lineTo(10, halfH);
         this.ctx.closePath();
         this.ctx.fill();
       }
 
-    // Right thruster flame (drawn on the left side of the module) when firing
-      if (this.lander.rightThruster && this.lander.fuel > 0 && !this.gameOver) {
-        this.ctx.fillStyle = '#ff9e00';
+      // Left thruster flame (drawn on the upper right side of the module so
+      // the exhaust rotates the nose to the left) when firing
+      if (this.lander.leftThruster && firing) {
         this.ctx.beginPath();
-        this.ctx.moveTo(xPix - CONFIG.landerWidth / 2, yPix - CONFIG.landerHeight + 5);
-        this.ctx.lineTo(
-          xPix - CONFIG.landerWidth / 2 - 15,
-          yPix - CONFIG.landerHeight + 15
-        );
-        this.ctx.lineTo(xPix - CONFIG.landerWidth / 2, yPix - CONFIG.landerHeight + 25);
+        this.ctx.moveTo(halfW, -halfH + 5);
+        this.ctx.lineTo(halfW + 15, -halfH + 10);
+        this.ctx.lineTo(halfW, -halfH + 15);
         this.ctx.closePath();
         this.ctx.fill();
       }
-  }
 
-  // Physics update executed on a fixed interval
-  updatePhysics(dt) {
-    // Only update physics if the game is in progress and not over
-    if (!this.gameStarted || this.gameOver) return;
+      // Right thruster flame (mirrored on the upper left side) when firing
+      if (this.lander.rightThruster && firing) {
+        this.ctx.beginPath();
+        this.ctx.moveTo(-halfW, -halfH + 5);
+        this.ctx.lineTo(-halfW - 15, -halfH + 10);
+        this.ctx.lineTo(-halfW, -halfH + 15);
+        this.ctx.closePath();
+        this.ctx.fill();
+      }
+      this.ctx.restore();
+    }
+    this.ctx.restore();
 
-    this.lander.update(dt, this.currentGravity, this.mainThrust, this.sideThrust);
+    this.drawOffscreenPads();
+  }
 
-    if (this.lander.anomaly) {
-      this.gameOver = true;
-      this.messageKey = 'anomaly_detected';
-      this.submitResult();
-      this.updateUI();
-      this.draw();
-      return;
+  // Finish the current attempt, recording a landing's best score, and reveal
+  // the end-of-level buttons.
+  endLevel(success) {
+    const { level } = this;
+    super.endLevel(success);
+    // A replay being watched leaves the player's profile and run alone
+    if (this.playback) return;
+    this.countAttempt(success, level);
+    if (this.mission) {
+      this.finishMission();
+    } else if (this.daily) {
+      this.profile.daily.score = success ? this.landingScore.total : null;
+    } else if (success && !this.testingLevel) {
+      const key = getLevelKey(this.levelPack.name, this.landingScore.level);
+      this.landingScore.newBest = recordBest(this.profile, key, this.landingScore.total);
+      this.landingScore.best = this.profile.bests[key];
+      recordGhost(
+        this.profile,
+        this.ghostKey(this.landingScore.level),
+        this.landingScore.total,
+        this.getFlightRecord()
+      );
+    }
+    this.storeProfile();
+    if (!this.daily) this.pendingResult = this.submitResult();
+    this.updateEndButtons();
+    stopThrusterSound();
+    playLandingSound(success);
+  }
+
+  // Judge the mission flight just finished and keep the best score of its
+  // mode. A landing that misses the marker is listed like a crash reason.
+  finishMission() {
+    const result = judgeMission(this.mission, this);
+    if (result.reason) this.crashReasons = [result.reason];
+    if (result.success) {
+      const key = getLevelKey(MISSION_PACK_NAME, this.mission.mode);
+      result.newBest = recordBest(this.profile, key, result.score);
+      result.best = this.profile.bests[key];
     }
+    this.messageKey = result.success ? 'mission_complete' : 'mission_failed';
+    this.missionResult = result;
+  }
 
-    // Convert positions to pixels for terrain collision detection
-    const { x: xPix, y: yPix } = this.toPixelCoords(
-      this.lander.horizontalPosition,
-      this.lander.altitude
+  // Count the attempt just finished at `level` towards the achievements and
+  // announce the ones it unlocks. Only the built-in campaign and the daily
+  // challenge count.
+  countAttempt(success, level) {
+    if (this.levelPack !== BUILTIN_LEVEL_PACK || this.testingLevel) return;
+    const unlocked = recordAttempt(this.profile, this.getAttempt(success, level));
+    this.crashesOnLevel = success ? 0 : this.crashesOnLevel + 1;
+    if (unlocked.length > 0) this.showAchievementToast(unlocked);
+  }
+
+  // Summary of the attempt just finished at `level` (see achievements.js)
+  getAttempt(success, level) {
+    const { highestLevel } = this.profile.progress;
+    return {
+      success,
+      level,
+      lander: this.landerType,
+      fuel: this.startFuel > 0 ? this.lander.fuel / this.startFuel : 0,
+      docked: success && this.docked,
+      firstTry: this.crashesOnLevel === 0,
+      // The daily challenge doesn't move the campaign on
+      highestLevel: this.suspendedRun ? highestLevel : Math.max(highestLevel, this.level)
+    };
+  }
+
+  // Name the achievements just unlocked over the game for a few seconds
+  showAchievementToast(ids) {
+    if (!this.achievementToast) return;
+    const t = translations[currentLang];
+    const names = ids.map(id => t[`achievement_${id}`]).join(' · ');
+    this.achievementToast.textContent = `${t.achievement_unlocked} ${names}`;
+    this.achievementToast.classList.remove('hidden');
+    clearTimeout(this.achievementToastTimer);
+    this.achievementToastTimer = setTimeout(
+      () => this.achievementToast.classList.add('hidden'),
+      ACHIEVEMENT_TOAST_TIME
     );
-    const terrainY = this.getTerrainYPixel(xPix);
-    // Check collision with side docking structure before ground collision
-    if (this.structure) {
-      const { x, width, top, padYStart, padYEnd } = this.structurePixels;
-      const { startRange, endRange, padSide } = this.structure;
-      const landerLeft = xPix - CONFIG.landerWidth / 2;
-      const landerRight = xPix + CONFIG.landerWidth / 2;
-      const landerTop = yPix - CONFIG.landerHeight;
-      const landerBottom = yPix;
-      if (landerRight >= x && landerLeft <= x + width && landerBottom > top) {
-        const impactVertical = this.lander.verticalVelocity;
-        const impactHorizontal = this.lander.horizontalVelocity;
-        this.lander.verticalVelocity = 0;
-        this.lander.horizontalVelocity = 0;
-        this.gameOver = true;
-        const withinPad = landerTop < padYStart && landerBottom > padYEnd;
-        const safeVertical = Math.abs(impactVertical) <= 2.0;
-        const safeHorizontal = Math.abs(impactHorizontal) <= 2.0;
-        const fromCorrectSide =
-          padSide === 'left'
-            ? this.lander.horizontalPosition < startRange
-            : this.lander.horizontalPosition > endRange;
-        let success =
-          withinPad && safeVertical && safeHorizontal && fromCorrectSide;
-        if (success) {
-          this.messageKey = 'success_message';
-          this.level += 1;
-          this.restartButton.setAttribute('data-i18n', 'next_level');
-          this.crashed = false;
-        } else {
-          this.messageKey = 'crash_message';
-          this.restartButton.setAttribute('data-i18n', 'retry_level');
-          this.crashed = true;
-        }
-        this.submitResult();
-        setLanguage(currentLang);
-        this.restartButton.classList.remove('hidden');
-        if (this.shareButton) {
-          this.shareButton.classList.remove('hidden');
-        }
-        if (this.endButtons) {
-          this.endButtons.classList.remove('hidden');
-        }
-        stopThrusterSound();
-        playLandingSound(success);
-        this.draw();
-        this.updateUI();
-        return;
-      }
+  }
+
+  // Note whether a landing is on the pad of a docking tower before the
+  // attempt ends
+  finishTouchdown(success, contact, reasons) {
+    this.docked = success && contact.source instanceof LEVEL_OBJECT_TYPES.tower;
+    super.finishTouchdown(success, contact, reasons);
+  }
+
+  cutEngines() {
+    super.cutEngines();
+    stopThrusterSound();
+  }
+
+  // Show or hide the restart and share buttons to match the game state and
+  // label the restart button according to the outcome.
+  // The viewer has its own controls while a replay is watched.
+  updateEndButtons() {
+    const ended = this.gameOver && !this.playback;
+    let labelKey = 'restart';
+    if (ended && this.mission) {
+      labelKey = 'mission_retry';
+    } else if (ended && this.daily) {
+      labelKey = 'daily_continue';
+    } else if (ended && this.messageKey !== 'pack_complete') {
+      labelKey = this.crashed ? 'retry_level' : 'next_level';
     }
-    if (yPix >= terrainY) {
-      // Capture impact velocities before stopping the lander
-      const impactVertical = this.lander.verticalVelocity;
-      const impactHorizontal = this.lander.horizontalVelocity;
-      // Touching terrain: snap the lander to the surface and end the game
-      const surfaceAltitude =
-        ((this.canvas.height - terrainY) / this.canvas.height) * CONFIG.maxAltitude;
-      this.lander.altitude = surfaceAltitude;
-      this.lander.verticalVelocity = 0;
-      this.lander.horizontalVelocity = 0;
-      this.gameOver = true;
-      // Determine if landing is successful: low speeds and within safe landing pad
-      const safeVertical = Math.abs(impactVertical) <= 2.0;
-      const safeHorizontal = Math.abs(impactHorizontal) <= 2.0;
-      const safePosition =
-        this.lander.horizontalPosition >= this.safeZone.startRange &&
-        this.lander.horizontalPosition <= this.safeZone.endRange;
-      if (safeVertical && safeHorizontal && safePosition) {
-        // Successful landing: advance to the next level and update controls
-        this.messageKey = 'success_message';
-        this.level += 1;
-        this.restartButton.setAttribute('data-i18n', 'next_level');
-        this.crashed = false;
-      } else {
-        this.messageKey = 'crash_message';
-        this.restartButton.setAttribute('data-i18n', 'retry_level');
-        this.crashed = true;
-      }
-      this.submitResult();
-      setLanguage(currentLang);
-      // Reveal the restart and share buttons when the game ends and show the container
-      this.restartButton.classList.remove('hidden');
-      if (this.shareButton) {
-        this.shareButton.classList.remove('hidden');
-      }
-      if (this.endButtons) {
-        this.endButtons.classList.remove('hidden');
-      }
-      stopThrusterSound();
-      playLandingSound(safeVertical && safeHorizontal && safePosition);
+    this.restartButton.setAttribute('data-i18n', labelKey);
+    this.restartButton.classList.toggle('hidden', !ended);
+    if (this.shareButton) {
+      this.shareButton.classList.toggle('hidden', !ended);
     }
-
-    // Redraw the game and update text on each tick
-    this.draw();
-    this.updateUI();
+    if (this.saveReplayButton) {
+      this.saveReplayButton.classList.toggle('hidden', !ended);
+    }
+    if (this.backToEditorButton) {
+      this.backToEditorButton.classList.toggle('hidden', !(ended && this.testingLevel));
+    }
+    if (this.missionMenuButton) {
+      this.missionMenuButton.classList.toggle('hidden', !(ended && this.mission));
+    }
+    if (this.submitScoreElem) {
+      this.submitScoreElem.classList.toggle('hidden', !this.canSubmitScore());
+    }
+    if (this.endButtons) {
+      this.endButtons.classList.toggle('hidden', !ended);
+    }
+    setLanguage(currentLang);
   }
 
+  // Have the server fly the attempt just finished again and confirm its
+  // outcome. Only the built-in campaign can be checked.
   async submitResult() {
-    if (!this.serverToken) return;
+    if (!this.serverToken || this.levelPack !== BUILTIN_LEVEL_PACK || this.testingLevel) return;
     const body = {
-      token: this.serverToken,
-      result: {
-        altitude: this.lander.altitude,
-        verticalVelocity: this.lander.verticalVelocity
+      seed: this.seed,
+      flight: this.getFlightRecord(),
+      outcome: {
+        success: !this.crashed,
+        score: this.landingScore ? this.landingScore.total : 0
       }
     };
     try {
-      await fetch('/validate', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(body)
-      });
+      const data = await this.postToServer('/validate', body);
+      if (!data.ok) console.warn('Result rejected', data.reason);
     } catch (err) {
       console.warn('Result validation failed', err);
     }
   }
 
-  // Reset the game state to initial conditions
-  restartGame() {
-    // Reset the module's state to starting conditions for the current level.
-    const startFuel = Math.max(this.baseFuel - CONFIG.fuelDecrease * (this.level - 1), 100);
-    this.lander.reset(startFuel);
-    // Increase gravity only for early levels. After level 6 the gravitational
-    // pull stays roughly the same while difficulty comes from terrain layout.
-    const gravityLevels = Math.min(this.level - 1, 5);
-    this.currentGravity = CONFIG.gravity + CONFIG.gravityIncrement * gravityLevels;
-    // Clear thruster flags and reset state
-    this.gameOver = false;
-    this.messageKey = null;
-    this.crashed = false;
-    // Mark the game as started so physics updates will run
-    this.gameStarted = true;
-    // Generate a new random terrain and safe zone each game
-    this.generateTerrain();
-    this.restartButton.classList.add('hidden');
-    // Hide share button when restarting level and hide the end buttons container
-    if (this.shareButton) {
-      this.shareButton.classList.add('hidden');
+  // Whether the run can go on the server's leaderboard: after a landing in
+  // the built-in campaign, with the server available
+  canSubmitScore() {
+    return (
+      this.gameOver &&
+      !this.playback &&
+      Boolean(this.landingScore) &&
+      this.levelPack === BUILTIN_LEVEL_PACK &&
+      !this.testingLevel &&
+      Boolean(this.serverToken)
+    );
+  }
+
+  // Send the run so far to the leaderboard under the player's `name`, with
+  // its flights for the server to fly again, or the landing to the daily
+  // leaderboard during the daily challenge. Resolves with the server's
+  // reply: { ok, rank } or { ok: false, reason }.
+  async submitScore(name) {
+    // The check of the last flight may still be spending the token
+    await this.pendingResult;
+    let url = '/scores';
+    let body = {
+      run: {
+        name,
+        level: this.landingScore.level,
+        lander: this.landerType,
+        score: this.runScore,
+        seed: this.seed,
+        flights: this.runFlights
+      }
+    };
+    if (this.daily) {
+      url = '/daily/scores';
+      // The landing goes on the board under the pilot who started it
+      body = { ticket: this.dailyTicket, run: { name: this.dailyPilot, flight: this.getFlightRecord() } };
     }
-    if (this.endButtons) {
-      this.endButtons.classList.add('hidden');
+    const reply = await this.postToServer(url, body);
+    // Try once more with the new token when ours had expired
+    return reply.token ? reply : this.postToServer(url, body);
+  }
+
+  // The attempt just finished as a replay (see recording.js)
+  getReplay() {
+    return createReplay(this.levelPack, this.seed, this.getFlightRecord());
+  }
+
+  // Key of `level` among the profile's ghosts
+  ghostKey(level) {
+    return getGhostKey(this.levelPack.name, level, this.levelPack.procedural ? this.seed : null);
+  }
+
+  // Get the ghost of the best flight of the level just started ready, when
+  // there is one and the player wants to see it.
+  prepareGhost() {
+    this.ghost = null;
+    if (!this.profile.settings.ghost || this.testingLevel) return;
+    const saved = this.profile.ghosts[this.ghostKey(this.level)];
+    if (!saved) return;
+    try {
+      this.ghost = traceFlight(this.levelPack, this.seed, saved.flight);
+    } catch (err) {
+      console.warn('Failed to replay the ghost flight', err);
     }
-    this.restartButton.setAttribute('data-i18n', 'restart');
-    setLanguage(currentLang);
+  }
+
+  // Put the player's run aside for a flight that isn't part of it: a replay,
+  // the daily challenge, a mission or a test flight from the editor.
+  // `resumeRun()` brings it back as it was.
+  suspendRun() {
+    this.suspendedRun = {
+      snapshot: this.snapshot(),
+      pack: this.levelPack,
+      body: this.selectedBody,
+      ghost: this.ghost,
+      crashesOnLevel: this.crashesOnLevel
+    };
+    this.ghost = null;
+    this.crashesOnLevel = 0;
+  }
+
+  resumeRun() {
+    const { snapshot, pack, body, ghost, crashesOnLevel } = this.suspendedRun;
+    this.suspendedRun = null;
+    this.setLevelPack(pack);
+    this.selectedBody = body;
+    this.restore(snapshot);
+    this.ghost = ghost;
+    this.crashesOnLevel = crashesOnLevel;
+  }
+
+  // Fly the daily challenge from the server (see server/daily.js): a level
+  // every player gets on the same terrain. The attempt counts for `pilot`
+  // once started, and the player's run waits until it is over.
+  startDaily(challenge, ticket, pilot) {
+    this.suspendRun();
+    this.daily = challenge;
+    this.dailyTicket = ticket;
+    this.dailyPilot = pilot;
+    this.profile.daily = { day: challenge.day, score: null };
+    this.storeProfile();
+    this.seed = challenge.seed;
+    this.setLevelPack(BUILTIN_LEVEL_PACK);
+    this.startFlight({ level: challenge.level, lander: challenge.lander, body: challenge.body, damage: null });
+    // Only the daily landing counts towards the score shown
+    this.runScore = 0;
+    this.runFlights = [];
+    this.showAttempt();
+  }
+
+  // Fly a mission of `mode` (see missions.js) on the run's seed. The
+  // player's run waits until `endMission()`.
+  startMission(mode) {
+    this.suspendRun();
+    this.mission = createMission(mode, this.seed, this.selectedBody);
+    this.missionResult = null;
+    this.setLevelPack(this.mission.pack);
+    this.startLevel();
+    this.showAttempt();
+  }
+
+  endMission() {
+    this.mission = null;
+    this.missionResult = null;
+    this.resumeRun();
+  }
+
+  // Reset the game state to initial conditions. After the daily challenge
+  // the player's run goes on; a mission is flown again.
+  restartGame() {
+    if (this.daily) {
+      this.daily = null;
+      this.dailyTicket = null;
+      this.dailyPilot = null;
+      this.resumeRun();
+    }
+    this.startLevel();
+    this.prepareGhost();
+    this.showAttempt();
+  }
+
+  // Show the attempt just started
+  showAttempt() {
+    // Let the next landing be submitted
+    if (this.submitScoreButton) this.submitScoreButton.disabled = false;
+    if (this.submitStatusElem) this.submitStatusElem.textContent = '';
+    // Hide the end buttons while the level is in progress
+    this.updateEndButtons();
+    this.updateUI();
+    this.draw();
+  }
+
+  // Restore a state previously produced by `snapshot()` and show it.
+  restore(snapshot) {
+    super.restore(snapshot);
+    this.updateEndButtons();
     this.updateUI();
     this.draw();
   }
@@ -593,6 +974,21 @@ class Game {
 const game = new Game();
 window.game = game;
 
+// Name of saved replay files
+const REPLAY_FILE_NAME = 'lunar-lander-replay.json';
+
+// Save a blob to the user's device as `filename`
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
 //
 // Share functionality: capture the current game area as an image and share via Web Share API
 // or provide a fallback download if sharing is not supported.
@@ -607,26 +1003,25 @@ async function shareStats() {
     });
 
     const file = new File([blob], 'lunar-lander-stats.png', { type: 'image/png' });
+    // Send the replay of the flight along with the picture where the
+    // platform can share it
+    const replayFile = new File([serializeReplay(game.getReplay())], REPLAY_FILE_NAME, {
+      type: 'application/json'
+    });
+    const canShareReplay = Boolean(navigator.canShare) && navigator.canShare({ files: [file, replayFile] });
     // Compose share text with current statistics
-    const shareText = `Level ${game.level}, Fuel left ${Math.floor(game.lander.fuel)}, Vertical velocity ${game.lander.verticalVelocity.toFixed(1)} m/s, Horizontal velocity ${game.lander.horizontalVelocity.toFixed(1)} m/s`;
+    const shareText = `Level ${game.level}, Score ${game.runScore}, Fuel left ${Math.floor(game.lander.fuel)}, Vertical velocity ${game.lander.verticalVelocity.toFixed(1)} m/s, Horizontal velocity ${game.lander.horizontalVelocity.toFixed(1)} m/s`;
 
     // Use Web Share API if available and supports files
     if (navigator.canShare && navigator.canShare({ files: [file] })) {
       await navigator.share({
-        files: [file],
+        files: canShareReplay ? [file, replayFile] : [file],
         title: 'Lunar Lander Stats',
         text: shareText
       });
     } else {
       // Fallback: download the image to the user’s device
-      const url = URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = 'lunar-lander-stats.png';
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      URL.revokeObjectURL(url);
+      downloadBlob(blob, 'lunar-lander-stats.png');
     }
   } catch (error) {
     console.error('Share failed', error);
@@ -638,6 +1033,14 @@ if (game.shareButton) {
   game.shareButton.addEventListener('click', shareStats);
 }
 
+// Download the replay of the flight just finished, to watch again or send on
+if (game.saveReplayButton) {
+  game.saveReplayButton.addEventListener('click', () => {
+    const blob = new Blob([serializeReplay(game.getReplay())], { type: 'application/json' });
+    downloadBlob(blob, REPLAY_FILE_NAME);
+  });
+}
+
 // --------- Control handling ---------
 const thrusterButtons = [
   { id: 'btnUp', start: 'startUp', stop: 'stopUp' },
@@ -650,7 +1053,7 @@ thrusterButtons.forEach(({ id, start, stop }) => {
   if (!btn) return;
   const startHandler = e => {
     e.preventDefault();
-    if (!game.gameOver) {
+    if (!game.gameOver && !game.tipping && !game.playback) {
       audioContext.resume();
       game.lander[start]();
       startThrusterSound();
@@ -675,9 +1078,32 @@ const KEY_MAP = {
   ArrowRight: { start: 'startRight', stop: 'stopRight' }
 };
 
+// Keys that step the main engine throttle rather than hold a thruster
+const THROTTLE_KEY_MAP = {
+  ShiftLeft: 'throttleUp',
+  ShiftRight: 'throttleUp',
+  ControlLeft: 'throttleDown',
+  ControlRight: 'throttleDown'
+};
+
+// Typing in form fields (e.g. the level editor) must not fly the lander
+function isTypingTarget(target) {
+  return Boolean(target) && ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName);
+}
+
 document.addEventListener('keydown', e => {
+  // The replay viewer has keys of its own (see viewer.js)
+  if (isTypingTarget(e.target) || game.playback) return;
+  const throttleAction = THROTTLE_KEY_MAP[e.code];
+  if (throttleAction) {
+    game.lander[throttleAction]();
+    game.storeProfile();
+    game.updateUI();
+    e.preventDefault();
+    return;
+  }
   const action = KEY_MAP[e.code];
-  if (action && !game.gameOver) {
+  if (action && !game.gameOver && !game.tipping) {
     audioContext.resume();
     game.lander[action.start]();
     startThrusterSound();
@@ -692,10 +1118,20 @@ document.addEventListener('keyup', e => {
     if (!game.lander.upThruster && !game.lander.leftThruster && !game.lander.rightThruster) {
       stopThrusterSound();
     }
-    e.preventDefault();
+    if (!isTypingTarget(e.target)) e.preventDefault();
   }
 });
 
+// Throttle slider on the mobile controls (0–100%)
+if (game.throttleSlider) {
+  game.throttleSlider.addEventListener('input', e => {
+    if (game.playback) return;
+    game.lander.setThrottle(Number(e.target.value) / 100);
+    game.storeProfile();
+    game.updateUI();
+  });
+}
+
 // --------- Menu and modal logic ---------
 const menu = document.getElementById('menu');
 const playButton = document.getElementById('playButton');
@@ -708,25 +1144,324 @@ const closeCreditsBtn = document.getElementById('closeCredits');
 const landerSelection = document.getElementById('landerSelection');
 const landerButtons = document.querySelectorAll('.landerChoice');
 
+// Disable the landers that the first level of the active pack doesn't allow
+function updateLanderChoices() {
+  const allowed = game.getLevelDefinition().landers;
+  landerButtons.forEach(btn => {
+    btn.disabled = Boolean(allowed) && !allowed.includes(btn.getAttribute('data-type'));
+  });
+}
+
 if (playButton) {
   playButton.addEventListener('click', () => {
     if (menu) menu.classList.add('hidden');
     if (landerSelection) landerSelection.classList.remove('hidden');
+    updateLanderChoices();
   });
 }
 
-// Handle player choice of lander type after clicking play
+// Destination picked in the main menu
+const bodySelect = document.getElementById('bodySelect');
+if (bodySelect) {
+  bodySelect.addEventListener('change', () => game.setBody(bodySelect.value));
+}
+
+// --------- Leaderboard ---------
+const leaderboardButton = document.getElementById('leaderboardButton');
+const leaderboardModal = document.getElementById('leaderboardModal');
+const closeLeaderboardBtn = document.getElementById('closeLeaderboard');
+const leaderboardLevel = document.getElementById('leaderboardLevel');
+const leaderboardLander = document.getElementById('leaderboardLander');
+const leaderboardRows = document.getElementById('leaderboardRows');
+const leaderboardStatus = document.getElementById('leaderboardStatus');
+const pilotNameInput = document.getElementById('pilotName');
+
+function showLeaderboardStatus(key) {
+  leaderboardStatus.textContent = key ? translations[currentLang][key] : '';
+  leaderboardStatus.classList.toggle('hidden', !key);
+}
+
+// Fetch the top scores for the chosen level and lander, or of today's
+// daily challenge, and list them
+async function loadLeaderboard() {
+  const daily = leaderboardLevel.value === 'daily';
+  const params = new URLSearchParams();
+  if (leaderboardLevel.value && !daily) params.set('level', leaderboardLevel.value);
+  if (leaderboardLander.value && !daily) params.set('lander', leaderboardLander.value);
+  // Everyone flies the daily challenge with the same lander
+  leaderboardLander.disabled = daily;
+  try {
+    const res = await fetch(daily ? '/daily/scores' : `/scores?${params}`);
+    const data = await res.json();
+    if (!data.ok) throw new Error(data.reason);
+    const t = translations[currentLang];
+    leaderboardRows.replaceChildren(
+      ...data.scores.map((entry, i) => {
+        const row = document.createElement('tr');
+        [i + 1, entry.name, entry.level, t[`lander_${entry.lander}`], entry.score].forEach(value => {
+          const cell = document.createElement('td');
+          cell.textContent = value;
+          row.appendChild(cell);
+        });
+        return row;
+      })
+    );
+    showLeaderboardStatus(data.scores.length === 0 ? 'leaderboard_empty' : null);
+  } catch (err) {
+    console.warn('Failed to load leaderboard', err);
+    leaderboardRows.replaceChildren();
+    showLeaderboardStatus('leaderboard_error');
+  }
+}
+
+if (leaderboardButton && leaderboardModal) {
+  leaderboardButton.addEventListener('click', () => {
+    // Offer every level up to the highest one the player has reached
+    const levels = Math.max(game.profile.progress.highestLevel, 10);
+    const selected = leaderboardLevel.value;
+    leaderboardLevel.replaceChildren(leaderboardLevel.options[0], leaderboardLevel.options[1]);
+    for (let level = 1; level <= levels; level++) {
+      const option = document.createElement('option');
+      option.value = String(level);
+      option.textContent = String(level);
+      leaderboardLevel.appendChild(option);
+    }
+    leaderboardLevel.value = selected;
+    leaderboardModal.classList.remove('hidden');
+    loadLeaderboard();
+  });
+  leaderboardLevel.addEventListener('change', loadLeaderboard);
+  leaderboardLander.addEventListener('change', loadLeaderboard);
+  closeLeaderboardBtn.addEventListener('click', () => leaderboardModal.classList.add('hidden'));
+}
+
+// Submit the run from the end screen under the pilot name kept in the profile
+if (game.submitScoreButton && pilotNameInput) {
+  game.submitScoreButton.addEventListener('click', async () => {
+    const name = pilotNameInput.value.trim();
+    if (!name) {
+      pilotNameInput.focus();
+      return;
+    }
+    game.profile.settings.name = name;
+    game.storeProfile();
+    game.submitScoreButton.disabled = true;
+    const t = translations[currentLang];
+    try {
+      const reply = await game.submitScore(name);
+      if (!reply.ok) throw new Error(reply.reason);
+      game.submitStatusElem.textContent = reply.rank ? `${t.score_submitted} #${reply.rank}` : t.score_submitted;
+    } catch (err) {
+      console.warn('Failed to submit score', err);
+      game.submitStatusElem.textContent = `${t.score_submit_error} ${err.message}`;
+      game.submitScoreButton.disabled = false;
+    }
+  });
+}
+
+// --------- Achievements ---------
+const achievementsButton = document.getElementById('achievementsButton');
+const achievementsModal = document.getElementById('achievementsModal');
+const achievementsList = document.getElementById('achievementsList');
+const achievementsCount = document.getElementById('achievementsCount');
+const closeAchievementsBtn = document.getElementById('closeAchievements');
+
+// List every achievement, the locked ones dimmed, with how many are unlocked
+function showAchievements() {
+  const t = translations[currentLang];
+  const unlocked = ACHIEVEMENTS.filter(({ id }) => game.profile.achievements[id] !== undefined);
+  achievementsCount.textContent = t.achievements_count
+    .replace('{unlocked}', unlocked.length)
+    .replace('{total}', ACHIEVEMENTS.length);
+  achievementsList.replaceChildren(
+    ...ACHIEVEMENTS.map(({ id }) => {
+      const item = document.createElement('li');
+      const name = document.createElement('strong');
+      name.textContent = t[`achievement_${id}`];
+      const info = document.createElement('span');
+      info.textContent = t[`achievement_${id}_info`];
+      item.append(name, info);
+      item.classList.toggle('locked', !unlocked.some(achievement => achievement.id === id));
+      return item;
+    })
+  );
+}
+
+if (achievementsButton && achievementsModal) {
+  achievementsButton.addEventListener('click', () => {
+    showAchievements();
+    achievementsModal.classList.remove('hidden');
+  });
+  closeAchievementsBtn.addEventListener('click', () => achievementsModal.classList.add('hidden'));
+}
+
+// --------- Profile ---------
+const volumeSlider = document.getElementById('volumeSlider');
+const ghostToggle = document.getElementById('ghostToggle');
+const exportProfileButton = document.getElementById('exportProfileButton');
+const importProfileButton = document.getElementById('importProfileButton');
+const profileInput = document.getElementById('profileInput');
+const profileStatus = document.getElementById('profileStatus');
+
+// Show the profile's settings in the menu
+function updateProfileMenu() {
+  const { language, volume } = game.profile.settings;
+  if (language && translations[language]) setLanguage(language);
+  if (bodySelect) bodySelect.value = game.selectedBody;
+  if (volumeSlider) volumeSlider.value = Math.round(volume * 100);
+  if (pilotNameInput) pilotNameInput.value = game.profile.settings.name;
+  if (ghostToggle) ghostToggle.checked = game.profile.settings.ghost;
+}
+
+function showProfileStatus(key, detail = '') {
+  if (!profileStatus) return;
+  profileStatus.textContent = `${translations[currentLang][key]} ${detail}`.trim();
+  profileStatus.classList.remove('hidden');
+}
+
+updateProfileMenu();
+
+if (languageSelect) {
+  languageSelect.addEventListener('change', () => {
+    game.profile.settings.language = languageSelect.value;
+    game.storeProfile();
+  });
+}
+
+if (volumeSlider) {
+  volumeSlider.addEventListener('input', () => {
+    game.profile.settings.volume = Number(volumeSlider.value) / 100;
+    setVolume(game.profile.settings.volume);
+    game.storeProfile();
+  });
+}
+
+if (ghostToggle) {
+  ghostToggle.addEventListener('change', () => {
+    game.profile.settings.ghost = ghostToggle.checked;
+    game.storeProfile();
+  });
+}
+
+if (exportProfileButton) {
+  exportProfileButton.addEventListener('click', () => {
+    const blob = new Blob([serializeProfile(game.profile)], { type: 'application/json' });
+    downloadBlob(blob, 'lunar-lander-profile.json');
+  });
+}
+
+// Replace the profile with one from an exported file
+if (importProfileButton && profileInput) {
+  importProfileButton.addEventListener('click', () => profileInput.click());
+  profileInput.addEventListener('change', async () => {
+    const file = profileInput.files[0];
+    if (!file) return;
+    try {
+      game.profile = parseProfile(await file.text());
+      game.applyProfile();
+      game.storeProfile();
+      updateProfileMenu();
+      showProfileStatus('profile_imported');
+    } catch (err) {
+      console.warn('Failed to import profile', err);
+      showProfileStatus('profile_error', err.message);
+    }
+    profileInput.value = '';
+  });
+}
+
+// --------- Level packs ---------
+const loadLevelsButton = document.getElementById('loadLevelsButton');
+const levelPackInput = document.getElementById('levelPackInput');
+const packStatus = document.getElementById('packStatus');
+const packStatusLabel = document.getElementById('packStatusLabel');
+const packName = document.getElementById('packName');
+
+function showPackStatus(labelKey, detail) {
+  if (!packStatus) return;
+  packStatusLabel.setAttribute('data-i18n', labelKey);
+  packName.textContent = detail;
+  packStatus.classList.remove('hidden');
+  setLanguage(currentLang);
+}
+
+// Parse a level pack from JSON text and play it from its first level
+function loadLevelPack(text) {
+  try {
+    const pack = parseLevelPack(text, {
+      maxRange: CONFIG.maxRange,
+      maxAltitude: CONFIG.maxAltitude,
+      landerTypes: Object.keys(LANDER_TYPES)
+    });
+    game.setLevelPack(pack);
+    showPackStatus('pack_loaded', pack.name);
+  } catch (err) {
+    console.warn('Failed to load level pack', err);
+    showPackStatus('pack_error', err.message);
+  }
+}
+
+if (loadLevelsButton && levelPackInput) {
+  loadLevelsButton.addEventListener('click', () => levelPackInput.click());
+  levelPackInput.addEventListener('change', async () => {
+    const file = levelPackInput.files[0];
+    if (!file) return;
+    loadLevelPack(await file.text());
+    levelPackInput.value = '';
+  });
+}
+
+// A pack can also be loaded from a URL, e.g. `?pack=levels/example.json`
+const packUrl = new URLSearchParams(window.location.search).get('pack');
+if (packUrl) {
+  fetch(packUrl)
+    .then(res => res.text())
+    .then(loadLevelPack)
+    .catch(err => {
+      console.warn('Failed to fetch level pack', err);
+      showPackStatus('pack_error', packUrl);
+    });
+}
+
+// Handle player choice of lander type after clicking play, then of the
+// mode to fly it in: the campaign or one of the missions
+const modeSelection = document.getElementById('modeSelection');
+const modeButtons = document.querySelectorAll('.modeChoice');
+
 landerButtons.forEach(btn => {
   btn.addEventListener('click', () => {
     const type = btn.getAttribute('data-type');
-    game.setLanderType(type);
+    // Picking the lander already flown keeps the damage it carries
+    if (type !== game.landerType) game.setLanderType(type);
+    game.storeProfile();
     if (landerSelection) landerSelection.classList.add('hidden');
+    if (modeSelection) modeSelection.classList.remove('hidden');
+  });
+});
+
+modeButtons.forEach(btn => {
+  btn.addEventListener('click', () => {
+    const mode = btn.getAttribute('data-mode');
+    modeSelection.classList.add('hidden');
     const gameContainer = document.getElementById('gameContainer');
     if (gameContainer) gameContainer.classList.remove('hidden');
-    game.restartGame();
+    if (mode === 'campaign') {
+      game.restartGame();
+    } else {
+      game.startMission(mode);
+    }
   });
 });
 
+// Leave a mission for the main menu, back to the player's run
+if (game.missionMenuButton) {
+  game.missionMenuButton.addEventListener('click', () => {
+    game.endMission();
+    document.getElementById('gameContainer').classList.add('hidden');
+    if (menu) menu.classList.remove('hidden');
+  });
+}
+
 [
   { button: instructionsButton, modal: instructionsModal },
   { button: creditsButton, modal: creditsModal }
@@ -745,16 +1480,87 @@ landerButtons.forEach(btn => {
   }
 });
 
+// --------- Daily challenge ---------
+const dailyButton = document.getElementById('dailyButton');
+const dailyStatus = document.getElementById('dailyStatus');
+const dailyNameInput = document.getElementById('dailyName');
+
+function showDailyStatus(text) {
+  if (!dailyStatus) return;
+  dailyStatus.textContent = text;
+  dailyStatus.classList.remove('hidden');
+}
+
+// Fly today's challenge from the server, unless it has been flown already.
+// Asking for it starts the day's attempt under the pilot name in the
+// profile, which the server counts too; without a name one is asked for.
+if (dailyButton) {
+  dailyButton.addEventListener('click', async () => {
+    const t = translations[currentLang];
+    // Days change at midnight UTC, as on the server
+    if (game.profile.daily.day === new Date().toISOString().slice(0, 10)) {
+      showDailyStatus(`${t.daily_done} ${game.profile.daily.score || 0}`);
+      return;
+    }
+    const name = (dailyNameInput && dailyNameInput.value.trim()) || game.profile.settings.name;
+    if (!name) {
+      showDailyStatus(t.daily_name);
+      if (dailyNameInput) {
+        dailyNameInput.classList.remove('hidden');
+        dailyNameInput.focus();
+      }
+      return;
+    }
+    game.profile.settings.name = name;
+    if (pilotNameInput) pilotNameInput.value = name;
+    try {
+      const res = await fetch('/daily', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name })
+      });
+      const data = await res.json();
+      if (res.status === 400) {
+        showDailyStatus(data.reason === 'already flown today' ? t.daily_taken : t.daily_name);
+        return;
+      }
+      if (!data.ok) throw new Error(data.reason);
+      if (dailyStatus) dailyStatus.classList.add('hidden');
+      if (dailyNameInput) dailyNameInput.classList.add('hidden');
+      if (menu) menu.classList.add('hidden');
+      document.getElementById('gameContainer').classList.remove('hidden');
+      game.startDaily(data.challenge, data.ticket, name);
+    } catch (err) {
+      console.warn('Failed to load the daily challenge', err);
+      showDailyStatus(t.daily_error);
+    }
+  });
+}
+
 // --------- Game loop ---------
+// The simulation always advances in steps of `CONFIG.fixedTimestep` so the
+// same inputs produce the same flight on every device, whatever the display
+// refresh rate. Time left over in the accumulator is used to interpolate the
+// rendered lander between the last two steps. While a replay is watched the
+// viewer advances the simulation at its own pace instead.
 let lastTime = 0;
+let accumulator = 0;
 let paused = false;
 
 function gameLoop(timestamp) {
   if (!lastTime) lastTime = timestamp;
-  const dt = Math.min((timestamp - lastTime) / 1000, 0.1);
+  const frameTime = Math.min((timestamp - lastTime) / 1000, CONFIG.maxFrameTime);
   lastTime = timestamp;
-  if (!paused) {
-    game.updatePhysics(dt);
+  if (!paused && game.playback) {
+    game.playback.advance(frameTime);
+  } else if (!paused) {
+    accumulator += frameTime;
+    while (accumulator >= CONFIG.fixedTimestep) {
+      game.updatePhysics(CONFIG.fixedTimestep);
+      accumulator -= CONFIG.fixedTimestep;
+    }
+    game.draw(accumulator / CONFIG.fixedTimestep);
+    game.updateUI();
   }
   requestAnimationFrame(gameLoop);
 }
@@ -764,6 +1570,9 @@ requestAnimationFrame(gameLoop);
 document.addEventListener('visibilitychange', () => {
   paused = document.hidden;
   if (paused) {
+    // Don't count the time spent hidden as simulation time
+    lastTime = 0;
+    accumulator = 0;
     game.lander.stopUp();
     game.lander.stopLeft();
     game.lander.stopRight();
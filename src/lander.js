@@ -2,26 +2,94 @@
 // avoids clashing with other global constants when the script is included in
 // a browser environment alongside additional scripts such as game logic.
 const LANDER_CONFIG = {
-  maxAltitude: 100.0
+  maxAltitude: 100.0,
+  // Angular acceleration (rad/s^2) produced per unit of side thrust. The side
+  // thrusters are mounted off-centre so they rotate the craft instead of
+  // pushing it sideways.
+  torqueFactor: 0.3,
+  // The attitude is limited to ±90 degrees from upright, like the classic
+  // arcade lander, so the craft can never flip upside down.
+  maxTilt: Math.PI / 2,
+  // Amount the main engine throttle changes per keyboard step (10%).
+  throttleStep: 0.1,
+  // Propellant consumed by each side thruster while firing (kg/s).
+  rcsMassFlow: 0.2,
+  // Standard gravity used to express exhaust velocity as specific impulse.
+  standardGravity: 9.80665,
+  // Thrusters are more fragile than the hull: a hit takes this many times
+  // the hull damage from the health of the thruster on that side.
+  thrusterDamageFactor: 2,
+  // A thruster left with less health than this fails outright.
+  thrusterFailureHealth: 0.25
 };
 
-// Approximate dry mass of the lander (arbitrary units). The total mass
-// is this dry mass plus remaining fuel. As fuel burns, the mass decreases
-// which makes the thrusters more effective. Individual lander models can
-// override this default value.
+// Approximate dry mass of the lander in kilograms. The total mass is this dry
+// mass plus remaining fuel (also in kilograms). As fuel burns, the mass
+// decreases which makes the thrusters more effective. Individual lander
+// models can override this default value.
 const DEFAULT_DRY_MASS = 1000;
 
+// Main engine characteristics used when a lander model does not declare its
+// own. Thrust follows the rocket equation: F = maxMassFlow * exhaustVelocity
+// at full throttle, i.e. 12 kN for these defaults.
+const DEFAULT_ENGINE = {
+  exhaustVelocity: 2400, // m/s (specific impulse of ~245 s)
+  maxMassFlow: 5 // kg/s at full throttle
+};
+
+// Side of the craft each thruster is mounted on, with its health and firing
+// flag. The left thruster sits on the right of the body so its exhaust turns
+// the nose to the left, and the other way round.
+const THRUSTER_MOUNTS = {
+  bottom: { health: 'mainEngineHealth', firing: 'upThruster' },
+  right: { health: 'leftThrusterHealth', firing: 'leftThruster' },
+  left: { health: 'rightThrusterHealth', firing: 'rightThruster' }
+};
+
+// Hull integrity and thruster health, each from 1 (intact) to 0 (destroyed
+// or failed).
+const DAMAGE_FIELDS = ['hull', 'mainEngineHealth', 'leftThrusterHealth', 'rightThrusterHealth'];
+
+// Conditions in a vacuum: no drag and no wind
+const NO_ATMOSPHERE = { drag: 0, wind: 0 };
+
+// Flight state captured by `snapshot()`. Model configuration such as the dry
+// mass and engine characteristics is fixed per lander and not included.
+const SNAPSHOT_FIELDS = [
+  'altitude',
+  'verticalVelocity',
+  'horizontalPosition',
+  'horizontalVelocity',
+  'angle',
+  'angularVelocity',
+  'fuel',
+  'mass',
+  'fullMass',
+  'throttle',
+  'upThruster',
+  'leftThruster',
+  'rightThruster',
+  'anomaly',
+  ...DAMAGE_FIELDS
+];
+
 class Lander {
-  constructor(maxRange, type = 'classic', dryMass = DEFAULT_DRY_MASS) {
+  constructor(maxRange, type = 'classic', dryMass = DEFAULT_DRY_MASS, engine = DEFAULT_ENGINE) {
     this.maxRange = maxRange;
-    // Store the visual/physical variant of the lander.  For now the type only
-    // affects rendering but in the future it will influence physics as well.
+    // Store the visual variant of the lander. Physical differences between
+    // models come from the dry mass and engine passed in by the caller.
     this.type = type;
     // Mass properties. `fullMass` will hold the mass when fuel is full so we
-    // can scale thrust effectiveness based on current mass.
+    // can scale side thruster effectiveness based on current mass.
     this.dryMass = dryMass;
     this.fullMass = this.dryMass;
     this.mass = this.dryMass;
+    // Main engine properties
+    this.exhaustVelocity = engine.exhaustVelocity;
+    this.maxMassFlow = engine.maxMassFlow;
+    // Main engine throttle from 0 (idle) to 1 (full power). This is a pilot
+    // setting rather than flight state so it survives `reset()`.
+    this.throttle = 1;
     this.reset(0);
     this.anomaly = false;
   }
@@ -31,6 +99,10 @@ class Lander {
     this.verticalVelocity = 0.0;
     this.horizontalPosition = this.maxRange / 2;
     this.horizontalVelocity = 0.0;
+    // Attitude in radians: 0 is upright and positive values tilt the nose to
+    // the right (clockwise on screen).
+    this.angle = 0.0;
+    this.angularVelocity = 0.0;
     this.fuel = startFuel;
     this.mass = this.dryMass + this.fuel;
     this.fullMass = this.mass;
@@ -38,52 +110,147 @@ class Lander {
     this.leftThruster = false;
     this.rightThruster = false;
     this.anomaly = false;
+    DAMAGE_FIELDS.forEach(key => {
+      this[key] = 1;
+    });
+  }
+
+  // Return a plain object holding the current flight state.
+  snapshot() {
+    const state = {};
+    SNAPSHOT_FIELDS.forEach(key => {
+      state[key] = this[key];
+    });
+    return state;
+  }
+
+  // Restore flight state previously captured with `snapshot()`.
+  restore(state) {
+    SNAPSHOT_FIELDS.forEach(key => {
+      if (key in state) this[key] = state[key];
+    });
+  }
+
+  // Hull integrity and thruster health as a plain object, which `restore()`
+  // also accepts.
+  getDamage() {
+    const damage = {};
+    DAMAGE_FIELDS.forEach(key => {
+      damage[key] = this[key];
+    });
+    return damage;
+  }
+
+  // Take `amount` (0–1) from the hull for a hit on one `side` of the craft:
+  // 'bottom', 'left', 'right' or 'top'. The thruster mounted there is
+  // damaged too and stops firing once it fails.
+  applyDamage(amount, side) {
+    this.hull = Math.max(this.hull - amount, 0);
+    const mount = THRUSTER_MOUNTS[side];
+    if (!mount) return;
+    const health = this[mount.health] - amount * LANDER_CONFIG.thrusterDamageFactor;
+    this[mount.health] = health < LANDER_CONFIG.thrusterFailureHealth ? 0 : health;
+    if (this[mount.health] === 0) this[mount.firing] = false;
+  }
+
+  isDestroyed() {
+    return this.hull <= 0;
   }
 
   startUp() {
-    if (this.fuel > 0) this.upThruster = true;
+    if (this.fuel > 0 && this.mainEngineHealth > 0) this.upThruster = true;
   }
   stopUp() {
     this.upThruster = false;
   }
+  setThrottle(value) {
+    this.throttle = Math.min(Math.max(value, 0), 1);
+  }
+  throttleUp() {
+    this.setThrottle(this.throttle + LANDER_CONFIG.throttleStep);
+  }
+  throttleDown() {
+    this.setThrottle(this.throttle - LANDER_CONFIG.throttleStep);
+  }
   startLeft() {
-    if (this.fuel > 0) this.leftThruster = true;
+    if (this.fuel > 0 && this.leftThrusterHealth > 0) this.leftThruster = true;
   }
   stopLeft() {
     this.leftThruster = false;
   }
   startRight() {
-    if (this.fuel > 0) this.rightThruster = true;
+    if (this.fuel > 0 && this.rightThrusterHealth > 0) this.rightThruster = true;
   }
   stopRight() {
     this.rightThruster = false;
   }
 
-  update(dt, gravity, mainThrust, sideThrust) {
+  // Specific impulse of the main engine in seconds.
+  getSpecificImpulse() {
+    return this.exhaustVelocity / LANDER_CONFIG.standardGravity;
+  }
+
+  // Main engine thrust in newtons at the current throttle setting, reduced
+  // by any damage to the engine.
+  getThrust() {
+    return this.maxMassFlow * this.throttle * this.exhaustVelocity * this.mainEngineHealth;
+  }
+
+  // Velocity change still available from the remaining fuel according to the
+  // Tsiolkovsky rocket equation: dv = ve * ln(m0 / m1).
+  getDeltaV() {
+    return this.exhaustVelocity * Math.log(this.mass / this.dryMass);
+  }
+
+  // Advance the flight by `dt` seconds. `atmosphere` describes the air the
+  // lander flies through, if any: its `drag` coefficient (1/m) and the
+  // horizontal `wind` speed (m/s).
+  update(dt, gravity, sideThrust, atmosphere = NO_ATMOSPHERE) {
     let accelY = gravity;
     let accelX = 0;
-    let thrusters = 0;
+    let angularAccel = 0;
 
-    // Scale thrust based on current mass relative to the fully fueled mass.
-    const massRatio = this.fullMass / this.mass;
-
-    if (this.upThruster && this.fuel > 0) {
-      accelY -= mainThrust * massRatio;
-      thrusters++;
+    // Quadratic drag against the motion relative to the air
+    if (atmosphere.drag > 0) {
+      const airX = this.horizontalVelocity - atmosphere.wind;
+      const airSpeed = Math.hypot(airX, this.verticalVelocity);
+      accelX -= atmosphere.drag * airSpeed * airX;
+      accelY -= atmosphere.drag * airSpeed * this.verticalVelocity;
     }
+
+    // Requested propellant flow (kg/s): the main engine burns in proportion to
+    // its throttle and each side thruster burns a fixed RCS flow.
+    const mainFlow = this.upThruster && this.fuel > 0 ? this.maxMassFlow * this.throttle : 0;
+    let rcsFlow = 0;
+
+    // Side thrusters apply torque: the left one rotates the nose to the left
+    // (counter-clockwise) and the right one to the right. They are scaled by
+    // current mass relative to the fully fueled mass. A damaged thruster
+    // burns as much propellant as ever but delivers only part of its thrust.
+    const massRatio = this.fullMass / this.mass;
     if (this.leftThruster && this.fuel > 0) {
-      accelX -= sideThrust * massRatio;
-      thrusters++;
+      angularAccel -= sideThrust * massRatio * LANDER_CONFIG.torqueFactor * this.leftThrusterHealth;
+      rcsFlow += LANDER_CONFIG.rcsMassFlow;
     }
     if (this.rightThruster && this.fuel > 0) {
-      accelX += sideThrust * massRatio;
-      thrusters++;
+      angularAccel += sideThrust * massRatio * LANDER_CONFIG.torqueFactor * this.rightThrusterHealth;
+      rcsFlow += LANDER_CONFIG.rcsMassFlow;
     }
 
-    if (thrusters > 0 && this.fuel > 0) {
-      // Consume fuel in proportion to active thrusters and elapsed time
-      const fuelUsed = thrusters * dt;
-      this.fuel = Math.max(this.fuel - fuelUsed, 0);
+    const requested = (mainFlow + rcsFlow) * dt;
+    if (requested > 0) {
+      // When the tank cannot cover the whole step every consumer gets the
+      // same share of what is left.
+      const share = Math.min(this.fuel / requested, 1);
+      // The main engine pushes along the current heading. Its thrust is the
+      // propellant mass flow times the exhaust velocity, reduced by damage.
+      const burned = mainFlow * dt * share;
+      const thrustAccel = (burned * this.exhaustVelocity * this.mainEngineHealth) / dt / this.mass;
+      accelY -= thrustAccel * Math.cos(this.angle);
+      accelX += thrustAccel * Math.sin(this.angle);
+      angularAccel *= share;
+
+      this.fuel = Math.max(this.fuel - requested * share, 0);
       this.mass = this.dryMass + this.fuel;
       if (this.fuel <= 0) {
         this.upThruster = this.leftThruster = this.rightThruster = false;
@@ -92,6 +259,13 @@ class Lander {
 
     this.verticalVelocity += accelY * dt;
     this.horizontalVelocity += accelX * dt;
+    this.angularVelocity += angularAccel * dt;
+
+    this.angle += this.angularVelocity * dt;
+    if (Math.abs(this.angle) > LANDER_CONFIG.maxTilt) {
+      this.angle = Math.sign(this.angle) * LANDER_CONFIG.maxTilt;
+      this.angularVelocity = 0;
+    }
 
     this.altitude -= this.verticalVelocity * dt;
     this.horizontalPosition += this.horizontalVelocity * dt;
@@ -124,8 +298,10 @@ class Lander {
 if (typeof module !== 'undefined' && module.exports) {
   // Export the configuration with a descriptive name to avoid collisions when
   // required from Node-based tests.
-  module.exports = { Lander, LANDER_CONFIG };
+  module.exports = { Lander, LANDER_CONFIG, DEFAULT_ENGINE, DAMAGE_FIELDS };
 } else {
   window.Lander = Lander;
   window.LANDER_CONFIG = LANDER_CONFIG;
+  window.DEFAULT_ENGINE = DEFAULT_ENGINE;
+  window.DAMAGE_FIELDS = DAMAGE_FIELDS;
 }
@@ -23,7 +23,147 @@ var translations = {
     success_message: "Successful landing!",
     crash_message: "Crash!",
     next_level: "Next Level",
-    retry_level: "Retry Level"
+    retry_level: "Retry Level",
+    load_levels: "Load Levels",
+    pack_loaded: "Level pack loaded:",
+    pack_error: "Invalid level pack:",
+    pack_complete: "Level pack complete!",
+    editor: "Level Editor",
+    editor_terrain: "Terrain",
+    editor_pad: "Pad",
+    editor_structure: "Tower",
+    editor_help: "Terrain: drag the points up and down. Pad: drag across the surface to add a pad. Tower: click where it should stand.",
+    editor_name: "Name",
+    editor_points: "Points",
+    editor_gravity: "Gravity",
+    editor_fuel: "Fuel",
+    editor_pad_side: "Tower pad",
+    editor_tower_width: "Tower width",
+    editor_remove_structure: "Remove Tower",
+    editor_test: "Test Flight",
+    editor_export: "Export",
+    editor_import: "Import",
+    editor_back: "Menu",
+    editor_invalid: "Invalid level:",
+    back_to_editor: "Back to Editor",
+    editor_clear_pads: "Clear Pads",
+    editor_width: "Width (m)",
+    damaged_landing: "Landed, but the lander is damaged!",
+    hull_damage: "Hull damage:",
+    main_engine_failed: "Main engine failed",
+    left_thruster_failed: "Left thruster failed",
+    right_thruster_failed: "Right thruster failed",
+    destination: "Destination",
+    body_moon: "Moon",
+    body_mars: "Mars",
+    body_mercury: "Mercury",
+    body_asteroid: "Asteroid",
+    body_titan: "Titan",
+    anomaly_detected: "Anomaly detected: flight aborted",
+    reason_vertical_speed: "Vertical speed {actual} m/s > {limit} m/s",
+    reason_horizontal_speed: "Horizontal speed {actual} m/s > {limit} m/s",
+    reason_tilt: "Tilt {actual}° > {limit}°",
+    reason_impact_speed: "Impact speed {actual} m/s > {limit} m/s",
+    reason_hull_destroyed: "Hull destroyed",
+    reason_off_pad: "Touched down off the landing pad",
+    reason_leg_off_pad: "One leg missed the landing pad",
+    reason_tipped_over: "Tipped over",
+    reason_dock_side: "Approached the dock from the wrong side",
+    reason_dock_height: "Missed the dock height",
+    score_fuel: "Fuel",
+    score_vertical: "Vertical speed",
+    score_horizontal: "Horizontal speed",
+    score_accuracy: "Accuracy",
+    score_time: "Time",
+    score_pad: "Pad",
+    score_landing: "Landing score",
+    score_run: "Run total",
+    volume: "Volume",
+    export_profile: "Export Profile",
+    import_profile: "Import Profile",
+    profile_imported: "Profile imported",
+    profile_error: "Profile could not be imported:",
+    score_best: "Best",
+    score_new_best: "New best!",
+    leaderboard: "Leaderboard",
+    leaderboard_level: "Level",
+    leaderboard_lander: "Lander",
+    leaderboard_all: "All",
+    leaderboard_name: "Name",
+    leaderboard_score: "Score",
+    leaderboard_empty: "No scores yet",
+    leaderboard_error: "The leaderboard is unavailable",
+    close_leaderboard: "Close",
+    lander_classic: "Classic",
+    lander_round: "Round",
+    lander_triangle: "Triangle",
+    pilot_name: "Pilot name",
+    submit_score: "Submit Score",
+    score_submitted: "Score submitted! Rank",
+    score_submit_error: "Score could not be submitted:",
+    show_ghost: "Ghost of best flight",
+    load_replay: "Load Replay",
+    save_replay: "Save Replay",
+    replay_play: "Play",
+    replay_pause: "Pause",
+    replay_step_back: "Previous frame",
+    replay_step_forward: "Next frame",
+    replay_speed: "Speed",
+    replay_position: "Replay position",
+    replay_exit: "Menu",
+    replay_error: "Replay could not be loaded:",
+    daily: "Daily",
+    daily_aria: "Daily challenge",
+    daily_done: "You have flown today's challenge. Come back tomorrow! Score:",
+    daily_error: "The daily challenge is not available.",
+    daily_name: "Enter a pilot name to fly the daily challenge.",
+    daily_continue: "Continue Run",
+    leaderboard_daily: "Today's challenge",
+    achievements: "Achievements",
+    close_achievements: "Close",
+    achievements_count: "{unlocked} of {total} unlocked",
+    achievement_unlocked: "Achievement unlocked:",
+    achievement_first_landing: "The Eagle Has Landed",
+    achievement_first_landing_info: "Land safely for the first time.",
+    achievement_first_crash: "Lithobraking",
+    achievement_first_crash_info: "Crash for the first time.",
+    achievement_on_fumes: "Running on Fumes",
+    achievement_on_fumes_info: "Land with less than 5% of your fuel left.",
+    achievement_first_try_dock: "Steady Hands",
+    achievement_first_try_dock_info: "Dock with a tower on your first try at the level.",
+    achievement_level_ten: "Deep Space",
+    achievement_level_ten_info: "Reach level 10 of the campaign.",
+    achievement_triangle_ten: "Sharp Pilot",
+    achievement_triangle_ten_info: "Clear level 10 with the triangle lander.",
+    achievement_every_lander: "Fleet Commander",
+    achievement_every_lander_info: "Land with every type of lander.",
+    achievement_veteran: "Veteran",
+    achievement_veteran_info: "Make 25 safe landings.",
+    select_mode: "Select a mode",
+    mode_campaign: "Campaign",
+    mode_campaign_info: "Land on level after level as gravity rises and fuel runs low.",
+    mode_time_trial: "Time Trial",
+    mode_time_trial_info: "Land within 30 seconds. The more time left, the higher the score.",
+    mode_fuel_miser: "Fuel Miser",
+    mode_fuel_miser_info: "Land with only 80 kg of fuel. The more fuel left, the higher the score.",
+    mode_precision: "Precision",
+    mode_precision_info: "Land within 3 m of the flag. The closer, the higher the score.",
+    mission_complete: "Mission complete!",
+    mission_failed: "Mission failed",
+    mission_retry: "Retry Mission",
+    mission_menu: "Menu",
+    mission_time: "Flight time",
+    mission_time_left: "Time left",
+    mission_fuel_used: "Fuel used",
+    mission_fuel_left: "Fuel left",
+    mission_distance: "Distance from flag",
+    mission_score: "Mission score",
+    reason_time_up: "Out of time: {limit} s",
+    reason_marker_missed: "Flag missed by {actual} m > {limit} m",
+    daily_taken: "This pilot has already flown today's challenge. Come back tomorrow!",
+    hud_time_trial: "TIME TRIAL",
+    hud_fuel_miser: "FUEL MISER",
+    hud_precision: "PRECISION"
   },
   it: {
     language: "Lingua",
@@ -49,7 +189,147 @@ var translations = {
     success_message: "Atterraggio riuscito!",
     crash_message: "Schianto!",
     next_level: "Livello successivo",
-    retry_level: "Riprova livello"
+    retry_level: "Riprova livello",
+    load_levels: "Carica livelli",
+    pack_loaded: "Pacchetto di livelli caricato:",
+    pack_error: "Pacchetto di livelli non valido:",
+    pack_complete: "Pacchetto di livelli completato!",
+    editor: "Editor di livelli",
+    editor_terrain: "Terreno",
+    editor_pad: "Piattaforma",
+    editor_structure: "Torre",
+    editor_help: "Terreno: trascina i punti su e giù. Piattaforma: trascina lungo la superficie per aggiungere una piattaforma. Torre: fai clic dove deve sorgere.",
+    editor_name: "Nome",
+    editor_points: "Punti",
+    editor_gravity: "Gravità",
+    editor_fuel: "Carburante",
+    editor_pad_side: "Piattaforma torre",
+    editor_tower_width: "Larghezza torre",
+    editor_remove_structure: "Rimuovi torre",
+    editor_test: "Volo di prova",
+    editor_export: "Esporta",
+    editor_import: "Importa",
+    editor_back: "Menu",
+    editor_invalid: "Livello non valido:",
+    back_to_editor: "Torna all'editor",
+    editor_clear_pads: "Rimuovi piattaforme",
+    editor_width: "Larghezza (m)",
+    damaged_landing: "Atterrato, ma il modulo è danneggiato!",
+    hull_damage: "Danni allo scafo:",
+    main_engine_failed: "Motore principale in avaria",
+    left_thruster_failed: "Propulsore sinistro in avaria",
+    right_thruster_failed: "Propulsore destro in avaria",
+    destination: "Destinazione",
+    body_moon: "Luna",
+    body_mars: "Marte",
+    body_mercury: "Mercurio",
+    body_asteroid: "Asteroide",
+    body_titan: "Titano",
+    anomaly_detected: "Anomalia rilevata: volo interrotto",
+    reason_vertical_speed: "Velocità verticale {actual} m/s > {limit} m/s",
+    reason_horizontal_speed: "Velocità orizzontale {actual} m/s > {limit} m/s",
+    reason_tilt: "Inclinazione {actual}° > {limit}°",
+    reason_impact_speed: "Velocità d'impatto {actual} m/s > {limit} m/s",
+    reason_hull_destroyed: "Scafo distrutto",
+    reason_off_pad: "Atterrato fuori dalla piattaforma",
+    reason_leg_off_pad: "Una gamba ha mancato la piattaforma",
+    reason_tipped_over: "Ribaltato",
+    reason_dock_side: "Avvicinamento al molo dal lato sbagliato",
+    reason_dock_height: "Altezza del molo mancata",
+    score_fuel: "Carburante",
+    score_vertical: "Velocità verticale",
+    score_horizontal: "Velocità orizzontale",
+    score_accuracy: "Precisione",
+    score_time: "Tempo",
+    score_pad: "Piattaforma",
+    score_landing: "Punteggio atterraggio",
+    score_run: "Totale partita",
+    volume: "Volume",
+    export_profile: "Esporta profilo",
+    import_profile: "Importa profilo",
+    profile_imported: "Profilo importato",
+    profile_error: "Impossibile importare il profilo:",
+    score_best: "Record",
+    score_new_best: "Nuovo record!",
+    leaderboard: "Classifica",
+    leaderboard_level: "Livello",
+    leaderboard_lander: "Modulo",
+    leaderboard_all: "Tutti",
+    leaderboard_name: "Nome",
+    leaderboard_score: "Punteggio",
+    leaderboard_empty: "Ancora nessun punteggio",
+    leaderboard_error: "La classifica non è disponibile",
+    close_leaderboard: "Chiudi",
+    lander_classic: "Classico",
+    lander_round: "Rotondo",
+    lander_triangle: "Triangolare",
+    pilot_name: "Nome del pilota",
+    submit_score: "Invia punteggio",
+    score_submitted: "Punteggio inviato! Posizione",
+    score_submit_error: "Impossibile inviare il punteggio:",
+    show_ghost: "Fantasma del volo migliore",
+    load_replay: "Carica replay",
+    save_replay: "Salva replay",
+    replay_play: "Riproduci",
+    replay_pause: "Pausa",
+    replay_step_back: "Fotogramma precedente",
+    replay_step_forward: "Fotogramma successivo",
+    replay_speed: "Velocità",
+    replay_position: "Posizione del replay",
+    replay_exit: "Menu",
+    replay_error: "Impossibile caricare il replay:",
+    daily: "Sfida del giorno",
+    daily_aria: "Sfida del giorno",
+    daily_done: "Hai già affrontato la sfida di oggi. Torna domani! Punteggio:",
+    daily_error: "La sfida del giorno non è disponibile.",
+    daily_name: "Inserisci un nome del pilota per affrontare la sfida del giorno.",
+    daily_continue: "Continua la partita",
+    leaderboard_daily: "Sfida di oggi",
+    achievements: "Obiettivi",
+    close_achievements: "Chiudi",
+    achievements_count: "{unlocked} di {total} sbloccati",
+    achievement_unlocked: "Obiettivo sbloccato:",
+    achievement_first_landing: "L'Aquila è atterrata",
+    achievement_first_landing_info: "Atterra senza danni per la prima volta.",
+    achievement_first_crash: "Frenata rocciosa",
+    achievement_first_crash_info: "Schiantati per la prima volta.",
+    achievement_on_fumes: "A secco",
+    achievement_on_fumes_info: "Atterra con meno del 5% del carburante.",
+    achievement_first_try_dock: "Mano ferma",
+    achievement_first_try_dock_info: "Attracca a una torre al primo tentativo del livello.",
+    achievement_level_ten: "Spazio profondo",
+    achievement_level_ten_info: "Raggiungi il livello 10 della campagna.",
+    achievement_triangle_ten: "Pilota affilato",
+    achievement_triangle_ten_info: "Supera il livello 10 con il modulo triangolare.",
+    achievement_every_lander: "Comandante della flotta",
+    achievement_every_lander_info: "Atterra con ogni tipo di modulo.",
+    achievement_veteran: "Veterano",
+    achievement_veteran_info: "Compi 25 atterraggi riusciti.",
+    select_mode: "Seleziona una modalità",
+    mode_campaign: "Campagna",
+    mode_campaign_info: "Atterra livello dopo livello mentre la gravità aumenta e il carburante scarseggia.",
+    mode_time_trial: "Contro il tempo",
+    mode_time_trial_info: "Atterra entro 30 secondi. Più tempo resta, più alto il punteggio.",
+    mode_fuel_miser: "Risparmio",
+    mode_fuel_miser_info: "Atterra con soli 80 kg di carburante. Più ne resta, più alto il punteggio.",
+    mode_precision: "Precisione",
+    mode_precision_info: "Atterra entro 3 m dalla bandierina. Più vicino, più alto il punteggio.",
+    mission_complete: "Missione compiuta!",
+    mission_failed: "Missione fallita",
+    mission_retry: "Riprova missione",
+    mission_menu: "Menu",
+    mission_time: "Tempo di volo",
+    mission_time_left: "Tempo rimasto",
+    mission_fuel_used: "Carburante usato",
+    mission_fuel_left: "Carburante rimasto",
+    mission_distance: "Distanza dalla bandierina",
+    mission_score: "Punteggio missione",
+    reason_time_up: "Tempo scaduto: {limit} s",
+    reason_marker_missed: "Bandierina mancata di {actual} m > {limit} m",
+    daily_taken: "Questo pilota ha già affrontato la sfida di oggi. Torna domani!",
+    hud_time_trial: "CONTRO IL TEMPO",
+    hud_fuel_miser: "RISPARMIO",
+    hud_precision: "PRECISIONE"
   },
   de: {
     language: "Sprache",
@@ -75,7 +355,147 @@ var translations = {
     success_message: "Erfolgreiche Landung!",
     crash_message: "Absturz!",
     next_level: "N\u00e4chstes Level",
-    retry_level: "Level wiederholen"
+    retry_level: "Level wiederholen",
+    load_levels: "Level laden",
+    pack_loaded: "Levelpaket geladen:",
+    pack_error: "Ungültiges Levelpaket:",
+    pack_complete: "Levelpaket abgeschlossen!",
+    editor: "Level-Editor",
+    editor_terrain: "Gelände",
+    editor_pad: "Landeplatz",
+    editor_structure: "Turm",
+    editor_help: "Gelände: Punkte nach oben und unten ziehen. Landeplatz: über die Oberfläche ziehen, um einen Landeplatz hinzuzufügen. Turm: an die gewünschte Stelle klicken.",
+    editor_name: "Name",
+    editor_points: "Punkte",
+    editor_gravity: "Schwerkraft",
+    editor_fuel: "Treibstoff",
+    editor_pad_side: "Turmplattform",
+    editor_tower_width: "Turmbreite",
+    editor_remove_structure: "Turm entfernen",
+    editor_test: "Testflug",
+    editor_export: "Exportieren",
+    editor_import: "Importieren",
+    editor_back: "Menü",
+    editor_invalid: "Ungültiges Level:",
+    back_to_editor: "Zurück zum Editor",
+    editor_clear_pads: "Landeplätze löschen",
+    editor_width: "Breite (m)",
+    damaged_landing: "Gelandet, aber die Landefähre ist beschädigt!",
+    hull_damage: "Rumpfschaden:",
+    main_engine_failed: "Haupttriebwerk ausgefallen",
+    left_thruster_failed: "Linke Steuerdüse ausgefallen",
+    right_thruster_failed: "Rechte Steuerdüse ausgefallen",
+    destination: "Ziel",
+    body_moon: "Mond",
+    body_mars: "Mars",
+    body_mercury: "Merkur",
+    body_asteroid: "Asteroid",
+    body_titan: "Titan",
+    anomaly_detected: "Anomalie erkannt: Flug abgebrochen",
+    reason_vertical_speed: "Vertikalgeschwindigkeit {actual} m/s > {limit} m/s",
+    reason_horizontal_speed: "Horizontalgeschwindigkeit {actual} m/s > {limit} m/s",
+    reason_tilt: "Neigung {actual}° > {limit}°",
+    reason_impact_speed: "Aufprallgeschwindigkeit {actual} m/s > {limit} m/s",
+    reason_hull_destroyed: "Rumpf zerstört",
+    reason_off_pad: "Neben der Landeplattform aufgesetzt",
+    reason_leg_off_pad: "Ein Landebein hat die Plattform verfehlt",
+    reason_tipped_over: "Umgekippt",
+    reason_dock_side: "Andockstelle von der falschen Seite angeflogen",
+    reason_dock_height: "Höhe der Andockstelle verfehlt",
+    score_fuel: "Treibstoff",
+    score_vertical: "Vertikalgeschwindigkeit",
+    score_horizontal: "Horizontalgeschwindigkeit",
+    score_accuracy: "Genauigkeit",
+    score_time: "Zeit",
+    score_pad: "Plattform",
+    score_landing: "Landepunkte",
+    score_run: "Gesamtpunkte",
+    volume: "Lautstärke",
+    export_profile: "Profil exportieren",
+    import_profile: "Profil importieren",
+    profile_imported: "Profil importiert",
+    profile_error: "Profil konnte nicht importiert werden:",
+    score_best: "Bestwert",
+    score_new_best: "Neuer Bestwert!",
+    leaderboard: "Bestenliste",
+    leaderboard_level: "Level",
+    leaderboard_lander: "Landefähre",
+    leaderboard_all: "Alle",
+    leaderboard_name: "Name",
+    leaderboard_score: "Punkte",
+    leaderboard_empty: "Noch keine Punkte",
+    leaderboard_error: "Die Bestenliste ist nicht verfügbar",
+    close_leaderboard: "Schließen",
+    lander_classic: "Klassisch",
+    lander_round: "Rund",
+    lander_triangle: "Dreieckig",
+    pilot_name: "Pilotenname",
+    submit_score: "Punkte einreichen",
+    score_submitted: "Punkte eingereicht! Platz",
+    score_submit_error: "Punkte konnten nicht eingereicht werden:",
+    show_ghost: "Geist des besten Flugs",
+    load_replay: "Replay laden",
+    save_replay: "Replay speichern",
+    replay_play: "Abspielen",
+    replay_pause: "Pause",
+    replay_step_back: "Vorheriges Bild",
+    replay_step_forward: "Nächstes Bild",
+    replay_speed: "Tempo",
+    replay_position: "Position im Replay",
+    replay_exit: "Menü",
+    replay_error: "Replay konnte nicht geladen werden:",
+    daily: "Tagesaufgabe",
+    daily_aria: "Tägliche Herausforderung",
+    daily_done: "Du hast die heutige Herausforderung geflogen. Komm morgen wieder! Punkte:",
+    daily_error: "Die tägliche Herausforderung ist nicht verfügbar.",
+    daily_name: "Gib einen Pilotennamen ein, um die Tagesaufgabe zu fliegen.",
+    daily_continue: "Weiterspielen",
+    leaderboard_daily: "Heutige Herausforderung",
+    achievements: "Erfolge",
+    close_achievements: "Schließen",
+    achievements_count: "{unlocked} von {total} freigeschaltet",
+    achievement_unlocked: "Erfolg freigeschaltet:",
+    achievement_first_landing: "Der Adler ist gelandet",
+    achievement_first_landing_info: "Lande zum ersten Mal sicher.",
+    achievement_first_crash: "Felsbremse",
+    achievement_first_crash_info: "Stürze zum ersten Mal ab.",
+    achievement_on_fumes: "Auf dem letzten Tropfen",
+    achievement_on_fumes_info: "Lande mit weniger als 5 % Treibstoff.",
+    achievement_first_try_dock: "Ruhige Hand",
+    achievement_first_try_dock_info: "Docke beim ersten Versuch des Levels an einen Turm an.",
+    achievement_level_ten: "Tiefer Raum",
+    achievement_level_ten_info: "Erreiche Level 10 der Kampagne.",
+    achievement_triangle_ten: "Spitzenpilot",
+    achievement_triangle_ten_info: "Schaffe Level 10 mit der dreieckigen Landefähre.",
+    achievement_every_lander: "Flottenkommandant",
+    achievement_every_lander_info: "Lande mit jeder Art von Landefähre.",
+    achievement_veteran: "Veteran",
+    achievement_veteran_info: "Schaffe 25 sichere Landungen.",
+    select_mode: "Modus wählen",
+    mode_campaign: "Kampagne",
+    mode_campaign_info: "Lande Level für Level, während die Schwerkraft steigt und der Treibstoff knapp wird.",
+    mode_time_trial: "Zeitrennen",
+    mode_time_trial_info: "Lande innerhalb von 30 Sekunden. Je mehr Zeit übrig, desto höher die Punktzahl.",
+    mode_fuel_miser: "Spritsparer",
+    mode_fuel_miser_info: "Lande mit nur 80 kg Treibstoff. Je mehr übrig, desto höher die Punktzahl.",
+    mode_precision: "Präzision",
+    mode_precision_info: "Lande höchstens 3 m von der Flagge entfernt. Je näher, desto höher die Punktzahl.",
+    mission_complete: "Mission erfüllt!",
+    mission_failed: "Mission gescheitert",
+    mission_retry: "Mission wiederholen",
+    mission_menu: "Menü",
+    mission_time: "Flugzeit",
+    mission_time_left: "Restzeit",
+    mission_fuel_used: "Verbrauchter Treibstoff",
+    mission_fuel_left: "Treibstoff übrig",
+    mission_distance: "Abstand zur Flagge",
+    mission_score: "Missionspunkte",
+    reason_time_up: "Zeit abgelaufen: {limit} s",
+    reason_marker_missed: "Flagge um {actual} m verfehlt > {limit} m",
+    daily_taken: "Dieser Pilot hat die heutige Herausforderung schon geflogen. Komm morgen wieder!",
+    hud_time_trial: "ZEITRENNEN",
+    hud_fuel_miser: "SPRITSPARER",
+    hud_precision: "PRÄZISION"
   },
   pl: {
     language: "J\u0119zyk",
@@ -101,7 +521,147 @@ var translations = {
     success_message: "Udane l\u0105dowanie!",
     crash_message: "Katastrofa!",
     next_level: "Nast\u0119pny poziom",
-    retry_level: "Powt\u00f3rz poziom"
+    retry_level: "Powt\u00f3rz poziom",
+    load_levels: "Wczytaj poziomy",
+    pack_loaded: "Wczytano pakiet poziomów:",
+    pack_error: "Nieprawidłowy pakiet poziomów:",
+    pack_complete: "Pakiet poziomów ukończony!",
+    editor: "Edytor poziomów",
+    editor_terrain: "Teren",
+    editor_pad: "Lądowisko",
+    editor_structure: "Wieża",
+    editor_help: "Teren: przeciągaj punkty w górę i w dół. Lądowisko: przeciągnij wzdłuż powierzchni, aby dodać lądowisko. Wieża: kliknij, gdzie ma stanąć.",
+    editor_name: "Nazwa",
+    editor_points: "Punkty",
+    editor_gravity: "Grawitacja",
+    editor_fuel: "Paliwo",
+    editor_pad_side: "Lądowisko wieży",
+    editor_tower_width: "Szerokość wieży",
+    editor_remove_structure: "Usuń wieżę",
+    editor_test: "Lot testowy",
+    editor_export: "Eksportuj",
+    editor_import: "Importuj",
+    editor_back: "Menu",
+    editor_invalid: "Nieprawidłowy poziom:",
+    back_to_editor: "Wróć do edytora",
+    editor_clear_pads: "Usuń lądowiska",
+    editor_width: "Szerokość (m)",
+    damaged_landing: "Wylądowano, ale lądownik jest uszkodzony!",
+    hull_damage: "Uszkodzenie kadłuba:",
+    main_engine_failed: "Silnik główny uszkodzony",
+    left_thruster_failed: "Lewy silnik manewrowy uszkodzony",
+    right_thruster_failed: "Prawy silnik manewrowy uszkodzony",
+    destination: "Cel podróży",
+    body_moon: "Księżyc",
+    body_mars: "Mars",
+    body_mercury: "Merkury",
+    body_asteroid: "Planetoida",
+    body_titan: "Tytan",
+    anomaly_detected: "Wykryto anomalię: lot przerwany",
+    reason_vertical_speed: "Prędkość pionowa {actual} m/s > {limit} m/s",
+    reason_horizontal_speed: "Prędkość pozioma {actual} m/s > {limit} m/s",
+    reason_tilt: "Przechył {actual}° > {limit}°",
+    reason_impact_speed: "Prędkość uderzenia {actual} m/s > {limit} m/s",
+    reason_hull_destroyed: "Kadłub zniszczony",
+    reason_off_pad: "Przyziemienie poza lądowiskiem",
+    reason_leg_off_pad: "Jedna noga chybiła lądowiska",
+    reason_tipped_over: "Przewrócony",
+    reason_dock_side: "Podejście do doku z niewłaściwej strony",
+    reason_dock_height: "Chybiona wysokość doku",
+    score_fuel: "Paliwo",
+    score_vertical: "Prędkość pionowa",
+    score_horizontal: "Prędkość pozioma",
+    score_accuracy: "Celność",
+    score_time: "Czas",
+    score_pad: "Lądowisko",
+    score_landing: "Wynik lądowania",
+    score_run: "Suma punktów",
+    volume: "Głośność",
+    export_profile: "Eksportuj profil",
+    import_profile: "Importuj profil",
+    profile_imported: "Profil zaimportowany",
+    profile_error: "Nie udało się zaimportować profilu:",
+    score_best: "Rekord",
+    score_new_best: "Nowy rekord!",
+    leaderboard: "Ranking",
+    leaderboard_level: "Poziom",
+    leaderboard_lander: "Lądownik",
+    leaderboard_all: "Wszystkie",
+    leaderboard_name: "Nazwa",
+    leaderboard_score: "Wynik",
+    leaderboard_empty: "Brak wyników",
+    leaderboard_error: "Ranking jest niedostępny",
+    close_leaderboard: "Zamknij",
+    lander_classic: "Klasyczny",
+    lander_round: "Okrągły",
+    lander_triangle: "Trójkątny",
+    pilot_name: "Imię pilota",
+    submit_score: "Wyślij wynik",
+    score_submitted: "Wynik wysłany! Miejsce",
+    score_submit_error: "Nie udało się wysłać wyniku:",
+    show_ghost: "Duch najlepszego lotu",
+    load_replay: "Wczytaj powtórkę",
+    save_replay: "Zapisz powtórkę",
+    replay_play: "Odtwórz",
+    replay_pause: "Pauza",
+    replay_step_back: "Poprzednia klatka",
+    replay_step_forward: "Następna klatka",
+    replay_speed: "Prędkość",
+    replay_position: "Pozycja powtórki",
+    replay_exit: "Menu",
+    replay_error: "Nie można wczytać powtórki:",
+    daily: "Wyzwanie dnia",
+    daily_aria: "Wyzwanie dnia",
+    daily_done: "Dzisiejsze wyzwanie już za tobą. Wróć jutro! Wynik:",
+    daily_error: "Wyzwanie dnia jest niedostępne.",
+    daily_name: "Wpisz imię pilota, aby rozegrać wyzwanie dnia.",
+    daily_continue: "Kontynuuj grę",
+    leaderboard_daily: "Dzisiejsze wyzwanie",
+    achievements: "Osiągnięcia",
+    close_achievements: "Zamknij",
+    achievements_count: "Odblokowano {unlocked} z {total}",
+    achievement_unlocked: "Odblokowano osiągnięcie:",
+    achievement_first_landing: "Orzeł wylądował",
+    achievement_first_landing_info: "Wyląduj bezpiecznie po raz pierwszy.",
+    achievement_first_crash: "Hamowanie o skały",
+    achievement_first_crash_info: "Rozbij się po raz pierwszy.",
+    achievement_on_fumes: "Na oparach",
+    achievement_on_fumes_info: "Wyląduj z mniej niż 5% paliwa.",
+    achievement_first_try_dock: "Pewna ręka",
+    achievement_first_try_dock_info: "Zadokuj do wieży przy pierwszej próbie poziomu.",
+    achievement_level_ten: "Głęboki kosmos",
+    achievement_level_ten_info: "Dotrzyj do poziomu 10 kampanii.",
+    achievement_triangle_ten: "Ostry pilot",
+    achievement_triangle_ten_info: "Ukończ poziom 10 trójkątnym lądownikiem.",
+    achievement_every_lander: "Dowódca floty",
+    achievement_every_lander_info: "Wyląduj każdym rodzajem lądownika.",
+    achievement_veteran: "Weteran",
+    achievement_veteran_info: "Wykonaj 25 bezpiecznych lądowań.",
+    select_mode: "Wybierz tryb",
+    mode_campaign: "Kampania",
+    mode_campaign_info: "Ląduj poziom po poziomie, gdy grawitacja rośnie, a paliwa ubywa.",
+    mode_time_trial: "Na czas",
+    mode_time_trial_info: "Wyląduj w ciągu 30 sekund. Im więcej czasu zostanie, tym wyższy wynik.",
+    mode_fuel_miser: "Oszczędny",
+    mode_fuel_miser_info: "Wyląduj, mając tylko 80 kg paliwa. Im więcej zostanie, tym wyższy wynik.",
+    mode_precision: "Precyzja",
+    mode_precision_info: "Wyląduj najwyżej 3 m od flagi. Im bliżej, tym wyższy wynik.",
+    mission_complete: "Misja wykonana!",
+    mission_failed: "Misja nieudana",
+    mission_retry: "Powtórz misję",
+    mission_menu: "Menu",
+    mission_time: "Czas lotu",
+    mission_time_left: "Pozostały czas",
+    mission_fuel_used: "Zużyte paliwo",
+    mission_fuel_left: "Pozostałe paliwo",
+    mission_distance: "Odległość od flagi",
+    mission_score: "Wynik misji",
+    reason_time_up: "Koniec czasu: {limit} s",
+    reason_marker_missed: "Flaga chybiona o {actual} m > {limit} m",
+    daily_taken: "Ten pilot rozegrał już dzisiejsze wyzwanie. Wróć jutro!",
+    hud_time_trial: "NA CZAS",
+    hud_fuel_miser: "OSZCZĘDNY",
+    hud_precision: "PRECYZJA"
   },
   zh: {
     language: "语言",
@@ -127,7 +687,147 @@ var translations = {
     success_message: "成功着陆！",
     crash_message: "坠毁！",
     next_level: "下一关",
-    retry_level: "重试关卡"
+    retry_level: "重试关卡",
+    load_levels: "加载关卡",
+    pack_loaded: "已加载关卡包：",
+    pack_error: "无效的关卡包：",
+    pack_complete: "关卡包已完成！",
+    editor: "关卡编辑器",
+    editor_terrain: "地形",
+    editor_pad: "着陆台",
+    editor_structure: "塔",
+    editor_help: "地形：上下拖动点。着陆台：沿地面拖动以添加着陆台。塔：点击放置位置。",
+    editor_name: "名称",
+    editor_points: "点数",
+    editor_gravity: "重力",
+    editor_fuel: "燃料",
+    editor_pad_side: "塔台平台",
+    editor_tower_width: "塔台宽度",
+    editor_remove_structure: "移除塔",
+    editor_test: "试飞",
+    editor_export: "导出",
+    editor_import: "导入",
+    editor_back: "菜单",
+    editor_invalid: "无效关卡：",
+    back_to_editor: "返回编辑器",
+    editor_clear_pads: "清除着陆台",
+    editor_width: "宽度（米）",
+    damaged_landing: "着陆成功，但着陆器已受损！",
+    hull_damage: "船体损伤：",
+    main_engine_failed: "主引擎失效",
+    left_thruster_failed: "左推进器失效",
+    right_thruster_failed: "右推进器失效",
+    destination: "目的地",
+    body_moon: "月球",
+    body_mars: "火星",
+    body_mercury: "水星",
+    body_asteroid: "小行星",
+    body_titan: "土卫六",
+    anomaly_detected: "检测到异常：飞行中止",
+    reason_vertical_speed: "垂直速度 {actual} m/s > {limit} m/s",
+    reason_horizontal_speed: "水平速度 {actual} m/s > {limit} m/s",
+    reason_tilt: "倾角 {actual}° > {limit}°",
+    reason_impact_speed: "撞击速度 {actual} m/s > {limit} m/s",
+    reason_hull_destroyed: "船体被摧毁",
+    reason_off_pad: "在着陆台外着陆",
+    reason_leg_off_pad: "一条着陆腿未落在着陆台上",
+    reason_tipped_over: "翻倒",
+    reason_dock_side: "从错误的一侧接近对接台",
+    reason_dock_height: "未对准对接台高度",
+    score_fuel: "燃料",
+    score_vertical: "垂直速度",
+    score_horizontal: "水平速度",
+    score_accuracy: "精准度",
+    score_time: "时间",
+    score_pad: "着陆台",
+    score_landing: "着陆得分",
+    score_run: "总分",
+    volume: "音量",
+    export_profile: "导出存档",
+    import_profile: "导入存档",
+    profile_imported: "存档已导入",
+    profile_error: "无法导入存档：",
+    score_best: "最佳",
+    score_new_best: "新纪录！",
+    leaderboard: "排行榜",
+    leaderboard_level: "关卡",
+    leaderboard_lander: "着陆器",
+    leaderboard_all: "全部",
+    leaderboard_name: "名字",
+    leaderboard_score: "得分",
+    leaderboard_empty: "暂无成绩",
+    leaderboard_error: "排行榜不可用",
+    close_leaderboard: "关闭",
+    lander_classic: "经典",
+    lander_round: "圆形",
+    lander_triangle: "三角形",
+    pilot_name: "飞行员名字",
+    submit_score: "提交成绩",
+    score_submitted: "成绩已提交！排名",
+    score_submit_error: "无法提交成绩：",
+    show_ghost: "最佳飞行的幽灵",
+    load_replay: "载入回放",
+    save_replay: "保存回放",
+    replay_play: "播放",
+    replay_pause: "暂停",
+    replay_step_back: "上一帧",
+    replay_step_forward: "下一帧",
+    replay_speed: "速度",
+    replay_position: "回放位置",
+    replay_exit: "菜单",
+    replay_error: "无法载入回放：",
+    daily: "每日挑战",
+    daily_aria: "每日挑战",
+    daily_done: "你已完成今天的挑战，明天再来吧！得分：",
+    daily_error: "每日挑战暂不可用。",
+    daily_name: "输入飞行员名字以挑战每日任务。",
+    daily_continue: "继续游戏",
+    leaderboard_daily: "今日挑战",
+    achievements: "成就",
+    close_achievements: "关闭",
+    achievements_count: "已解锁 {unlocked} / {total}",
+    achievement_unlocked: "成就解锁：",
+    achievement_first_landing: "鹰已着陆",
+    achievement_first_landing_info: "第一次安全着陆。",
+    achievement_first_crash: "岩石刹车",
+    achievement_first_crash_info: "第一次坠毁。",
+    achievement_on_fumes: "油尽着陆",
+    achievement_on_fumes_info: "剩余燃料不足 5% 时着陆。",
+    achievement_first_try_dock: "稳如磐石",
+    achievement_first_try_dock_info: "在关卡的第一次尝试中与塔对接。",
+    achievement_level_ten: "深空",
+    achievement_level_ten_info: "到达战役第 10 关。",
+    achievement_triangle_ten: "锐利飞行员",
+    achievement_triangle_ten_info: "用三角着陆器通过第 10 关。",
+    achievement_every_lander: "舰队指挥官",
+    achievement_every_lander_info: "用每种着陆器各着陆一次。",
+    achievement_veteran: "老兵",
+    achievement_veteran_info: "完成 25 次安全着陆。",
+    select_mode: "选择模式",
+    mode_campaign: "战役",
+    mode_campaign_info: "逐关着陆，重力不断增大，燃料越来越少。",
+    mode_time_trial: "计时赛",
+    mode_time_trial_info: "在 30 秒内着陆。剩余时间越多，得分越高。",
+    mode_fuel_miser: "省油挑战",
+    mode_fuel_miser_info: "仅用 80 千克燃料着陆。剩余燃料越多，得分越高。",
+    mode_precision: "精准着陆",
+    mode_precision_info: "在旗帜 3 米范围内着陆。越近得分越高。",
+    mission_complete: "任务完成！",
+    mission_failed: "任务失败",
+    mission_retry: "重试任务",
+    mission_menu: "菜单",
+    mission_time: "飞行时间",
+    mission_time_left: "剩余时间",
+    mission_fuel_used: "已用燃料",
+    mission_fuel_left: "剩余燃料",
+    mission_distance: "距旗帜",
+    mission_score: "任务得分",
+    reason_time_up: "超时：{limit} 秒",
+    reason_marker_missed: "偏离旗帜 {actual} 米 > {limit} 米",
+    daily_taken: "这位飞行员已完成今天的挑战，明天再来吧！",
+    hud_time_trial: "计时赛",
+    hud_fuel_miser: "省油挑战",
+    hud_precision: "精准着陆"
   },
   fa: {
     language: "زبان",
@@ -153,7 +853,147 @@ var translations = {
     success_message: "فرود موفق!",
     crash_message: "سقوط!",
     next_level: "مرحله بعد",
-    retry_level: "تلاش دوباره"
+    retry_level: "تلاش دوباره",
+    load_levels: "بارگذاری مراحل",
+    pack_loaded: "بسته مراحل بارگذاری شد:",
+    pack_error: "بسته مراحل نامعتبر است:",
+    pack_complete: "بسته مراحل تمام شد!",
+    editor: "ویرایشگر مرحله",
+    editor_terrain: "زمین",
+    editor_pad: "سکو",
+    editor_structure: "برج",
+    editor_help: "زمین: نقاط را بالا و پایین بکشید. سکو: برای افزودن سکو روی سطح بکشید. برج: جایی که باید قرار بگیرد کلیک کنید.",
+    editor_name: "نام",
+    editor_points: "نقاط",
+    editor_gravity: "گرانش",
+    editor_fuel: "سوخت",
+    editor_pad_side: "سکوی برج",
+    editor_tower_width: "پهنای برج",
+    editor_remove_structure: "حذف برج",
+    editor_test: "پرواز آزمایشی",
+    editor_export: "خروجی",
+    editor_import: "ورودی",
+    editor_back: "منو",
+    editor_invalid: "مرحله نامعتبر:",
+    back_to_editor: "بازگشت به ویرایشگر",
+    editor_clear_pads: "حذف سکوها",
+    editor_width: "عرض (متر)",
+    damaged_landing: "فرود آمدید، اما فرودگر آسیب دیده است!",
+    hull_damage: "آسیب بدنه:",
+    main_engine_failed: "موتور اصلی از کار افتاد",
+    left_thruster_failed: "پیشران چپ از کار افتاد",
+    right_thruster_failed: "پیشران راست از کار افتاد",
+    destination: "مقصد",
+    body_moon: "ماه",
+    body_mars: "مریخ",
+    body_mercury: "عطارد",
+    body_asteroid: "سیارک",
+    body_titan: "تیتان",
+    anomaly_detected: "ناهنجاری شناسایی شد: پرواز متوقف شد",
+    reason_vertical_speed: "سرعت عمودی {actual} m/s > {limit} m/s",
+    reason_horizontal_speed: "سرعت افقی {actual} m/s > {limit} m/s",
+    reason_tilt: "شیب {actual}° > {limit}°",
+    reason_impact_speed: "سرعت برخورد {actual} m/s > {limit} m/s",
+    reason_hull_destroyed: "بدنه نابود شد",
+    reason_off_pad: "فرود بیرون از سکوی فرود",
+    reason_leg_off_pad: "یکی از پایه‌ها از سکو بیرون ماند",
+    reason_tipped_over: "واژگون شد",
+    reason_dock_side: "نزدیک شدن به سکوی اتصال از سمت اشتباه",
+    reason_dock_height: "ارتفاع سکوی اتصال از دست رفت",
+    score_fuel: "سوخت",
+    score_vertical: "سرعت عمودی",
+    score_horizontal: "سرعت افقی",
+    score_accuracy: "دقت",
+    score_time: "زمان",
+    score_pad: "سکو",
+    score_landing: "امتیاز فرود",
+    score_run: "مجموع امتیاز",
+    volume: "صدا",
+    export_profile: "خروجی گرفتن از نمایه",
+    import_profile: "وارد کردن نمایه",
+    profile_imported: "نمایه وارد شد",
+    profile_error: "وارد کردن نمایه ممکن نبود:",
+    score_best: "بهترین",
+    score_new_best: "رکورد جدید!",
+    leaderboard: "جدول امتیازات",
+    leaderboard_level: "مرحله",
+    leaderboard_lander: "فرودگر",
+    leaderboard_all: "همه",
+    leaderboard_name: "نام",
+    leaderboard_score: "امتیاز",
+    leaderboard_empty: "هنوز امتیازی ثبت نشده",
+    leaderboard_error: "جدول امتیازات در دسترس نیست",
+    close_leaderboard: "بستن",
+    lander_classic: "کلاسیک",
+    lander_round: "گرد",
+    lander_triangle: "مثلثی",
+    pilot_name: "نام خلبان",
+    submit_score: "ثبت امتیاز",
+    score_submitted: "امتیاز ثبت شد! رتبه",
+    score_submit_error: "ثبت امتیاز ممکن نبود:",
+    show_ghost: "شبح بهترین پرواز",
+    load_replay: "بارگذاری بازپخش",
+    save_replay: "ذخیره بازپخش",
+    replay_play: "پخش",
+    replay_pause: "توقف",
+    replay_step_back: "فریم قبلی",
+    replay_step_forward: "فریم بعدی",
+    replay_speed: "سرعت",
+    replay_position: "موقعیت بازپخش",
+    replay_exit: "منو",
+    replay_error: "بازپخش بارگذاری نشد:",
+    daily: "چالش روزانه",
+    daily_aria: "چالش روزانه",
+    daily_done: "چالش امروز را پرواز کرده‌اید. فردا برگردید! امتیاز:",
+    daily_error: "چالش روزانه در دسترس نیست.",
+    daily_name: "برای پرواز در چالش روزانه نام خلبان را وارد کنید.",
+    daily_continue: "ادامه بازی",
+    leaderboard_daily: "چالش امروز",
+    achievements: "دستاوردها",
+    close_achievements: "بستن",
+    achievements_count: "{unlocked} از {total} باز شده",
+    achievement_unlocked: "دستاورد باز شد:",
+    achievement_first_landing: "عقاب فرود آمد",
+    achievement_first_landing_info: "برای اولین بار با امنیت فرود بیایید.",
+    achievement_first_crash: "ترمز صخره‌ای",
+    achievement_first_crash_info: "برای اولین بار سقوط کنید.",
+    achievement_on_fumes: "با آخرین قطره",
+    achievement_on_fumes_info: "با کمتر از ۵٪ سوخت فرود بیایید.",
+    achievement_first_try_dock: "دستان ثابت",
+    achievement_first_try_dock_info: "در اولین تلاش مرحله به برج پهلو بگیرید.",
+    achievement_level_ten: "فضای دوردست",
+    achievement_level_ten_info: "به مرحله ۱۰ بازی برسید.",
+    achievement_triangle_ten: "خلبان تیزبین",
+    achievement_triangle_ten_info: "مرحله ۱۰ را با فرودگر مثلثی تمام کنید.",
+    achievement_every_lander: "فرمانده ناوگان",
+    achievement_every_lander_info: "با هر نوع فرودگر فرود بیایید.",
+    achievement_veteran: "کهنه‌کار",
+    achievement_veteran_info: "۲۵ فرود امن انجام دهید.",
+    select_mode: "یک حالت انتخاب کنید",
+    mode_campaign: "کارزار",
+    mode_campaign_info: "مرحله به مرحله فرود بیایید در حالی که جاذبه بیشتر و سوخت کمتر می‌شود.",
+    mode_time_trial: "مسابقه زمان",
+    mode_time_trial_info: "در ۳۰ ثانیه فرود بیایید. هرچه زمان بیشتری بماند، امتیاز بالاتر است.",
+    mode_fuel_miser: "صرفه‌جو",
+    mode_fuel_miser_info: "فقط با ۸۰ کیلوگرم سوخت فرود بیایید. هرچه سوخت بیشتری بماند، امتیاز بالاتر است.",
+    mode_precision: "دقت",
+    mode_precision_info: "در فاصله ۳ متری پرچم فرود بیایید. هرچه نزدیک‌تر، امتیاز بالاتر.",
+    mission_complete: "مأموریت انجام شد!",
+    mission_failed: "مأموریت شکست خورد",
+    mission_retry: "تکرار مأموریت",
+    mission_menu: "منو",
+    mission_time: "زمان پرواز",
+    mission_time_left: "زمان باقی‌مانده",
+    mission_fuel_used: "سوخت مصرفی",
+    mission_fuel_left: "سوخت باقی‌مانده",
+    mission_distance: "فاصله از پرچم",
+    mission_score: "امتیاز مأموریت",
+    reason_time_up: "زمان تمام شد: {limit} ثانیه",
+    reason_marker_missed: "پرچم با فاصله {actual} متر از دست رفت > {limit} متر",
+    daily_taken: "این خلبان چالش امروز را قبلاً پرواز کرده است. فردا برگردید!",
+    hud_time_trial: "مسابقه زمان",
+    hud_fuel_miser: "صرفه‌جو",
+    hud_precision: "دقت"
   },
   es: {
     language: "Idioma",
@@ -179,7 +1019,147 @@ var translations = {
     success_message: "¡Aterrizaje exitoso!",
     crash_message: "¡Choque!",
     next_level: "Siguiente nivel",
-    retry_level: "Reintentar nivel"
+    retry_level: "Reintentar nivel",
+    load_levels: "Cargar niveles",
+    pack_loaded: "Paquete de niveles cargado:",
+    pack_error: "Paquete de niveles no válido:",
+    pack_complete: "¡Paquete de niveles completado!",
+    editor: "Editor de niveles",
+    editor_terrain: "Terreno",
+    editor_pad: "Plataforma",
+    editor_structure: "Torre",
+    editor_help: "Terreno: arrastra los puntos arriba y abajo. Plataforma: arrastra sobre la superficie para añadir una plataforma. Torre: haz clic donde debe estar.",
+    editor_name: "Nombre",
+    editor_points: "Puntos",
+    editor_gravity: "Gravedad",
+    editor_fuel: "Combustible",
+    editor_pad_side: "Plataforma de la torre",
+    editor_tower_width: "Ancho de la torre",
+    editor_remove_structure: "Quitar torre",
+    editor_test: "Vuelo de prueba",
+    editor_export: "Exportar",
+    editor_import: "Importar",
+    editor_back: "Menú",
+    editor_invalid: "Nivel no válido:",
+    back_to_editor: "Volver al editor",
+    editor_clear_pads: "Quitar plataformas",
+    editor_width: "Anchura (m)",
+    damaged_landing: "¡Aterrizaje logrado, pero el módulo está dañado!",
+    hull_damage: "Daño al casco:",
+    main_engine_failed: "Motor principal averiado",
+    left_thruster_failed: "Propulsor izquierdo averiado",
+    right_thruster_failed: "Propulsor derecho averiado",
+    destination: "Destino",
+    body_moon: "Luna",
+    body_mars: "Marte",
+    body_mercury: "Mercurio",
+    body_asteroid: "Asteroide",
+    body_titan: "Titán",
+    anomaly_detected: "Anomalía detectada: vuelo abortado",
+    reason_vertical_speed: "Velocidad vertical {actual} m/s > {limit} m/s",
+    reason_horizontal_speed: "Velocidad horizontal {actual} m/s > {limit} m/s",
+    reason_tilt: "Inclinación {actual}° > {limit}°",
+    reason_impact_speed: "Velocidad de impacto {actual} m/s > {limit} m/s",
+    reason_hull_destroyed: "Casco destruido",
+    reason_off_pad: "Aterrizó fuera de la plataforma",
+    reason_leg_off_pad: "Una pata no tocó la plataforma",
+    reason_tipped_over: "Volcado",
+    reason_dock_side: "Aproximación al muelle por el lado equivocado",
+    reason_dock_height: "Altura del muelle fallada",
+    score_fuel: "Combustible",
+    score_vertical: "Velocidad vertical",
+    score_horizontal: "Velocidad horizontal",
+    score_accuracy: "Precisión",
+    score_time: "Tiempo",
+    score_pad: "Plataforma",
+    score_landing: "Puntuación del aterrizaje",
+    score_run: "Total de la partida",
+    volume: "Volumen",
+    export_profile: "Exportar perfil",
+    import_profile: "Importar perfil",
+    profile_imported: "Perfil importado",
+    profile_error: "No se pudo importar el perfil:",
+    score_best: "Récord",
+    score_new_best: "¡Nuevo récord!",
+    leaderboard: "Clasificación",
+    leaderboard_level: "Nivel",
+    leaderboard_lander: "Módulo",
+    leaderboard_all: "Todos",
+    leaderboard_name: "Nombre",
+    leaderboard_score: "Puntuación",
+    leaderboard_empty: "Todavía no hay puntuaciones",
+    leaderboard_error: "La clasificación no está disponible",
+    close_leaderboard: "Cerrar",
+    lander_classic: "Clásico",
+    lander_round: "Redondo",
+    lander_triangle: "Triangular",
+    pilot_name: "Nombre del piloto",
+    submit_score: "Enviar puntuación",
+    score_submitted: "¡Puntuación enviada! Puesto",
+    score_submit_error: "No se pudo enviar la puntuación:",
+    show_ghost: "Fantasma del mejor vuelo",
+    load_replay: "Cargar repetición",
+    save_replay: "Guardar repetición",
+    replay_play: "Reproducir",
+    replay_pause: "Pausa",
+    replay_step_back: "Fotograma anterior",
+    replay_step_forward: "Fotograma siguiente",
+    replay_speed: "Velocidad",
+    replay_position: "Posición de la repetición",
+    replay_exit: "Menú",
+    replay_error: "No se pudo cargar la repetición:",
+    daily: "Reto diario",
+    daily_aria: "Reto diario",
+    daily_done: "Ya has volado el reto de hoy. ¡Vuelve mañana! Puntuación:",
+    daily_error: "El reto diario no está disponible.",
+    daily_name: "Escribe un nombre de piloto para volar el reto diario.",
+    daily_continue: "Continuar partida",
+    leaderboard_daily: "Reto de hoy",
+    achievements: "Logros",
+    close_achievements: "Cerrar",
+    achievements_count: "{unlocked} de {total} desbloqueados",
+    achievement_unlocked: "Logro desbloqueado:",
+    achievement_first_landing: "El Águila ha aterrizado",
+    achievement_first_landing_info: "Aterriza sin percances por primera vez.",
+    achievement_first_crash: "Frenado rocoso",
+    achievement_first_crash_info: "Estréllate por primera vez.",
+    achievement_on_fumes: "Con la reserva",
+    achievement_on_fumes_info: "Aterriza con menos del 5 % de combustible.",
+    achievement_first_try_dock: "Pulso firme",
+    achievement_first_try_dock_info: "Acopla a una torre en tu primer intento del nivel.",
+    achievement_level_ten: "Espacio profundo",
+    achievement_level_ten_info: "Llega al nivel 10 de la campaña.",
+    achievement_triangle_ten: "Piloto afilado",
+    achievement_triangle_ten_info: "Supera el nivel 10 con el módulo triangular.",
+    achievement_every_lander: "Comandante de la flota",
+    achievement_every_lander_info: "Aterriza con cada tipo de módulo.",
+    achievement_veteran: "Veterano",
+    achievement_veteran_info: "Logra 25 aterrizajes seguros.",
+    select_mode: "Elige un modo",
+    mode_campaign: "Campaña",
+    mode_campaign_info: "Aterriza nivel tras nivel mientras la gravedad sube y el combustible escasea.",
+    mode_time_trial: "Contrarreloj",
+    mode_time_trial_info: "Aterriza en menos de 30 segundos. Cuanto más tiempo sobre, mayor la puntuación.",
+    mode_fuel_miser: "Ahorrador",
+    mode_fuel_miser_info: "Aterriza con solo 80 kg de combustible. Cuanto más sobre, mayor la puntuación.",
+    mode_precision: "Precisión",
+    mode_precision_info: "Aterriza a menos de 3 m de la bandera. Cuanto más cerca, mayor la puntuación.",
+    mission_complete: "¡Misión cumplida!",
+    mission_failed: "Misión fallida",
+    mission_retry: "Reintentar misión",
+    mission_menu: "Menú",
+    mission_time: "Tiempo de vuelo",
+    mission_time_left: "Tiempo restante",
+    mission_fuel_used: "Combustible usado",
+    mission_fuel_left: "Combustible restante",
+    mission_distance: "Distancia a la bandera",
+    mission_score: "Puntuación de la misión",
+    reason_time_up: "Sin tiempo: {limit} s",
+    reason_marker_missed: "Bandera fallada por {actual} m > {limit} m",
+    daily_taken: "Este piloto ya ha volado el reto de hoy. ¡Vuelve mañana!",
+    hud_time_trial: "CONTRARRELOJ",
+    hud_fuel_miser: "AHORRADOR",
+    hud_precision: "PRECISIÓN"
   },
   fr: {
     language: "Langue",
@@ -205,7 +1185,147 @@ var translations = {
     success_message: "Atterrissage réussi !",
     crash_message: "Crash !",
     next_level: "Niveau suivant",
-    retry_level: "Réessayer le niveau"
+    retry_level: "Réessayer le niveau",
+    load_levels: "Charger des niveaux",
+    pack_loaded: "Pack de niveaux chargé :",
+    pack_error: "Pack de niveaux invalide :",
+    pack_complete: "Pack de niveaux terminé !",
+    editor: "Éditeur de niveaux",
+    editor_terrain: "Terrain",
+    editor_pad: "Plateforme",
+    editor_structure: "Tour",
+    editor_help: "Terrain : faites glisser les points vers le haut ou le bas. Plateforme : faites glisser le long de la surface pour ajouter une plateforme. Tour : cliquez à l'endroit voulu.",
+    editor_name: "Nom",
+    editor_points: "Points",
+    editor_gravity: "Gravité",
+    editor_fuel: "Carburant",
+    editor_pad_side: "Plateforme de la tour",
+    editor_tower_width: "Largeur de la tour",
+    editor_remove_structure: "Supprimer la tour",
+    editor_test: "Vol d'essai",
+    editor_export: "Exporter",
+    editor_import: "Importer",
+    editor_back: "Menu",
+    editor_invalid: "Niveau invalide :",
+    back_to_editor: "Retour à l'éditeur",
+    editor_clear_pads: "Effacer les plateformes",
+    editor_width: "Largeur (m)",
+    damaged_landing: "Atterri, mais le module est endommagé !",
+    hull_damage: "Dégâts de la coque :",
+    main_engine_failed: "Moteur principal en panne",
+    left_thruster_failed: "Propulseur gauche en panne",
+    right_thruster_failed: "Propulseur droit en panne",
+    destination: "Destination",
+    body_moon: "Lune",
+    body_mars: "Mars",
+    body_mercury: "Mercure",
+    body_asteroid: "Astéroïde",
+    body_titan: "Titan",
+    anomaly_detected: "Anomalie détectée : vol interrompu",
+    reason_vertical_speed: "Vitesse verticale {actual} m/s > {limit} m/s",
+    reason_horizontal_speed: "Vitesse horizontale {actual} m/s > {limit} m/s",
+    reason_tilt: "Inclinaison {actual}° > {limit}°",
+    reason_impact_speed: "Vitesse d'impact {actual} m/s > {limit} m/s",
+    reason_hull_destroyed: "Coque détruite",
+    reason_off_pad: "Posé hors de la plateforme",
+    reason_leg_off_pad: "Un pied a manqué la plateforme",
+    reason_tipped_over: "Renversé",
+    reason_dock_side: "Approche du quai par le mauvais côté",
+    reason_dock_height: "Hauteur du quai manquée",
+    score_fuel: "Carburant",
+    score_vertical: "Vitesse verticale",
+    score_horizontal: "Vitesse horizontale",
+    score_accuracy: "Précision",
+    score_time: "Temps",
+    score_pad: "Plateforme",
+    score_landing: "Score de l'atterrissage",
+    score_run: "Total de la partie",
+    volume: "Volume",
+    export_profile: "Exporter le profil",
+    import_profile: "Importer un profil",
+    profile_imported: "Profil importé",
+    profile_error: "Impossible d'importer le profil :",
+    score_best: "Record",
+    score_new_best: "Nouveau record !",
+    leaderboard: "Classement",
+    leaderboard_level: "Niveau",
+    leaderboard_lander: "Module",
+    leaderboard_all: "Tous",
+    leaderboard_name: "Nom",
+    leaderboard_score: "Score",
+    leaderboard_empty: "Aucun score pour l'instant",
+    leaderboard_error: "Le classement est indisponible",
+    close_leaderboard: "Fermer",
+    lander_classic: "Classique",
+    lander_round: "Rond",
+    lander_triangle: "Triangulaire",
+    pilot_name: "Nom du pilote",
+    submit_score: "Envoyer le score",
+    score_submitted: "Score envoyé ! Rang",
+    score_submit_error: "Impossible d'envoyer le score :",
+    show_ghost: "Fantôme du meilleur vol",
+    load_replay: "Charger un replay",
+    save_replay: "Enregistrer le replay",
+    replay_play: "Lecture",
+    replay_pause: "Pause",
+    replay_step_back: "Image précédente",
+    replay_step_forward: "Image suivante",
+    replay_speed: "Vitesse",
+    replay_position: "Position dans le replay",
+    replay_exit: "Menu",
+    replay_error: "Impossible de charger le replay :",
+    daily: "Défi du jour",
+    daily_aria: "Défi du jour",
+    daily_done: "Vous avez déjà joué le défi du jour. Revenez demain ! Score :",
+    daily_error: "Le défi du jour n'est pas disponible.",
+    daily_name: "Saisissez un nom de pilote pour jouer le défi du jour.",
+    daily_continue: "Continuer la partie",
+    leaderboard_daily: "Défi du jour",
+    achievements: "Succès",
+    close_achievements: "Fermer",
+    achievements_count: "{unlocked} sur {total} débloqués",
+    achievement_unlocked: "Succès débloqué :",
+    achievement_first_landing: "L'Aigle s'est posé",
+    achievement_first_landing_info: "Posez-vous sans encombre pour la première fois.",
+    achievement_first_crash: "Freinage lithique",
+    achievement_first_crash_info: "Écrasez-vous pour la première fois.",
+    achievement_on_fumes: "Sur la réserve",
+    achievement_on_fumes_info: "Atterrissez avec moins de 5 % de carburant.",
+    achievement_first_try_dock: "Main sûre",
+    achievement_first_try_dock_info: "Amarrez-vous à une tour dès le premier essai du niveau.",
+    achievement_level_ten: "Espace lointain",
+    achievement_level_ten_info: "Atteignez le niveau 10 de la campagne.",
+    achievement_triangle_ten: "Pilote affûté",
+    achievement_triangle_ten_info: "Terminez le niveau 10 avec le module triangulaire.",
+    achievement_every_lander: "Commandant de flotte",
+    achievement_every_lander_info: "Atterrissez avec chaque type de module.",
+    achievement_veteran: "Vétéran",
+    achievement_veteran_info: "Réussissez 25 atterrissages.",
+    select_mode: "Choisissez un mode",
+    mode_campaign: "Campagne",
+    mode_campaign_info: "Posez-vous niveau après niveau tandis que la gravité augmente et que le carburant s'épuise.",
+    mode_time_trial: "Contre-la-montre",
+    mode_time_trial_info: "Posez-vous en moins de 30 secondes. Plus il reste de temps, plus le score est élevé.",
+    mode_fuel_miser: "Économe",
+    mode_fuel_miser_info: "Posez-vous avec seulement 80 kg de carburant. Plus il en reste, plus le score est élevé.",
+    mode_precision: "Précision",
+    mode_precision_info: "Posez-vous à moins de 3 m du drapeau. Plus c'est près, plus le score est élevé.",
+    mission_complete: "Mission accomplie !",
+    mission_failed: "Mission échouée",
+    mission_retry: "Recommencer la mission",
+    mission_menu: "Menu",
+    mission_time: "Temps de vol",
+    mission_time_left: "Temps restant",
+    mission_fuel_used: "Carburant utilisé",
+    mission_fuel_left: "Carburant restant",
+    mission_distance: "Distance au drapeau",
+    mission_score: "Score de mission",
+    reason_time_up: "Temps écoulé : {limit} s",
+    reason_marker_missed: "Drapeau manqué de {actual} m > {limit} m",
+    daily_taken: "Ce pilote a déjà joué le défi du jour. Revenez demain !",
+    hud_time_trial: "CONTRE-LA-MONTRE",
+    hud_fuel_miser: "ÉCONOME",
+    hud_precision: "PRÉCISION"
   },
   pt: {
     language: "Idioma",
@@ -231,7 +1351,147 @@ var translations = {
     success_message: "Pouso bem-sucedido!",
     crash_message: "Colisão!",
     next_level: "Próximo nível",
-    retry_level: "Tentar novamente"
+    retry_level: "Tentar novamente",
+    load_levels: "Carregar níveis",
+    pack_loaded: "Pacote de níveis carregado:",
+    pack_error: "Pacote de níveis inválido:",
+    pack_complete: "Pacote de níveis concluído!",
+    editor: "Editor de níveis",
+    editor_terrain: "Terreno",
+    editor_pad: "Plataforma",
+    editor_structure: "Torre",
+    editor_help: "Terreno: arraste os pontos para cima e para baixo. Plataforma: arraste pela superfície para adicionar uma plataforma. Torre: clique onde ela deve ficar.",
+    editor_name: "Nome",
+    editor_points: "Pontos",
+    editor_gravity: "Gravidade",
+    editor_fuel: "Combustível",
+    editor_pad_side: "Plataforma da torre",
+    editor_tower_width: "Largura da torre",
+    editor_remove_structure: "Remover torre",
+    editor_test: "Voo de teste",
+    editor_export: "Exportar",
+    editor_import: "Importar",
+    editor_back: "Menu",
+    editor_invalid: "Nível inválido:",
+    back_to_editor: "Voltar ao editor",
+    editor_clear_pads: "Remover plataformas",
+    editor_width: "Largura (m)",
+    damaged_landing: "Pousou, mas o módulo está danificado!",
+    hull_damage: "Dano no casco:",
+    main_engine_failed: "Motor principal avariado",
+    left_thruster_failed: "Propulsor esquerdo avariado",
+    right_thruster_failed: "Propulsor direito avariado",
+    destination: "Destino",
+    body_moon: "Lua",
+    body_mars: "Marte",
+    body_mercury: "Mercúrio",
+    body_asteroid: "Asteroide",
+    body_titan: "Titã",
+    anomaly_detected: "Anomalia detectada: voo abortado",
+    reason_vertical_speed: "Velocidade vertical {actual} m/s > {limit} m/s",
+    reason_horizontal_speed: "Velocidade horizontal {actual} m/s > {limit} m/s",
+    reason_tilt: "Inclinação {actual}° > {limit}°",
+    reason_impact_speed: "Velocidade de impacto {actual} m/s > {limit} m/s",
+    reason_hull_destroyed: "Casco destruído",
+    reason_off_pad: "Pousou fora da plataforma",
+    reason_leg_off_pad: "Uma perna errou a plataforma",
+    reason_tipped_over: "Tombou",
+    reason_dock_side: "Aproximação à doca pelo lado errado",
+    reason_dock_height: "Altura da doca errada",
+    score_fuel: "Combustível",
+    score_vertical: "Velocidade vertical",
+    score_horizontal: "Velocidade horizontal",
+    score_accuracy: "Precisão",
+    score_time: "Tempo",
+    score_pad: "Plataforma",
+    score_landing: "Pontuação do pouso",
+    score_run: "Total da partida",
+    volume: "Volume",
+    export_profile: "Exportar perfil",
+    import_profile: "Importar perfil",
+    profile_imported: "Perfil importado",
+    profile_error: "Não foi possível importar o perfil:",
+    score_best: "Recorde",
+    score_new_best: "Novo recorde!",
+    leaderboard: "Classificação",
+    leaderboard_level: "Nível",
+    leaderboard_lander: "Módulo",
+    leaderboard_all: "Todos",
+    leaderboard_name: "Nome",
+    leaderboard_score: "Pontuação",
+    leaderboard_empty: "Ainda não há pontuações",
+    leaderboard_error: "A classificação não está disponível",
+    close_leaderboard: "Fechar",
+    lander_classic: "Clássico",
+    lander_round: "Redondo",
+    lander_triangle: "Triangular",
+    pilot_name: "Nome do piloto",
+    submit_score: "Enviar pontuação",
+    score_submitted: "Pontuação enviada! Posição",
+    score_submit_error: "Não foi possível enviar a pontuação:",
+    show_ghost: "Fantasma do melhor voo",
+    load_replay: "Carregar replay",
+    save_replay: "Salvar replay",
+    replay_play: "Reproduzir",
+    replay_pause: "Pausar",
+    replay_step_back: "Quadro anterior",
+    replay_step_forward: "Próximo quadro",
+    replay_speed: "Velocidade",
+    replay_position: "Posição do replay",
+    replay_exit: "Menu",
+    replay_error: "Não foi possível carregar o replay:",
+    daily: "Desafio diário",
+    daily_aria: "Desafio diário",
+    daily_done: "Você já voou o desafio de hoje. Volte amanhã! Pontuação:",
+    daily_error: "O desafio diário não está disponível.",
+    daily_name: "Digite um nome de piloto para voar o desafio diário.",
+    daily_continue: "Continuar partida",
+    leaderboard_daily: "Desafio de hoje",
+    achievements: "Conquistas",
+    close_achievements: "Fechar",
+    achievements_count: "{unlocked} de {total} desbloqueadas",
+    achievement_unlocked: "Conquista desbloqueada:",
+    achievement_first_landing: "A Águia pousou",
+    achievement_first_landing_info: "Pouse com segurança pela primeira vez.",
+    achievement_first_crash: "Frenagem rochosa",
+    achievement_first_crash_info: "Caia pela primeira vez.",
+    achievement_on_fumes: "No vapor",
+    achievement_on_fumes_info: "Pouse com menos de 5% do combustível.",
+    achievement_first_try_dock: "Mãos firmes",
+    achievement_first_try_dock_info: "Acople a uma torre na primeira tentativa do nível.",
+    achievement_level_ten: "Espaço profundo",
+    achievement_level_ten_info: "Chegue ao nível 10 da campanha.",
+    achievement_triangle_ten: "Piloto afiado",
+    achievement_triangle_ten_info: "Conclua o nível 10 com o módulo triangular.",
+    achievement_every_lander: "Comandante da frota",
+    achievement_every_lander_info: "Pouse com cada tipo de módulo.",
+    achievement_veteran: "Veterano",
+    achievement_veteran_info: "Faça 25 pousos seguros.",
+    select_mode: "Escolha um modo",
+    mode_campaign: "Campanha",
+    mode_campaign_info: "Pouse nível após nível enquanto a gravidade aumenta e o combustível acaba.",
+    mode_time_trial: "Contra o relógio",
+    mode_time_trial_info: "Pouse em até 30 segundos. Quanto mais tempo sobrar, maior a pontuação.",
+    mode_fuel_miser: "Econômico",
+    mode_fuel_miser_info: "Pouse com apenas 80 kg de combustível. Quanto mais sobrar, maior a pontuação.",
+    mode_precision: "Precisão",
+    mode_precision_info: "Pouse a até 3 m da bandeira. Quanto mais perto, maior a pontuação.",
+    mission_complete: "Missão cumprida!",
+    mission_failed: "Missão fracassada",
+    mission_retry: "Repetir missão",
+    mission_menu: "Menu",
+    mission_time: "Tempo de voo",
+    mission_time_left: "Tempo restante",
+    mission_fuel_used: "Combustível usado",
+    mission_fuel_left: "Combustível restante",
+    mission_distance: "Distância da bandeira",
+    mission_score: "Pontuação da missão",
+    reason_time_up: "Tempo esgotado: {limit} s",
+    reason_marker_missed: "Bandeira errada por {actual} m > {limit} m",
+    daily_taken: "Este piloto já voou o desafio de hoje. Volte amanhã!",
+    hud_time_trial: "CONTRA O RELÓGIO",
+    hud_fuel_miser: "ECONÔMICO",
+    hud_precision: "PRECISÃO"
   },
   ru: {
     language: "Язык",
@@ -257,7 +1517,147 @@ var translations = {
     success_message: "Успешная посадка!",
     crash_message: "Крушение!",
     next_level: "Следующий уровень",
-    retry_level: "Повторить уровень"
+    retry_level: "Повторить уровень",
+    load_levels: "Загрузить уровни",
+    pack_loaded: "Набор уровней загружен:",
+    pack_error: "Неверный набор уровней:",
+    pack_complete: "Набор уровней пройден!",
+    editor: "Редактор уровней",
+    editor_terrain: "Рельеф",
+    editor_pad: "Площадка",
+    editor_structure: "Башня",
+    editor_help: "Рельеф: перетаскивайте точки вверх и вниз. Площадка: протяните по поверхности, чтобы добавить площадку. Башня: щёлкните, где она должна стоять.",
+    editor_name: "Название",
+    editor_points: "Точки",
+    editor_gravity: "Гравитация",
+    editor_fuel: "Топливо",
+    editor_pad_side: "Площадка башни",
+    editor_tower_width: "Ширина башни",
+    editor_remove_structure: "Убрать башню",
+    editor_test: "Тестовый полёт",
+    editor_export: "Экспорт",
+    editor_import: "Импорт",
+    editor_back: "Меню",
+    editor_invalid: "Неверный уровень:",
+    back_to_editor: "Назад в редактор",
+    editor_clear_pads: "Убрать площадки",
+    editor_width: "Ширина (м)",
+    damaged_landing: "Посадка выполнена, но модуль повреждён!",
+    hull_damage: "Повреждение корпуса:",
+    main_engine_failed: "Главный двигатель отказал",
+    left_thruster_failed: "Левый двигатель ориентации отказал",
+    right_thruster_failed: "Правый двигатель ориентации отказал",
+    destination: "Пункт назначения",
+    body_moon: "Луна",
+    body_mars: "Марс",
+    body_mercury: "Меркурий",
+    body_asteroid: "Астероид",
+    body_titan: "Титан",
+    anomaly_detected: "Обнаружена аномалия: полёт прерван",
+    reason_vertical_speed: "Вертикальная скорость {actual} м/с > {limit} м/с",
+    reason_horizontal_speed: "Горизонтальная скорость {actual} м/с > {limit} м/с",
+    reason_tilt: "Наклон {actual}° > {limit}°",
+    reason_impact_speed: "Скорость удара {actual} м/с > {limit} м/с",
+    reason_hull_destroyed: "Корпус разрушен",
+    reason_off_pad: "Посадка вне площадки",
+    reason_leg_off_pad: "Одна опора промахнулась мимо площадки",
+    reason_tipped_over: "Опрокинулся",
+    reason_dock_side: "Подход к доку с неправильной стороны",
+    reason_dock_height: "Промах по высоте дока",
+    score_fuel: "Топливо",
+    score_vertical: "Вертикальная скорость",
+    score_horizontal: "Горизонтальная скорость",
+    score_accuracy: "Точность",
+    score_time: "Время",
+    score_pad: "Площадка",
+    score_landing: "Очки за посадку",
+    score_run: "Всего очков",
+    volume: "Громкость",
+    export_profile: "Экспорт профиля",
+    import_profile: "Импорт профиля",
+    profile_imported: "Профиль импортирован",
+    profile_error: "Не удалось импортировать профиль:",
+    score_best: "Рекорд",
+    score_new_best: "Новый рекорд!",
+    leaderboard: "Таблица рекордов",
+    leaderboard_level: "Уровень",
+    leaderboard_lander: "Модуль",
+    leaderboard_all: "Все",
+    leaderboard_name: "Имя",
+    leaderboard_score: "Очки",
+    leaderboard_empty: "Пока нет результатов",
+    leaderboard_error: "Таблица рекордов недоступна",
+    close_leaderboard: "Закрыть",
+    lander_classic: "Классический",
+    lander_round: "Круглый",
+    lander_triangle: "Треугольный",
+    pilot_name: "Имя пилота",
+    submit_score: "Отправить результат",
+    score_submitted: "Результат отправлен! Место",
+    score_submit_error: "Не удалось отправить результат:",
+    show_ghost: "Призрак лучшего полёта",
+    load_replay: "Загрузить повтор",
+    save_replay: "Сохранить повтор",
+    replay_play: "Пуск",
+    replay_pause: "Пауза",
+    replay_step_back: "Предыдущий кадр",
+    replay_step_forward: "Следующий кадр",
+    replay_speed: "Скорость",
+    replay_position: "Позиция повтора",
+    replay_exit: "Меню",
+    replay_error: "Не удалось загрузить повтор:",
+    daily: "Задание дня",
+    daily_aria: "Задание дня",
+    daily_done: "Вы уже прошли сегодняшнее задание. Возвращайтесь завтра! Очки:",
+    daily_error: "Задание дня недоступно.",
+    daily_name: "Введите имя пилота, чтобы пройти ежедневное задание.",
+    daily_continue: "Продолжить игру",
+    leaderboard_daily: "Сегодняшнее задание",
+    achievements: "Достижения",
+    close_achievements: "Закрыть",
+    achievements_count: "Открыто {unlocked} из {total}",
+    achievement_unlocked: "Достижение открыто:",
+    achievement_first_landing: "Орёл сел",
+    achievement_first_landing_info: "Впервые совершите безопасную посадку.",
+    achievement_first_crash: "Торможение о скалы",
+    achievement_first_crash_info: "Впервые разбейтесь.",
+    achievement_on_fumes: "На последних каплях",
+    achievement_on_fumes_info: "Сядьте, когда осталось меньше 5% топлива.",
+    achievement_first_try_dock: "Твёрдая рука",
+    achievement_first_try_dock_info: "Пристыкуйтесь к башне с первой попытки уровня.",
+    achievement_level_ten: "Дальний космос",
+    achievement_level_ten_info: "Доберитесь до 10-го уровня кампании.",
+    achievement_triangle_ten: "Острый пилот",
+    achievement_triangle_ten_info: "Пройдите 10-й уровень на треугольном модуле.",
+    achievement_every_lander: "Командир флота",
+    achievement_every_lander_info: "Совершите посадку на каждом типе модуля.",
+    achievement_veteran: "Ветеран",
+    achievement_veteran_info: "Совершите 25 безопасных посадок.",
+    select_mode: "Выберите режим",
+    mode_campaign: "Кампания",
+    mode_campaign_info: "Садитесь уровень за уровнем, пока растёт гравитация и убывает топливо.",
+    mode_time_trial: "На время",
+    mode_time_trial_info: "Сядьте за 30 секунд. Чем больше времени осталось, тем выше счёт.",
+    mode_fuel_miser: "Экономия",
+    mode_fuel_miser_info: "Сядьте всего с 80 кг топлива. Чем больше осталось, тем выше счёт.",
+    mode_precision: "Точность",
+    mode_precision_info: "Сядьте не дальше 3 м от флажка. Чем ближе, тем выше счёт.",
+    mission_complete: "Миссия выполнена!",
+    mission_failed: "Миссия провалена",
+    mission_retry: "Повторить миссию",
+    mission_menu: "Меню",
+    mission_time: "Время полёта",
+    mission_time_left: "Осталось времени",
+    mission_fuel_used: "Израсходовано топлива",
+    mission_fuel_left: "Осталось топлива",
+    mission_distance: "Расстояние до флажка",
+    mission_score: "Очки миссии",
+    reason_time_up: "Время вышло: {limit} с",
+    reason_marker_missed: "Промах мимо флажка на {actual} м > {limit} м",
+    daily_taken: "Этот пилот уже прошёл сегодняшнее задание. Возвращайтесь завтра!",
+    hud_time_trial: "НА ВРЕМЯ",
+    hud_fuel_miser: "ЭКОНОМИЯ",
+    hud_precision: "ТОЧНОСТЬ"
   },
   ar: {
     language: "اللغة",
@@ -283,7 +1683,147 @@ var translations = {
     success_message: "هبوط ناجح!",
     crash_message: "تحطم!",
     next_level: "المستوى التالي",
-    retry_level: "إعادة المحاولة"
+    retry_level: "إعادة المحاولة",
+    load_levels: "تحميل المراحل",
+    pack_loaded: "تم تحميل حزمة المراحل:",
+    pack_error: "حزمة مراحل غير صالحة:",
+    pack_complete: "اكتملت حزمة المراحل!",
+    editor: "محرر المراحل",
+    editor_terrain: "التضاريس",
+    editor_pad: "المنصة",
+    editor_structure: "البرج",
+    editor_help: "التضاريس: اسحب النقاط لأعلى ولأسفل. المنصة: اسحب على السطح لإضافة منصة. البرج: انقر حيث يجب أن يقف.",
+    editor_name: "الاسم",
+    editor_points: "النقاط",
+    editor_gravity: "الجاذبية",
+    editor_fuel: "الوقود",
+    editor_pad_side: "منصة البرج",
+    editor_tower_width: "عرض البرج",
+    editor_remove_structure: "إزالة البرج",
+    editor_test: "رحلة تجريبية",
+    editor_export: "تصدير",
+    editor_import: "استيراد",
+    editor_back: "القائمة",
+    editor_invalid: "مرحلة غير صالحة:",
+    back_to_editor: "العودة إلى المحرر",
+    editor_clear_pads: "مسح المنصات",
+    editor_width: "العرض (م)",
+    damaged_landing: "تم الهبوط، لكن المركبة متضررة!",
+    hull_damage: "ضرر الهيكل:",
+    main_engine_failed: "تعطل المحرك الرئيسي",
+    left_thruster_failed: "تعطل الدافع الأيسر",
+    right_thruster_failed: "تعطل الدافع الأيمن",
+    destination: "الوجهة",
+    body_moon: "القمر",
+    body_mars: "المريخ",
+    body_mercury: "عطارد",
+    body_asteroid: "كويكب",
+    body_titan: "تيتان",
+    anomaly_detected: "تم اكتشاف خلل: أُلغيت الرحلة",
+    reason_vertical_speed: "السرعة العمودية {actual} م/ث > {limit} م/ث",
+    reason_horizontal_speed: "السرعة الأفقية {actual} م/ث > {limit} م/ث",
+    reason_tilt: "الميل {actual}° > {limit}°",
+    reason_impact_speed: "سرعة الاصطدام {actual} م/ث > {limit} م/ث",
+    reason_hull_destroyed: "تحطم الهيكل",
+    reason_off_pad: "هبط خارج منصة الهبوط",
+    reason_leg_off_pad: "إحدى الأرجل أخطأت المنصة",
+    reason_tipped_over: "انقلب",
+    reason_dock_side: "الاقتراب من الرصيف من الجهة الخاطئة",
+    reason_dock_height: "أخطأ ارتفاع الرصيف",
+    score_fuel: "الوقود",
+    score_vertical: "السرعة العمودية",
+    score_horizontal: "السرعة الأفقية",
+    score_accuracy: "الدقة",
+    score_time: "الوقت",
+    score_pad: "المنصة",
+    score_landing: "نقاط الهبوط",
+    score_run: "المجموع",
+    volume: "مستوى الصوت",
+    export_profile: "تصدير الملف الشخصي",
+    import_profile: "استيراد الملف الشخصي",
+    profile_imported: "تم استيراد الملف الشخصي",
+    profile_error: "تعذر استيراد الملف الشخصي:",
+    score_best: "الأفضل",
+    score_new_best: "رقم قياسي جديد!",
+    leaderboard: "لوحة الصدارة",
+    leaderboard_level: "المستوى",
+    leaderboard_lander: "المركبة",
+    leaderboard_all: "الكل",
+    leaderboard_name: "الاسم",
+    leaderboard_score: "النقاط",
+    leaderboard_empty: "لا توجد نتائج بعد",
+    leaderboard_error: "لوحة الصدارة غير متاحة",
+    close_leaderboard: "إغلاق",
+    lander_classic: "كلاسيكية",
+    lander_round: "دائرية",
+    lander_triangle: "مثلثية",
+    pilot_name: "اسم الطيار",
+    submit_score: "إرسال النتيجة",
+    score_submitted: "تم إرسال النتيجة! المركز",
+    score_submit_error: "تعذر إرسال النتيجة:",
+    show_ghost: "شبح أفضل رحلة",
+    load_replay: "تحميل إعادة",
+    save_replay: "حفظ الإعادة",
+    replay_play: "تشغيل",
+    replay_pause: "إيقاف مؤقت",
+    replay_step_back: "الإطار السابق",
+    replay_step_forward: "الإطار التالي",
+    replay_speed: "السرعة",
+    replay_position: "موضع الإعادة",
+    replay_exit: "القائمة",
+    replay_error: "تعذر تحميل الإعادة:",
+    daily: "تحدي اليوم",
+    daily_aria: "تحدي اليوم",
+    daily_done: "لقد خضت تحدي اليوم. عد غدًا! النقاط:",
+    daily_error: "تحدي اليوم غير متاح.",
+    daily_name: "أدخل اسم الطيار لخوض التحدي اليومي.",
+    daily_continue: "متابعة اللعب",
+    leaderboard_daily: "تحدي اليوم",
+    achievements: "الإنجازات",
+    close_achievements: "إغلاق",
+    achievements_count: "{unlocked} من {total} مفتوحة",
+    achievement_unlocked: "تم فتح إنجاز:",
+    achievement_first_landing: "النسر هبط",
+    achievement_first_landing_info: "اهبط بأمان لأول مرة.",
+    achievement_first_crash: "الكبح بالصخور",
+    achievement_first_crash_info: "تحطم لأول مرة.",
+    achievement_on_fumes: "على آخر قطرة",
+    achievement_on_fumes_info: "اهبط بأقل من 5٪ من الوقود.",
+    achievement_first_try_dock: "يد ثابتة",
+    achievement_first_try_dock_info: "التحم ببرج من المحاولة الأولى في المستوى.",
+    achievement_level_ten: "الفضاء العميق",
+    achievement_level_ten_info: "اصل إلى المستوى 10 من الحملة.",
+    achievement_triangle_ten: "طيار حاد",
+    achievement_triangle_ten_info: "أنهِ المستوى 10 بالمركبة المثلثة.",
+    achievement_every_lander: "قائد الأسطول",
+    achievement_every_lander_info: "اهبط بكل نوع من المركبات.",
+    achievement_veteran: "محارب قديم",
+    achievement_veteran_info: "حقق 25 هبوطًا آمنًا.",
+    select_mode: "اختر وضعًا",
+    mode_campaign: "الحملة",
+    mode_campaign_info: "اهبط مستوى بعد مستوى بينما تزداد الجاذبية ويقل الوقود.",
+    mode_time_trial: "سباق الزمن",
+    mode_time_trial_info: "اهبط خلال 30 ثانية. كلما بقي وقت أكثر، زادت النقاط.",
+    mode_fuel_miser: "المقتصد",
+    mode_fuel_miser_info: "اهبط بـ 80 كغ فقط من الوقود. كلما بقي أكثر، زادت النقاط.",
+    mode_precision: "الدقة",
+    mode_precision_info: "اهبط على بعد 3 م من العلم. كلما اقتربت، زادت النقاط.",
+    mission_complete: "اكتملت المهمة!",
+    mission_failed: "فشلت المهمة",
+    mission_retry: "إعادة المهمة",
+    mission_menu: "القائمة",
+    mission_time: "زمن الطيران",
+    mission_time_left: "الوقت المتبقي",
+    mission_fuel_used: "الوقود المستهلك",
+    mission_fuel_left: "الوقود المتبقي",
+    mission_distance: "البعد عن العلم",
+    mission_score: "نقاط المهمة",
+    reason_time_up: "انتهى الوقت: {limit} ث",
+    reason_marker_missed: "أخطأت العلم بمسافة {actual} م > {limit} م",
+    daily_taken: "خاض هذا الطيار تحدي اليوم بالفعل. عد غدًا!",
+    hud_time_trial: "سباق الزمن",
+    hud_fuel_miser: "المقتصد",
+    hud_precision: "الدقة"
   },
   ja: {
     language: "言語",
@@ -309,7 +1849,147 @@ var translations = {
     success_message: "着陸成功！",
     crash_message: "クラッシュ！",
     next_level: "次のレベル",
-    retry_level: "レベル再挑戦"
+    retry_level: "レベル再挑戦",
+    load_levels: "レベルを読み込む",
+    pack_loaded: "レベルパックを読み込みました：",
+    pack_error: "無効なレベルパック：",
+    pack_complete: "レベルパックをクリア！",
+    editor: "レベルエディター",
+    editor_terrain: "地形",
+    editor_pad: "着陸パッド",
+    editor_structure: "タワー",
+    editor_help: "地形：点を上下にドラッグ。パッド：地表に沿ってドラッグしてパッドを追加。タワー：置きたい場所をクリック。",
+    editor_name: "名前",
+    editor_points: "ポイント数",
+    editor_gravity: "重力",
+    editor_fuel: "燃料",
+    editor_pad_side: "タワーのパッド",
+    editor_tower_width: "タワーの幅",
+    editor_remove_structure: "タワーを削除",
+    editor_test: "テスト飛行",
+    editor_export: "エクスポート",
+    editor_import: "インポート",
+    editor_back: "メニュー",
+    editor_invalid: "無効なレベル：",
+    back_to_editor: "エディターに戻る",
+    editor_clear_pads: "パッドを消去",
+    editor_width: "幅（m）",
+    damaged_landing: "着陸しましたが、着陸船が損傷しています！",
+    hull_damage: "船体の損傷：",
+    main_engine_failed: "メインエンジン故障",
+    left_thruster_failed: "左スラスター故障",
+    right_thruster_failed: "右スラスター故障",
+    destination: "目的地",
+    body_moon: "月",
+    body_mars: "火星",
+    body_mercury: "水星",
+    body_asteroid: "小惑星",
+    body_titan: "タイタン",
+    anomaly_detected: "異常を検出：飛行を中止しました",
+    reason_vertical_speed: "垂直速度 {actual} m/s > {limit} m/s",
+    reason_horizontal_speed: "水平速度 {actual} m/s > {limit} m/s",
+    reason_tilt: "傾き {actual}° > {limit}°",
+    reason_impact_speed: "衝突速度 {actual} m/s > {limit} m/s",
+    reason_hull_destroyed: "船体が破壊されました",
+    reason_off_pad: "着陸パッドの外に着地",
+    reason_leg_off_pad: "片方の脚がパッドを外れました",
+    reason_tipped_over: "転倒しました",
+    reason_dock_side: "ドックに逆側から接近しました",
+    reason_dock_height: "ドックの高さを外しました",
+    score_fuel: "燃料",
+    score_vertical: "垂直速度",
+    score_horizontal: "水平速度",
+    score_accuracy: "精度",
+    score_time: "時間",
+    score_pad: "パッド",
+    score_landing: "着陸スコア",
+    score_run: "合計スコア",
+    volume: "音量",
+    export_profile: "プロフィールを書き出す",
+    import_profile: "プロフィールを読み込む",
+    profile_imported: "プロフィールを読み込みました",
+    profile_error: "プロフィールを読み込めませんでした：",
+    score_best: "ベスト",
+    score_new_best: "ベスト更新！",
+    leaderboard: "ランキング",
+    leaderboard_level: "レベル",
+    leaderboard_lander: "着陸船",
+    leaderboard_all: "すべて",
+    leaderboard_name: "名前",
+    leaderboard_score: "スコア",
+    leaderboard_empty: "まだスコアがありません",
+    leaderboard_error: "ランキングを利用できません",
+    close_leaderboard: "閉じる",
+    lander_classic: "クラシック",
+    lander_round: "ラウンド",
+    lander_triangle: "トライアングル",
+    pilot_name: "パイロット名",
+    submit_score: "スコアを送信",
+    score_submitted: "スコアを送信しました！順位",
+    score_submit_error: "スコアを送信できませんでした：",
+    show_ghost: "ベストフライトのゴースト",
+    load_replay: "リプレイを読み込む",
+    save_replay: "リプレイを保存",
+    replay_play: "再生",
+    replay_pause: "一時停止",
+    replay_step_back: "前のフレーム",
+    replay_step_forward: "次のフレーム",
+    replay_speed: "速度",
+    replay_position: "リプレイの位置",
+    replay_exit: "メニュー",
+    replay_error: "リプレイを読み込めませんでした：",
+    daily: "デイリー",
+    daily_aria: "デイリーチャレンジ",
+    daily_done: "今日のチャレンジは挑戦済みです。また明日！スコア：",
+    daily_error: "デイリーチャレンジは利用できません。",
+    daily_name: "デイリーチャレンジに挑戦するにはパイロット名を入力してください。",
+    daily_continue: "ゲームを続ける",
+    leaderboard_daily: "今日のチャレンジ",
+    achievements: "実績",
+    close_achievements: "閉じる",
+    achievements_count: "{total} 個中 {unlocked} 個解除",
+    achievement_unlocked: "実績解除：",
+    achievement_first_landing: "イーグルは舞い降りた",
+    achievement_first_landing_info: "初めて無事に着陸する。",
+    achievement_first_crash: "岩石ブレーキ",
+    achievement_first_crash_info: "初めて墜落する。",
+    achievement_on_fumes: "ガス欠寸前",
+    achievement_on_fumes_info: "燃料が 5% 未満の状態で着陸する。",
+    achievement_first_try_dock: "確かな腕",
+    achievement_first_try_dock_info: "レベルの最初の挑戦でタワーにドッキングする。",
+    achievement_level_ten: "深宇宙",
+    achievement_level_ten_info: "キャンペーンのレベル 10 に到達する。",
+    achievement_triangle_ten: "鋭きパイロット",
+    achievement_triangle_ten_info: "三角形の着陸船でレベル 10 をクリアする。",
+    achievement_every_lander: "艦隊司令官",
+    achievement_every_lander_info: "すべての種類の着陸船で着陸する。",
+    achievement_veteran: "ベテラン",
+    achievement_veteran_info: "25 回安全に着陸する。",
+    select_mode: "モードを選択",
+    mode_campaign: "キャンペーン",
+    mode_campaign_info: "重力が増し燃料が減る中、レベルを次々と着陸していく。",
+    mode_time_trial: "タイムトライアル",
+    mode_time_trial_info: "30 秒以内に着陸する。残り時間が多いほど高得点。",
+    mode_fuel_miser: "燃料節約",
+    mode_fuel_miser_info: "わずか 80 kg の燃料で着陸する。残りが多いほど高得点。",
+    mode_precision: "精密着陸",
+    mode_precision_info: "旗から 3 m 以内に着陸する。近いほど高得点。",
+    mission_complete: "ミッション成功！",
+    mission_failed: "ミッション失敗",
+    mission_retry: "ミッション再挑戦",
+    mission_menu: "メニュー",
+    mission_time: "飛行時間",
+    mission_time_left: "残り時間",
+    mission_fuel_used: "使用燃料",
+    mission_fuel_left: "残り燃料",
+    mission_distance: "旗からの距離",
+    mission_score: "ミッションスコア",
+    reason_time_up: "時間切れ：{limit} 秒",
+    reason_marker_missed: "旗から {actual} m ずれた > {limit} m",
+    daily_taken: "このパイロットは今日のチャレンジに挑戦済みです。また明日！",
+    hud_time_trial: "タイムトライアル",
+    hud_fuel_miser: "燃料節約",
+    hud_precision: "精密着陸"
   },
   hi: {
     language: "भाषा",
@@ -335,7 +2015,147 @@ var translations = {
     success_message: "सफल लैंडिंग!",
     crash_message: "दुर्घटना!",
     next_level: "अगला स्तर",
-    retry_level: "स्तर दोबारा प्रयास करें"
+    retry_level: "स्तर दोबारा प्रयास करें",
+    load_levels: "स्तर लोड करें",
+    pack_loaded: "स्तर पैक लोड हुआ:",
+    pack_error: "अमान्य स्तर पैक:",
+    pack_complete: "स्तर पैक पूरा हुआ!",
+    editor: "स्तर संपादक",
+    editor_terrain: "भूभाग",
+    editor_pad: "पैड",
+    editor_structure: "टावर",
+    editor_help: "भूभाग: बिंदुओं को ऊपर-नीचे खींचें। पैड: पैड जोड़ने के लिए सतह पर खींचें। टावर: जहाँ खड़ा करना है वहाँ क्लिक करें।",
+    editor_name: "नाम",
+    editor_points: "बिंदु",
+    editor_gravity: "गुरुत्व",
+    editor_fuel: "ईंधन",
+    editor_pad_side: "टावर पैड",
+    editor_tower_width: "टावर की चौड़ाई",
+    editor_remove_structure: "टावर हटाएँ",
+    editor_test: "परीक्षण उड़ान",
+    editor_export: "निर्यात",
+    editor_import: "आयात",
+    editor_back: "मेनू",
+    editor_invalid: "अमान्य स्तर:",
+    back_to_editor: "संपादक पर वापस",
+    editor_clear_pads: "पैड हटाएँ",
+    editor_width: "चौड़ाई (मी)",
+    damaged_landing: "उतर गए, लेकिन लैंडर क्षतिग्रस्त है!",
+    hull_damage: "ढांचे को नुकसान:",
+    main_engine_failed: "मुख्य इंजन खराब",
+    left_thruster_failed: "बायाँ थ्रस्टर खराब",
+    right_thruster_failed: "दायाँ थ्रस्टर खराब",
+    destination: "गंतव्य",
+    body_moon: "चंद्रमा",
+    body_mars: "मंगल",
+    body_mercury: "बुध",
+    body_asteroid: "क्षुद्रग्रह",
+    body_titan: "टाइटन",
+    anomaly_detected: "विसंगति मिली: उड़ान रद्द",
+    reason_vertical_speed: "ऊर्ध्वाधर गति {actual} m/s > {limit} m/s",
+    reason_horizontal_speed: "क्षैतिज गति {actual} m/s > {limit} m/s",
+    reason_tilt: "झुकाव {actual}° > {limit}°",
+    reason_impact_speed: "टक्कर की गति {actual} m/s > {limit} m/s",
+    reason_hull_destroyed: "ढांचा नष्ट हो गया",
+    reason_off_pad: "लैंडिंग पैड के बाहर उतरा",
+    reason_leg_off_pad: "एक पैर पैड से चूक गया",
+    reason_tipped_over: "पलट गया",
+    reason_dock_side: "डॉक की ओर गलत दिशा से पहुँचे",
+    reason_dock_height: "डॉक की ऊँचाई से चूके",
+    score_fuel: "ईंधन",
+    score_vertical: "ऊर्ध्वाधर गति",
+    score_horizontal: "क्षैतिज गति",
+    score_accuracy: "सटीकता",
+    score_time: "समय",
+    score_pad: "पैड",
+    score_landing: "लैंडिंग स्कोर",
+    score_run: "कुल स्कोर",
+    volume: "आवाज़",
+    export_profile: "प्रोफ़ाइल निर्यात करें",
+    import_profile: "प्रोफ़ाइल आयात करें",
+    profile_imported: "प्रोफ़ाइल आयात हो गई",
+    profile_error: "प्रोफ़ाइल आयात नहीं हो सकी:",
+    score_best: "सर्वश्रेष्ठ",
+    score_new_best: "नया रिकॉर्ड!",
+    leaderboard: "लीडरबोर्ड",
+    leaderboard_level: "स्तर",
+    leaderboard_lander: "लैंडर",
+    leaderboard_all: "सभी",
+    leaderboard_name: "नाम",
+    leaderboard_score: "स्कोर",
+    leaderboard_empty: "अभी कोई स्कोर नहीं",
+    leaderboard_error: "लीडरबोर्ड उपलब्ध नहीं है",
+    close_leaderboard: "बंद करें",
+    lander_classic: "क्लासिक",
+    lander_round: "गोल",
+    lander_triangle: "त्रिकोणीय",
+    pilot_name: "पायलट का नाम",
+    submit_score: "स्कोर भेजें",
+    score_submitted: "स्कोर भेजा गया! रैंक",
+    score_submit_error: "स्कोर नहीं भेजा जा सका:",
+    show_ghost: "सर्वश्रेष्ठ उड़ान का भूत",
+    load_replay: "रीप्ले लोड करें",
+    save_replay: "रीप्ले सहेजें",
+    replay_play: "चलाएँ",
+    replay_pause: "रोकें",
+    replay_step_back: "पिछला फ़्रेम",
+    replay_step_forward: "अगला फ़्रेम",
+    replay_speed: "गति",
+    replay_position: "रीप्ले की स्थिति",
+    replay_exit: "मेनू",
+    replay_error: "रीप्ले लोड नहीं हो सका:",
+    daily: "दैनिक चुनौती",
+    daily_aria: "दैनिक चुनौती",
+    daily_done: "आज की चुनौती आप उड़ा चुके हैं। कल फिर आएँ! स्कोर:",
+    daily_error: "दैनिक चुनौती उपलब्ध नहीं है।",
+    daily_name: "दैनिक चुनौती उड़ाने के लिए पायलट का नाम लिखें।",
+    daily_continue: "खेल जारी रखें",
+    leaderboard_daily: "आज की चुनौती",
+    achievements: "उपलब्धियाँ",
+    close_achievements: "बंद करें",
+    achievements_count: "{total} में से {unlocked} अनलॉक",
+    achievement_unlocked: "उपलब्धि अनलॉक:",
+    achievement_first_landing: "ईगल उतर गया",
+    achievement_first_landing_info: "पहली बार सुरक्षित रूप से उतरें।",
+    achievement_first_crash: "चट्टानी ब्रेक",
+    achievement_first_crash_info: "पहली बार दुर्घटनाग्रस्त हों।",
+    achievement_on_fumes: "आखिरी बूंद पर",
+    achievement_on_fumes_info: "5% से कम ईंधन बचे रहते उतरें।",
+    achievement_first_try_dock: "स्थिर हाथ",
+    achievement_first_try_dock_info: "स्तर के पहले प्रयास में टावर से डॉक करें।",
+    achievement_level_ten: "गहरा अंतरिक्ष",
+    achievement_level_ten_info: "अभियान के स्तर 10 तक पहुँचें।",
+    achievement_triangle_ten: "तेज़ पायलट",
+    achievement_triangle_ten_info: "त्रिकोणीय लैंडर से स्तर 10 पार करें।",
+    achievement_every_lander: "बेड़े के सेनापति",
+    achievement_every_lander_info: "हर प्रकार के लैंडर से उतरें।",
+    achievement_veteran: "अनुभवी",
+    achievement_veteran_info: "25 सुरक्षित लैंडिंग करें।",
+    select_mode: "मोड चुनें",
+    mode_campaign: "अभियान",
+    mode_campaign_info: "स्तर दर स्तर उतरें, जबकि गुरुत्व बढ़ता है और ईंधन घटता है।",
+    mode_time_trial: "समय परीक्षण",
+    mode_time_trial_info: "30 सेकंड के भीतर उतरें। जितना अधिक समय बचे, उतना ऊँचा स्कोर।",
+    mode_fuel_miser: "ईंधन बचत",
+    mode_fuel_miser_info: "केवल 80 किग्रा ईंधन के साथ उतरें। जितना अधिक बचे, उतना ऊँचा स्कोर।",
+    mode_precision: "सटीकता",
+    mode_precision_info: "झंडे से 3 मी के भीतर उतरें। जितना पास, उतना ऊँचा स्कोर।",
+    mission_complete: "मिशन पूरा!",
+    mission_failed: "मिशन विफल",
+    mission_retry: "मिशन दोबारा",
+    mission_menu: "मेनू",
+    mission_time: "उड़ान समय",
+    mission_time_left: "बचा समय",
+    mission_fuel_used: "खर्च ईंधन",
+    mission_fuel_left: "बचा ईंधन",
+    mission_distance: "झंडे से दूरी",
+    mission_score: "मिशन स्कोर",
+    reason_time_up: "समय समाप्त: {limit} से",
+    reason_marker_missed: "झंडा {actual} मी से चूका > {limit} मी",
+    daily_taken: "यह पायलट आज की चुनौती पहले ही उड़ा चुका है। कल फिर आएँ!",
+    hud_time_trial: "समय परीक्षण",
+    hud_fuel_miser: "ईंधन बचत",
+    hud_precision: "सटीकता"
   }
 };
 
@@ -0,0 +1,390 @@
+// Level definitions and level packs.
+//
+// A level is a plain JSON object describing everything needed to play it:
+//
+//   {
+//     "name": "Crater rim",              // optional title
+//     "body": "mars",                    // celestial body (see bodies.js),
+//                                        // optional; defaults to the one
+//                                        // picked in the menu
+//     "gravity": 1.62,                   // m/s^2, defaults to the body's
+//     "fuel": 800,                       // starting fuel (kg), optional
+//     "fuelReduction": 200,              // subtracted from the lander's base
+//                                        // fuel when `fuel` is omitted
+//     "timeLimit": 30,                   // seconds to land in, optional
+//     "landers": ["classic", "round"],   // allowed lander types, optional
+//     "width": 300,                      // world width (m), optional; wider
+//                                        // than one screen scrolls
+//     "terrain": [0.3, 0.2, 0.2, 0.35],  // surface heights as a fraction of
+//                                        // the maximum altitude, evenly
+//                                        // spaced across the world width
+//     "polygons": [                      // extra solid rock, optional: points
+//       [[40, 0.6], [80, 0.6], [60, 0.5]] // of [range (m), height (0–1)]
+//     ],
+//     "pads": [                          // one or more landing pads (metres,
+//       { "startRange": 30, "endRange": 40, //  height as a 0–1 fraction)
+//         "height": 0.2, "multiplier": 1.5 }
+//     ],
+//     "objects": [                       // optional level objects (metres)
+//       { "type": "tower", "startRange": 80, "endRange": 82, "height": 65,
+//         "padStart": 40, "padEnd": 55, "padSide": "left" }
+//     ]
+//   }
+//
+// The heightmap becomes the ground polygon; `polygons` add overhangs, cave
+// roofs and floating rock (see terrain.js). A level needs a heightmap, some
+// polygons or both.
+//
+// `multiplier` rewards landing on harder pads and is computed from the pad's
+// width and distance from the start position when omitted. A single `pad`
+// object is still accepted in place of `pads`.
+//
+// Object types and their fields are described in entities.js. Older levels
+// may have a single docking tower as `structure` instead.
+//
+// A level pack groups levels that are played in order:
+//
+//   { "format": 1, "name": "Campaign", "levels": [ ...levels ] }
+//
+// The built-in pack is procedural: its levels are generated on demand from
+// the run seed and never run out.
+
+// Resolve dependencies in Node; in the browser they are globals.
+const levelRandom = typeof require === 'function' ? require('./random') : window;
+const levelEntities = typeof require === 'function' ? require('./entities') : window;
+const levelBodies = typeof require === 'function' ? require('./bodies') : window;
+
+// Version of the level pack format understood by this build.
+const LEVEL_FORMAT_VERSION = 1;
+
+// The endless ladder of generated levels the game has always offered.
+const BUILTIN_LEVEL_PACK = {
+  format: LEVEL_FORMAT_VERSION,
+  name: 'Classic',
+  procedural: true
+};
+
+const isNumber = value => typeof value === 'number' && isFinite(value);
+
+// Width of a level's world in metres. Levels without a `width` fill exactly
+// one screen, `maxRange` metres across.
+function getLevelWidth(level, maxRange = 100) {
+  return level.width !== undefined ? level.width : maxRange;
+}
+
+/**
+ * Check a level definition against the format. Returns a list of problems,
+ * which is empty when the level is valid. `options.maxRange` is the width of
+ * one screen and the minimum world width, `options.maxAltitude` bounds
+ * heights and `options.landerTypes` lists the lander names that may appear in
+ * `landers`.
+ */
+function validateLevel(level, options = {}) {
+  const { maxRange = 100, maxAltitude = 100, landerTypes = null } = options;
+  const errors = [];
+  if (!level || typeof level !== 'object') {
+    return ['level must be an object'];
+  }
+  if (level.width !== undefined && !(isNumber(level.width) && level.width >= maxRange)) {
+    errors.push(`width must be a number of at least ${maxRange} m`);
+  }
+  const width = isNumber(level.width) ? level.width : maxRange;
+  if (level.polygons !== undefined) {
+    if (
+      !Array.isArray(level.polygons) ||
+      !level.polygons.every(
+        polygon =>
+          Array.isArray(polygon) &&
+          polygon.length >= 3 &&
+          polygon.every(
+            point =>
+              Array.isArray(point) &&
+              point.length === 2 &&
+              isNumber(point[0]) &&
+              isNumber(point[1]) &&
+              point[0] >= 0 &&
+              point[0] <= width &&
+              point[1] >= 0 &&
+              point[1] <= 1
+          )
+      )
+    ) {
+      errors.push(
+        `polygons must be lists of at least three [range, height] points within 0–${width} and 0–1`
+      );
+    }
+  }
+  const hasPolygons = Array.isArray(level.polygons) && level.polygons.length > 0;
+  if (
+    (level.terrain !== undefined || !hasPolygons) &&
+    (!Array.isArray(level.terrain) ||
+      level.terrain.length < 2 ||
+      !level.terrain.every(h => isNumber(h) && h >= 0 && h <= 1))
+  ) {
+    errors.push('terrain must be an array of at least two heights between 0 and 1');
+  }
+  const pads = level.pads !== undefined ? level.pads : level.pad && [level.pad];
+  if (!Array.isArray(pads) || pads.length === 0) {
+    errors.push('pads must list at least one landing pad');
+  } else if (
+    !pads.every(
+      pad =>
+        pad &&
+        isNumber(pad.startRange) &&
+        isNumber(pad.endRange) &&
+        isNumber(pad.height) &&
+        pad.startRange >= 0 &&
+        pad.endRange <= width &&
+        pad.startRange < pad.endRange &&
+        pad.height >= 0 &&
+        pad.height <= 1 &&
+        (pad.multiplier === undefined || (isNumber(pad.multiplier) && pad.multiplier > 0))
+    )
+  ) {
+    errors.push(
+      `pads must span a range within 0–${width} with a height between 0 and 1 and a positive multiplier`
+    );
+  }
+  if (level.body !== undefined && !Object.keys(levelBodies.CELESTIAL_BODIES).includes(level.body)) {
+    errors.push(`body must be one of ${Object.keys(levelBodies.CELESTIAL_BODIES).join(', ')}`);
+  }
+  if (level.gravity !== undefined && !(isNumber(level.gravity) && level.gravity > 0)) {
+    errors.push('gravity must be a positive number');
+  }
+  if (level.fuel !== undefined && !(isNumber(level.fuel) && level.fuel > 0)) {
+    errors.push('fuel must be a positive number');
+  }
+  if (level.fuelReduction !== undefined && !(isNumber(level.fuelReduction) && level.fuelReduction >= 0)) {
+    errors.push('fuelReduction must be a non-negative number');
+  }
+  if (level.timeLimit !== undefined && !(isNumber(level.timeLimit) && level.timeLimit > 0)) {
+    errors.push('timeLimit must be a positive number of seconds');
+  }
+  if (level.landers !== undefined) {
+    if (
+      !Array.isArray(level.landers) ||
+      level.landers.length === 0 ||
+      (landerTypes && !level.landers.every(type => landerTypes.includes(type)))
+    ) {
+      errors.push('landers must be a non-empty list of known lander types');
+    }
+  }
+  if (level.objects !== undefined && !Array.isArray(level.objects)) {
+    errors.push('objects must be a list');
+  } else {
+    levelEntities.getLevelObjects(level).forEach((object, i) => {
+      const problem = levelEntities.validateLevelObject(object, { width, maxAltitude });
+      if (problem) errors.push(`object ${i + 1}: ${problem}`);
+    });
+  }
+  return errors;
+}
+
+/**
+ * Score multiplier for a landing pad: narrow pads and pads far from the
+ * lander's starting position (the middle of the world) are worth more. A pad
+ * a tenth of a screen wide right below the start is worth ×1. The result is
+ * rounded to half steps. `worldWidth` defaults to a single screen.
+ */
+function computePadMultiplier(pad, maxRange = 100, worldWidth = maxRange) {
+  const width = pad.endRange - pad.startRange;
+  const widthFactor = maxRange / 10 / width;
+  const center = (pad.startRange + pad.endRange) / 2;
+  const distanceFactor = 1 + Math.abs(center - worldWidth / 2) / (worldWidth / 2);
+  return Math.max(1, Math.round(widthFactor * distanceFactor * 2) / 2);
+}
+
+// Landing pads of a level with their multipliers filled in.
+function getLevelPads(level, maxRange = 100) {
+  const pads = level.pads !== undefined ? level.pads : [level.pad];
+  const worldWidth = getLevelWidth(level, maxRange);
+  return pads.map(pad => ({
+    startRange: pad.startRange,
+    endRange: pad.endRange,
+    height: pad.height,
+    multiplier:
+      pad.multiplier !== undefined ? pad.multiplier : computePadMultiplier(pad, maxRange, worldWidth)
+  }));
+}
+
+/**
+ * Parse and validate a level pack from JSON text or an already parsed object.
+ * Throws an Error describing the first problem found.
+ */
+function parseLevelPack(input, options = {}) {
+  const pack = typeof input === 'string' ? JSON.parse(input) : input;
+  if (!pack || typeof pack !== 'object') {
+    throw new Error('Level pack must be an object');
+  }
+  if (pack.format !== LEVEL_FORMAT_VERSION) {
+    throw new Error(`Unsupported level pack format: ${pack.format}`);
+  }
+  if (!Array.isArray(pack.levels) || pack.levels.length === 0) {
+    throw new Error('Level pack must contain at least one level');
+  }
+  pack.levels.forEach((level, index) => {
+    const errors = validateLevel(level, options);
+    if (errors.length > 0) {
+      throw new Error(`Level ${index + 1}: ${errors[0]}`);
+    }
+  });
+  return {
+    format: pack.format,
+    name: typeof pack.name === 'string' ? pack.name : 'Custom',
+    levels: pack.levels
+  };
+}
+
+/*
+ * Generate a random lunar surface profile with flat landing zones for the
+ * given level number. The surface is a series of normalized heights (0–1)
+ * sampled along the horizontal range and segments are flattened to form the
+ * main pad and, from level 2, a narrow bonus pad. All randomness comes from a
+ * generator seeded with the run seed and level number, so the same seed always
+ * yields the same level. `config` supplies `maxRange`, `maxAltitude`, `gravity`,
+ * `gravityIncrement` and `fuelDecrease`.
+ */
+function generateProceduralLevel(levelNumber, seed, config) {
+  const random = levelRandom.createRandom(levelRandom.deriveSeed(seed, levelNumber));
+  // Increase the number of points for higher levels to create more varied
+  // terrain. Past level 6 we gradually add more segments making the path to
+  // the pad increasingly complex.
+  const numPoints = levelNumber >= 6 ? 12 + Math.min(levelNumber - 6, 8) : 10;
+  const terrain = [];
+  for (let i = 0; i <= numPoints; i++) {
+    // random heights between 10% and 40% of the canvas height
+    terrain.push(random() * 0.3 + 0.1);
+  }
+
+  // Choose a flat zone for the main landing pad. In early levels this is
+  // somewhere in the middle, but from level 6 onward we move the pad toward
+  // the edges, forcing longer horizontal travel.
+  let safeIndex;
+  if (levelNumber >= 6) {
+    // Alternate pad side to keep variety
+    safeIndex = levelNumber % 2 === 0 ? 1 : numPoints - 2;
+  } else {
+    safeIndex = Math.floor(random() * (numPoints - 2)) + 1;
+  }
+  const segmentRange = config.maxRange / numPoints;
+  const flatHeight = Math.min(terrain[safeIndex], terrain[safeIndex + 1], 0.2);
+  terrain[safeIndex] = flatHeight;
+  terrain[safeIndex + 1] = flatHeight;
+  const pads = [
+    {
+      startRange: safeIndex * segmentRange,
+      endRange: (safeIndex + 1) * segmentRange,
+      height: flatHeight
+    }
+  ];
+  const padIndices = [safeIndex];
+
+  // From level 2 a narrow bonus pad sits on another flattened segment, well
+  // away from the main pad. Only the middle half of the segment counts, which
+  // together with its distance earns it a higher multiplier.
+  if (levelNumber >= 2) {
+    const candidates = [];
+    for (let i = 1; i < numPoints - 1; i++) {
+      if (Math.abs(i - safeIndex) >= 3) candidates.push(i);
+    }
+    if (candidates.length > 0) {
+      const bonusIndex = candidates[Math.floor(random() * candidates.length)];
+      const bonusHeight = Math.min(terrain[bonusIndex], terrain[bonusIndex + 1], 0.3);
+      terrain[bonusIndex] = bonusHeight;
+      terrain[bonusIndex + 1] = bonusHeight;
+      pads.push({
+        startRange: (bonusIndex + 0.25) * segmentRange,
+        endRange: (bonusIndex + 0.75) * segmentRange,
+        height: bonusHeight
+      });
+      padIndices.push(bonusIndex);
+    }
+  }
+  pads.forEach(pad => {
+    pad.multiplier = computePadMultiplier(pad, config.maxRange);
+  });
+
+  // For advanced levels, add tall obstacles to create a challenging route to
+  // the landing pad.
+  if (levelNumber >= 6) {
+    const difficulty = Math.min(levelNumber - 5, 5); // 1..5
+    for (let i = 1; i < numPoints; i++) {
+      if (padIndices.some(index => i === index || i === index + 1)) continue;
+      // Increase chance of a tall peak as difficulty rises
+      if (random() < 0.3 + 0.1 * difficulty) {
+        terrain[i] = random() * 0.3 + 0.4; // 40-70% height
+      }
+    }
+  }
+
+  // Special terrain features for specific levels
+  const objects = [];
+  if (levelNumber === 4 || levelNumber === 5) {
+    const structWidth = config.maxRange * 0.02;
+    // Place the tower near the right edge on level 4 and mirror to the left on level 5
+    const structStart = levelNumber === 4 ? config.maxRange * 0.8 : config.maxRange * 0.18;
+    const padStartAlt = config.maxAltitude * 0.4;
+    const padEndAlt = config.maxAltitude * 0.55;
+    objects.push({
+      type: 'tower',
+      startRange: structStart,
+      endRange: structStart + structWidth,
+      padStart: padStartAlt,
+      padEnd: padEndAlt,
+      height: padEndAlt + 10, // extend a bit above pad
+      padSide: levelNumber === 4 ? 'left' : 'right'
+    });
+  }
+
+  // Increase gravity only for early levels. After level 6 the gravitational
+  // pull stays roughly the same while difficulty comes from terrain layout.
+  const gravityLevels = Math.min(levelNumber - 1, 5);
+  return {
+    name: `Level ${levelNumber}`,
+    gravity: config.gravity + config.gravityIncrement * gravityLevels,
+    fuelReduction: config.fuelDecrease * (levelNumber - 1),
+    terrain,
+    pads,
+    objects
+  };
+}
+
+// Number of levels in a pack; procedural packs never end.
+function getPackLength(pack) {
+  return pack.procedural ? Infinity : pack.levels.length;
+}
+
+// Return the definition of level `levelNumber` (1-based) from a pack.
+function getPackLevel(pack, levelNumber, seed, config) {
+  if (pack.procedural) {
+    return generateProceduralLevel(levelNumber, seed, config);
+  }
+  return pack.levels[levelNumber - 1];
+}
+
+// Export for Node and attach to window for browser usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    LEVEL_FORMAT_VERSION,
+    BUILTIN_LEVEL_PACK,
+    getLevelWidth,
+    validateLevel,
+    computePadMultiplier,
+    getLevelPads,
+    parseLevelPack,
+    generateProceduralLevel,
+    getPackLength,
+    getPackLevel
+  };
+} else {
+  window.LEVEL_FORMAT_VERSION = LEVEL_FORMAT_VERSION;
+  window.BUILTIN_LEVEL_PACK = BUILTIN_LEVEL_PACK;
+  window.getLevelWidth = getLevelWidth;
+  window.validateLevel = validateLevel;
+  window.computePadMultiplier = computePadMultiplier;
+  window.getLevelPads = getLevelPads;
+  window.parseLevelPack = parseLevelPack;
+  window.generateProceduralLevel = generateProceduralLevel;
+  window.getPackLength = getPackLength;
+  window.getPackLevel = getPackLevel;
+}
@@ -0,0 +1,123 @@
+// Missions: short challenges flown on a single level instead of the
+// campaign ladder.
+//
+// Every mission is built from level `MISSION_LEVEL` of the built-in campaign,
+// generated from the run seed, and changes it to suit its mode:
+//
+//   - `timeTrial` gives the level a `timeLimit` (see levels.js); landing
+//     with more of it left scores more
+//   - `fuelMiser` fills the tanks with a small fixed `fuel` budget; landing
+//     with more of it left scores more
+//   - `precision` places a marker on the main pad; the lander must come
+//     down within `radius` metres of it, and closer scores more
+//
+// A mission is { mode, pack, marker }: the one-level pack to fly (see
+// levels.js) and, for precision, the range of the marker in metres.
+// `judgeMission()` decides how a finished flight did. Mission scores run
+// from 0 to `MISSION_MAX_SCORE`; the best of each mode is kept in the
+// profile's `bests` under `getLevelKey(MISSION_PACK_NAME, mode)`.
+
+// Resolve dependencies in Node; in the browser they are globals.
+const missionSimulation = typeof require === 'function' ? require('./simulation') : window;
+const missionLevels = typeof require === 'function' ? require('./levels') : window;
+const missionBodies = typeof require === 'function' ? require('./bodies') : window;
+const missionRandom = typeof require === 'function' ? require('./random') : window;
+
+// Campaign level the missions are flown on
+const MISSION_LEVEL = 3;
+const MISSION_PACK_NAME = 'Missions';
+const MISSION_MAX_SCORE = 1000;
+
+const MISSION_MODES = {
+  timeTrial: { timeLimit: 30 }, // Seconds to land in
+  fuelMiser: { fuel: 80 },      // Fuel budget (kg)
+  precision: { radius: 3 }      // Farthest landing from the marker that counts (m)
+};
+
+// Room kept between the marker and the ends of its pad (m)
+const MARKER_MARGIN = 2;
+
+// Score for `fraction` (0–1) of the best possible result
+const missionScore = fraction => Math.round(MISSION_MAX_SCORE * Math.min(Math.max(fraction, 0), 1));
+
+/**
+ * Build the mission of `mode` for the run with `seed`, with the generated
+ * level on the celestial body `body`.
+ */
+function createMission(mode, seed, body) {
+  const settings = MISSION_MODES[mode];
+  const config = {
+    ...missionSimulation.CONFIG,
+    gravity: missionBodies.getCelestialBody(body).gravity
+  };
+  const level = { ...missionLevels.generateProceduralLevel(MISSION_LEVEL, seed, config) };
+  if (settings.timeLimit !== undefined) level.timeLimit = settings.timeLimit;
+  if (settings.fuel !== undefined) level.fuel = settings.fuel;
+  let marker = null;
+  if (mode === 'precision') {
+    const [pad] = level.pads;
+    const random = missionRandom.createRandom(missionRandom.deriveSeed(seed, mode));
+    const room = Math.max(pad.endRange - pad.startRange - 2 * MARKER_MARGIN, 0);
+    marker = pad.startRange + (pad.endRange - pad.startRange - room) / 2 + random() * room;
+  }
+  return {
+    mode,
+    pack: { format: missionLevels.LEVEL_FORMAT_VERSION, name: MISSION_PACK_NAME, levels: [level] },
+    marker
+  };
+}
+
+/**
+ * Judge the flight `sim` (a FlightSimulation) just finished on `mission`.
+ * Returns { success, score, results, reason }: whether the mission was
+ * accomplished, its score, the figures to show as { key, value } with
+ * `key` naming the text in lang.js, and for a landing that still failed the
+ * mission, its reason in the form of a crash reason (see simulation.js).
+ */
+function judgeMission(mission, sim) {
+  const time = sim.tick * missionSimulation.CONFIG.fixedTimestep;
+  const results = [{ key: 'mission_time', value: `${time.toFixed(1)} s` }];
+  let success = !sim.crashed;
+  let fraction = 0;
+  let reason = null;
+  if (mission.mode === 'timeTrial') {
+    const left = Math.max(sim.timeLimit - time, 0);
+    results.push({ key: 'mission_time_left', value: `${left.toFixed(1)} s` });
+    fraction = left / sim.timeLimit;
+  } else if (mission.mode === 'fuelMiser') {
+    results.push(
+      { key: 'mission_fuel_used', value: `${Math.ceil(sim.startFuel - sim.lander.fuel)} kg` },
+      { key: 'mission_fuel_left', value: `${Math.floor(sim.lander.fuel)} kg` }
+    );
+    fraction = sim.lander.fuel / sim.startFuel;
+  } else if (mission.mode === 'precision') {
+    const { radius } = MISSION_MODES.precision;
+    const distance = Math.abs(sim.lander.horizontalPosition - mission.marker);
+    if (success) results.push({ key: 'mission_distance', value: `${distance.toFixed(1)} m` });
+    if (success && distance > radius) {
+      success = false;
+      reason = { key: 'reason_marker_missed', actual: distance, limit: radius };
+    }
+    fraction = 1 - distance / radius;
+  }
+  return { success, score: success ? missionScore(fraction) : 0, results, reason };
+}
+
+// Export for Node and attach to window for browser usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MISSION_LEVEL,
+    MISSION_PACK_NAME,
+    MISSION_MAX_SCORE,
+    MISSION_MODES,
+    createMission,
+    judgeMission
+  };
+} else {
+  window.MISSION_LEVEL = MISSION_LEVEL;
+  window.MISSION_PACK_NAME = MISSION_PACK_NAME;
+  window.MISSION_MAX_SCORE = MISSION_MAX_SCORE;
+  window.MISSION_MODES = MISSION_MODES;
+  window.createMission = createMission;
+  window.judgeMission = judgeMission;
+}
@@ -0,0 +1,273 @@
+// Player profile kept in the browser's localStorage.
+//
+// A profile remembers the player between visits:
+//
+//   {
+//     version: 1,
+//     progress: {
+//       level,         // level of the built-in campaign to continue from
+//       highestLevel,  // highest campaign level reached
+//       runScore,      // score of the run in progress
+//       levelCrashes,  // crashes at `level` since it was reached
+//       seed,          // seed of the run's terrain, or null before the
+//                      // first run
+//       flights,       // the run's landings, to fly again on the server
+//                      // (see simulation.js)
+//       damage         // damage the lander carries into `level`, or null
+//     },
+//     bests: {         // best landing score per level, keyed by
+//       "Classic/3": 2150 // "<pack name>/<level number>"
+//     },
+//     ghosts: {        // best flight per level for its ghost, keyed like
+//       "Classic/3#42": { score, flight } // `bests` plus "#<seed>" for
+//     },               // generated levels (see getGhostKey())
+//     daily: {         // the last daily challenge attempted, one a day:
+//       day,           // its day (YYYY-MM-DD), or null before the first
+//       score          // its landing score, or null after a crash
+//     },
+//     achievements: {  // achievements unlocked (see achievements.js), with
+//       "on_fumes": 1714567890000 // the time they were unlocked (ms)
+//     },
+//     stats: {         // totals the achievements count towards:
+//       landings,      // safe landings
+//       crashes,       // crashes
+//       landers        // lander types landed with
+//     },
+//     settings: {
+//       lander,        // lander type picked last
+//       body,          // destination picked in the menu
+//       language,      // interface language, or null to follow the browser
+//       volume,        // sound volume from 0 (muted) to 1
+//       throttle,      // main engine throttle from 0 to 1
+//       name,          // pilot name for the leaderboard
+//       ghost          // whether to show the ghost of the best flight
+//     }
+//   }
+//
+// Profiles carry the `version` of the format they were written in. When the
+// format changes, bump `PROFILE_VERSION` and add a function to
+// `PROFILE_MIGRATIONS` that upgrades a profile of the previous version.
+// Loading runs every migration from the stored version up, then fills any
+// missing or invalid field with its default, so an old profile never breaks
+// the game and a newer one is refused instead of being misread.
+
+const PROFILE_VERSION = 1;
+
+// localStorage key the profile is saved under. A stored profile that can't
+// be read is moved to the backup key rather than overwritten.
+const PROFILE_STORAGE_KEY = 'lunarLander.profile';
+const PROFILE_BACKUP_KEY = 'lunarLander.profile.backup';
+
+// Upgrades keyed by the version they start from: `PROFILE_MIGRATIONS[n]`
+// turns a version n profile into a version n + 1 one.
+const PROFILE_MIGRATIONS = {};
+
+// Most ghost flights kept; the ones recorded longest ago make way
+const GHOST_LIMIT = 30;
+
+function createDefaultProfile() {
+  return {
+    version: PROFILE_VERSION,
+    progress: { level: 1, highestLevel: 1, runScore: 0, levelCrashes: 0, seed: null, flights: [], damage: null },
+    bests: {},
+    ghosts: {},
+    daily: { day: null, score: null },
+    achievements: {},
+    stats: { landings: 0, crashes: 0, landers: [] },
+    settings: { lander: 'classic', body: 'moon', language: null, volume: 1, throttle: 1, name: '', ghost: true }
+  };
+}
+
+const isPlainObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isWholeNumber = (value, min) => Number.isInteger(value) && value >= min;
+const isFraction = value => typeof value === 'number' && value >= 0 && value <= 1;
+
+// Copy the valid fields of `data` over a default profile
+function normalizeProfile(data) {
+  const profile = createDefaultProfile();
+  const progress = isPlainObject(data.progress) ? data.progress : {};
+  ['level', 'highestLevel'].forEach(field => {
+    if (isWholeNumber(progress[field], 1)) profile.progress[field] = progress[field];
+  });
+  ['runScore', 'levelCrashes'].forEach(field => {
+    if (isWholeNumber(progress[field], 0)) profile.progress[field] = progress[field];
+  });
+  if (isWholeNumber(progress.seed, 0) && progress.seed <= 0xffffffff) profile.progress.seed = progress.seed;
+  profile.progress.highestLevel = Math.max(profile.progress.highestLevel, profile.progress.level);
+  if (Array.isArray(progress.flights)) {
+    profile.progress.flights = progress.flights.filter(isPlainObject);
+  }
+  if (isPlainObject(progress.damage) && Object.values(progress.damage).every(isFraction)) {
+    profile.progress.damage = { ...progress.damage };
+  }
+  if (isPlainObject(data.bests)) {
+    Object.entries(data.bests).forEach(([key, score]) => {
+      if (isWholeNumber(score, 0)) profile.bests[key] = score;
+    });
+  }
+  if (isPlainObject(data.ghosts)) {
+    Object.entries(data.ghosts).forEach(([key, ghost]) => {
+      const valid =
+        isPlainObject(ghost) &&
+        isWholeNumber(ghost.score, 0) &&
+        isPlainObject(ghost.flight) &&
+        Array.isArray(ghost.flight.inputs);
+      if (valid) profile.ghosts[key] = ghost;
+    });
+  }
+  const daily = isPlainObject(data.daily) ? data.daily : {};
+  if (typeof daily.day === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(daily.day)) {
+    profile.daily.day = daily.day;
+    if (isWholeNumber(daily.score, 0)) profile.daily.score = daily.score;
+  }
+  if (isPlainObject(data.achievements)) {
+    Object.entries(data.achievements).forEach(([id, time]) => {
+      if (isWholeNumber(time, 0)) profile.achievements[id] = time;
+    });
+  }
+  const stats = isPlainObject(data.stats) ? data.stats : {};
+  ['landings', 'crashes'].forEach(field => {
+    if (isWholeNumber(stats[field], 0)) profile.stats[field] = stats[field];
+  });
+  if (Array.isArray(stats.landers)) {
+    profile.stats.landers = [...new Set(stats.landers.filter(lander => typeof lander === 'string'))];
+  }
+  const settings = isPlainObject(data.settings) ? data.settings : {};
+  ['lander', 'body', 'language', 'name'].forEach(field => {
+    if (typeof settings[field] === 'string') profile.settings[field] = settings[field];
+  });
+  ['volume', 'throttle'].forEach(field => {
+    if (isFraction(settings[field])) profile.settings[field] = settings[field];
+  });
+  if (typeof settings.ghost === 'boolean') profile.settings.ghost = settings.ghost;
+  return profile;
+}
+
+/**
+ * Bring profile data of any supported version up to `PROFILE_VERSION`.
+ * Throws an Error for data that isn't a profile or comes from a newer
+ * version of the game.
+ */
+function migrateProfile(data) {
+  if (!isPlainObject(data) || !isWholeNumber(data.version, 1)) {
+    throw new Error('Profile must be an object with a version');
+  }
+  if (data.version > PROFILE_VERSION) {
+    throw new Error(`Profile version ${data.version} is newer than this game supports`);
+  }
+  let profile = data;
+  for (let version = data.version; version < PROFILE_VERSION; version++) {
+    profile = { ...PROFILE_MIGRATIONS[version](profile), version: version + 1 };
+  }
+  return normalizeProfile(profile);
+}
+
+// Read a profile from JSON text, e.g. an exported profile file
+function parseProfile(text) {
+  return migrateProfile(JSON.parse(text));
+}
+
+function serializeProfile(profile) {
+  return JSON.stringify(profile, null, 2);
+}
+
+/**
+ * Load the profile from `storage` (localStorage or null when unavailable).
+ * Without a usable profile a default one is returned; an unreadable one is
+ * kept under `PROFILE_BACKUP_KEY`.
+ */
+function loadProfile(storage) {
+  if (!storage) return createDefaultProfile();
+  try {
+    const text = storage.getItem(PROFILE_STORAGE_KEY);
+    if (text === null) return createDefaultProfile();
+    try {
+      return parseProfile(text);
+    } catch (err) {
+      console.warn('Stored profile could not be read', err);
+      storage.setItem(PROFILE_BACKUP_KEY, text);
+      return createDefaultProfile();
+    }
+  } catch (err) {
+    console.warn('Failed to load profile', err);
+    return createDefaultProfile();
+  }
+}
+
+function saveProfile(storage, profile) {
+  if (!storage) return;
+  try {
+    storage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(profile));
+  } catch (err) {
+    console.warn('Failed to save profile', err);
+  }
+}
+
+// Key of a level in `bests`
+function getLevelKey(packName, level) {
+  return `${packName}/${level}`;
+}
+
+// Key of a level in `ghosts`. Generated levels change with the run `seed`,
+// so their ghosts are kept per seed; pass null for a level that doesn't.
+function getGhostKey(packName, level, seed) {
+  const key = getLevelKey(packName, level);
+  return seed === null ? key : `${key}#${seed}`;
+}
+
+// Keep a landing's `flight` (see simulation.js) for the ghost when its
+// `score` beats the one kept for the level, returning true if so
+function recordGhost(profile, key, score, flight) {
+  const ghost = profile.ghosts[key];
+  if (ghost && ghost.score >= score) return false;
+  // Newest last, so the oldest are dropped first
+  delete profile.ghosts[key];
+  profile.ghosts[key] = { score, flight };
+  const keys = Object.keys(profile.ghosts);
+  keys.slice(0, Math.max(keys.length - GHOST_LIMIT, 0)).forEach(old => delete profile.ghosts[old]);
+  return true;
+}
+
+// Record a landing score, returning true when it beats the level's best
+function recordBest(profile, key, score) {
+  if (profile.bests[key] !== undefined && profile.bests[key] >= score) return false;
+  profile.bests[key] = score;
+  return true;
+}
+
+// Export for Node and attach to window for browser usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PROFILE_VERSION,
+    PROFILE_STORAGE_KEY,
+    PROFILE_BACKUP_KEY,
+    PROFILE_MIGRATIONS,
+    GHOST_LIMIT,
+    createDefaultProfile,
+    migrateProfile,
+    parseProfile,
+    serializeProfile,
+    loadProfile,
+    saveProfile,
+    getLevelKey,
+    getGhostKey,
+    recordGhost,
+    recordBest
+  };
+} else {
+  window.PROFILE_VERSION = PROFILE_VERSION;
+  window.PROFILE_STORAGE_KEY = PROFILE_STORAGE_KEY;
+  window.PROFILE_BACKUP_KEY = PROFILE_BACKUP_KEY;
+  window.PROFILE_MIGRATIONS = PROFILE_MIGRATIONS;
+  window.GHOST_LIMIT = GHOST_LIMIT;
+  window.createDefaultProfile = createDefaultProfile;
+  window.migrateProfile = migrateProfile;
+  window.parseProfile = parseProfile;
+  window.serializeProfile = serializeProfile;
+  window.loadProfile = loadProfile;
+  window.saveProfile = saveProfile;
+  window.getLevelKey = getLevelKey;
+  window.getGhostKey = getGhostKey;
+  window.recordGhost = recordGhost;
+  window.recordBest = recordBest;
+}
@@ -0,0 +1,63 @@
+// Seedable pseudo random number generation. Terrain and other level features
+// draw their randomness from here instead of `Math.random()` so that a level
+// can be replayed or shared by its seed.
+
+// Largest seed value plus one; seeds are unsigned 32-bit integers.
+const SEED_RANGE = 0x100000000;
+
+// Create a random number generator for the given seed. The returned function
+// behaves like `Math.random()`, yielding numbers in [0, 1), and always produces
+// the same sequence for the same seed (mulberry32 algorithm).
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / SEED_RANGE;
+  };
+}
+
+// Hash a string into a 32-bit seed (FNV-1a).
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Combine a run seed with a value such as the level number so each level gets
+// its own independent, reproducible sequence.
+function deriveSeed(seed, salt) {
+  return hashString(`${seed >>> 0}:${salt}`);
+}
+
+// Convert user input (e.g. a URL parameter) into a seed. Decimal numbers are
+// used as they are, any other text is hashed. Returns null for empty input.
+function parseSeed(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  if (text === '') return null;
+  if (/^\d+$/.test(text) && Number(text) < SEED_RANGE) {
+    return Number(text);
+  }
+  return hashString(text);
+}
+
+// Pick a fresh seed for a new run.
+function randomSeed() {
+  return Math.floor(Math.random() * SEED_RANGE);
+}
+
+// Export for Node and attach to window for browser usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { createRandom, deriveSeed, parseSeed, randomSeed };
+} else {
+  window.createRandom = createRandom;
+  window.deriveSeed = deriveSeed;
+  window.parseSeed = parseSeed;
+  window.randomSeed = randomSeed;
+}
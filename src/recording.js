@@ -0,0 +1,156 @@
+// Replay files: a finished flight with everything needed to fly it again.
+//
+// A flight is recorded as `FlightSimulation.getFlightRecord()` returns it
+// (see simulation.js):
+//
+//   { level, lander, body, damage, inputs, ticks }
+//
+// A replay file wraps it with the run seed:
+//
+//   { "format": 1, "seed": 123, "flight": { ... }, "level": { ... } }
+//
+// Built-in levels follow from the seed and the flight's level number. A level
+// from a loaded pack or the editor can't be worked out again, so its
+// definition (see levels.js) travels with the replay as `level` and the
+// flight is numbered as level 1 of a pack holding just that level.
+
+// Resolve dependencies in Node; in the browser they are globals.
+const recSimulation = typeof require === 'function' ? require('./simulation') : window;
+const recLevels = typeof require === 'function' ? require('./levels') : window;
+const recBodies = typeof require === 'function' ? require('./bodies') : window;
+const recLander = typeof require === 'function' ? require('./lander') : window;
+
+// Version of the replay file format written by this build.
+const REPLAY_FORMAT_VERSION = 1;
+
+const FLIGHT_LIMITS = {
+  maxTicks: 5 * 60 * 60 // Longest flight: five minutes of 60 Hz steps
+};
+
+// Named apart from the helpers of the other scripts sharing the page
+const isReplayCount = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+const isReplayFraction = value => typeof value === 'number' && value >= 0 && value <= 1;
+const isReplayObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Check one recorded input: [tick, up, left, right, throttle]
+function isValidInput(input, ticks) {
+  return (
+    Array.isArray(input) &&
+    input.length === 5 &&
+    isReplayCount(input[0], 0, ticks) &&
+    input.slice(1, 4).every(flag => flag === 0 || flag === 1) &&
+    isReplayFraction(input[4])
+  );
+}
+
+// Check recorded damage: fractions of the hull and thruster health fields
+// that Lander.getDamage() returns, and nothing else
+function isValidDamage(damage) {
+  return (
+    isReplayObject(damage) &&
+    Object.entries(damage).every(([key, value]) => recLander.DAMAGE_FIELDS.includes(key) && isReplayFraction(value))
+  );
+}
+
+/**
+ * Check the shape of a recorded flight. Returns a description of the first
+ * problem found, or null when it can be flown.
+ */
+function validateFlight(flight) {
+  if (!isReplayObject(flight)) return 'flight must be an object';
+  if (!isReplayCount(flight.level, 1, Number.MAX_SAFE_INTEGER)) return 'flight level must be a whole number';
+  if (!recSimulation.LANDER_TYPES[flight.lander]) return 'flight lander is unknown';
+  if (!recBodies.CELESTIAL_BODIES[flight.body]) return 'flight body is unknown';
+  if (flight.damage !== null && !isValidDamage(flight.damage)) {
+    return 'flight damage must be null or fractions of hull and thruster health';
+  }
+  if (!isReplayCount(flight.ticks, 1, FLIGHT_LIMITS.maxTicks)) {
+    return `flight ticks must be a whole number from 1 to ${FLIGHT_LIMITS.maxTicks}`;
+  }
+  const { inputs } = flight;
+  if (!Array.isArray(inputs) || inputs.length > flight.ticks) return 'flight inputs must be a list';
+  for (let i = 0; i < inputs.length; i++) {
+    if (!isValidInput(inputs[i], flight.ticks) || (i > 0 && inputs[i][0] <= inputs[i - 1][0])) {
+      return `flight input ${i} is invalid`;
+    }
+  }
+  return null;
+}
+
+// Replay of `flight`, flown on a level of `pack` in the run with `seed`
+function createReplay(pack, seed, flight) {
+  if (pack.procedural) return { format: REPLAY_FORMAT_VERSION, seed, flight };
+  return {
+    format: REPLAY_FORMAT_VERSION,
+    seed,
+    flight: { ...flight, level: 1 },
+    level: recLevels.getPackLevel(pack, flight.level)
+  };
+}
+
+// The level pack a replay's flight is numbered in
+function getReplayPack(replay) {
+  if (!replay.level) return recLevels.BUILTIN_LEVEL_PACK;
+  return {
+    format: recLevels.LEVEL_FORMAT_VERSION,
+    name: typeof replay.level.name === 'string' ? replay.level.name : 'Replay',
+    levels: [replay.level]
+  };
+}
+
+function serializeReplay(replay) {
+  return JSON.stringify(replay);
+}
+
+/**
+ * Read a replay from JSON text, e.g. a saved replay file. Throws an Error
+ * describing the first problem found.
+ */
+function parseReplay(text) {
+  const data = JSON.parse(text);
+  if (!isReplayObject(data) || !isReplayCount(data.format, 1, Number.MAX_SAFE_INTEGER)) {
+    throw new Error('Replay must be an object with a format');
+  }
+  if (data.format > REPLAY_FORMAT_VERSION) {
+    throw new Error(`Replay format ${data.format} is newer than this game supports`);
+  }
+  if (!isReplayCount(data.seed, 0, 0xffffffff)) throw new Error('Replay seed must be a 32-bit unsigned integer');
+  const error = validateFlight(data.flight);
+  if (error) throw new Error(error);
+  const replay = { format: data.format, seed: data.seed, flight: data.flight };
+  if (data.level !== undefined) {
+    // Checked like the only level of a loaded pack
+    const pack = recLevels.parseLevelPack(
+      { format: recLevels.LEVEL_FORMAT_VERSION, levels: [data.level] },
+      {
+        maxRange: recSimulation.CONFIG.maxRange,
+        maxAltitude: recSimulation.CONFIG.maxAltitude,
+        landerTypes: Object.keys(recSimulation.LANDER_TYPES)
+      }
+    );
+    if (data.flight.level !== 1) throw new Error('Replay of a single level must be of level 1');
+    replay.level = pack.levels[0];
+  }
+  return replay;
+}
+
+// Export for Node and attach to window for browser usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    REPLAY_FORMAT_VERSION,
+    FLIGHT_LIMITS,
+    validateFlight,
+    createReplay,
+    getReplayPack,
+    serializeReplay,
+    parseReplay
+  };
+} else {
+  window.REPLAY_FORMAT_VERSION = REPLAY_FORMAT_VERSION;
+  window.FLIGHT_LIMITS = FLIGHT_LIMITS;
+  window.validateFlight = validateFlight;
+  window.createReplay = createReplay;
+  window.getReplayPack = getReplayPack;
+  window.serializeReplay = serializeReplay;
+  window.parseReplay = parseReplay;
+}
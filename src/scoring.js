@@ -0,0 +1,72 @@
+// Landing score.
+//
+// Every landing earns points for how well it was flown. Each part is worth
+// up to its weight in `SCORE_WEIGHTS`, scaled by how good that aspect of
+// the landing was:
+//
+//   - `fuel`, the share of the starting fuel still in the tanks
+//   - `vertical` and `horizontal`, how far below the survivable limit the
+//     touchdown speed was
+//   - `accuracy`, how close to the centre of the pad the lander came down
+//   - `time`, how much of `SCORE_TIME_LIMIT` was left when it touched down
+//
+// The sum is multiplied by the multiplier of the pad landed on. A run adds
+// up the scores of its landings.
+
+const SCORE_WEIGHTS = {
+  fuel: 400,
+  vertical: 250,
+  horizontal: 150,
+  accuracy: 300,
+  time: 200
+};
+
+// Flight time (s) after which a landing no longer earns a time bonus
+const SCORE_TIME_LIMIT = 120;
+
+const clampUnit = value => Math.min(Math.max(value, 0), 1);
+
+/**
+ * Score a landing. `landing` holds:
+ *
+ *   {
+ *     fuel, startFuel,               // fuel left and fuel at the start (kg)
+ *     verticalSpeed, horizontalSpeed, // touchdown speeds (m/s)
+ *     maxSpeed,                      // fastest survivable touchdown (m/s)
+ *     padOffset,                     // distance from the pad centre, 0 at the
+ *                                    // centre and 1 at either end
+ *     time,                          // flight time (s)
+ *     multiplier                     // multiplier of the pad landed on
+ *   }
+ *
+ * Returns the points of each part, the multiplier and the `total`, all whole
+ * numbers.
+ */
+function scoreLanding(landing) {
+  const { fuel, startFuel, verticalSpeed, horizontalSpeed, maxSpeed, padOffset, time } = landing;
+  const shares = {
+    fuel: startFuel > 0 ? clampUnit(fuel / startFuel) : 0,
+    vertical: clampUnit(1 - Math.abs(verticalSpeed) / maxSpeed),
+    horizontal: clampUnit(1 - Math.abs(horizontalSpeed) / maxSpeed),
+    accuracy: clampUnit(1 - padOffset),
+    time: clampUnit(1 - time / SCORE_TIME_LIMIT)
+  };
+  const score = {};
+  let sum = 0;
+  Object.keys(SCORE_WEIGHTS).forEach(part => {
+    score[part] = Math.round(SCORE_WEIGHTS[part] * shares[part]);
+    sum += score[part];
+  });
+  score.multiplier = landing.multiplier || 1;
+  score.total = Math.round(sum * score.multiplier);
+  return score;
+}
+
+// Export for Node and attach to window for browser usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SCORE_WEIGHTS, SCORE_TIME_LIMIT, scoreLanding };
+} else {
+  window.SCORE_WEIGHTS = SCORE_WEIGHTS;
+  window.SCORE_TIME_LIMIT = SCORE_TIME_LIMIT;
+  window.scoreLanding = scoreLanding;
+}
@@ -0,0 +1,897 @@
+// Headless flight simulation.
+//
+// `FlightSimulation` holds everything that decides how a flight goes: the
+// level, the lander, collisions, touchdown and scoring. It draws nothing and
+// touches no page, so the same code runs the game in the browser (`Game` in
+// game.js extends it with rendering, sound and the interface) and re-flies
+// submitted runs on the server.
+//
+// The simulation advances in fixed steps of `CONFIG.fixedTimestep`, so a
+// flight is reproduced exactly by its level, lander and the controls held
+// during each step. Those controls are recorded as `inputs`, a list of
+//
+//   [tick, up, left, right, throttle]
+//
+// entries, one whenever they change: the step they apply from, 1 or 0 for
+// the main engine and side thrusters firing, and the throttle setting.
+
+// Resolve dependencies in Node; in the browser they are globals.
+const simLander = typeof require === 'function' ? require('./lander') : window;
+const simTerrain = typeof require === 'function' ? require('./terrain') : window;
+const simEntities = typeof require === 'function' ? require('./entities') : window;
+const simLevels = typeof require === 'function' ? require('./levels') : window;
+const simBodies = typeof require === 'function' ? require('./bodies') : window;
+const simScoring = typeof require === 'function' ? require('./scoring') : window;
+const simRandom = typeof require === 'function' ? require('./random') : window;
+
+// Configuration constants
+const CONFIG = {
+  sideThrust: 3.0,         // Side thruster strength, converted to torque by the lander
+  maxLandingAngle: 0.17,   // Maximum tilt from upright allowed at touchdown (rad, ~10°)
+  safeLandingSpeed: 2.0,   // Touchdown speed the legs absorb without damage (m/s)
+  maxLandingSpeed: 4.0,    // Fastest touchdown the lander survives (m/s)
+  hardLandingDamage: 0.6,  // Hull damage at the fastest survivable touchdown (0–1)
+  minCarriedEngine: 0.5,   // Weakest main engine taken on to the next level; one worse off is patched up to it
+  maxGrazeSpeed: 3.0,      // Fastest scrape of the body against rock or a structure the hull survives (m/s)
+  grazeDamage: 0.1,        // Hull damage per m/s of a scrape
+  grazeBounce: 0.3,        // Fraction of the speed kept when bouncing off after a scrape
+  padTolerance: 1.0,       // Largest gap between the lander's feet and a pad at touchdown (m)
+  maxAltitude: simLander.LANDER_CONFIG.maxAltitude, // Maximum altitude used for scaling (m)
+  maxRange: 100.0,         // Horizontal range shown across the canvas width at zoom 1 (m)
+  screenWidth: 360,        // World pixels across one screen at zoom 1, the canvas width
+  screenHeight: 480,       // World pixels from the ground to the maximum altitude, the canvas height
+  landerWidth: 20,         // Lander width in pixels
+  landerHeight: 30,        // Lander height in pixels
+  baseFuel: 1000,
+  fuelDecrease: 200,
+  gravityIncrement: 0.3,
+  fixedTimestep: 1 / 60,   // Duration of one simulation step (s)
+  maxFrameTime: 0.25       // Longest frame fed to the simulation, avoids a spiral of catch-up steps
+};
+
+// Stats and traits for the available landers. These values influence gameplay
+// and are also shown in the selection menu to highlight strengths and
+// weaknesses. Fuel and dry mass are in kilograms. Each main engine declares
+// its exhaust velocity (m/s) and maximum propellant flow (kg/s); the product
+// is the full-throttle thrust, chosen so the fully fueled acceleration
+// matches the "Main thrust" figure in the menu. A higher exhaust velocity
+// means more delta-v from the same fuel.
+//
+// `legs` gives the right landing leg in pixels relative to the body centre
+// (y grows downwards): where it is attached to the body (`hip`) and where its
+// foot rests. The left leg is the mirror image. The feet are the lowest
+// points of an upright lander, so the lander's altitude is that of its feet.
+const LANDER_TYPES = {
+  classic: {
+    baseFuel: 1000, sideThrust: 3.0, dryMass: 1000, exhaustVelocity: 2400, maxMassFlow: 5.0,
+    legs: { hip: [6, 15], foot: [14, 20] }
+  },
+  round: {
+    baseFuel: 1200, sideThrust: 2.5, dryMass: 1100, exhaustVelocity: 2750, maxMassFlow: 4.6,
+    legs: { hip: [9, 12], foot: [15, 20] }
+  },
+  triangle: {
+    baseFuel: 800, sideThrust: 4.0, dryMass: 900, exhaustVelocity: 1700, maxMassFlow: 7.0,
+    legs: { hip: [7, 15], foot: [12, 21] }
+  }
+};
+
+// True for a contact with a surface the lander's feet can stand on
+function isStandingContact(contact) {
+  return Boolean(contact) && contact.altitude !== undefined;
+}
+
+function toDegrees(radians) {
+  return (radians * 180) / Math.PI;
+}
+
+// Why a contact that is not a landing pad missed one, as a crash reason
+function getMissReason(contact) {
+  return { key: contact.miss ? `reason_dock_${contact.miss}` : 'reason_off_pad' };
+}
+
+/**
+ * Simulation of a run of flights through a level pack, one level at a time.
+ * It owns a Lander instance; call `startLevel()` to begin a flight and
+ * `updatePhysics()` once per step to fly it.
+ */
+class FlightSimulation {
+  constructor(seed = simRandom.randomSeed()) {
+    // Gameplay progression
+    this.level = 1;
+    // Score of the last landing (see scoring.js), or null, and the total of
+    // the landings in the current run, which starts over from level 1
+    this.landingScore = null;
+    this.runScore = 0;
+    // Celestial body picked in the menu, and the one the current level is
+    // flown on (see bodies.js): its name and profile
+    this.selectedBody = simBodies.DEFAULT_BODY;
+    this.bodyName = simBodies.DEFAULT_BODY;
+    this.body = simBodies.getCelestialBody(this.bodyName);
+    this.currentGravity = this.body.gravity;
+    // Horizontal wind speed during the last simulation step (m/s)
+    this.wind = 0;
+    // Seed for the run's terrain
+    this.seed = seed;
+
+    // Game state
+    this.gameOver = false;
+    this.messageKey = null;
+    this.gameStarted = false;
+    this.crashed = false;
+    // Number of fixed simulation steps taken in the current attempt
+    this.tick = 0;
+    // Controls recorded during the current attempt (see above), and what
+    // the attempt started from: { level, lander, body, damage }
+    this.inputs = [];
+    this.flight = null;
+    // Landings of the current run, each its flight with `inputs` and the
+    // number of `ticks` it took, enough to fly the run again
+    this.runFlights = [];
+
+    // Terrain definition. The world is `worldRange` metres wide and may span
+    // several screens. Solid ground is a list of polygons of [range, height]
+    // points (see terrain.js).
+    this.worldRange = CONFIG.maxRange;
+    this.terrainPolygons = [];
+    // Landing pads ({ startRange, endRange, height, multiplier }) and the pad
+    // the lander touched down on in the current attempt
+    this.landingPads = [];
+    this.landedPad = null;
+    // Fuel at the start of the attempt (kg) and the touchdown speeds
+    // ({ vertical, horizontal } in m/s) once the lander has come down
+    this.startFuel = 0;
+    // Seconds the level allows to land in, or null without a limit
+    this.timeLimit = null;
+    this.touchdownSpeed = null;
+    // Failed landing criteria after a crash: translation `key` and, for
+    // limits, the `actual` and allowed `limit` values
+    this.crashReasons = [];
+    // Set while the lander pivots on one foot after touching down with the
+    // other over empty space: the pivot in world pixels and which foot it is
+    // (0 left, 1 right)
+    this.tipping = null;
+    // Damage the lander starts the current level with, carried over from a
+    // hard landing on the previous one (see Lander.getDamage()), or null
+    this.startDamage = null;
+    // Cached geometry for collision
+    this.polygonPixels = [];
+    this.padPixels = [];
+    this.worldWidth = 0;
+    // Level objects such as docking towers and moving platforms (see
+    // entities.js): their definitions and the live objects built from them
+    this.objectDefinitions = [];
+    this.levelObjects = [];
+    // Levels are played from a pack, by default the endless procedural one
+    this.levelPack = simLevels.BUILTIN_LEVEL_PACK;
+
+    // Lander instance. Default to the classic rectangular lander.
+    this.landerType = 'classic';
+    this.landerStats = LANDER_TYPES[this.landerType];
+    this.sideThrust = this.landerStats.sideThrust;
+    this.baseFuel = this.landerStats.baseFuel;
+    this.dryMass = this.landerStats.dryMass;
+    this.lander = new simLander.Lander(this.worldRange, this.landerType, this.dryMass, this.landerStats);
+  }
+
+  // Change the currently active lander type and create a new instance. This
+  // is used when the player selects a lander from the menu before starting
+  // the game.
+  setLanderType(type) {
+    const throttle = this.lander.throttle;
+    this.landerType = type;
+    this.landerStats = LANDER_TYPES[type];
+    this.sideThrust = this.landerStats.sideThrust;
+    this.baseFuel = this.landerStats.baseFuel;
+    this.dryMass = this.landerStats.dryMass;
+    this.lander = new simLander.Lander(this.worldRange, type, this.dryMass, this.landerStats);
+    // Keep the pilot's throttle setting when switching craft. The new craft
+    // starts undamaged.
+    this.lander.setThrottle(throttle);
+    this.startDamage = null;
+  }
+
+  // Use the world width, terrain, pads and objects of a level definition
+  // (see levels.js).
+  applyLevelTerrain(definition) {
+    this.worldRange = simLevels.getLevelWidth(definition, CONFIG.maxRange);
+    this.lander.maxRange = this.worldRange;
+    this.terrainPolygons = simTerrain.getLevelPolygons(definition, this.worldRange);
+    this.landingPads = simLevels.getLevelPads(definition, CONFIG.maxRange);
+    this.objectDefinitions = simEntities.getLevelObjects(definition).map(object => ({ ...object }));
+    this.buildTerrainGeometry();
+    this.buildLevelObjects();
+  }
+
+  // Switch to another level pack and start again from its first level.
+  setLevelPack(pack) {
+    this.levelPack = pack;
+    this.level = 1;
+    this.startDamage = null;
+  }
+
+  // Definition of the current level in the active pack.
+  getLevelDefinition() {
+    // Generated levels start from the gravity of the body picked in the menu
+    const config = { ...CONFIG, gravity: simBodies.getCelestialBody(this.selectedBody).gravity };
+    return simLevels.getPackLevel(this.levelPack, this.level, this.seed, config);
+  }
+
+  // Cache pixel geometry used during collision from the terrain definition
+  // (`worldRange`, `terrainPolygons` and `landingPads`). Pixels are world
+  // coordinates at zoom 1.
+  buildTerrainGeometry() {
+    this.worldWidth = (this.worldRange / CONFIG.maxRange) * CONFIG.screenWidth;
+    this.polygonPixels = this.terrainPolygons.map(polygon =>
+      polygon.map(([range, height]) => [
+        (range / CONFIG.maxRange) * CONFIG.screenWidth,
+        CONFIG.screenHeight - height * CONFIG.screenHeight
+      ])
+    );
+    this.padPixels = this.landingPads.map(pad => ({
+      start: (pad.startRange / CONFIG.maxRange) * CONFIG.screenWidth,
+      end: (pad.endRange / CONFIG.maxRange) * CONFIG.screenWidth,
+      y: CONFIG.screenHeight - pad.height * CONFIG.screenHeight,
+      multiplier: pad.multiplier
+    }));
+  }
+
+  // Create the level objects in their starting state from their definitions.
+  buildLevelObjects() {
+    const toPixel = (range, altitude) => this.toPixelCoords(range, altitude);
+    this.levelObjects = this.objectDefinitions.map(definition =>
+      simEntities.createLevelObject(definition, toPixel)
+    );
+  }
+
+  // Whether the ground pads are shown; docking towers hide them
+  padsVisible() {
+    return !this.levelObjects.some(object => object.hidesPads);
+  }
+
+  // Height of the lander's feet above the ground under it in metres, whether
+  // that is the open surface or the floor of a cave. The ground is looked up
+  // below the body centre so feet that have sunk into the surface still find
+  // it (the result is then negative).
+  getHeightAboveGround(horizontalPosition, altitude) {
+    const centre = altitude + (this.landerStats.legs.foot[1] / CONFIG.screenHeight) * CONFIG.maxAltitude;
+    const ground = simTerrain.findSurfaceBelow(
+      this.terrainPolygons,
+      horizontalPosition,
+      centre / CONFIG.maxAltitude
+    );
+    return altitude - ground * CONFIG.maxAltitude;
+  }
+
+  // Convert points in the lander's own frame (pixels from the body centre, y
+  // down) to world pixels for a pose whose feet are at (`xPix`, `yPix`). The
+  // craft rotates about the body centre like the drawing.
+  toLanderPixels(points, xPix, yPix, angle) {
+    const centreY = yPix - this.landerStats.legs.foot[1];
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return points.map(([x, y]) => [xPix + x * cos - y * sin, centreY + x * sin + y * cos]);
+  }
+
+  // Outline of the lander body in pixels, without the legs
+  getLanderOutline(xPix, yPix, angle) {
+    const halfW = CONFIG.landerWidth / 2;
+    const halfH = CONFIG.landerHeight / 2;
+    let points;
+    switch (this.lander.type) {
+      case 'round':
+        points = [];
+        for (let i = 0; i < 12; i++) {
+          const a = (i / 12) * Math.PI * 2;
+          points.push([Math.cos(a) * halfH, Math.sin(a) * halfH]);
+        }
+        break;
+      case 'triangle':
+        points = [[0, -halfH], [halfW, halfH], [-halfW, halfH]];
+        break;
+      default:
+        points = [[-halfW, -halfH], [halfW, -halfH], [halfW, halfH], [-halfW, halfH]];
+    }
+    return this.toLanderPixels(points, xPix, yPix, angle);
+  }
+
+  // Positions of the left and right feet in pixels
+  getLanderFeet(xPix, yPix, angle) {
+    const [x, y] = this.landerStats.legs.foot;
+    return this.toLanderPixels([[-x, y], [x, y]], xPix, yPix, angle);
+  }
+
+  // What a polygon in pixels touches: the contact reported by the first level
+  // object it meets (see entities.js), otherwise a padless contact with the
+  // terrain. `source` is the object, or null for the terrain.
+  findContact(polygon) {
+    for (const object of this.levelObjects) {
+      const contact = object.collide(polygon);
+      if (contact) return { ...contact, source: object };
+    }
+    if (this.polygonPixels.some(terrain => simTerrain.polygonsOverlap(polygon, terrain))) {
+      return { pad: null, velocity: { horizontal: 0, vertical: 0 }, source: null };
+    }
+    return null;
+  }
+
+  // Contact of a foot at `foot` pixels with anything up to `depth` pixels
+  // below it. On the terrain the foot stands on a landing pad only when the
+  // pad spans it at the height of the ground there, and a foot knocking
+  // against the side of rock with no ground close below gets a contact
+  // without an altitude.
+  getFootContact([x, y], depth) {
+    const probe = [[x - 1, y - 1], [x + 1, y - 1], [x + 1, y + depth], [x - 1, y + depth]];
+    const contact = this.findContact(probe);
+    if (!contact || contact.source) return contact;
+    const range = (x / CONFIG.screenWidth) * CONFIG.maxRange;
+    const footAltitude = ((CONFIG.screenHeight - y) / CONFIG.screenHeight) * CONFIG.maxAltitude;
+    const ground =
+      simTerrain.findSurfaceBelow(
+        this.terrainPolygons,
+        range,
+        (footAltitude + CONFIG.padTolerance) / CONFIG.maxAltitude
+      ) * CONFIG.maxAltitude;
+    if (footAltitude - ground > CONFIG.padTolerance) return contact;
+    const pad = this.landingPads.find(
+      ({ startRange, endRange, height }) =>
+        range >= startRange &&
+        range <= endRange &&
+        Math.abs(height * CONFIG.maxAltitude - ground) <= CONFIG.padTolerance
+    );
+    return { ...contact, pad: pad || null, altitude: ground };
+  }
+
+  // Convert physical coordinates to pixel positions
+  toPixelCoords(horizontalPosition, altitude) {
+    const x = (horizontalPosition / CONFIG.maxRange) * CONFIG.screenWidth;
+    const y =
+      CONFIG.screenHeight - (altitude / CONFIG.maxAltitude) * CONFIG.screenHeight;
+    return { x, y };
+  }
+
+  // Position and attitude of the lander used for rendering
+  getLanderPose() {
+    return {
+      horizontalPosition: this.lander.horizontalPosition,
+      altitude: this.lander.altitude,
+      angle: this.lander.angle
+    };
+  }
+
+  // Add the controls held at the start of this step to `inputs` when they
+  // differ from the last recorded ones.
+  recordInput() {
+    const { upThruster, leftThruster, rightThruster, throttle } = this.lander;
+    const input = [this.tick, Number(upThruster), Number(leftThruster), Number(rightThruster), throttle];
+    const last = this.inputs[this.inputs.length - 1];
+    if (last && input.every((value, i) => i === 0 || value === last[i])) return;
+    this.inputs.push(input);
+  }
+
+  // Set the lander's controls from a recorded input.
+  applyInput([, up, left, right, throttle]) {
+    this.lander.upThruster = up === 1;
+    this.lander.leftThruster = left === 1;
+    this.lander.rightThruster = right === 1;
+    this.lander.setThrottle(throttle);
+  }
+
+  // Fly the current attempt with recorded `inputs` until it ends or `maxTicks`
+  // steps have been taken, calling `onStep` after each step if given.
+  replayInputs(inputs, maxTicks, onStep = null) {
+    let next = 0;
+    while (this.gameStarted && !this.gameOver && this.tick < maxTicks) {
+      while (next < inputs.length && inputs[next][0] <= this.tick) {
+        this.applyInput(inputs[next]);
+        next++;
+      }
+      this.updatePhysics(CONFIG.fixedTimestep);
+      if (onStep) onStep();
+    }
+  }
+
+  // Physics update executed once per fixed simulation step
+  updatePhysics(dt) {
+    // Only update physics if the game is in progress and not over
+    if (!this.gameStarted || this.gameOver) return;
+
+    this.recordInput();
+    // Remember the pose before the step so rendering can interpolate
+    this.previousLanderPose = this.getLanderPose();
+    this.tick++;
+    // Running out of time ends the flight wherever the lander is
+    if (this.timeLimit !== null && this.tick * dt >= this.timeLimit) {
+      this.cutEngines();
+      this.finishTouchdown(false, null, [{ key: 'reason_time_up', limit: this.timeLimit }]);
+      return;
+    }
+    this.levelObjects.forEach(object => object.update(dt));
+    if (this.tipping) {
+      this.updateTipping(dt);
+      return;
+    }
+    this.wind = simBodies.getWindSpeed(this.body, this.tick * dt);
+    this.lander.update(dt, this.currentGravity, this.sideThrust, {
+      drag: this.body.drag,
+      wind: this.wind
+    });
+
+    if (this.lander.anomaly) {
+      this.endLevel(false);
+      this.messageKey = 'anomaly_detected';
+      return;
+    }
+
+    // Convert positions to pixels for terrain collision detection
+    const { x: xPix, y: yPix } = this.toPixelCoords(
+      this.lander.horizontalPosition,
+      this.lander.altitude
+    );
+    // The body docking on the side of a tower touches down; touching
+    // anything else solid, whether the surface, a cave roof, a passage wall
+    // or a level object, is a scrape
+    const bodyContact = this.findContact(this.getLanderOutline(xPix, yPix, this.lander.angle));
+    if (bodyContact) {
+      if (bodyContact.pad && bodyContact.altitude === undefined) {
+        this.touchDown(bodyContact, null);
+      } else {
+        this.graze(bodyContact);
+      }
+      return;
+    }
+    // Otherwise touchdown starts when either foot reaches something to
+    // stand on or a pad to dock with; a leg clipping anything else scrapes
+    const feet = this.getLanderFeet(xPix, yPix, this.lander.angle);
+    const footContact = feet.map(foot => this.getFootContact(foot, 1)).find(Boolean);
+    if (!footContact) return;
+    if (footContact.pad || footContact.altitude !== undefined) {
+      this.touchDown(footContact, feet);
+    } else {
+      this.graze(footContact);
+    }
+  }
+
+  // Stop the lander on contact with the terrain or a level object and judge
+  // the touchdown. `contact` describes what was hit (see entities.js) and
+  // `feet` are the foot positions when a leg touched first, or null when the
+  // body did.
+  touchDown(contact, feet) {
+    // Impact velocities relative to the surface, captured before stopping
+    const impactVertical = this.lander.verticalVelocity - contact.velocity.vertical;
+    const impactHorizontal = this.lander.horizontalVelocity - contact.velocity.horizontal;
+    this.lander.verticalVelocity = 0;
+    this.lander.horizontalVelocity = 0;
+    this.lander.angularVelocity = 0;
+    this.touchdownSpeed = { vertical: Math.abs(impactVertical), horizontal: Math.abs(impactHorizontal) };
+    // Above the safe speed a touchdown damages the lander, increasingly up to
+    // the fastest one it survives
+    const impactSpeed = Math.max(Math.abs(impactVertical), Math.abs(impactHorizontal));
+    if (impactSpeed > CONFIG.safeLandingSpeed && impactSpeed <= CONFIG.maxLandingSpeed) {
+      const severity =
+        (impactSpeed - CONFIG.safeLandingSpeed) / (CONFIG.maxLandingSpeed - CONFIG.safeLandingSpeed);
+      let side = 'bottom';
+      if (!feet) side = impactHorizontal > 0 ? 'right' : 'left';
+      this.lander.applyDamage(severity * CONFIG.hardLandingDamage, side);
+    }
+    const reasons = [];
+    if (Math.abs(impactVertical) > CONFIG.maxLandingSpeed) {
+      reasons.push({
+        key: 'reason_vertical_speed',
+        actual: Math.abs(impactVertical),
+        limit: CONFIG.maxLandingSpeed
+      });
+    }
+    if (Math.abs(impactHorizontal) > CONFIG.maxLandingSpeed) {
+      reasons.push({
+        key: 'reason_horizontal_speed',
+        actual: Math.abs(impactHorizontal),
+        limit: CONFIG.maxLandingSpeed
+      });
+    }
+    if (Math.abs(this.lander.angle) > CONFIG.maxLandingAngle) {
+      reasons.push({
+        key: 'reason_tilt',
+        actual: toDegrees(Math.abs(this.lander.angle)),
+        limit: toDegrees(CONFIG.maxLandingAngle)
+      });
+    }
+    if (this.lander.isDestroyed()) reasons.push({ key: 'reason_hull_destroyed' });
+    // Contacts without a surface to stand on, such as docking on the side of
+    // a tower, are judged on the craft as a whole
+    if (reasons.length > 0 || contact.altitude === undefined || !feet) {
+      if (reasons.length === 0 && !contact.pad) reasons.push(getMissReason(contact));
+      this.finishTouchdown(reasons.length === 0, contact, reasons);
+      return;
+    }
+    // Both feet must find support within the pad tolerance; a foot over a
+    // drop, down a slope or off the edge of a pad leaves the lander pivoting
+    // on the other one
+    const depth = (CONFIG.padTolerance / CONFIG.maxAltitude) * CONFIG.screenHeight;
+    const support = feet.map(foot => this.getFootContact(foot, depth));
+    if (support.every(isStandingContact)) {
+      this.settle(support);
+      return;
+    }
+    const foot = support[0] ? 0 : 1;
+    this.tipping = { pivot: feet[foot], foot };
+    this.cutEngines();
+  }
+
+  // Stop every engine firing, e.g. once the lander is tipping over
+  cutEngines() {
+    this.lander.upThruster = this.lander.leftThruster = this.lander.rightThruster = false;
+  }
+
+  // Scrape the body against something solid. A slow scrape dents the hull
+  // and the thruster on the side that hit, and the lander bounces back from
+  // where it was before the step. A fast one, or one the hull cannot take,
+  // is a crash.
+  graze(contact) {
+    const relativeHorizontal = this.lander.horizontalVelocity - contact.velocity.horizontal;
+    const relativeVertical = this.lander.verticalVelocity - contact.velocity.vertical;
+    const speed = Math.hypot(relativeHorizontal, relativeVertical);
+    let side;
+    if (Math.abs(relativeHorizontal) > Math.abs(relativeVertical)) {
+      side = relativeHorizontal > 0 ? 'right' : 'left';
+    } else {
+      side = relativeVertical > 0 ? 'bottom' : 'top';
+    }
+    if (speed <= CONFIG.maxGrazeSpeed) this.lander.applyDamage(speed * CONFIG.grazeDamage, side);
+    if (speed > CONFIG.maxGrazeSpeed || this.lander.isDestroyed()) {
+      this.lander.verticalVelocity = 0;
+      this.lander.horizontalVelocity = 0;
+      this.lander.angularVelocity = 0;
+      const reasons = [];
+      if (speed > CONFIG.maxGrazeSpeed) {
+        reasons.push({ key: 'reason_impact_speed', actual: speed, limit: CONFIG.maxGrazeSpeed });
+      } else {
+        reasons.push({ key: 'reason_hull_destroyed' });
+      }
+      // Hitting a tower near its pad is worth explaining
+      if (contact.miss) reasons.push(getMissReason(contact));
+      this.finishTouchdown(false, contact, reasons);
+      return;
+    }
+    Object.assign(this.lander, this.previousLanderPose);
+    this.lander.horizontalVelocity =
+      contact.velocity.horizontal - relativeHorizontal * CONFIG.grazeBounce;
+    this.lander.verticalVelocity = contact.velocity.vertical - relativeVertical * CONFIG.grazeBounce;
+    this.lander.angularVelocity = 0;
+  }
+
+  // Rotate a tipping lander about its supporting foot under gravity until
+  // the other foot comes down, or the body hits the ground and it topples.
+  updateTipping(dt) {
+    const { pivot, foot } = this.tipping;
+    const [legX, legY] = this.landerStats.legs.foot;
+    const localFoot = [foot ? legX : -legX, legY];
+    // Body centre for an attitude, keeping the supporting foot on the pivot
+    const centreFor = angle => [
+      pivot[0] - (localFoot[0] * Math.cos(angle) - localFoot[1] * Math.sin(angle)),
+      pivot[1] - (localFoot[0] * Math.sin(angle) + localFoot[1] * Math.cos(angle))
+    ];
+    // Gravity pulls the centre of mass round the pivot like a pendulum
+    const [centreX, centreY] = centreFor(this.lander.angle);
+    const offsetX = centreX - pivot[0];
+    const offsetY = centreY - pivot[1];
+    const pixelsPerMetre = CONFIG.screenHeight / CONFIG.maxAltitude;
+    const angularAccel =
+      (this.currentGravity * offsetX * pixelsPerMetre) / (offsetX * offsetX + offsetY * offsetY);
+    this.lander.angularVelocity += angularAccel * dt;
+    this.lander.angle += this.lander.angularVelocity * dt;
+
+    const [x, y] = centreFor(this.lander.angle);
+    const xPix = x;
+    const yPix = y + legY;
+    this.lander.horizontalPosition = (xPix / CONFIG.screenWidth) * CONFIG.maxRange;
+    this.lander.altitude = ((CONFIG.screenHeight - yPix) / CONFIG.screenHeight) * CONFIG.maxAltitude;
+
+    const bodyContact = this.findContact(this.getLanderOutline(xPix, yPix, this.lander.angle));
+    if (bodyContact || Math.abs(this.lander.angle) >= simLander.LANDER_CONFIG.maxTilt) {
+      this.finishTouchdown(false, bodyContact, [{ key: 'reason_tipped_over' }]);
+      return;
+    }
+    const feet = this.getLanderFeet(xPix, yPix, this.lander.angle);
+    if (this.getFootContact(feet[1 - foot], 1)) {
+      const depth = (CONFIG.padTolerance / CONFIG.maxAltitude) * CONFIG.screenHeight;
+      this.settle(feet.map(position => this.getFootContact(position, depth)));
+    }
+  }
+
+  // Judge a lander standing on both feet. `support` holds the contact under
+  // each foot, if any. It has landed when both stand on the same pad and the
+  // craft is upright enough.
+  settle(support) {
+    const [left, right] = support;
+    const onPad = support.map(contact => isStandingContact(contact) && Boolean(contact.pad));
+    const samePad =
+      onPad[0] &&
+      onPad[1] &&
+      left.source === right.source &&
+      (left.source !== null || left.pad === right.pad);
+    const reasons = [];
+    if (!samePad) {
+      reasons.push({ key: onPad[0] || onPad[1] ? 'reason_leg_off_pad' : 'reason_off_pad' });
+    }
+    if (Math.abs(this.lander.angle) > CONFIG.maxLandingAngle) {
+      reasons.push({
+        key: 'reason_tilt',
+        actual: toDegrees(Math.abs(this.lander.angle)),
+        limit: toDegrees(CONFIG.maxLandingAngle)
+      });
+    }
+    const success = reasons.length === 0;
+    if (success) {
+      // Rest upright on the pad
+      this.lander.angle = 0;
+      this.lander.angularVelocity = 0;
+    }
+    this.finishTouchdown(success, left || right, reasons);
+  }
+
+  // End the flight after touchdown, resting a landed craft on its pad and
+  // dropping a wreck to the ground below it. `reasons` lists the failed
+  // criteria of a crash; a flight cut short without touching down has no
+  // `contact`.
+  finishTouchdown(success, contact, reasons = []) {
+    if (success) {
+      if (contact.altitude !== undefined) this.lander.altitude = contact.altitude;
+    } else {
+      this.lander.altitude -= this.getHeightAboveGround(
+        this.lander.horizontalPosition,
+        this.lander.altitude
+      );
+    }
+    this.tipping = null;
+    this.landedPad = success ? contact.pad : null;
+    this.crashReasons = success ? [] : reasons;
+    this.endLevel(success);
+  }
+
+  // Finish the current attempt. A successful landing is scored, added to the
+  // run and advances to the next level.
+  endLevel(success) {
+    this.gameOver = true;
+    this.previousLanderPose = this.getLanderPose();
+    if (success) {
+      // The lander flies on with whatever damage it has taken
+      this.messageKey = this.lander.hull < 1 ? 'damaged_landing' : 'success_message';
+      this.landingScore = this.getLandingScore();
+      this.runScore += this.landingScore.total;
+      this.runFlights.push(this.getFlightRecord());
+      this.level += 1;
+      this.crashed = false;
+      this.startDamage = this.getCarriedDamage();
+      // Finishing the last level of a pack starts it over
+      if (this.level > simLevels.getPackLength(this.levelPack)) {
+        this.messageKey = 'pack_complete';
+        this.level = 1;
+        this.startDamage = null;
+      }
+    } else {
+      this.messageKey = 'crash_message';
+      this.landingScore = null;
+      this.crashed = true;
+    }
+  }
+
+  // Damage the lander takes on to the next level after landing. The main
+  // engine is patched up to `CONFIG.minCarriedEngine`, so a hard landing
+  // can't leave the run stuck with a lander too weak to take off.
+  getCarriedDamage() {
+    const damage = this.lander.getDamage();
+    damage.mainEngineHealth = Math.max(damage.mainEngineHealth, CONFIG.minCarriedEngine);
+    return damage;
+  }
+
+  // The current attempt as flown so far: where it started from, its
+  // `inputs` and the number of `ticks` taken
+  getFlightRecord() {
+    return { ...this.flight, inputs: this.inputs.map(input => input.slice()), ticks: this.tick };
+  }
+
+  // Start the level of a recorded `flight` as it was flown: with the same
+  // lander, destination and damage. Its inputs are then flown with
+  // `replayInputs()`.
+  startFlight(flight) {
+    this.setLanderType(flight.lander);
+    this.startDamage = flight.damage ? { ...flight.damage } : null;
+    this.selectedBody = flight.body;
+    this.level = flight.level;
+    this.startLevel();
+  }
+
+  // Score the landing just made on `landedPad` (see scoring.js)
+  getLandingScore() {
+    const score = simScoring.scoreLanding({
+      fuel: this.lander.fuel,
+      startFuel: this.startFuel,
+      verticalSpeed: this.touchdownSpeed.vertical,
+      horizontalSpeed: this.touchdownSpeed.horizontal,
+      maxSpeed: CONFIG.maxLandingSpeed,
+      padOffset: this.getPadOffset(this.landedPad),
+      time: this.tick * CONFIG.fixedTimestep,
+      multiplier: this.landedPad.multiplier
+    });
+    return { ...score, level: this.level };
+  }
+
+  // Distance of the lander's body centre from the centre of `pad`, as a
+  // fraction of half the pad: 0 at the centre and 1 at either end. Ground pads
+  // are given in metres; pads on level objects carry their `span` in pixels.
+  getPadOffset(pad) {
+    const span = pad.span || [
+      [pad.startRange, pad.height * CONFIG.maxAltitude],
+      [pad.endRange, pad.height * CONFIG.maxAltitude]
+    ].map(([range, altitude]) => {
+      const { x, y } = this.toPixelCoords(range, altitude);
+      return [x, y];
+    });
+    const { x: xPix, y: yPix } = this.toPixelCoords(this.lander.horizontalPosition, this.lander.altitude);
+    const [[centreX, centreY]] = this.toLanderPixels([[0, 0]], xPix, yPix, this.lander.angle);
+    const [[x1, y1], [x2, y2]] = span;
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const along = ((centreX - x1) * dx + (centreY - y1) * dy) / (dx * dx + dy * dy);
+    return Math.min(Math.abs(2 * along - 1), 1);
+  }
+
+  // Start a flight of the current level from its starting conditions
+  startLevel() {
+    // Note what the flight starts from before the level has its say
+    this.flight = {
+      level: this.level,
+      lander: this.landerType,
+      body: this.selectedBody,
+      damage: this.startDamage ? { ...this.startDamage } : null
+    };
+    this.inputs = [];
+    const definition = this.getLevelDefinition();
+    // Levels may restrict which landers can fly them
+    if (definition.landers && !definition.landers.includes(this.landerType)) {
+      this.setLanderType(definition.landers[0]);
+    }
+    // Build the world, terrain and safe zones described by the level. This
+    // comes first so the lander starts in the middle of the world.
+    this.applyLevelTerrain(definition);
+    // Reset the module's state to starting conditions for the current level.
+    const startFuel =
+      definition.fuel !== undefined
+        ? definition.fuel
+        : Math.max(this.baseFuel - (definition.fuelReduction || 0), 100);
+    this.lander.reset(startFuel);
+    this.startFuel = startFuel;
+    this.timeLimit = definition.timeLimit !== undefined ? definition.timeLimit : null;
+    if (this.startDamage) this.lander.restore(this.startDamage);
+    this.bodyName = definition.body || this.selectedBody;
+    this.body = simBodies.getCelestialBody(this.bodyName);
+    this.currentGravity =
+      definition.gravity !== undefined ? definition.gravity : this.body.gravity;
+    this.wind = simBodies.getWindSpeed(this.body, 0);
+    // Clear thruster flags and reset state
+    this.gameOver = false;
+    this.messageKey = null;
+    this.crashed = false;
+    // Mark the game as started so physics updates will run
+    this.gameStarted = true;
+    this.tick = 0;
+    this.landedPad = null;
+    this.touchdownSpeed = null;
+    this.landingScore = null;
+    // A run starts at the first level
+    if (this.level === 1) {
+      this.runScore = 0;
+      this.runFlights = [];
+    }
+    this.crashReasons = [];
+    this.tipping = null;
+    this.previousLanderPose = this.getLanderPose();
+  }
+
+  /**
+   * Capture the complete simulation state as a plain, JSON-serializable
+   * object. Together with `restore()` this allows saving and rewinding a
+   * flight; restoring a snapshot and replaying the same inputs reproduces the
+   * same outcome.
+   */
+  snapshot() {
+    return {
+      tick: this.tick,
+      seed: this.seed,
+      level: this.level,
+      currentGravity: this.currentGravity,
+      bodyName: this.bodyName,
+      gameStarted: this.gameStarted,
+      gameOver: this.gameOver,
+      crashed: this.crashed,
+      messageKey: this.messageKey,
+      landerType: this.landerType,
+      worldRange: this.worldRange,
+      terrainPolygons: this.terrainPolygons.map(polygon => polygon.map(point => point.slice())),
+      landingPads: this.landingPads.map(pad => ({ ...pad })),
+      landedPad: this.landedPad ? { ...this.landedPad } : null,
+      startFuel: this.startFuel,
+      timeLimit: this.timeLimit,
+      touchdownSpeed: this.touchdownSpeed ? { ...this.touchdownSpeed } : null,
+      landingScore: this.landingScore ? { ...this.landingScore } : null,
+      runScore: this.runScore,
+      runFlights: this.runFlights.slice(),
+      flight: this.flight ? { ...this.flight } : null,
+      inputs: this.inputs.map(input => input.slice()),
+      crashReasons: this.crashReasons.map(reason => ({ ...reason })),
+      tipping: this.tipping ? { pivot: this.tipping.pivot.slice(), foot: this.tipping.foot } : null,
+      startDamage: this.startDamage ? { ...this.startDamage } : null,
+      objects: this.objectDefinitions.map(object => ({ ...object })),
+      objectStates: this.levelObjects.map(object => object.snapshot()),
+      lander: this.lander.snapshot()
+    };
+  }
+
+  // Restore a state previously produced by `snapshot()`.
+  restore(snapshot) {
+    if (snapshot.landerType !== this.landerType) {
+      this.setLanderType(snapshot.landerType);
+    }
+    this.tick = snapshot.tick;
+    this.seed = snapshot.seed;
+    this.level = snapshot.level;
+    this.currentGravity = snapshot.currentGravity;
+    this.bodyName = snapshot.bodyName;
+    this.body = simBodies.getCelestialBody(this.bodyName);
+    this.wind = simBodies.getWindSpeed(this.body, this.tick * CONFIG.fixedTimestep);
+    this.gameStarted = snapshot.gameStarted;
+    this.gameOver = snapshot.gameOver;
+    this.crashed = snapshot.crashed;
+    this.messageKey = snapshot.messageKey;
+    this.worldRange = snapshot.worldRange;
+    this.lander.maxRange = this.worldRange;
+    this.terrainPolygons = snapshot.terrainPolygons.map(polygon => polygon.map(point => point.slice()));
+    this.landingPads = snapshot.landingPads.map(pad => ({ ...pad }));
+    this.landedPad = snapshot.landedPad ? { ...snapshot.landedPad } : null;
+    this.startFuel = snapshot.startFuel;
+    this.timeLimit = snapshot.timeLimit;
+    this.touchdownSpeed = snapshot.touchdownSpeed ? { ...snapshot.touchdownSpeed } : null;
+    this.landingScore = snapshot.landingScore ? { ...snapshot.landingScore } : null;
+    this.runScore = snapshot.runScore;
+    this.runFlights = snapshot.runFlights.slice();
+    this.flight = snapshot.flight ? { ...snapshot.flight } : null;
+    this.inputs = snapshot.inputs.map(input => input.slice());
+    this.crashReasons = snapshot.crashReasons.map(reason => ({ ...reason }));
+    this.tipping = snapshot.tipping
+      ? { pivot: snapshot.tipping.pivot.slice(), foot: snapshot.tipping.foot }
+      : null;
+    this.startDamage = snapshot.startDamage ? { ...snapshot.startDamage } : null;
+    this.objectDefinitions = snapshot.objects.map(object => ({ ...object }));
+    this.buildTerrainGeometry();
+    this.buildLevelObjects();
+    this.levelObjects.forEach((object, i) => object.restore(snapshot.objectStates[i]));
+    this.lander.restore(snapshot.lander);
+    this.previousLanderPose = this.getLanderPose();
+  }
+}
+
+/**
+ * Fly a recorded flight (see `getFlightRecord()`) of a level in `pack` again
+ * from the same lander, destination and damage. Returns the lander type it
+ * was flown with and the lander's pose (see `getLanderPose()`) at the start
+ * and after every step.
+ */
+function traceFlight(pack, seed, flight) {
+  const sim = new FlightSimulation(seed);
+  sim.setLevelPack(pack);
+  sim.startFlight(flight);
+  const poses = [sim.getLanderPose()];
+  sim.replayInputs(flight.inputs, flight.ticks, () => poses.push(sim.getLanderPose()));
+  return { lander: sim.landerType, poses };
+}
+
+// Export for Node and attach to window for browser usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { CONFIG, LANDER_TYPES, FlightSimulation, traceFlight };
+} else {
+  window.CONFIG = CONFIG;
+  window.LANDER_TYPES = LANDER_TYPES;
+  window.FlightSimulation = FlightSimulation;
+  window.traceFlight = traceFlight;
+}
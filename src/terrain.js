@@ -0,0 +1,144 @@
+// Terrain geometry.
+//
+// Solid ground is a list of polygons, each a list of `[x, y]` points. In level
+// definitions x is a range in metres and y a height as a 0–1 fraction of the
+// maximum altitude, like the landing pads. A level's heightmap (`terrain`) is
+// turned into one polygon running along the surface and closed along the
+// bottom of the world; extra `polygons` add overhangs, cave roofs and
+// floating rock.
+//
+// The intersection helpers only care about points, so the game also uses them
+// with polygons converted to canvas pixels.
+
+// Polygon for a heightmap whose heights are evenly spaced across `worldRange`
+// metres.
+function heightmapToPolygon(terrain, worldRange) {
+  const segmentRange = worldRange / (terrain.length - 1);
+  const polygon = [[0, 0]];
+  terrain.forEach((height, i) => polygon.push([i * segmentRange, height]));
+  polygon.push([worldRange, 0]);
+  return polygon;
+}
+
+// All solid polygons of a level: the heightmap first, if any, then the
+// level's own polygons.
+function getLevelPolygons(level, worldRange) {
+  const polygons = [];
+  if (level.terrain) polygons.push(heightmapToPolygon(level.terrain, worldRange));
+  (level.polygons || []).forEach(polygon => {
+    polygons.push(polygon.map(([x, y]) => [x, y]));
+  });
+  return polygons;
+}
+
+// Even-odd test for a point inside a polygon.
+function pointInPolygon([x, y], polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// True when segments a–b and c–d touch or cross.
+function segmentsIntersect(a, b, c, d) {
+  const cross = (p, q, r) => (q[0] - p[0]) * (r[1] - p[1]) - (q[1] - p[1]) * (r[0] - p[0]);
+  const onSegment = (p, q, r) =>
+    Math.min(p[0], q[0]) <= r[0] &&
+    r[0] <= Math.max(p[0], q[0]) &&
+    Math.min(p[1], q[1]) <= r[1] &&
+    r[1] <= Math.max(p[1], q[1]);
+  const d1 = cross(c, d, a);
+  const d2 = cross(c, d, b);
+  const d3 = cross(a, b, c);
+  const d4 = cross(a, b, d);
+  if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) {
+    return true;
+  }
+  return (
+    (d1 === 0 && onSegment(c, d, a)) ||
+    (d2 === 0 && onSegment(c, d, b)) ||
+    (d3 === 0 && onSegment(a, b, c)) ||
+    (d4 === 0 && onSegment(a, b, d))
+  );
+}
+
+// Axis-aligned bounding box of a polygon
+function getPolygonBounds(polygon) {
+  const xs = polygon.map(p => p[0]);
+  const ys = polygon.map(p => p[1]);
+  return {
+    minX: Math.min(...xs),
+    maxX: Math.max(...xs),
+    minY: Math.min(...ys),
+    maxY: Math.max(...ys)
+  };
+}
+
+/**
+ * True when two polygons overlap: an edge of one crosses an edge of the
+ * other, or one lies entirely inside the other. Neither polygon has to be
+ * convex.
+ */
+function polygonsOverlap(a, b) {
+  const boundsA = getPolygonBounds(a);
+  const boundsB = getPolygonBounds(b);
+  if (
+    boundsA.maxX < boundsB.minX ||
+    boundsB.maxX < boundsA.minX ||
+    boundsA.maxY < boundsB.minY ||
+    boundsB.maxY < boundsA.minY
+  ) {
+    return false;
+  }
+  for (let i = 0; i < a.length; i++) {
+    const a1 = a[i];
+    const a2 = a[(i + 1) % a.length];
+    for (let j = 0; j < b.length; j++) {
+      if (segmentsIntersect(a1, a2, b[j], b[(j + 1) % b.length])) return true;
+    }
+  }
+  return pointInPolygon(a[0], b) || pointInPolygon(b[0], a);
+}
+
+/**
+ * Height of the highest polygon edge at `x` that is at or below height `y`,
+ * i.e. the ground an object at (x, y) would fall onto. Returns 0 (the bottom
+ * of the world) when there is none. Heights grow upwards.
+ */
+function findSurfaceBelow(polygons, x, y) {
+  let best = 0;
+  polygons.forEach(polygon => {
+    for (let i = 0; i < polygon.length; i++) {
+      const [x1, y1] = polygon[i];
+      const [x2, y2] = polygon[(i + 1) % polygon.length];
+      if (x1 === x2 || x < Math.min(x1, x2) || x > Math.max(x1, x2)) continue;
+      const height = y1 + ((y2 - y1) * (x - x1)) / (x2 - x1);
+      if (height <= y && height > best) best = height;
+    }
+  });
+  return best;
+}
+
+// Export for Node and attach to window for browser usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    heightmapToPolygon,
+    getLevelPolygons,
+    pointInPolygon,
+    segmentsIntersect,
+    polygonsOverlap,
+    findSurfaceBelow
+  };
+} else {
+  window.heightmapToPolygon = heightmapToPolygon;
+  window.getLevelPolygons = getLevelPolygons;
+  window.pointInPolygon = pointInPolygon;
+  window.segmentsIntersect = segmentsIntersect;
+  window.polygonsOverlap = polygonsOverlap;
+  window.findSurfaceBelow = findSurfaceBelow;
+}
@@ -0,0 +1,185 @@
+// Replay viewer.
+//
+// Plays a replay file (see recording.js) back on the game screen: the game
+// flies the recorded flight again step by step and draws it as it draws the
+// player's own. Playback can be paused, stepped a frame at a time, sped up or
+// slowed down and scrubbed to any moment. The run, level pack and destination
+// the player had are put back when the viewer closes.
+
+// Steps between the snapshots kept to scrub back quickly (five seconds)
+const VIEWER_KEYFRAME_INTERVAL = 300;
+
+class ReplayViewer {
+  constructor(game) {
+    this.game = game;
+    this.replay = null;
+    // Snapshots of the game every `VIEWER_KEYFRAME_INTERVAL` steps into the
+    // flight, taken as playback first reaches them
+    this.keyframes = [];
+    this.playing = false;
+    this.speed = 1;
+    // Playback time not yet flown (s)
+    this.clock = 0;
+
+    this.container = document.getElementById('replayControls');
+    this.playButton = document.getElementById('replayPlay');
+    this.scrubInput = document.getElementById('replayScrub');
+    this.speedSelect = document.getElementById('replaySpeed');
+    this.timeElem = document.getElementById('replayTime');
+
+    this.playButton.addEventListener('click', () => this.togglePlaying());
+    document.getElementById('replayStepBack').addEventListener('click', () => this.stepFrame(-1));
+    document.getElementById('replayStep').addEventListener('click', () => this.stepFrame(1));
+    this.scrubInput.addEventListener('input', () => this.seek(Number(this.scrubInput.value)));
+    this.speedSelect.addEventListener('change', () => {
+      this.speed = Number(this.speedSelect.value);
+    });
+  }
+
+  // Start watching a replay from the beginning
+  open(replay) {
+    const { game } = this;
+    game.suspendRun();
+    this.replay = replay;
+    game.playback = this;
+    game.seed = replay.seed;
+    game.setLevelPack(getReplayPack(replay));
+    game.startFlight(replay.flight);
+    // Only the replayed landing counts towards the score shown
+    game.runScore = 0;
+    this.keyframes = [game.snapshot()];
+    this.clock = 0;
+    this.scrubInput.max = replay.flight.ticks;
+    this.container.classList.remove('hidden');
+    game.updateEndButtons();
+    this.setPlaying(true);
+    this.render();
+  }
+
+  // Stop watching and give the game back what the player had
+  close() {
+    this.setPlaying(false);
+    this.game.playback = null;
+    this.game.resumeRun();
+    this.replay = null;
+    this.keyframes = [];
+    this.container.classList.add('hidden');
+  }
+
+  // Whether the whole recorded flight has been played
+  isFinished() {
+    return this.game.gameOver || this.game.tick >= this.replay.flight.ticks;
+  }
+
+  setPlaying(playing) {
+    this.playing = playing;
+    this.clock = 0;
+    this.playButton.setAttribute('data-i18n', playing ? 'replay_pause' : 'replay_play');
+    setLanguage(currentLang);
+  }
+
+  // Pause, or play on; a finished replay starts over
+  togglePlaying() {
+    if (!this.playing && this.isFinished()) this.seek(0);
+    this.setPlaying(!this.playing);
+  }
+
+  // Fly one more step of the recording, keeping a snapshot at every keyframe
+  step() {
+    const { game } = this;
+    game.replayInputs(this.replay.flight.inputs, game.tick + 1);
+    const index = game.tick / VIEWER_KEYFRAME_INTERVAL;
+    if (Number.isInteger(index) && !this.keyframes[index]) this.keyframes[index] = game.snapshot();
+    if (this.isFinished()) this.setPlaying(false);
+  }
+
+  // Pause and move `frames` steps forwards or backwards
+  stepFrame(frames) {
+    this.setPlaying(false);
+    this.seek(this.game.tick + frames);
+  }
+
+  // Show the flight as it was `tick` steps in. Going back, or far ahead,
+  // starts from the closest keyframe before it.
+  seek(tick) {
+    const { game } = this;
+    const target = Math.min(Math.max(tick, 0), this.replay.flight.ticks);
+    const keyframe = this.keyframes[Math.min(Math.floor(target / VIEWER_KEYFRAME_INTERVAL), this.keyframes.length - 1)];
+    if (target < game.tick || keyframe.tick > game.tick) game.restore(keyframe);
+    while (game.tick < target && !game.gameOver) this.step();
+    this.clock = 0;
+    this.render();
+  }
+
+  // Called by the game loop every frame while the viewer is open
+  advance(frameTime) {
+    if (this.playing) {
+      this.clock += frameTime * this.speed;
+      while (this.playing && this.clock >= CONFIG.fixedTimestep) {
+        this.step();
+        this.clock -= CONFIG.fixedTimestep;
+      }
+    }
+    this.render();
+  }
+
+  render() {
+    const { game } = this;
+    game.draw(this.playing ? this.clock / CONFIG.fixedTimestep : 1);
+    game.updateUI();
+    const seconds = ticks => (ticks * CONFIG.fixedTimestep).toFixed(2);
+    this.scrubInput.value = game.tick;
+    this.timeElem.textContent = `${seconds(game.tick)} / ${seconds(this.replay.flight.ticks)} s`;
+  }
+}
+
+// --------- Replay screen wiring ---------
+const replayViewer = new ReplayViewer(game);
+window.replayViewer = replayViewer;
+
+const loadReplayButton = document.getElementById('loadReplayButton');
+const replayInput = document.getElementById('replayInput');
+const replayStatus = document.getElementById('replayStatus');
+const replayExitButton = document.getElementById('replayExit');
+
+// Watch a replay file picked from the menu
+if (loadReplayButton && replayInput) {
+  loadReplayButton.addEventListener('click', () => replayInput.click());
+  replayInput.addEventListener('change', async () => {
+    const file = replayInput.files[0];
+    if (!file) return;
+    try {
+      const replay = parseReplay(await file.text());
+      replayStatus.classList.add('hidden');
+      if (menu) menu.classList.add('hidden');
+      document.getElementById('gameContainer').classList.remove('hidden');
+      replayViewer.open(replay);
+    } catch (err) {
+      console.warn('Failed to load replay', err);
+      replayStatus.textContent = `${translations[currentLang].replay_error} ${err.message}`;
+      replayStatus.classList.remove('hidden');
+    }
+    replayInput.value = '';
+  });
+}
+
+if (replayExitButton) {
+  replayExitButton.addEventListener('click', () => {
+    replayViewer.close();
+    document.getElementById('gameContainer').classList.add('hidden');
+    if (menu) menu.classList.remove('hidden');
+  });
+}
+
+// Space pauses and plays, the arrow keys step a frame
+document.addEventListener('keydown', e => {
+  if (!game.playback || isTypingTarget(e.target)) return;
+  if (e.code === 'Space') {
+    replayViewer.togglePlaying();
+  } else if (e.code === 'ArrowLeft' || e.code === 'ArrowRight') {
+    replayViewer.stepFrame(e.code === 'ArrowLeft' ? -1 : 1);
+  } else {
+    return;
+  }
+  e.preventDefault();
+});